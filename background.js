@@ -1,15 +1,23 @@
 // background.js - Service worker for DSA Coach AI extension
+importScripts('reviewScheduler.js');
 
 // Handle extension installation
 chrome.runtime.onInstalled.addListener(() => {
     console.log('DSA Coach AI extension installed');
 });
 
+// Open the extension popup; where Chrome has no openPopup, or refuses it
+// outside a user gesture, open the popup page in a tab instead
+function openCoachPopup() {
+    const openTab = () => chrome.tabs.create({ url: chrome.runtime.getURL('popup.html') });
+    if (typeof chrome.action.openPopup !== 'function') return openTab();
+    return chrome.action.openPopup().catch(openTab);
+}
+
 // Handle messages from content script and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'openCoach') {
-        // Open the extension popup
-        chrome.action.openPopup();
+        openCoachPopup();
         sendResponse({success: true});
     }
     
@@ -23,7 +31,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
         // Ensure content script is injected
         chrome.scripting.executeScript({
             target: {tabId: tabId},
-            files: ['content.js']
+            files: ['constraintParser.js', 'problemParser.js', 'patternTaxonomy.js', 'offlineCoach.js', 'reviewScheduler.js', 'content.js']
         }).catch(() => {
             // Script might already be injected, ignore the error
         });
@@ -52,4 +60,50 @@ chrome.alarms.onAlarm.addListener((alarm) => {
             });
         });
     }
-});
\ No newline at end of file
+});
+
+// Raise spaced-repetition reviews (reviewScheduler.js) that are due today:
+// the due count on the toolbar badge, and one notification a day
+chrome.alarms.create('checkReviews', {
+    delayInMinutes: 1,
+    periodInMinutes: 60
+});
+
+async function checkDueReviews({ notify = false } = {}) {
+    const due = ReviewScheduler.dueReviews(await ReviewScheduler.load());
+    chrome.action.setBadgeText({ text: due.length ? String(due.length) : '' });
+    chrome.action.setBadgeBackgroundColor({ color: '#7B61FF' });
+    if (!notify || due.length === 0) return;
+
+    const today = new Date().toDateString();
+    const { reviewsNotifiedOn } = await chrome.storage.local.get(['reviewsNotifiedOn']);
+    if (reviewsNotifiedOn === today) return;
+
+    chrome.notifications.create('dueReviews', {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: `${due.length} problem${due.length === 1 ? '' : 's'} due for review`,
+        message: `${due.slice(0, 3).map(item => item.title).join(', ')}${due.length > 3 ? ', ...' : ''}. Open DSA Coach to review.`
+    });
+    await chrome.storage.local.set({ reviewsNotifiedOn: today });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === 'checkReviews') {
+        checkDueReviews({ notify: true });
+    }
+});
+
+// Keep the badge current as problems are solved and reviewed
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[ReviewScheduler.STORAGE_KEY]) {
+        checkDueReviews();
+    }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    if (notificationId === 'dueReviews') {
+        openCoachPopup();
+        chrome.notifications.clear(notificationId);
+    }
+});
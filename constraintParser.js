@@ -0,0 +1,242 @@
+// constraintParser.js - Reads LeetCode constraint lines into typed ranges
+//
+// One parser for the extension and the backend. problemParser.js turns each
+// constraint on the page into { text, ranges, equals } and the content script
+// sends those to the backend as they are; lib/problemInputs.js folds them into
+// per-parameter ranges for the runners. Plain strings are accepted too: they
+// are read as the textContent older clients sent, where "10<sup>4</sup>"
+// arrives flattened to "104". The input sizes the constraints allow, and what
+// a complexity costs at that size, are worked out here as well, for
+// lib/constraintTarget.js and the offline coach. Loaded as a content script
+// and in the popup before the scripts that use it, and exported for Node.
+const ConstraintParser = (() => {
+  const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+  // A flattened superscript: "104" was 10^4, "231" was 2^31
+  function unflatten(token) {
+    let match = token.match(/^10([1-9])$/);
+    if (match) return 10 ** Number(match[1]);
+    match = token.match(/^2(31|32|63|64)$/);
+    if (match) return 2 ** Number(match[1]);
+    return Number(token);
+  }
+
+  // "10^9 + 7", "-2^31", "2^31 - 1", "5 * 10^4", "10,000", "10⁵", "1e5" -> number;
+  // with `flattened`, "104" and "231 - 1" are read as 10^4 and 2^31 - 1
+  function parseNumber(raw, { flattened = false } = {}) {
+    const tokens = String(raw)
+      .replace(/[−–]/g, '-')
+      .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]+/g, digits => `^${[...digits].map(d => SUPERSCRIPT_DIGITS.indexOf(d)).join('')}`)
+      .replace(/(\d),(?=\d{3}\b)/g, '$1')
+      .match(/\d+(?:\.\d+)?(?:e\d+)?|\S/gi);
+    if (!tokens) return null;
+    let i = 0;
+
+    function power() {
+      const token = tokens[i++];
+      if (!/^\d/.test(token || '')) return NaN;
+      if (tokens[i] !== '^') return flattened ? unflatten(token) : Number(token);
+      i++;
+      return Number(token) ** power();
+    }
+    function product() {
+      let value = power();
+      while (tokens[i] === '*' || tokens[i] === '×') {
+        i++;
+        value *= power();
+      }
+      return value;
+    }
+    function sum() {
+      let value = tokens[i] === '-' ? (i++, -product()) : tokens[i] === '+' ? (i++, product()) : product();
+      while (tokens[i] === '+' || tokens[i] === '-') {
+        const op = tokens[i++];
+        value = op === '+' ? value + product() : value - product();
+      }
+      return value;
+    }
+
+    const value = sum();
+    return i === tokens.length && Number.isFinite(value) ? value : null;
+  }
+
+  // "nums.length", "nums[i]", "grid[i][j]", "grid[i].length", "n"
+  const SUBJECT = /^[A-Za-z_]\w*(?:\[[^\]]+\])*(?:\.length)?$/;
+  const subjectsOf = (text) => {
+    const names = text.split(/,|==/).map(part => part.trim());
+    return names.every(name => SUBJECT.test(name)) ? names : null;
+  };
+
+  // "1 <= nums.length <= 10^4" -> { text, ranges: [{ subject: 'nums.length', min: 1, max: 10000, ... }] }
+  // "n == nums.length" -> { text, ranges: [], equals: ['n', 'nums.length'] }
+  function parseConstraint(text, options = {}) {
+    const line = String(text).replace(/≤/g, '<=').replace(/≥/g, '>=').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/\s+/g, ' ').trim();
+    const constraint = { text, ranges: [] };
+
+    // Also inside a chain: "1 <= n == nums.length <= 500" bounds both names
+    const equality = line.match(/([\w.[\]]+)\s*==\s*([\w.[\]]+)/);
+    if (equality && SUBJECT.test(equality[1]) && SUBJECT.test(equality[2])) {
+      constraint.equals = [equality[1], equality[2]];
+    }
+
+    const parts = line.split(/\s*(<=|>=|<|>)\s*/);
+    const ranges = new Map();
+    const bound = (subject, side, value, inclusive) => {
+      const range = ranges.get(subject) || { subject, min: null, max: null, minInclusive: true, maxInclusive: true };
+      range[side] = value;
+      range[`${side}Inclusive`] = inclusive;
+      ranges.set(subject, range);
+    };
+
+    for (let i = 1; i < parts.length; i += 2) {
+      const [left, op, right] = [parts[i - 1], parts[i], parts[i + 1]];
+      const inclusive = op.endsWith('=');
+      const smaller = op.startsWith('<');
+      const leftNumber = parseNumber(left, options);
+      const rightNumber = parseNumber(right, options);
+
+      if (leftNumber !== null && rightNumber === null) {
+        (subjectsOf(right) || []).forEach(subject => bound(subject, smaller ? 'min' : 'max', leftNumber, inclusive));
+      } else if (leftNumber === null && rightNumber !== null) {
+        (subjectsOf(left) || []).forEach(subject => bound(subject, smaller ? 'max' : 'min', rightNumber, inclusive));
+      }
+    }
+
+    constraint.ranges = [...ranges.values()];
+    return constraint;
+  }
+
+  // The line as the page shows it, for a parsed constraint or a plain string
+  const constraintText = (constraint) => (typeof constraint === 'string' ? constraint : String(constraint?.text || ''));
+
+  const isBound = (value) => value === null || Number.isFinite(value);
+
+  // A constraint from the request: typed ranges are used as sent when they
+  // are well formed, anything else is parsed from its text
+  function toConstraint(item) {
+    if (typeof item === 'string') return parseConstraint(item, { flattened: true });
+    const text = constraintText(item);
+    if (!Array.isArray(item?.ranges)) return parseConstraint(text);
+
+    const ranges = item.ranges.filter(range => range && SUBJECT.test(String(range.subject)) && isBound(range.min) && isBound(range.max));
+    const equals = Array.isArray(item.equals) && item.equals.length === 2 && item.equals.every(name => SUBJECT.test(String(name)))
+      ? item.equals
+      : null;
+    return { text, ranges, ...(equals && { equals }) };
+  }
+
+  // "nums.length" -> { name: 'nums', field: 'length' }, "grid[i][j]" -> { name: 'grid', field: 'value' }
+  function parseTarget(subject) {
+    const match = String(subject).trim().match(/^([A-Za-z_]\w*)((?:\[[^\]]+\])*)(\.length)?$/);
+    if (!match) return null;
+    const [, name, indexes, length] = match;
+    if (length) return { name, field: indexes ? 'innerLength' : 'length' };
+    return { name, field: 'value' };
+  }
+
+  const CHARSETS = [
+    [/lowercase and uppercase|uppercase and lowercase/i, 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'],
+    [/letters,? (?:and )?digits|alphanumeric/i, 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'],
+    [/lowercase/i, 'abcdefghijklmnopqrstuvwxyz'],
+    [/uppercase/i, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'],
+    [/english letters/i, 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'],
+    [/only digits|consists of digits/i, '0123456789'],
+    [/'0' and '1'|'0' or '1'|binary/i, '01'],
+    [/'\(' and '\)'|parenthes/i, '()']
+  ];
+
+  // All of a problem's constraints, per parameter field: integer ranges
+  // ({ 'nums.length': { name, field, min, max } }), names that stand for
+  // another field ("n == nums.length"), and flags for distinct values, sorted
+  // input and the alphabet strings are drawn from
+  function parseConstraints(constraints) {
+    const ranges = {};
+    const aliases = {};
+    const flags = { unique: false, sorted: false, charset: null };
+
+    const setRange = (target, min, max) => {
+      if (!target) return;
+      const key = `${target.name}.${target.field}`;
+      const range = ranges[key] || { ...target, min: null, max: null };
+      if (min !== null && min !== undefined) range.min = min;
+      if (max !== null && max !== undefined) range.max = max;
+      ranges[key] = range;
+    };
+
+    for (const constraint of (constraints || []).map(toConstraint)) {
+      const text = constraint.text;
+      if (/unique|distinct/i.test(text)) flags.unique = true;
+      if (/sorted in (?:non-decreasing|ascending|increasing)/i.test(text)) flags.sorted = true;
+      if (!flags.charset) {
+        const charset = CHARSETS.find(([pattern]) => pattern.test(text));
+        if (charset) flags.charset = charset[1];
+      }
+
+      if (constraint.equals) {
+        const [left, right] = constraint.equals.map(parseTarget);
+        if (left.field === 'value') aliases[left.name] = right;
+        else if (right.field === 'value') aliases[right.name] = left;
+      }
+
+      // Values are integers, so a strict bound is the next integer in
+      for (const range of constraint.ranges) {
+        setRange(
+          parseTarget(range.subject),
+          range.min === null || range.minInclusive !== false ? range.min : range.min + 1,
+          range.max === null || range.maxInclusive !== false ? range.max : range.max - 1
+        );
+      }
+    }
+
+    // A bound on `n` where "n == nums.length" is a bound on nums.length
+    for (const [alias, target] of Object.entries(aliases)) {
+      const range = ranges[`${alias}.value`];
+      if (range) setRange(target, range.min, range.max);
+    }
+
+    return { ranges, aliases, flags };
+  }
+
+  // Scalars that name a size rather than a value
+  const SIZE_NAMES = ['n', 'm'];
+  const isSize = (range) => range.field !== 'value' || SIZE_NAMES.includes(range.name);
+
+  // Largest value per size-like variable: collection lengths, and n/m. Problems
+  // without collections (two integers, one number) are sized by their values.
+  function inputSizes(constraints) {
+    const { ranges } = parseConstraints(constraints);
+    const bounded = Object.values(ranges).filter(range => Number.isFinite(range.max) && range.max > 0);
+    const label = (range) => (range.field === 'value' ? range.name : `${range.name}.${range.field === 'innerLength' ? 'length (inner)' : 'length'}`);
+
+    const lengths = bounded.filter(isSize);
+    const sizes = lengths.length > 0 ? lengths : bounded;
+    return sizes.map(range => ({ name: label(range), max: range.max })).sort((a, b) => b.max - a.max);
+  }
+
+  const superscript = (number) => String(number).replace(/\d/g, digit => SUPERSCRIPT_DIGITS[digit]);
+
+  // 100000 -> "10⁵", 50000 -> "5·10⁴", 2147483647 -> "2³¹ − 1", 45 -> "45"
+  function formatSize(n) {
+    for (const offset of [0, 1]) {
+      const bits = Math.log2(n + offset);
+      if (n > 1e5 && Number.isInteger(bits)) return `2${superscript(bits)}${offset ? ' − 1' : ''}`;
+    }
+    const power = Math.floor(Math.log10(n));
+    const leading = n / 10 ** power;
+    if (power < 3 || !Number.isInteger(leading)) return String(n);
+    return `${leading === 1 ? '' : `${leading}·`}10${superscript(power)}`;
+  }
+
+  // Steps a growth term ({ exp, log, exponential }: n^exp · log^log n, times
+  // 2^n if exponential) takes at input size n
+  function operations(term, n) {
+    const size = Math.max(n, 2);
+    return size ** term.exp * Math.log2(size) ** term.log * (term.exponential ? 2 ** size : 1);
+  }
+
+  return { parseNumber, parseConstraint, parseConstraints, parseTarget, constraintText, isSize, inputSizes, formatSize, operations, superscript };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConstraintParser;
+}
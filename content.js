@@ -4,9 +4,19 @@ class LeetCodeExtractor {
     this.problemData = null;
     this.userCode = '';
     this.conversationHistory = [];
+    this.sessionId = null;
+    this.sessionTranscript = [];
     this.backendUrl = 'http://localhost:3000';
     this.codeObserver = null;
+    this.currentSlug = null;
+    this.problemStates = new Map(); // Parked state of problems visited in this tab, by slug
     this.requestTimeout = 15000; // 15 seconds
+    this.maxRetryAfter = 20; // Wait out rate limits shorter than this many seconds
+    this.clientId = `tab-${Math.random().toString(36).slice(2, 10)}`;
+    this.userId = null; // Persistent per install; keys the skill profile on the backend
+    this.hintsUsed = 0; // Highest hint level revealed for this problem
+    this.maxHintLevel = 5;
+    this.interview = null; // Mock interview for this problem (see startInterview)
     this.init();
   }
 
@@ -28,6 +38,11 @@ class LeetCodeExtractor {
       
       // Set up code monitoring
       this.setupCodeMonitoring();
+      this.watchNavigation();
+
+      this.loadHintsUsed();
+      this.loadUserId();
+      this.watchSubmissions();
       
       // Listen for messages from popup
       chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -86,8 +101,9 @@ class LeetCodeExtractor {
 
       this.problemObserver.observe(document.body, { childList: true, subtree: true });
 
-      // Safety timeout to stop observing after 20s
-      setTimeout(() => {
+      // Safety timeout to stop observing after 20s; navigating to another problem starts a new one
+      clearTimeout(this.problemObserverTimeout);
+      this.problemObserverTimeout = setTimeout(() => {
         try { this.problemObserver.disconnect(); } catch (_) {}
       }, 20000);
     } catch (e) {
@@ -95,6 +111,109 @@ class LeetCodeExtractor {
     }
   }
 
+  // LeetCode moves between problems without reloading the page. The page's
+  // history.pushState can't be hooked from the content script's isolated
+  // world, so the URL is polled (and checked on back/forward).
+  watchNavigation() {
+    this.currentSlug = this.getProblemSlug();
+    this.onNavigation = () => {
+      const slug = this.getProblemSlug();
+      if (slug !== this.currentSlug) this.switchProblem(slug);
+    };
+    window.addEventListener('popstate', this.onNavigation);
+    this.navigationTimer = setInterval(this.onNavigation, 1000);
+  }
+
+  // Park the current problem's conversation and pick up the next one's: the
+  // one left earlier in this tab, or its server-side session
+  switchProblem(slug) {
+    console.log(`DSA Coach: Navigated from ${this.currentSlug || 'no problem'} to ${slug || 'no problem'}`);
+    if (this.currentSlug) this.problemStates.set(this.currentSlug, this.saveProblemState());
+    // Until the new problem renders, the old one's title is still on the page
+    this.staleProblem = this.problemData;
+    this.currentSlug = slug;
+
+    const saved = slug && this.problemStates.get(slug);
+    this.problemStates.delete(slug);
+    this.loadProblemState(saved);
+
+    this.problemData = null;
+    this.extractProblemData();
+    this.setupProblemDataObserver();
+    this.userCode = this.getUserCode();
+
+    if (!saved) {
+      this.loadHintsUsed();
+      this.resumeSession();
+    }
+  }
+
+  saveProblemState() {
+    // The chat and test case nodes are kept as they are, so their buttons still work
+    const detach = (id) => {
+      const fragment = document.createDocumentFragment();
+      const element = document.getElementById(id);
+      while (element?.firstChild) fragment.appendChild(element.firstChild);
+      return fragment;
+    };
+
+    return {
+      conversationHistory: this.conversationHistory,
+      sessionId: this.sessionId,
+      sessionTranscript: this.sessionTranscript,
+      hintsUsed: this.hintsUsed,
+      submissionFailure: this.submissionFailure,
+      failureCard: this.failureCard,
+      trace: this.trace,
+      constraintCheck: this.constraintCheck,
+      interview: this.interview,
+      chat: detach('dsa-chat-container'),
+      testCases: detach('dsa-testcases-list'),
+      approach: document.getElementById('dsa-approach-input')?.value || '',
+      code: document.getElementById('dsa-code-input')?.value || ''
+    };
+  }
+
+  loadProblemState(saved = null) {
+    this.conversationHistory = saved?.conversationHistory || [];
+    this.sessionId = saved?.sessionId || null;
+    this.sessionTranscript = saved?.sessionTranscript || [];
+    this.hintsUsed = saved?.hintsUsed || 0;
+    this.submissionFailure = saved?.submissionFailure || null;
+    this.failureCard = saved?.failureCard || null;
+    this.trace = saved?.trace || null;
+    this.constraintCheck = saved?.constraintCheck || null;
+    this.interview = saved?.interview || null;
+    this.renderInterview();
+
+    const chat = document.getElementById('dsa-chat-container');
+    if (!chat) return;
+
+    chat.innerHTML = '';
+    if (saved) chat.appendChild(saved.chat);
+    chat.scrollTop = chat.scrollHeight;
+    const testCases = document.getElementById('dsa-testcases-list');
+    if (testCases) {
+      testCases.innerHTML = '';
+      if (saved) testCases.appendChild(saved.testCases);
+    }
+    const approachInput = document.getElementById('dsa-approach-input');
+    const codeInput = document.getElementById('dsa-code-input');
+    const chatInput = document.getElementById('dsa-chat-input');
+    const complexityInfo = document.getElementById('dsa-complexity-info');
+    const responseArea = document.getElementById('dsa-response-area');
+    if (approachInput) approachInput.value = saved?.approach || '';
+    if (codeInput) codeInput.value = saved?.code || '';
+    if (chatInput) chatInput.value = '';
+    if (complexityInfo) complexityInfo.style.display = 'none';
+    if (responseArea) responseArea.style.display = chat.childElementCount > 0 ? 'block' : 'none';
+
+    const traceView = document.getElementById('dsa-trace-view');
+    if (traceView) traceView.innerHTML = '';
+    if (this.trace) this.renderTraceStep();
+    this.updateHintButton();
+  }
+
   async testBackendConnection() {
     try {
       const controller = new AbortController();
@@ -107,84 +226,114 @@ class LeetCodeExtractor {
       
       const data = await response.json();
       console.log('DSA Coach: Backend connected', data);
+      this.backendProvider = data.provider;
+      this.loadComplexityTarget();
+
+      await this.resumeSession();
     } catch (error) {
-      console.warn('DSA Coach: Backend not available, using mock responses');
+      console.warn('DSA Coach: Backend not available, using the offline coach');
       this.backendUrl = null;
     }
   }
 
-  extractProblemData() {
+  // Create or resume the server-side coaching session for this problem slug
+  async resumeSession() {
+    const slug = this.getProblemSlug();
+    if (!this.backendUrl || !slug) return;
+
     try {
-      // Extract problem title with multiple fallbacks
-      const titleSelectors = [
-        '[data-cy="question-title"]',
-        'h1[data-cy="question-title"]',
-        '.css-v3d350',
-        'h1',
-        '.question-title'
-      ];
-      
-      let titleElement = null;
-      for (const selector of titleSelectors) {
-        titleElement = document.querySelector(selector);
-        if (titleElement && titleElement.textContent.trim()) break;
-      }
-      
-      // Extract problem description
-      const descSelectors = [
-        '[data-key="description-content"]',
-        '.content__u3I1',
-        '.question-content',
-        '[data-track-load="description_content"]'
-      ];
-      
-      let descriptionElement = null;
-      for (const selector of descSelectors) {
-        descriptionElement = document.querySelector(selector);
-        if (descriptionElement && descriptionElement.textContent.trim()) break;
-      }
-      
-      // Extract examples more intelligently
-      const examples = [];
-      const exampleElements = document.querySelectorAll('pre, .example');
-      exampleElements.forEach((example, index) => {
-        const text = example.textContent.trim();
-        if ((text.includes('Input:') || text.includes('Example') || text.includes('Output:')) 
-            && text.length > 10 && text.length < 500) {
-          examples.push(this.sanitizeText(text));
-        }
+      const response = await fetch(`${this.backendUrl}/api/sessions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ slug, problem: this.problemData })
       });
+      if (!response.ok) throw new Error(`Backend error: ${response.status}`);
+
+      const { session } = await response.json();
+      // The student moved on to another problem while this was loading
+      if (slug !== this.getProblemSlug()) return;
+      this.sessionId = session.id;
+      this.sessionTranscript = session.messages;
+      this.hintsUsed = Math.max(this.hintsUsed, session.hintsUsed || 0);
+      this.updateHintButton();
+      console.log(`DSA Coach: Session ${session.id} (${session.messages.length} messages)`);
+
+      this.restoreTranscript();
+    } catch (error) {
+      console.warn('DSA Coach: Could not start a coaching session:', error.message);
+    }
+  }
 
-      // Extract constraints more precisely
-      const constraints = [];
-      const constraintElements = document.querySelectorAll('ul li, .content__u3I1 p, .constraint');
-      constraintElements.forEach(el => {
-        const text = el.textContent.trim();
-        if ((text.includes('≤') || text.includes('<=') || text.includes('constraints') || 
-            text.match(/\d+.*\d+/) || text.includes('length')) && 
-            text.length < 200 && !text.includes('Example')) {
-          constraints.push(this.sanitizeText(text));
-        }
+  // Re-render a resumed transcript into the chat once the panel exists
+  restoreTranscript() {
+    const container = document.getElementById('dsa-chat-container');
+    if (!container || this.conversationHistory.length > 0 || this.sessionTranscript.length === 0) return;
+
+    this.sessionTranscript.forEach(entry => {
+      const messageDiv = this.createElement('div', `dsa-chat-message ${entry.sender}`);
+      messageDiv.appendChild(this.createElement('div', 'message-text', this.sanitizeText(entry.message)));
+      container.appendChild(messageDiv);
+
+      if (entry.analysis) {
+        this.renderAnalysisCards(messageDiv, entry.analysis, entry.message);
+      }
+
+      this.conversationHistory.push({
+        message: this.sanitizeText(entry.message),
+        sender: entry.sender,
+        complexity: entry.complexity || null,
+        timestamp: Date.parse(entry.timestamp)
       });
+    });
+
+    container.scrollTop = container.scrollHeight;
+  }
+
+  syncSessionMessage(entry, sessionId = this.sessionId) {
+    if (!this.backendUrl || !sessionId) return;
+
+    fetch(`${this.backendUrl}/api/sessions/${sessionId}/messages`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry)
+    }).catch(error => {
+      console.warn('DSA Coach: Could not save message to session:', error.message);
+    });
+  }
+
+  getProblemSlug() {
+    const match = window.location.pathname.match(/\/problems\/([^/]+)/);
+    return match ? match[1] : null;
+  }
 
-      // Fallback to document.title if DOM extraction fails
-      const fallbackTitle = (document.title || '').split('-')[0].trim();
+  extractProblemData() {
+    try {
+      // problemParser.js and constraintParser.js are loaded before this script
+      const parsed = ProblemParser.parseProblemPage(document, window.location);
 
       this.problemData = {
-        title: titleElement ? this.sanitizeText(titleElement.textContent.trim()) : 'Unknown Problem',
-        description: descriptionElement ? this.sanitizeText(descriptionElement.textContent.trim().substring(0, 500)) : '',
-        examples: examples.slice(0, 3),
-        constraints: constraints.slice(0, 5),
+        slug: parsed.slug,
+        number: parsed.number,
+        title: parsed.title || 'Unknown Problem',
+        difficulty: parsed.difficulty,
+        tags: parsed.tags,
+        description: parsed.description,
+        // Examples go as the text the page shows; constraints as { text, ranges, equals }
+        examples: parsed.examples.map(ProblemParser.formatExample),
+        constraints: parsed.constraints,
         url: window.location.href,
         timestamp: Date.now()
       };
 
-      if ((!this.problemData.title || this.problemData.title === 'Unknown Problem') && fallbackTitle) {
-        this.problemData.title = this.sanitizeText(fallbackTitle);
+      // Right after navigating, the previous problem is still on the page for a moment
+      const stale = this.staleProblem;
+      if (stale && stale.slug !== this.problemData.slug && stale.title === this.problemData.title) {
+        this.problemData = { ...this.problemData, number: null, title: '', difficulty: null, tags: [], description: '', examples: [], constraints: [] };
       }
 
       console.log('DSA Coach: Problem data extracted', this.problemData);
       this.updateProblemInfo();
+      this.loadComplexityTarget();
     } catch (error) {
       console.error('DSA Coach: Error extracting problem data:', error);
       this.problemData = {
@@ -201,12 +350,47 @@ class LeetCodeExtractor {
   updateProblemInfo() {
     try {
       const info = document.querySelector('.dsa-coach-problem-info');
-      if (info && this.problemData && this.problemData.title) {
-        info.innerHTML = `<strong>Problem:</strong> ${this.sanitizeText(this.problemData.title)}`;
+      if (info && this.problemData) {
+        info.innerHTML = `<strong>Problem:</strong> ${this.sanitizeText(this.problemData.title || 'Loading...')}`;
+
+        const target = this.complexityTarget?.key === this.complexityTargetKey() ? this.complexityTarget : null;
+        if (target?.summary) {
+          const check = this.constraintCheck;
+          const verdict = !check ? '' : check.verdict === 'ok' ? ` · yours: ${check.claimed} ✅` : ` · yours: ${check.claimed} ${check.verdict === 'borderline' ? '⚠️ borderline' : '🐢 too slow'}`;
+          info.appendChild(this.createElement('div', 'dsa-coach-target', `🎯 ${target.summary}${verdict}`));
+        }
       }
+      this.fillTraceExamples();
     } catch (_) {}
   }
 
+  complexityTargetKey() {
+    return `${this.problemData?.slug}:${(this.problemData?.constraints || []).map(ConstraintParser.constraintText).join('\n')}`;
+  }
+
+  // The complexity class the constraints call for, shown under the problem title
+  async loadComplexityTarget() {
+    const key = this.complexityTargetKey();
+    if (!this.backendUrl || !this.problemData?.constraints?.length || key === this.loadingTargetKey || key === this.complexityTarget?.key) return;
+    this.loadingTargetKey = key;
+
+    try {
+      const response = await fetch(`${this.backendUrl}/api/complexity/target`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ problem: this.problemData })
+      });
+      // Constraints that bound no input size have no target
+      const target = response.ok ? await response.json() : {};
+      this.complexityTarget = { key, summary: target.summary || null };
+    } catch (error) {
+      console.warn('DSA Coach: Could not load the target complexity:', error.message);
+    } finally {
+      this.loadingTargetKey = null;
+    }
+    this.updateProblemInfo();
+  }
+
   setupCodeMonitoring() {
     this.codeSelectors = [
       '.monaco-editor textarea',
@@ -226,6 +410,13 @@ class LeetCodeExtractor {
       if (newCode !== this.userCode) {
         this.userCode = newCode;
       }
+      // The result panel renders in pieces; read it at most once per interval
+      if (!this.resultCheckTimer) {
+        this.resultCheckTimer = setTimeout(() => {
+          this.resultCheckTimer = null;
+          this.checkSubmissionResult();
+        }, 800);
+      }
     });
 
     this.codeObserver.observe(document.body, {
@@ -239,6 +430,215 @@ class LeetCodeExtractor {
     this.userCode = this.getUserCode();
   }
 
+  // LeetCode's verdict for the latest Run (console) or Submit, with the
+  // failing testcase and stats read from the text of its result panel
+  readSubmissionResult() {
+    const sources = [
+      ['submit', '[data-e2e-locator="submission-result"]'],
+      ['run', '[data-e2e-locator="console-result"]']
+    ];
+
+    for (const [source, selector] of sources) {
+      const element = document.querySelector(selector);
+      const verdict = element?.textContent.trim();
+      if (!verdict) continue;
+
+      // Widen to the panel that also holds the testcase
+      let panel = element;
+      for (let i = 0; i < 6 && panel.parentElement && !/\n(Last Executed )?Input\n/.test(panel.innerText || ''); i++) {
+        panel = panel.parentElement;
+      }
+      const text = panel.innerText || '';
+      const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+      const labels = {
+        'Input': 'input',
+        'Last Executed Input': 'input',
+        'Output': 'actual',
+        'Your Output': 'actual',
+        'Expected': 'expected',
+        'Expected Output': 'expected',
+        'Stdout': 'stdout'
+      };
+      const sections = {};
+      const preamble = [];
+      let current = null;
+      for (const line of lines.slice(lines.indexOf(verdict) + 1)) {
+        if (labels[line]) {
+          current = labels[line];
+          sections[current] = sections[current] || [];
+        } else if (current) {
+          sections[current].push(line);
+        } else {
+          preamble.push(line);
+        }
+      }
+      // "nums =" and its value sit on separate lines
+      const value = (key) => sections[key]?.join('\n').replace(/=\n/g, '= ') || null;
+
+      const counts = text.match(/(\d+)\s*\/\s*(\d+)\s*testcases passed/i);
+      const stat = (pattern) => text.match(pattern)?.[1] || null;
+      // Between the verdict and the testcase: the error message of a runtime or compile error
+      const error = preamble
+        .filter(line => line !== verdict && !/testcases passed|^(Runtime|Memory)\b|^(Case|Testcase)\s*\d+|^Test ?Result|^Submitted|^View more/i.test(line))
+        .join('\n');
+
+      return {
+        verdict,
+        source,
+        input: value('input'),
+        expected: value('expected'),
+        actual: value('actual'),
+        stdout: value('stdout'),
+        error: error || null,
+        runtime: stat(/Runtime:?\s*([\d.]+\s*ms)/i),
+        memory: stat(/Memory:?\s*([\d.]+\s*MB)/i),
+        testcasesPassed: counts ? Number(counts[1]) : null,
+        testcasesTotal: counts ? Number(counts[2]) : null
+      };
+    }
+    return null;
+  }
+
+  // The skill profile learns Submit verdicts from the extension, so watch for
+  // the Submit button (or Ctrl/Cmd+Enter) and report the verdict that follows
+  watchSubmissions() {
+    const startSubmission = () => {
+      this.pendingSubmission = { slug: this.currentSlug, staleKey: JSON.stringify(this.readSubmissionResult()) };
+    };
+    document.addEventListener('click', (event) => {
+      if (event.target.closest?.('[data-e2e-locator="console-submit-button"]')) startSubmission();
+    }, true);
+    document.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey) && !event.target.closest?.('#dsa-coach-panel')) startSubmission();
+    }, true);
+  }
+
+  reportSubmission(result) {
+    const pending = this.pendingSubmission;
+    if (!pending || result?.source !== 'submit' || pending.slug !== this.currentSlug) return;
+    // Skip the previous submission's panel and verdicts that are still "Pending" or "Judging"
+    if (JSON.stringify(result) === pending.staleKey) return;
+    if (!/^accepted$|wrong answer|limit exceeded|runtime error|compil(e|ation) error/i.test(result.verdict)) return;
+
+    this.pendingSubmission = null;
+    if (/^accepted$/i.test(result.verdict)) this.scheduleReview(pending.slug);
+    if (!this.backendUrl || !this.userId) return;
+    fetch(`${this.backendUrl}/api/profile/${this.userId}/submissions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ problem: { ...this.problemData, slug: pending.slug }, verdict: result.verdict })
+    }).catch(error => console.warn('DSA Coach: Could not record the submission:', error.message));
+  }
+
+  // A problem solved with the coach's help comes back later for review (reviewScheduler.js)
+  scheduleReview(slug) {
+    const coached = this.conversationHistory.length > 0 || this.hintsUsed > 0;
+    if (!coached || typeof ReviewScheduler === 'undefined' || !chrome.storage?.local) return;
+
+    const lastMessage = (sender) => [...this.conversationHistory].reverse().find(entry => entry.sender === sender)?.message;
+    const detected = this.getUserCode();
+    const notes = {
+      approach: document.getElementById('dsa-approach-input')?.value.trim() || lastMessage('user'),
+      coachReply: lastMessage('ai'),
+      code: detected.includes('No code detected') ? '' : detected
+    };
+    ReviewScheduler.update(reviews => ReviewScheduler.recordSolve(reviews, { ...this.problemData, slug }, { hintsUsed: this.hintsUsed, notes }))
+      .then(reviews => {
+        const days = reviews[slug].interval;
+        this.showToast(`Solved! DSA Coach will bring this problem back for review in ${days} day${days === 1 ? '' : 's'}.`, 'success');
+      })
+      .catch(error => console.warn('DSA Coach: Could not schedule a review:', error.message));
+  }
+
+  checkSubmissionResult() {
+    const result = this.readSubmissionResult();
+    this.reportSubmission(result);
+    if (!result || !/wrong answer|limit exceeded|runtime error|compil(e|ation) error/i.test(result.verdict)) return;
+
+    const key = JSON.stringify(result);
+    if (key === this.lastFailureKey) return;
+    this.lastFailureKey = key;
+
+    // Details filling in for the same failure update its card instead of adding another
+    const updating = this.submissionFailure && !this.submissionFailure.diagnosed && this.failureCard?.isConnected;
+    this.submissionFailure = result;
+    if (updating) {
+      this.renderFailureCard(this.failureCard, result);
+    } else if (document.getElementById('dsa-chat-container')) {
+      this.showFailureCard(result);
+    } else {
+      this.showToast(`LeetCode says ${result.verdict}. Open DSA Coach to find out why.`, 'warning');
+    }
+  }
+
+  showFailureCard(failure) {
+    const container = document.getElementById('dsa-chat-container');
+    if (!container) return;
+
+    this.showResponseArea();
+    this.failureCard = this.createElement('div', 'dsa-chat-message ai');
+    this.renderFailureCard(this.failureCard, failure);
+    container.appendChild(this.failureCard);
+    container.scrollTop = container.scrollHeight;
+  }
+
+  renderFailureCard(messageDiv, failure) {
+    messageDiv.innerHTML = '';
+    const passed = failure.testcasesTotal ? ` (${failure.testcasesPassed}/${failure.testcasesTotal} testcases passed)` : '';
+    const cards = this.createElement('div', 'dsa-coach-cards');
+    cards.appendChild(this.createElement('div', 'message-text', `❌ LeetCode ${failure.source === 'run' ? 'Run' : 'Submit'}: ${failure.verdict}${passed}`));
+
+    const card = this.createElement('details', 'dsa-coach-card');
+    card.open = true;
+    card.appendChild(this.createElement('summary', '', 'Failing testcase'));
+    const body = this.createElement('div', 'dsa-coach-card-body');
+    [
+      failure.input && `Input: ${failure.input}`,
+      failure.expected && `Expected: ${failure.expected}`,
+      failure.actual && `Your output: ${failure.actual}`,
+      failure.error && `Error: ${failure.error}`,
+      failure.runtime && `Runtime: ${failure.runtime}${failure.memory ? `, memory: ${failure.memory}` : ''}`
+    ].filter(Boolean).forEach(text => body.appendChild(this.createElement('p', '', text)));
+
+    const diagnoseBtn = this.createElement('button', 'dsa-coach-btn-primary', '🩺 Why did this fail?');
+    diagnoseBtn.disabled = Boolean(failure.diagnosed);
+    diagnoseBtn.onclick = () => {
+      diagnoseBtn.disabled = true;
+      this.diagnoseFailure(failure);
+    };
+    body.appendChild(diagnoseBtn);
+    card.appendChild(body);
+    cards.appendChild(card);
+    messageDiv.appendChild(cards);
+  }
+
+  // Send the verdict, the failing testcase and the submitted code for a failure_diagnosis analysis
+  async diagnoseFailure(failure) {
+    failure.diagnosed = true;
+    const detected = this.getUserCode();
+    const code = detected && !detected.includes('No code detected') ? detected : document.getElementById('dsa-code-input')?.value.trim();
+
+    const outcome = failure.expected ? `: expected ${failure.expected}, got ${failure.actual || 'nothing'}` : failure.error ? `: ${failure.error}` : '';
+    const message = `Why did this fail? ${failure.verdict}${failure.input ? ` on ${failure.input.replace(/\n/g, ', ')}` : ''}${outcome}`;
+    this.addChatMessage(message, 'user', null, { type: 'failure_diagnosis', code });
+
+    try {
+      this.extractProblemData();
+      await this.streamChatResponse({
+        type: 'failure_diagnosis',
+        problem: this.problemData,
+        code,
+        failure: { ...failure, diagnosed: undefined },
+        history: this.conversationHistory,
+        sessionId: this.sessionId
+      });
+    } catch (error) {
+      console.error('DSA Coach: Error diagnosing failure:', error);
+      this.addChatMessage('Sorry, I could not diagnose this failure. Please try again.', 'ai');
+    }
+  }
+
   getUserCode() {
     try {
       // Strategy 1: Monaco Editor API
@@ -395,8 +795,17 @@ class LeetCodeExtractor {
     discussionBtn.dataset.mode = 'discussion';
     const codeBtn = this.createElement('button', 'dsa-coach-mode-btn', 'Code Analysis');
     codeBtn.dataset.mode = 'code';
+    const testsBtn = this.createElement('button', 'dsa-coach-mode-btn', 'Test Cases');
+    testsBtn.dataset.mode = 'testcases';
+    const traceBtn = this.createElement('button', 'dsa-coach-mode-btn', 'Trace');
+    traceBtn.dataset.mode = 'trace';
+    const interviewBtn = this.createElement('button', 'dsa-coach-mode-btn', 'Interview');
+    interviewBtn.dataset.mode = 'interview';
     modeToggle.appendChild(discussionBtn);
     modeToggle.appendChild(codeBtn);
+    modeToggle.appendChild(testsBtn);
+    modeToggle.appendChild(traceBtn);
+    modeToggle.appendChild(interviewBtn);
     
     // Content container
     const content = this.createElement('div', 'dsa-coach-content');
@@ -412,6 +821,7 @@ class LeetCodeExtractor {
       'Analyze Approach',
       'analyzeApproach'
     );
+    discussionSection.querySelector('.dsa-coach-code-actions').prepend(this.createHintButton());
     discussionMode.appendChild(discussionSection);
     
     // Code mode
@@ -420,8 +830,26 @@ class LeetCodeExtractor {
     const codeSection = this.createCodeSection();
     codeMode.appendChild(codeSection);
     
+    // Test cases mode
+    const testsMode = this.createElement('div', 'dsa-coach-mode-content');
+    testsMode.id = 'testcases-mode';
+    testsMode.appendChild(this.createTestCasesSection());
+
+    // Trace mode
+    const traceMode = this.createElement('div', 'dsa-coach-mode-content');
+    traceMode.id = 'trace-mode';
+    traceMode.appendChild(this.createTraceSection());
+
+    // Mock interview mode
+    const interviewMode = this.createElement('div', 'dsa-coach-mode-content');
+    interviewMode.id = 'interview-mode';
+    interviewMode.appendChild(this.createInterviewSection());
+
     content.appendChild(discussionMode);
     content.appendChild(codeMode);
+    content.appendChild(testsMode);
+    content.appendChild(traceMode);
+    content.appendChild(interviewMode);
     
     // Response area
     const responseArea = this.createResponseArea();
@@ -442,6 +870,10 @@ class LeetCodeExtractor {
     this.setupModeToggle();
     this.setupChatInput();
     this.autoDetectCode();
+    this.restoreTranscript();
+    this.updateProblemInfo();
+    this.renderInterview();
+    if (this.submissionFailure && !this.submissionFailure.diagnosed) this.showFailureCard(this.submissionFailure);
     
     // Store reference for event handlers
     window.dsaCoachInstance = this;
@@ -497,6 +929,15 @@ class LeetCodeExtractor {
     
     const autoBtn = this.createElement('button', 'dsa-coach-btn-secondary', 'Auto-detect');
     autoBtn.onclick = () => this.autoDetectCode();
+
+    const runBtn = this.createElement('button', 'dsa-coach-btn-secondary', 'Run Examples');
+    runBtn.onclick = () => this.runExamples();
+
+    const scalingBtn = this.createElement('button', 'dsa-coach-btn-secondary', 'Measure Scaling');
+    scalingBtn.onclick = () => this.measureScaling();
+
+    const stressBtn = this.createElement('button', 'dsa-coach-btn-secondary', 'Stress Test');
+    stressBtn.onclick = () => this.stressTest();
     
     const analyzeBtn = this.createElement('button', 'dsa-coach-btn-primary');
     const analyzeSpan = this.createElement('span', '', 'Analyze Code');
@@ -506,6 +947,9 @@ class LeetCodeExtractor {
     analyzeBtn.onclick = () => this.analyzeCode();
     
     actions.appendChild(autoBtn);
+    actions.appendChild(runBtn);
+    actions.appendChild(scalingBtn);
+    actions.appendChild(stressBtn);
     actions.appendChild(analyzeBtn);
     
     section.appendChild(label);
@@ -515,6 +959,220 @@ class LeetCodeExtractor {
     return section;
   }
 
+  createHintButton() {
+    const button = this.createElement('button', 'dsa-coach-btn-secondary dsa-coach-hint-btn');
+    button.id = 'dsa-hint-btn';
+    button.onclick = () => this.requestHint();
+    this.updateHintButton(button);
+    return button;
+  }
+
+  updateHintButton(button = document.getElementById('dsa-hint-btn')) {
+    if (!button) return;
+    const exhausted = this.hintsUsed >= this.maxHintLevel;
+    button.textContent = exhausted ? '💡 No more hints' : `💡 Hint ${this.hintsUsed + 1}/${this.maxHintLevel}`;
+    button.disabled = exhausted;
+  }
+
+  createTestCasesSection() {
+    const section = this.createElement('div', 'dsa-coach-input-section');
+
+    const label = this.createElement('label', '', 'Boundary inputs from the problem constraints:');
+    const list = this.createElement('div', 'dsa-coach-cards');
+    list.id = 'dsa-testcases-list';
+
+    const actions = this.createElement('div', 'dsa-coach-code-actions');
+    const generateBtn = this.createElement('button', 'dsa-coach-btn-primary');
+    generateBtn.id = 'dsa-testcases-btn';
+    generateBtn.appendChild(this.createElement('span', '', 'Generate Test Cases'));
+    generateBtn.appendChild(this.createElement('div', 'dsa-coach-spinner hidden'));
+    generateBtn.onclick = () => this.generateTestCases();
+    actions.appendChild(generateBtn);
+
+    section.appendChild(label);
+    section.appendChild(actions);
+    section.appendChild(list);
+
+    return section;
+  }
+
+  async generateTestCases() {
+    const list = document.getElementById('dsa-testcases-list');
+    const button = document.getElementById('dsa-testcases-btn');
+    if (!list || !button) return;
+
+    if (!this.backendUrl) {
+      this.showToast('Test case generation needs the backend server', 'warning');
+      return;
+    }
+
+    button.disabled = true;
+    button.querySelector('.dsa-coach-spinner').classList.remove('hidden');
+
+    try {
+      this.extractProblemData();
+      const response = await fetch(`${this.backendUrl}/api/testcases`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Client-Id': this.clientId
+        },
+        body: JSON.stringify({ problem: this.problemData })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || `Backend error: ${response.status}`);
+      }
+
+      this.renderTestCases(list, data);
+    } catch (error) {
+      console.error('DSA Coach: Error generating test cases:', error);
+      this.showToast(`Could not generate test cases: ${error.message}`, 'error');
+    } finally {
+      button.disabled = false;
+      button.querySelector('.dsa-coach-spinner').classList.add('hidden');
+    }
+  }
+
+  renderTestCases(list, { cases, warnings, source }) {
+    list.innerHTML = '';
+
+    if (source === 'model' || warnings?.length) {
+      const note = source === 'model' ? 'Written by the AI because the examples could not be parsed.' : warnings.join('. ');
+      list.appendChild(this.createElement('p', 'dsa-coach-testcase-note', note));
+    }
+
+    cases.forEach(testCase => {
+      const card = this.createElement('details', 'dsa-coach-card');
+      card.appendChild(this.createElement('summary', '', testCase.name));
+
+      const body = this.createElement('div', 'dsa-coach-card-body');
+      if (testCase.description) body.appendChild(this.createElement('p', '', testCase.description));
+
+      // Maximum-size inputs can be huge; preview the start, copy the whole thing
+      const preview = testCase.input.length > 300
+        ? `${testCase.input.slice(0, 300)}… (${testCase.input.length} characters)`
+        : testCase.input;
+      body.appendChild(this.createElement('pre', 'dsa-coach-testcase-input', preview));
+
+      const useBtn = this.createElement('button', 'dsa-coach-btn-secondary', 'Use as custom testcase');
+      useBtn.onclick = () => this.useTestCase(testCase.input);
+      body.appendChild(useBtn);
+
+      card.appendChild(body);
+      list.appendChild(card);
+    });
+  }
+
+  // Copy an input to the clipboard and, when LeetCode's testcase editor is on
+  // the page, replace its contents as well
+  async useTestCase(input) {
+    const copied = await navigator.clipboard.writeText(input).then(() => true, () => false);
+    const box = this.findTestcaseInput();
+
+    if (box && box.tagName === 'TEXTAREA') {
+      // React tracks the value through the native setter, so plain assignment is ignored
+      Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value').set.call(box, input);
+      box.dispatchEvent(new Event('input', { bubbles: true }));
+      this.showToast('Test case added to the Testcase tab', 'success');
+    } else if (box) {
+      box.focus();
+      document.execCommand('selectAll');
+      document.execCommand('insertText', false, input);
+      this.showToast('Test case added to the Testcase tab', 'success');
+    } else if (copied) {
+      this.showToast('Copied! Paste it into the Testcase tab', 'info');
+    } else {
+      this.showToast('Could not copy the test case', 'error');
+    }
+  }
+
+  findTestcaseInput() {
+    const selectors = [
+      'textarea[data-cy="testcase-textarea"]',
+      '[data-e2e-locator="console-testcase-input"] textarea',
+      '[data-e2e-locator="console-testcase-input"] [contenteditable="true"]',
+      '[class*="testcase"] textarea',
+      '[id*="testcase"] textarea'
+    ];
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  }
+
+  createTraceSection() {
+    const section = this.createElement('div', 'dsa-coach-input-section');
+
+    const label = this.createElement('label', '', 'Step through your code on an example:');
+    const actions = this.createElement('div', 'dsa-coach-code-actions');
+    const select = this.createElement('select', 'dsa-coach-trace-select');
+    select.id = 'dsa-trace-example';
+    const traceBtn = this.createElement('button', 'dsa-coach-btn-primary');
+    traceBtn.id = 'dsa-trace-btn';
+    traceBtn.appendChild(this.createElement('span', '', 'Trace Example'));
+    traceBtn.appendChild(this.createElement('div', 'dsa-coach-spinner hidden'));
+    traceBtn.onclick = () => this.traceExample();
+    actions.appendChild(select);
+    actions.appendChild(traceBtn);
+
+    const view = this.createElement('div', 'dsa-coach-trace-view');
+    view.id = 'dsa-trace-view';
+
+    section.appendChild(label);
+    section.appendChild(actions);
+    section.appendChild(view);
+    this.fillTraceExamples(select);
+
+    return section;
+  }
+
+  fillTraceExamples(select = document.getElementById('dsa-trace-example')) {
+    if (!select) return;
+    const count = Math.max(this.problemData?.examples?.length || 0, 1);
+    if (select.options.length === count) return;
+
+    const selected = select.value;
+    select.innerHTML = '';
+    for (let example = 1; example <= count; example++) {
+      const option = this.createElement('option', '', `Example ${example}`);
+      option.value = String(example);
+      select.appendChild(option);
+    }
+    if (selected && Number(selected) <= count) select.value = selected;
+  }
+
+  createInterviewSection() {
+    const section = this.createElement('div', 'dsa-coach-input-section');
+
+    const label = this.createElement('label', '', 'Mock interview, with the coach as your interviewer:');
+    const status = this.createElement('div', 'dsa-coach-interview-status');
+    status.id = 'dsa-interview-status';
+    const view = this.createElement('div', 'dsa-coach-interview-view');
+    view.id = 'dsa-interview-view';
+    const textarea = this.createElement('textarea');
+    textarea.id = 'dsa-interview-input';
+    textarea.placeholder = 'Talk to the interviewer: ask questions, explain your idea, walk through your code...';
+    textarea.rows = 3;
+    textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.sendInterviewMessage();
+      }
+    });
+    const actions = this.createElement('div', 'dsa-coach-code-actions');
+    actions.id = 'dsa-interview-actions';
+
+    section.appendChild(label);
+    section.appendChild(status);
+    section.appendChild(view);
+    section.appendChild(textarea);
+    section.appendChild(actions);
+
+    return section;
+  }
+
   createResponseArea() {
     const responseArea = this.createElement('div', 'dsa-coach-response-area');
     responseArea.id = 'dsa-response-area';
@@ -559,7 +1217,7 @@ class LeetCodeExtractor {
     const clearBtn = this.createElement('button', 'dsa-coach-clear-btn', 'Clear Chat');
     clearBtn.onclick = () => this.clearConversation();
     
-    const powered = this.createElement('span', 'dsa-coach-powered', 'Powered by Gemini AI');
+    const powered = this.createElement('span', 'dsa-coach-powered', `Powered by ${this.backendProvider || 'Gemini'} AI`);
     
     footer.appendChild(clearBtn);
     footer.appendChild(powered);
@@ -618,15 +1276,16 @@ class LeetCodeExtractor {
     this.setLoading('analyzeApproach', true);
     
     try {
-      const response = await this.callAI({
+      this.addChatMessage(approach, 'user', null, { type: 'approach_analysis' });
+      this.showResponseArea();
+
+      const response = await this.streamChatResponse({
         type: 'approach_analysis',
         problem: this.problemData,
         approach: approach,
-        history: this.conversationHistory
+        history: this.conversationHistory,
+        sessionId: this.sessionId
       });
-
-      this.addChatMessage(approach, 'user');
-      this.addChatMessage(response.response, 'ai', response.complexity);
       
       if (response.complexity) {
         this.showComplexityInfo(response.complexity);
@@ -657,15 +1316,20 @@ class LeetCodeExtractor {
     this.setLoading('analyzeCode', true);
     
     try {
-      const response = await this.callAI({
+      this.addChatMessage('Code analysis requested', 'user', null, { type: 'code_analysis', code });
+      this.showResponseArea();
+
+      // Real example results let the review judge correctness instead of guessing
+      const execution = await this.runExamples(code, { quiet: true });
+
+      const response = await this.streamChatResponse({
         type: 'code_analysis',
         problem: this.problemData,
         code: code,
-        history: this.conversationHistory
+        execution,
+        history: this.conversationHistory,
+        sessionId: this.sessionId
       });
-
-      this.addChatMessage('Code analysis requested', 'user');
-      this.addChatMessage(response.response, 'ai', response.complexity);
       
       if (response.complexity) {
         this.showComplexityInfo(response.complexity);
@@ -681,49 +1345,897 @@ class LeetCodeExtractor {
     }
   }
 
-  autoDetectCode() {
-    const currentCode = this.getUserCode();
-    const codeInput = document.getElementById('dsa-code-input');
-    
-    if (codeInput && currentCode && !currentCode.includes('No code detected')) {
-      codeInput.value = currentCode;
-      this.showToast('Code auto-detected!', 'success');
-    } else {
-      this.showToast('No code detected. Please paste manually.', 'warning');
+  // Run the code against the problem's examples in the backend sandbox
+  async runExamples(code = document.getElementById('dsa-code-input')?.value.trim(), { quiet = false } = {}) {
+    const warn = (message) => {
+      if (!quiet) this.showToast(message, 'warning');
+      return null;
+    };
+
+    if (!code) return warn('Please provide code to run');
+    if (!this.backendUrl) return warn('Running code needs the backend server');
+    if (!this.problemData?.examples?.length) return warn('No examples found on this page');
+
+    try {
+      const response = await fetch(`${this.backendUrl}/api/run`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code, problem: this.problemData })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || `Backend error: ${response.status}`);
+      }
+
+      this.showResponseArea();
+      this.addRunResults(data);
+      return { language: data.language, passed: data.passed, total: data.total, results: data.results };
+    } catch (error) {
+      console.warn('DSA Coach: Could not run examples:', error.message);
+      return warn(`Could not run examples: ${error.message}`);
     }
   }
 
-  async sendChatMessage() {
-    const input = document.getElementById('dsa-chat-input');
-    if (!input) return;
-    
-    const message = input.value.trim();
-    
-    if (!message) return;
+  // One chat bubble with a collapsible card per example
+  addRunResults(run) {
+    const container = document.getElementById('dsa-chat-container');
+    if (!container) return;
 
-    this.addChatMessage(message, 'user');
-    input.value = '';
-    input.style.height = 'auto';
+    const summary = `🧪 Examples: ${run.passed}/${run.total} passed (${run.language})`;
+    const messageDiv = this.createElement('div', 'dsa-chat-message ai');
+    const cards = this.createElement('div', 'dsa-coach-cards');
+    cards.appendChild(this.createElement('div', 'message-text', summary));
+
+    run.results.forEach(result => {
+      const card = this.createElement('details', 'dsa-coach-card');
+      card.open = !result.passed;
+      const title = `${result.passed ? '✅' : '❌'} Example ${result.example}${result.error ? ` - ${result.error}` : ''}`;
+      card.appendChild(this.createElement('summary', '', title));
+
+      const body = this.createElement('div', 'dsa-coach-card-body');
+      const lines = [
+        `Input: ${result.input}`,
+        `Expected: ${JSON.stringify(result.expected)}`,
+        result.error ? `Error: ${result.error}` : `Actual: ${JSON.stringify(result.actual)}`,
+        result.stdout ? `Stdout:\n${result.stdout.trimEnd()}` : null,
+        result.timeMs !== null ? `Time: ${result.timeMs} ms` : null
+      ];
+      lines.filter(Boolean).forEach(text => body.appendChild(this.createElement('p', '', text)));
+      card.appendChild(body);
+      cards.appendChild(card);
+    });
+
+    if (run.stderr && run.passed < run.total) {
+      const card = this.createElement('details', 'dsa-coach-card');
+      card.appendChild(this.createElement('summary', '', '⚠️ Stderr'));
+      card.appendChild(this.createElement('pre', 'dsa-coach-testcase-input', run.stderr));
+      cards.appendChild(card);
+    }
+
+    messageDiv.appendChild(cards);
+    container.appendChild(messageDiv);
+    container.scrollTop = container.scrollHeight;
+
+    const details = run.results.map(r => `Example ${r.example}: ${r.passed ? 'pass' : r.error || `expected ${JSON.stringify(r.expected)}, got ${JSON.stringify(r.actual)}`}`);
+    this.recordMessage([summary, ...details].join('\n'), 'ai', null, { type: 'execution' });
+  }
 
+  // Time the code on inputs of growing size in the backend sandbox
+  async measureScaling(code = document.getElementById('dsa-code-input')?.value.trim()) {
+    if (!code) return this.showToast('Please provide code to measure', 'warning');
+    if (!this.backendUrl) return this.showToast('Measuring scaling needs the backend server', 'warning');
+    if (!this.problemData?.examples?.length) return this.showToast('No examples found on this page', 'warning');
+
+    this.showToast('Measuring scaling, this takes a few seconds...', 'info');
     try {
-      const response = await this.callAI({
-        type: 'chat_followup',
-        problem: this.problemData,
-        message: message,
-        history: this.conversationHistory
+      const response = await fetch(`${this.backendUrl}/api/scaling`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code, problem: this.problemData })
       });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || `Backend error: ${response.status}`);
+      }
 
-      this.addChatMessage(response.response, 'ai', response.complexity);
-      
+      this.showResponseArea();
+      this.addScalingResults(data);
     } catch (error) {
-      console.error('DSA Coach: Error sending chat message:', error);
-      this.addChatMessage('Sorry, I encountered an error. Please try again.', 'ai');
+      console.warn('DSA Coach: Could not measure scaling:', error.message);
+      this.showToast(`Could not measure scaling: ${error.message}`, 'warning');
     }
   }
 
-  async callAI(payload) {
-    if (this.backendUrl) {
-      try {
+  // Compare the code with a brute-force reference on random small inputs; the
+  // coach turns the smallest failing input into a question
+  async stressTest(code = document.getElementById('dsa-code-input')?.value.trim()) {
+    if (!code) return this.showToast('Please provide code to stress test', 'warning');
+    if (!this.backendUrl) return this.showToast('Stress testing needs the backend server', 'warning');
+    if (!this.problemData?.examples?.length) return this.showToast('No examples found on this page', 'warning');
+
+    this.showToast('Stress testing against a brute-force solution...', 'info');
+    try {
+      const response = await fetch(`${this.backendUrl}/api/stress`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Client-Id': this.clientId },
+        body: JSON.stringify({ code, problem: this.problemData, sessionId: this.sessionId })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || `Backend error: ${response.status}`);
+      }
+
+      this.showResponseArea();
+      this.addStressResults(data);
+    } catch (error) {
+      console.warn('DSA Coach: Could not stress test:', error.message);
+      this.showToast(`Could not stress test: ${error.message}`, 'warning');
+    }
+  }
+
+  addStressResults(result) {
+    const container = document.getElementById('dsa-chat-container');
+    if (!container) return;
+
+    if (!result.found) {
+      this.addChatMessage(`🔨 Stress test: your code matched a brute-force solution on ${result.tested - result.invalid} random small inputs.`, 'ai', null, { type: 'stress' });
+      return;
+    }
+
+    const summary = `🔨 Stress test: found an input where your code is wrong (after ${result.tested} random tests)`;
+    const messageDiv = this.createElement('div', 'dsa-chat-message ai');
+    const cards = this.createElement('div', 'dsa-coach-cards');
+    cards.appendChild(this.createElement('div', 'message-text', summary));
+
+    const card = this.createElement('details', 'dsa-coach-card');
+    card.open = true;
+    card.appendChild(this.createElement('summary', '', '❌ Smallest failing input'));
+    const body = this.createElement('div', 'dsa-coach-card-body');
+    [
+      `Input: ${result.input}`,
+      `Expected: ${JSON.stringify(result.expected)}`,
+      result.error ? `Your code: ${result.error}` : `Your code: ${JSON.stringify(result.actual)}`
+    ].forEach(text => body.appendChild(this.createElement('p', '', text)));
+    const useBtn = this.createElement('button', 'dsa-coach-btn-secondary', 'Use as custom testcase');
+    useBtn.onclick = () => this.useTestCase(result.testcase);
+    body.appendChild(useBtn);
+    card.appendChild(body);
+    cards.appendChild(card);
+
+    messageDiv.appendChild(cards);
+    container.appendChild(messageDiv);
+    container.scrollTop = container.scrollHeight;
+
+    const outcome = result.error || JSON.stringify(result.actual);
+    this.recordMessage(`${summary}\nInput: ${result.input}\nExpected: ${JSON.stringify(result.expected)}, got: ${outcome}`, 'ai', null, { type: 'stress' });
+
+    // The guided question from the coach, or a plain one when the model was unavailable
+    const question = result.question || `Trace your code by hand on ${result.input}. Why does it return ${outcome} here instead of ${JSON.stringify(result.expected)}?`;
+    this.addChatMessage(question, 'ai', null, { type: 'stress_question' });
+  }
+
+  // The most recent complexity a review claimed, shown beside the measurement
+  lastClaimedComplexity() {
+    const entry = [...this.conversationHistory].reverse()
+      .find(item => item.sender === 'ai' && item.complexity?.time && item.complexity.time !== 'O(?)');
+    return entry ? entry.complexity : null;
+  }
+
+  addScalingResults(result) {
+    const container = document.getElementById('dsa-chat-container');
+    if (!container) return;
+
+    const fit = result.fit.time;
+    const claimed = this.lastClaimedComplexity();
+    const summary = fit
+      ? `📈 Measured scaling: ${fit.model} time${claimed ? ` (the review claimed ${claimed.time})` : ''}`
+      : '📈 Measured scaling: not enough sizes finished to fit a curve';
+
+    const messageDiv = this.createElement('div', 'dsa-chat-message ai');
+    const cards = this.createElement('div', 'dsa-coach-cards');
+    cards.appendChild(this.createElement('div', 'message-text', summary));
+    if (result.points.length > 0) cards.appendChild(this.createScalingChart(result));
+
+    const addCard = (title, open, items) => {
+      const card = this.createElement('details', 'dsa-coach-card');
+      card.open = open;
+      card.appendChild(this.createElement('summary', '', title));
+      const body = this.createElement('div', 'dsa-coach-card-body');
+      items.forEach(text => body.appendChild(this.createElement('p', '', text)));
+      card.appendChild(body);
+      cards.appendChild(card);
+    };
+
+    const megabytes = (kb) => `${(kb / 1024).toFixed(1)} MB`;
+    addCard(`⏱️ Measurements (${result.parameter} grows to ${result.points[result.points.length - 1]?.n ?? '-'})`, false, [
+      ...result.points.map(p => `n = ${p.n}: ${p.timeMs} ms (fastest of ${p.runs})${p.peakMemoryKb ? `, peak memory ${megabytes(p.peakMemoryKb)}` : ''}`),
+      ...result.failures.map(f => `n = ${f.n}: ${f.error}`)
+    ]);
+    if (fit) {
+      addCard('📐 Curve fit', false, [
+        ...fit.ranking.map(r => `${r.model}: ${Math.round(r.error * 100)}% average error`),
+        result.fit.memory ? `Memory grows like ${result.fit.memory.model} (peak process memory, including the input itself)` : null
+      ].filter(Boolean));
+    }
+    const notes = [result.stopped, ...result.warnings].filter(Boolean);
+    if (notes.length > 0) addCard('⚠️ Notes', false, notes);
+
+    messageDiv.appendChild(cards);
+    container.appendChild(messageDiv);
+    container.scrollTop = container.scrollHeight;
+
+    const details = result.points.map(p => `n = ${p.n}: ${p.timeMs} ms`);
+    this.recordMessage([summary, ...details].join('\n'), 'ai', null, { type: 'scaling' });
+  }
+
+  // Log-log chart of the measured times with the best-fitting curve
+  createScalingChart({ points, fit }) {
+    const curves = {
+      'O(1)': () => 1,
+      'O(log n)': n => Math.log2(n),
+      'O(n)': n => n,
+      'O(n log n)': n => n * Math.log2(n),
+      'O(n^2)': n => n * n,
+      'O(2^n)': n => 2 ** n
+    };
+    const width = 280;
+    const height = 150;
+    const pad = 30;
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const node = (tag, attributes, text) => {
+      const element = document.createElementNS(svgNs, tag);
+      Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, String(value)));
+      if (text) element.textContent = text;
+      return element;
+    };
+
+    const time = fit.time;
+    const curve = time && curves[time.model]
+      ? Array.from({ length: 40 }, (_, i) => {
+        const n = points[0].n * (points[points.length - 1].n / points[0].n) ** (i / 39);
+        return { n, timeMs: time.coefficients.a * curves[time.model](n) + time.coefficients.c };
+      }).filter(p => p.timeMs > 0 && Number.isFinite(p.timeMs))
+      : [];
+
+    const all = [...points, ...curve];
+    const xs = all.map(p => Math.log10(p.n));
+    const ys = all.map(p => Math.log10(Math.max(p.timeMs, 1e-4)));
+    const [xMin, xMax, yMin, yMax] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    const x = (n) => pad + (xMax > xMin ? (Math.log10(n) - xMin) / (xMax - xMin) : 0.5) * (width - pad - 10);
+    const y = (ms) => height - pad + (yMax > yMin ? -(Math.log10(Math.max(ms, 1e-4)) - yMin) / (yMax - yMin) : -0.5) * (height - pad - 10);
+
+    const svg = node('svg', { width, height, viewBox: `0 0 ${width} ${height}`, class: 'dsa-coach-scaling-chart' });
+    svg.appendChild(node('line', { x1: pad, y1: height - pad, x2: width - 10, y2: height - pad, stroke: '#999' }));
+    svg.appendChild(node('line', { x1: pad, y1: 10, x2: pad, y2: height - pad, stroke: '#999' }));
+    svg.appendChild(node('text', { x: pad, y: height - pad + 14, 'font-size': 10, fill: '#666' }, `n=${points[0].n}`));
+    svg.appendChild(node('text', { x: width - 10, y: height - pad + 14, 'font-size': 10, fill: '#666', 'text-anchor': 'end' }, `n=${points[points.length - 1].n}`));
+    svg.appendChild(node('text', { x: 2, y: 14, 'font-size': 10, fill: '#666' }, `${(10 ** yMax).toPrecision(2)} ms`));
+    svg.appendChild(node('text', { x: 2, y: height - pad - 2, 'font-size': 10, fill: '#666' }, `${(10 ** yMin).toPrecision(2)} ms`));
+
+    if (curve.length > 1) {
+      svg.appendChild(node('polyline', {
+        points: curve.map(p => `${x(p.n).toFixed(1)},${y(p.timeMs).toFixed(1)}`).join(' '),
+        fill: 'none', stroke: '#ff9800', 'stroke-width': 2
+      }));
+      svg.appendChild(node('text', { x: width - 10, y: 20, 'font-size': 11, fill: '#ff9800', 'text-anchor': 'end' }, `best fit ${time.model}`));
+    }
+    points.forEach(p => svg.appendChild(node('circle', { cx: x(p.n).toFixed(1), cy: y(p.timeMs).toFixed(1), r: 3, fill: '#1976d2' })));
+
+    return svg;
+  }
+
+  // Record every step of the code on the chosen example in the backend sandbox
+  async traceExample() {
+    const view = document.getElementById('dsa-trace-view');
+    const button = document.getElementById('dsa-trace-btn');
+    if (!view || !button) return;
+
+    const typed = document.getElementById('dsa-code-input')?.value.trim();
+    const detected = this.getUserCode();
+    const code = typed || (detected && !detected.includes('No code detected') ? detected : '');
+    if (!code) return this.showToast('Please provide code to trace', 'warning');
+    if (!this.backendUrl) return this.showToast('Tracing needs the backend server', 'warning');
+
+    this.extractProblemData();
+    if (!this.problemData?.examples?.length) return this.showToast('No examples found on this page', 'warning');
+
+    button.disabled = true;
+    button.querySelector('.dsa-coach-spinner').classList.remove('hidden');
+    try {
+      const example = Number(document.getElementById('dsa-trace-example')?.value) || 1;
+      const response = await fetch(`${this.backendUrl}/api/trace`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code, problem: this.problemData, example })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || `Backend error: ${response.status}`);
+      }
+
+      this.trace = { ...data, position: 0 };
+      this.renderTraceStep();
+    } catch (error) {
+      console.warn('DSA Coach: Could not trace code:', error.message);
+      this.showToast(`Could not trace code: ${error.message}`, 'warning');
+    } finally {
+      button.disabled = false;
+      button.querySelector('.dsa-coach-spinner').classList.add('hidden');
+    }
+  }
+
+  // Short text form of a traced value (see the snapshots in lib/harness/)
+  formatTraceValue(value) {
+    if (Array.isArray(value)) return `[${value.map(item => this.formatTraceValue(item)).join(', ')}]`;
+    if (!value || typeof value !== 'object') return typeof value === 'string' ? JSON.stringify(value) : String(value);
+
+    const more = (shown, size) => (size > shown ? ', …' : '');
+    switch (value.__type) {
+      case 'map':
+        return `{${value.entries.map(([k, v]) => `${this.formatTraceValue(k)}: ${this.formatTraceValue(v)}`).join(', ')}${more(value.entries.length, value.size)}}`;
+      case 'set':
+        return `set {${value.values.map(item => this.formatTraceValue(item)).join(', ')}${more(value.values.length, value.size)}}`;
+      case 'list':
+        return value.values.length ? value.values.map(item => this.formatTraceValue(item)).join(' → ') : 'empty list';
+      case 'tree':
+        return `tree ${this.formatTraceValue(value.values)}`;
+      default:
+        return `${value.name} {${Object.entries(value.fields || {}).map(([k, v]) => `${k}: ${this.formatTraceValue(v)}`).join(', ')}}`;
+    }
+  }
+
+  renderTraceStep() {
+    const view = document.getElementById('dsa-trace-view');
+    const trace = this.trace;
+    if (!view || !trace) return;
+    view.innerHTML = '';
+
+    const outcome = trace.error
+      ? `❌ ${trace.error}`
+      : trace.truncated
+        ? `⏸️ Stopped after ${trace.steps.length} steps`
+        : `${trace.passed ? '✅' : '❌'} Returned ${JSON.stringify(trace.actual)}${trace.passed ? '' : `, expected ${JSON.stringify(trace.expected)}`}`;
+    view.appendChild(this.createElement('p', 'dsa-coach-testcase-note', `Example ${trace.example}: ${trace.input}\n${outcome}`));
+    if (trace.steps.length === 0) {
+      view.appendChild(this.createElement('p', 'dsa-coach-testcase-note', 'No steps were recorded in your code.'));
+      return;
+    }
+
+    const position = trace.position;
+    const step = trace.steps[position];
+    const previous = trace.steps[position - 1];
+
+    // Back/forward buttons and a slider to scrub through the steps
+    const controls = this.createElement('div', 'dsa-coach-trace-controls');
+    const go = (to) => {
+      trace.position = Math.min(Math.max(to, 0), trace.steps.length - 1);
+      this.renderTraceStep();
+    };
+    const back = this.createElement('button', 'dsa-coach-btn-secondary', '◀ Back');
+    back.disabled = position === 0;
+    back.onclick = () => go(position - 1);
+    const forward = this.createElement('button', 'dsa-coach-btn-secondary', 'Next ▶');
+    forward.disabled = position === trace.steps.length - 1;
+    forward.onclick = () => go(position + 1);
+    const slider = this.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = String(trace.steps.length - 1);
+    slider.value = String(position);
+    slider.oninput = () => go(Number(slider.value));
+    controls.appendChild(back);
+    controls.appendChild(this.createElement('span', '', `Step ${position + 1}/${trace.steps.length}`));
+    controls.appendChild(forward);
+    controls.appendChild(slider);
+    view.appendChild(controls);
+
+    // The current line with a little context around it
+    const code = this.createElement('div', 'dsa-coach-trace-code');
+    for (let line = Math.max(step.line - 2, 1); line <= Math.min(step.line + 2, trace.lines.length); line++) {
+      const row = this.createElement('div', `dsa-coach-trace-line${line === step.line ? ' current' : ''}`, `${String(line).padStart(3)}  ${trace.lines[line - 1]}`);
+      code.appendChild(row);
+    }
+    view.appendChild(code);
+
+    const where = `in ${step.function}()${step.depth > 0 ? ` · call depth ${step.depth}` : ''}`;
+    view.appendChild(this.createElement('p', 'dsa-coach-testcase-note', step.event === 'return'
+      ? `↩️ returns ${this.formatTraceValue(step.returnValue)} ${where}`
+      : where));
+
+    const changed = (name) => !previous || JSON.stringify(previous.locals[name]) !== JSON.stringify(step.locals[name]);
+    this.traceArrays(step.locals).forEach(array => view.appendChild(this.createTraceArray(array, previous?.locals[array.name])));
+
+    const table = this.createElement('table', 'dsa-coach-trace-vars');
+    Object.entries(step.locals).forEach(([name, value]) => {
+      const row = this.createElement('tr', changed(name) ? 'changed' : '');
+      row.appendChild(this.createElement('td', '', name));
+      row.appendChild(this.createElement('td', '', this.formatTraceValue(value)));
+      table.appendChild(row);
+    });
+    view.appendChild(table);
+
+    const ask = this.createElement('div', 'dsa-coach-code-actions');
+    const question = this.createElement('input', 'dsa-coach-trace-question');
+    question.id = 'dsa-trace-question';
+    question.placeholder = 'Ask about this step...';
+    const askBtn = this.createElement('button', 'dsa-coach-btn-secondary', '💬 Ask the coach');
+    askBtn.onclick = () => this.discussTraceStep();
+    question.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this.discussTraceStep();
+    });
+    ask.appendChild(question);
+    ask.appendChild(askBtn);
+    view.appendChild(ask);
+  }
+
+  // Flat arrays of numbers, strings or booleans, with the integer variables
+  // named like indexes (i, j, left, mid, ...) that currently point into them
+  traceArrays(locals) {
+    const pointerName = /^(i|j|k|l|r|p|q|lo|hi|low|high|left|right|mid|start|end|slow|fast|ptr|idx|index|pos|cur|curr)\d*$/i;
+    const pointers = Object.entries(locals).filter(([name, value]) => Number.isInteger(value) && pointerName.test(name));
+
+    return Object.entries(locals)
+      .filter(([, value]) => Array.isArray(value) && value.length > 0 && value.every(item => item === null || typeof item !== 'object'))
+      .map(([name, values]) => ({
+        name,
+        values,
+        pointers: pointers.filter(([, index]) => index >= 0 && index < values.length)
+      }));
+  }
+
+  createTraceArray({ name, values, pointers }, before) {
+    const wrapper = this.createElement('div', 'dsa-coach-trace-array');
+    wrapper.appendChild(this.createElement('div', 'dsa-coach-trace-array-name', name));
+    const cells = this.createElement('div', 'dsa-coach-trace-cells');
+
+    values.forEach((value, index) => {
+      // Arrays cut short by the backend end with a "…N more" marker
+      const truncated = index === values.length - 1 && typeof value === 'string' && value.startsWith('…');
+      const changed = Array.isArray(before) && index < before.length && JSON.stringify(before[index]) !== JSON.stringify(value);
+      const cell = this.createElement('div', `dsa-coach-trace-cell${changed ? ' changed' : ''}`);
+      cell.appendChild(this.createElement('span', 'dsa-coach-trace-value', truncated ? value : this.formatTraceValue(value)));
+      if (!truncated) cell.appendChild(this.createElement('span', 'dsa-coach-trace-index', String(index)));
+      const here = pointers.filter(([, at]) => at === index).map(([pointer]) => pointer);
+      if (here.length > 0) cell.appendChild(this.createElement('span', 'dsa-coach-trace-pointer', `↑${here.join(',')}`));
+      cells.appendChild(cell);
+    });
+
+    wrapper.appendChild(cells);
+    return wrapper;
+  }
+
+  // The current step as text, so the coach sees what the student is looking at
+  describeTraceStep() {
+    const trace = this.trace;
+    const step = trace.steps[trace.position];
+    const variables = Object.entries(step.locals).map(([name, value]) => `${name} = ${this.formatTraceValue(value)}`).join(', ');
+    return [
+      `🔍 Tracing my code on Example ${trace.example} (${trace.input}), step ${trace.position + 1} of ${trace.steps.length}:`,
+      `line ${step.line}: ${(trace.lines[step.line - 1] || '').trim()}`,
+      `in ${step.function}()${step.event === 'return' ? `, returning ${this.formatTraceValue(step.returnValue)}` : ''}; variables: ${variables || 'none'}`
+    ].join('\n');
+  }
+
+  async discussTraceStep() {
+    if (!this.trace?.steps.length) return;
+    const input = document.getElementById('dsa-trace-question');
+    const question = input?.value.trim() || 'What is my code doing at this step, and is it what I intended?';
+    const message = `${this.describeTraceStep()}\n\n${question}`;
+    if (input) input.value = '';
+
+    this.showResponseArea();
+    this.addChatMessage(message, 'user', null, { type: 'chat_followup' });
+    try {
+      await this.streamChatResponse({
+        type: 'chat_followup',
+        problem: this.problemData,
+        message,
+        history: this.conversationHistory,
+        sessionId: this.sessionId
+      });
+    } catch (error) {
+      console.error('DSA Coach: Error sending chat message:', error);
+      this.addChatMessage('Sorry, I encountered an error. Please try again.', 'ai');
+    }
+  }
+
+  // Mock interviews run on the backend (lib/mockInterview.js): it keeps the
+  // phases and transcript, plays the interviewer and grades the finished
+  // interview. this.interview mirrors it and is changed in place, so replies
+  // that arrive after the student moved to another problem land in its state.
+  async startInterview() {
+    if (!this.backendUrl) return this.showToast('Mock interviews need the backend server', 'warning');
+    if (this.interviewBusy) return;
+
+    this.extractProblemData();
+    const slug = this.currentSlug;
+    try {
+      const data = await this.interviewRequest('', { userId: this.userId, problem: this.problemData });
+      const owner = slug === this.currentSlug ? this : this.problemStates.get(slug);
+      if (owner) owner.interview = { ...data.interview, phaseList: data.phases, rubric: data.rubric };
+      this.showToast(`Interview started: ${data.phases[0].name} phase`, 'success');
+    } catch (error) {
+      console.warn('DSA Coach: Could not start the interview:', error.message);
+      this.showToast(`Could not start the interview: ${error.message}`, 'warning');
+    }
+    this.renderInterview();
+  }
+
+  async sendInterviewMessage() {
+    const input = document.getElementById('dsa-interview-input');
+    const interview = this.interview;
+    if (!input || !interview || interview.endedAt || this.interviewBusy) return;
+    const message = input.value.trim();
+    if (!message) return this.showToast('Say something to the interviewer first', 'warning');
+
+    input.value = '';
+    const turn = { sender: 'user', message, phase: interview.phase };
+    interview.turns.push(turn);
+    try {
+      const data = await this.interviewRequest(`/${interview.id}/turns`, {
+        message,
+        code: this.interviewCode(),
+        userId: this.userId
+      });
+      interview.turns.push(data.turn);
+    } catch (error) {
+      // The backend did not keep the message either; give it back to resend
+      interview.turns.splice(interview.turns.indexOf(turn), 1);
+      input.value = message;
+      console.warn('DSA Coach: Interviewer reply failed:', error.message);
+      this.showToast(`The interviewer could not reply: ${error.message}`, 'warning');
+    }
+    this.renderInterview();
+  }
+
+  async setInterviewPhase(phase) {
+    const interview = this.interview;
+    if (!interview || this.interviewBusy) return;
+    try {
+      const data = await this.interviewRequest(`/${interview.id}/phase`, { phase });
+      Object.assign(interview, { phase: data.interview.phase, phaseStartedAt: data.interview.phaseStartedAt, phases: data.interview.phases });
+    } catch (error) {
+      this.showToast(`Could not change the phase: ${error.message}`, 'warning');
+    }
+    this.renderInterview();
+  }
+
+  async endInterview() {
+    const interview = this.interview;
+    if (!interview || this.interviewBusy) return;
+    this.showToast('Grading your interview...', 'info');
+    try {
+      const data = await this.interviewRequest(`/${interview.id}/report`, {
+        code: this.interviewCode(),
+        userId: this.userId
+      });
+      Object.assign(interview, { endedAt: data.interview.endedAt, phases: data.interview.phases, report: data.report });
+      this.showToast('Interview graded. Your report is below.', 'success');
+    } catch (error) {
+      console.warn('DSA Coach: Could not grade the interview:', error.message);
+      this.showToast(`Could not grade the interview: ${error.message}`, 'warning');
+    }
+    this.renderInterview();
+  }
+
+  interviewCode() {
+    const detected = this.getUserCode();
+    return detected.includes('No code detected') ? '' : detected;
+  }
+
+  // POST to /api/interviews/...; the interview buttons stay disabled meanwhile
+  async interviewRequest(path, body) {
+    this.interviewBusy = true;
+    this.renderInterview();
+    try {
+      const response = await fetch(`${this.backendUrl}/api/interviews${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Client-Id': this.clientId },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 429) {
+        throw new Error(`Rate limit reached. Try again in ${response.headers.get('Retry-After') || 'a few'} seconds.`);
+      }
+      if (!response.ok) {
+        throw new Error(data.message || `Backend error: ${response.status}`);
+      }
+      return data;
+    } finally {
+      this.interviewBusy = false;
+    }
+  }
+
+  renderInterview() {
+    const view = document.getElementById('dsa-interview-view');
+    const actions = document.getElementById('dsa-interview-actions');
+    const input = document.getElementById('dsa-interview-input');
+    if (!view || !actions) return;
+
+    const interview = this.interview;
+    const active = Boolean(interview && !interview.endedAt);
+    this.renderInterviewStatus();
+    view.innerHTML = '';
+    actions.innerHTML = '';
+    if (input) input.disabled = !active;
+
+    if (!interview) {
+      view.appendChild(this.createElement('p', 'dsa-coach-interview-intro',
+        'A timed interview in five phases: Clarify, Approach, Code, Test and Complexity. The interviewer asks follow-up questions but gives no hints, and grades you at the end.'));
+    } else {
+      interview.turns.forEach(turn => {
+        const who = turn.sender === 'user' ? '🎓 You' : '🧑‍💼 Interviewer';
+        view.appendChild(this.createElement('p', `dsa-coach-interview-turn ${turn.sender}`, `${who}: ${turn.message}`));
+      });
+      if (this.interviewBusy && active) view.appendChild(this.createElement('p', 'dsa-coach-interview-turn ai', '🧑‍💼 Interviewer: ...'));
+      if (interview.report) view.appendChild(this.createInterviewReport(interview));
+      view.scrollTop = view.scrollHeight;
+    }
+
+    const addButton = (text, className, onclick) => {
+      const button = this.createElement('button', className, text);
+      button.disabled = Boolean(this.interviewBusy);
+      button.onclick = onclick;
+      actions.appendChild(button);
+    };
+    if (active) {
+      const next = interview.phaseList[interview.phaseList.findIndex(phase => phase.id === interview.phase) + 1];
+      if (next) addButton(`Next: ${next.name}`, 'dsa-coach-btn-secondary', () => this.setInterviewPhase(next.id));
+      addButton('🏁 End & Grade', 'dsa-coach-btn-secondary', () => this.endInterview());
+      addButton('Send', 'dsa-coach-btn-primary', () => this.sendInterviewMessage());
+      if (!this.interviewTimer) this.interviewTimer = setInterval(() => this.tickInterview(), 1000);
+    } else {
+      addButton('📈 Past Interviews', 'dsa-coach-btn-secondary', () => this.showInterviewHistory());
+      addButton(interview ? 'Start Another Interview' : 'Start Interview', 'dsa-coach-btn-primary', () => this.startInterview());
+    }
+  }
+
+  // Phase steps and timers: the current phase against its time box, and the whole interview
+  renderInterviewStatus() {
+    const status = document.getElementById('dsa-interview-status');
+    if (!status) return;
+    status.innerHTML = '';
+    const interview = this.interview;
+    if (!interview) return;
+
+    const current = interview.phaseList.findIndex(phase => phase.id === interview.phase);
+    const steps = this.createElement('div', 'dsa-coach-interview-steps');
+    interview.phaseList.forEach((phase, i) => {
+      const state = interview.endedAt || i < current ? ' done' : i === current ? ' current' : '';
+      steps.appendChild(this.createElement('span', `dsa-coach-interview-step${state}`, phase.name));
+    });
+
+    const clock = (ms) => `${Math.floor(ms / 60000)}:${String(Math.floor(ms / 1000) % 60).padStart(2, '0')}`;
+    const now = interview.endedAt ? Date.parse(interview.endedAt) : Date.now();
+    const total = now - Date.parse(interview.startedAt);
+    const phase = interview.phaseList[current];
+    const inPhase = now - Date.parse(interview.phaseStartedAt);
+    const overTime = !interview.endedAt && inPhase > phase.minutes * 60000;
+    const timeBox = interview.phaseList.reduce((sum, p) => sum + p.minutes, 0);
+    const timer = this.createElement('div', `dsa-coach-interview-timer${overTime ? ' over' : ''}`, interview.endedAt
+      ? `⏱ Finished in ${clock(total)}`
+      : `⏱ ${phase.name}: ${clock(inPhase)} / ${phase.minutes}:00 · Total: ${clock(total)} / ${timeBox}:00`);
+
+    status.appendChild(steps);
+    status.appendChild(timer);
+  }
+
+  tickInterview() {
+    const interview = this.interview;
+    if (!interview || interview.endedAt) {
+      clearInterval(this.interviewTimer);
+      this.interviewTimer = null;
+      return;
+    }
+    this.renderInterviewStatus();
+
+    // One nudge per phase when its time box runs out
+    const phase = interview.phaseList.find(p => p.id === interview.phase);
+    if (interview.warnedPhase !== phase.id && Date.now() - Date.parse(interview.phaseStartedAt) > phase.minutes * 60000) {
+      interview.warnedPhase = phase.id;
+      this.showToast(`Time is up for the ${phase.name} phase. Wrap it up and move on.`, 'warning');
+    }
+  }
+
+  createInterviewReport(interview) {
+    const { report } = interview;
+    const cards = this.createElement('div', 'dsa-coach-cards');
+    cards.appendChild(this.createElement('div', 'message-text', report.overall == null
+      ? '📋 Interview report (the scores could not be read; see the full report)'
+      : `📋 Interview report: ${report.overall}/5 overall`));
+
+    const addCard = (title, open, lines) => {
+      if (!lines.length) return;
+      const card = this.createElement('details', 'dsa-coach-card');
+      card.open = open;
+      card.appendChild(this.createElement('summary', '', title));
+      const body = this.createElement('div', 'dsa-coach-card-body');
+      lines.forEach(line => body.appendChild(this.createElement('p', '', line)));
+      card.appendChild(body);
+      cards.appendChild(card);
+    };
+    const nameOf = (id) => interview.rubric?.find(dimension => dimension.id === id)?.name || id;
+    addCard('🎯 Rubric', true, Object.entries(report.scores || {}).map(([id, { score, evidence }]) =>
+      `${nameOf(id)}: ${'●'.repeat(score)}${'○'.repeat(5 - score)} ${score}/5${evidence ? ` - ${evidence}` : ''}`));
+    addCard('✅ Strengths', false, report.strengths || []);
+    addCard('📌 Practise next', true, report.improvements || []);
+    addCard('📝 Full report', false, [report.summary].filter(Boolean));
+    return cards;
+  }
+
+  // Graded interviews, oldest first, with the change since the previous one
+  async showInterviewHistory() {
+    const view = document.getElementById('dsa-interview-view');
+    if (!view) return;
+    if (!this.backendUrl || !this.userId) return this.showToast('Past interviews need the backend server', 'warning');
+
+    try {
+      const response = await fetch(`${this.backendUrl}/api/interviews?userId=${encodeURIComponent(this.userId)}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.message || `Backend error: ${response.status}`);
+      }
+
+      const graded = data.interviews.filter(interview => interview.scores);
+      const signed = (value) => (value > 0 ? `+${value}` : String(value));
+      const lines = graded.map(interview => {
+        const change = interview.change ? ` (${signed(interview.change.overall)})` : '';
+        const dimensions = data.rubric.map(d => `${d.name} ${interview.scores[d.id]}${interview.change ? ` (${signed(interview.change[d.id])})` : ''}`).join(', ');
+        return `${new Date(interview.startedAt).toLocaleDateString()} · ${interview.title}: ${interview.overall}/5${change}. ${dimensions}`;
+      });
+
+      view.querySelector('.dsa-coach-interview-history')?.remove();
+      const history = this.createElement('details', 'dsa-coach-card dsa-coach-interview-history');
+      history.open = true;
+      history.appendChild(this.createElement('summary', '', `📈 Past interviews (${graded.length} graded)`));
+      const body = this.createElement('div', 'dsa-coach-card-body');
+      (lines.length ? lines : ['No graded interviews yet.']).forEach(line => body.appendChild(this.createElement('p', '', line)));
+      history.appendChild(body);
+      view.appendChild(history);
+      view.scrollTop = view.scrollHeight;
+    } catch (error) {
+      console.warn('DSA Coach: Could not load past interviews:', error.message);
+      this.showToast(`Could not load past interviews: ${error.message}`, 'warning');
+    }
+  }
+
+  autoDetectCode() {
+    const currentCode = this.getUserCode();
+    const codeInput = document.getElementById('dsa-code-input');
+    
+    if (codeInput && currentCode && !currentCode.includes('No code detected')) {
+      codeInput.value = currentCode;
+      this.showToast('Code auto-detected!', 'success');
+    } else {
+      this.showToast('No code detected. Please paste manually.', 'warning');
+    }
+  }
+
+  async sendChatMessage() {
+    const input = document.getElementById('dsa-chat-input');
+    if (!input) return;
+    
+    const message = input.value.trim();
+    
+    if (!message) return;
+
+    this.addChatMessage(message, 'user', null, { type: 'chat_followup' });
+    input.value = '';
+    input.style.height = 'auto';
+
+    try {
+      await this.streamChatResponse({
+        type: 'chat_followup',
+        problem: this.problemData,
+        message: message,
+        history: this.conversationHistory,
+        sessionId: this.sessionId
+      });
+      
+    } catch (error) {
+      console.error('DSA Coach: Error sending chat message:', error);
+      this.addChatMessage('Sorry, I encountered an error. Please try again.', 'ai');
+    }
+  }
+
+  // Reveal the next level of the hint ladder for this problem
+  async requestHint() {
+    if (this.hintsUsed >= this.maxHintLevel) return;
+
+    const button = document.getElementById('dsa-hint-btn');
+    if (button) button.disabled = true;
+
+    try {
+      const hint = await this.fetchHint(this.hintsUsed + 1);
+      this.maxHintLevel = hint.maxLevel;
+      this.hintsUsed = Math.max(this.hintsUsed, hint.level);
+      this.saveHintsUsed();
+
+      this.showResponseArea();
+      this.addChatMessage(`💡 Hint ${hint.level}/${hint.maxLevel}: ${hint.name}\n\n${hint.hint}`, 'ai', null, { type: 'hint' });
+    } catch (error) {
+      console.error('DSA Coach: Error getting hint:', error);
+      this.showToast(error.message || 'Could not get a hint. Please try again.', 'error');
+    } finally {
+      this.updateHintButton();
+    }
+  }
+
+  async fetchHint(level) {
+    if (this.backendUrl) {
+      try {
+        const response = await fetch(`${this.backendUrl}/api/hint`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Client-Id': this.clientId
+          },
+          body: JSON.stringify({ problem: this.problemData, level, sessionId: this.sessionId, userId: this.userId })
+        });
+
+        if (response.ok) {
+          return await response.json();
+        } else if (response.status === 429) {
+          const retryAfter = response.headers.get('Retry-After');
+          throw new Error(`Rate limit reached. Try again in ${retryAfter || 'a few'} seconds.`);
+        } else {
+          throw new Error(`Backend error: ${response.status}`);
+        }
+      } catch (error) {
+        if (error.message.startsWith('Rate limit')) throw error;
+        console.warn('Backend hint request failed, using mock:', error.message);
+        this.backendUrl = null;
+      }
+    }
+
+    return this.getMockHint(level);
+  }
+
+  getMockHint(level) {
+    const ladder = [
+      ['Which pattern applies', 'Look at what the problem asks you to find. Is it a pair, a window, a path or an optimal value? Which technique usually answers that kind of question?'],
+      ['Key observation', 'Re-read the constraints. What do the input size and value ranges tell you about how fast your solution has to be?'],
+      ['Approach outline', 'Think about what you could remember while scanning the input once, and which data structure makes that lookup fast.'],
+      ['Key invariant', 'Decide what must be true after each step of your loop (or what each DP state means). How does that guarantee the final answer?'],
+      ['Pseudocode skeleton', 'for each element:\n    check what you have stored so far  // what are you looking for?\n    update the stored state             // what do you record?\nreturn ____']
+    ];
+    const [name, hint] = ladder[level - 1];
+    return { hint, level, maxLevel: ladder.length, name, cached: false };
+  }
+
+  // Shared with the popup, so both report to the same skill profile
+  loadUserId() {
+    if (!chrome.storage?.local) return;
+
+    chrome.storage.local.get(['userId'], (items) => {
+      this.userId = items.userId || `user-${crypto.randomUUID()}`;
+      if (!items.userId) chrome.storage.local.set({ userId: this.userId });
+    });
+  }
+
+  // Hint counts are kept per problem slug so they survive reloads and offline use
+  loadHintsUsed() {
+    const slug = this.getProblemSlug();
+    if (!slug || !chrome.storage?.local) return;
+
+    chrome.storage.local.get(['hintsUsed'], (items) => {
+      this.hintsUsed = Math.max(this.hintsUsed, items.hintsUsed?.[slug] || 0);
+      this.updateHintButton();
+    });
+  }
+
+  saveHintsUsed() {
+    const slug = this.getProblemSlug();
+    if (!slug || !chrome.storage?.local) return;
+
+    chrome.storage.local.get(['hintsUsed'], (items) => {
+      chrome.storage.local.set({ hintsUsed: { ...items.hintsUsed, [slug]: this.hintsUsed } });
+    });
+  }
+
+  async callAI(payload) {
+    if (this.backendUrl) {
+      try {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
         
@@ -731,6 +2243,7 @@ class LeetCodeExtractor {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
+            'X-Client-Id': this.clientId
           },
           body: JSON.stringify(payload),
           signal: controller.signal
@@ -741,165 +2254,148 @@ class LeetCodeExtractor {
         if (response.ok) {
           const data = await response.json();
           return data;
+        } else if (response.status === 429) {
+          // Rate limited: the backend is fine, so keep using it after Retry-After
+          const data = await response.json().catch(() => ({}));
+          const retryAfter = response.headers.get('Retry-After');
+          this.showToast(`Rate limit reached. Try again in ${retryAfter || 'a few'} seconds.`, 'warning');
+          return { response: data.fallback || data.message, complexity: null };
         } else {
           throw new Error(`Backend error: ${response.status}`);
         }
       } catch (error) {
-        console.warn('Backend request failed, using mock:', error.message);
+        console.warn('Backend request failed, using the offline coach:', error.message);
         this.backendUrl = null;
       }
     }
     
-    return this.getMockResponse(payload);
+    return this.getOfflineResponse(payload);
   }
 
-  getMockResponse(payload) {
-    return new Promise(resolve => {
-      setTimeout(() => {
-        try {
-          if (payload.type === 'approach_analysis') {
-            resolve(this.generateMockApproachAnalysis(payload));
-          } else if (payload.type === 'code_analysis') {
-            resolve(this.generateMockCodeAnalysis(payload));
-          } else {
-            resolve(this.generateMockChatResponse());
-          }
-        } catch (error) {
-          resolve({
-            response: 'Sorry, I encountered an error processing your request.',
-            complexity: null
-          });
-        }
-      }, 1000 + Math.random() * 1000);
-    });
-  }
-
-  generateMockApproachAnalysis(payload) {
-    const approach = payload.approach.toLowerCase();
-    
-    if (approach.includes('hash') || approach.includes('map')) {
-      return {
-        response: `Great thinking! Using a hash map is an excellent approach for this problem.
-
-**Analysis:**
-✅ **Correctness**: Hash map approach should work well
-⚡ **Efficiency**: Much better than brute force O(n²)
-💾 **Space trade-off**: Uses O(n) extra space for faster lookups
-
-**Questions to consider:**
-- What will you store as keys vs values?
-- How will you handle duplicate elements?
-- Can you solve it in a single pass through the data?
+  // Render an AI reply into a chat bubble as it streams in, falling back to
+  // the regular request (and the offline coach) if streaming is unavailable
+  async streamChatResponse(payload) {
+    payload = { ...payload, userId: this.userId };
+    const bubble = this.createStreamingMessage();
+    const slug = this.currentSlug;
+    let response = null;
 
-Would you like to discuss the implementation details?`,
-        complexity: { time: 'O(n)', space: 'O(n)' }
-      };
-    }
-    
-    if (approach.includes('sort') || approach.includes('sorted')) {
-      return {
-        response: `Sorting is a solid approach! Let's analyze this strategy.
-
-**Analysis:**
-✅ **Correctness**: Sorting often simplifies many problems
-⚡ **Time Complexity**: Usually O(n log n) due to sorting
-💾 **Space**: Can be O(1) if sorting in-place
-
-**Consider:**
-- Does the problem allow modifying the input?
-- Are there faster alternatives without sorting?
-- What happens after sorting - how do you find the answer?`,
-        complexity: { time: 'O(n log n)', space: 'O(1)' }
-      };
+    if (this.backendUrl) {
+      const onText = (text) => this.updateStreamingMessage(bubble, text);
+      try {
+        response = await this.callAIStream(payload, onText);
+      } catch (error) {
+        if (error.retryAfter && error.retryAfter <= this.maxRetryAfter) {
+          // Honor the backend's Retry-After once before giving up on streaming
+          this.showToast(`Rate limit reached. Retrying in ${error.retryAfter}s...`, 'warning');
+          this.updateStreamingMessage(bubble, `Waiting ${error.retryAfter}s for the rate limit...`);
+          await new Promise(resolve => setTimeout(resolve, error.retryAfter * 1000));
+          response = await this.callAIStream(payload, onText).catch(() => null);
+        } else {
+          console.warn('DSA Coach: Streaming failed, retrying without streaming:', error.message);
+        }
+      }
     }
 
-    return {
-      response: `Interesting approach! Let's think through this step by step.
-
-**Let's analyze:**
-- What's the main operation you need to repeat?
-- How many times will you perform this operation?
-- What data structure makes this operation fastest?
+    if (!response || !response.response) {
+      try {
+        response = await this.callAI(payload);
+      } catch (error) {
+        bubble.remove();
+        throw error;
+      }
+    }
 
-Can you walk me through your specific algorithmic steps? I'd love to help you optimize it!`,
-      complexity: { time: 'O(?)', space: 'O(?)' }
-    };
+    // A reply that finishes after the student moved to another problem belongs to the one that asked
+    const problem = slug === this.currentSlug ? this : this.problemStates.get(slug) || this;
+    this.finishStreamingMessage(bubble, response.response, response.complexity, response.analysis, response.staticComplexity, problem);
+    if (response.pattern?.primary) this.addPatternBadge(bubble, response.pattern);
+    if (response.constraintCheck) this.addConstraintCheck(bubble, response.constraintCheck, problem);
+    if (response.promptBudget?.trimmed?.length) this.addPromptBudgetNote(bubble, response.promptBudget);
+    return response;
   }
 
-  generateMockCodeAnalysis(payload) {
-    const code = payload.code.toLowerCase();
-    
-    if (code.includes('for') && code.match(/for.*for/s)) {
-      return {
-        response: `I see nested loops! Let's work on optimizing this.
+  async callAIStream(payload, onText) {
+    const controller = new AbortController();
+    // The timeout only covers silence between chunks, so long reviews can finish
+    let timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
 
-**Code Review:**
-🔍 **Structure**: Nested loops typically indicate O(n²) complexity
-⚠️ **Performance**: Could be slow for large inputs (n > 10⁴)
+    try {
+      const response = await fetch(`${this.backendUrl}/api/analyze/stream`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Client-Id': this.clientId
+        },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
 
-**Optimization strategies:**
-- Can you eliminate the inner loop with a hash map?
-- Are you doing redundant calculations?
-- Could sorting help reduce complexity?
+      if (response.status === 429) {
+        const error = new Error('Rate limit exceeded');
+        error.retryAfter = Number(response.headers.get('Retry-After')) || 0;
+        throw error;
+      }
 
-**Next steps:**
-What specific operation is the inner loop performing? There might be a more efficient way to achieve the same result.`,
-        complexity: { time: 'O(n²)', space: 'O(1)' }
-      };
-    }
-    
-    if (code.includes('recursive') || code.includes('def') && code.includes('return') && code.includes('(')) {
-      return {
-        response: `Nice recursive solution! Let's check the efficiency.
-
-**Recursion Analysis:**
-🔄 **Structure**: Recursive approach detected
-💭 **Consider**: Stack space and potential exponential time
-⚡ **Optimization**: Might benefit from memoization
-
-**Questions:**
-- Are you solving overlapping subproblems?
-- What's your base case?
-- Could dynamic programming help?`,
-        complexity: { time: 'O(?)', space: 'O(?)' }
-      };
-    }
+      if (!response.ok || !response.body) {
+        throw new Error(`Backend error: ${response.status}`);
+      }
 
-    return {
-      response: `Let me review your code structure.
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let text = '';
+      let result = null;
 
-**Initial Analysis:**
-✅ **Logic flow**: Appears to follow a reasonable structure
-🔍 **Edge cases**: Let's make sure all scenarios are handled
-⚡ **Optimization**: Always room for improvement!
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
 
-**Questions:**
-- How does your solution handle edge cases (empty input, single element)?
-- What's the bottleneck operation in your algorithm?
-- Are there any unnecessary operations we can eliminate?
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          const event = JSON.parse(line);
+
+          if (event.type === 'chunk') {
+            text += event.text;
+            onText(text);
+          } else if (event.type === 'done') {
+            // The final event carries the prose with the JSON block removed
+            result = { response: text, ...event };
+          } else if (event.type === 'error') {
+            if (!text) throw new Error(event.message || event.error);
+            result = { response: `${text}\n\n(Response interrupted: ${event.error})`, complexity: null };
+          }
+        }
+      }
 
-Feel free to walk me through your logic!`,
-      complexity: { time: 'O(?)', space: 'O(?)' }
-    };
+      return result || { response: text, complexity: null };
+    } finally {
+      clearTimeout(timeoutId);
+    }
   }
 
-  generateMockChatResponse() {
-    const responses = [
-      "Great question! What edge cases are you considering?",
-      "You're thinking in the right direction! How would you handle the worst-case scenario?",
-      "Interesting point! What's the trade-off between time and space complexity here?",
-      "Good observation! Can you think of a way to optimize this further?",
-      "That's a smart approach! Have you considered what happens with duplicate values?",
-      "Excellent thinking! How would this scale with very large inputs?"
-    ];
-    
-    return {
-      response: responses[Math.floor(Math.random() * responses.length)],
-      complexity: null
-    };
+  // Without a backend, answers come from the rule-based coach in offlineCoach.js;
+  // chat questions are matched against the code in the editor too
+  getOfflineResponse(payload) {
+    try {
+      return Promise.resolve(OfflineCoach.respond({ code: this.userCode, ...payload }));
+    } catch (error) {
+      console.warn('DSA Coach: Offline coach failed:', error.message);
+      return Promise.resolve({
+        response: 'Sorry, I encountered an error processing your request.',
+        complexity: null
+      });
+    }
   }
 
-  addChatMessage(message, sender, complexity = null) {
+  addChatMessage(message, sender, complexity = null, details = {}) {
     const container = document.getElementById('dsa-chat-container');
     if (!container) return;
     
@@ -911,17 +2407,170 @@ Feel free to walk me through your logic!`,
     container.appendChild(messageDiv);
     container.scrollTop = container.scrollHeight;
     
+    this.recordMessage(message, sender, complexity, details);
+  }
+
+  createStreamingMessage() {
+    const container = document.getElementById('dsa-chat-container');
+    const messageDiv = this.createElement('div', 'dsa-chat-message ai streaming');
+    const textDiv = this.createElement('div', 'message-text', '…');
+    messageDiv.appendChild(textDiv);
+
+    if (container) {
+      container.appendChild(messageDiv);
+      container.scrollTop = container.scrollHeight;
+    }
+    return messageDiv;
+  }
+
+  updateStreamingMessage(messageDiv, text) {
+    const container = document.getElementById('dsa-chat-container');
+    // Hide the trailing JSON analysis block while it is still streaming in
+    const visibleText = text.split('```json')[0];
+    messageDiv.querySelector('.message-text').textContent = this.sanitizeText(visibleText);
+    if (container) container.scrollTop = container.scrollHeight;
+  }
+
+  finishStreamingMessage(messageDiv, message, complexity = null, analysis = null, staticComplexity = null, problem = this) {
+    this.updateStreamingMessage(messageDiv, message);
+    messageDiv.classList.remove('streaming');
+
+    if (analysis) {
+      this.renderAnalysisCards(messageDiv, analysis, message);
+    }
+
+    // Fill in the complexity badge once the full response is known
+    if (complexity) {
+      [['Time', complexity.time], ['Space', complexity.space]].forEach(([label, value]) => {
+        if (value && value !== 'O(?)') {
+          messageDiv.appendChild(this.createElement('span', 'complexity-tag', `${label}: ${value}`));
+        }
+      });
+    }
+
+    if (staticComplexity) {
+      this.addComplexityCheck(messageDiv, staticComplexity);
+    }
+
+    this.recordMessage(message, 'ai', complexity, { analysis }, problem);
+  }
+
+  // Warn when the backend's static estimate of the code disagrees with the
+  // complexity the review claimed; the reasons behind the estimate go below
+  addComplexityCheck(messageDiv, check) {
+    const { agrees, claimed } = check;
+    if (!agrees) return;
+
+    const mismatches = [['time', check.time], ['space', check.space]]
+      .filter(([part]) => agrees[part] === false)
+      .map(([part, estimate]) => `${estimate} ${part}, but the review says ${claimed[part]}`);
+    if (mismatches.length === 0) return;
+
+    const warning = this.createElement('details', 'dsa-coach-complexity-warning');
+    warning.appendChild(this.createElement('summary', '', `⚠️ Static analysis of your code suggests ${mismatches.join('; and ')}`));
+    (check.notes || []).forEach(note => warning.appendChild(this.createElement('p', '', `• ${note}`)));
+    warning.appendChild(this.createElement('p', '', 'This estimate comes from the code\'s loops, recursion and built-in calls, so it can be wrong. Which one do you believe, and why?'));
+    messageDiv.appendChild(warning);
+  }
+
+  // Flag a reviewed complexity the constraints won't allow, and keep the
+  // latest verdict next to the target under the problem title
+  addConstraintCheck(messageDiv, check, problem = this) {
+    problem.constraintCheck = check;
+    if (problem === this) this.updateProblemInfo();
+    if (check.verdict === 'ok') {
+      messageDiv.appendChild(this.createElement('span', 'complexity-tag', '🎯 Fits the constraints'));
+      return;
+    }
+
+    const warning = this.createElement('details', 'dsa-coach-complexity-warning');
+    warning.appendChild(this.createElement('summary', '', check.verdict === 'borderline' ? '⚠️ Borderline for the constraints' : '🐢 Too slow for the constraints'));
+    warning.appendChild(this.createElement('p', '', check.message));
+    warning.appendChild(this.createElement('p', '', `What would have to change to get down to ${check.target}?`));
+    messageDiv.appendChild(warning);
+  }
+
+  // Name the pattern the reviewed approach or code uses; the tooltip gives the
+  // evidence and any other likely labels
+  addPatternBadge(messageDiv, pattern) {
+    const percent = (label) => `${Math.round(label.confidence * 100)}%`;
+    const { primary, labels } = pattern;
+    const badge = this.createElement('span', 'complexity-tag dsa-coach-pattern-tag', `🧩 ${primary.label} · ${percent(primary)}`);
+    const others = labels.slice(1).map(label => `${label.label} ${percent(label)}`);
+    badge.title = [...primary.evidence, ...(others.length ? [`Also possible: ${others.join(', ')}`] : [])].join('\n');
+    messageDiv.appendChild(badge);
+  }
+
+  // Say what the backend left out of the prompt to keep it within its token budget
+  addPromptBudgetNote(messageDiv, budget) {
+    const note = this.createElement('details', 'dsa-coach-budget-note');
+    note.appendChild(this.createElement('summary', '', '✂️ Some context was trimmed to fit the prompt'));
+    budget.trimmed.forEach(({ detail }) => note.appendChild(this.createElement('p', '', `• ${detail}`)));
+    messageDiv.appendChild(note);
+  }
+
+  // Replace the prose with one collapsible card per analysis section
+  renderAnalysisCards(messageDiv, analysis, prose) {
+    const cards = this.createElement('div', 'dsa-coach-cards');
+    const verdict = (value) => value === true ? '✅' : value === false ? '❌' : '❔';
+
+    const addCard = (title, open, items) => {
+      const card = this.createElement('details', 'dsa-coach-card');
+      card.open = open;
+      card.appendChild(this.createElement('summary', '', title));
+      const body = this.createElement('div', 'dsa-coach-card-body');
+      items.forEach(text => body.appendChild(this.createElement('p', '', text)));
+      card.appendChild(body);
+      cards.appendChild(card);
+    };
+
+    const { logic, complexity, edgeCases, optimizations, questions } = analysis;
+
+    addCard(`${verdict(logic.correct)} Logic`, true, [logic.summary]);
+    addCard(`⏱️ Complexity: ${complexity.time.value} time, ${complexity.space.value} space`, false, [
+      `Time ${complexity.time.value}: ${complexity.time.rationale || 'no rationale given'}`,
+      `Space ${complexity.space.value}: ${complexity.space.rationale || 'no rationale given'}`
+    ]);
+    if (edgeCases.length > 0) {
+      const failing = edgeCases.filter(item => item.passes === false).length;
+      addCard(`🧪 Edge cases (${failing} failing of ${edgeCases.length})`, failing > 0,
+        edgeCases.map(item => `${verdict(item.passes)} ${item.case}${item.note ? ` - ${item.note}` : ''}`));
+    }
+    if (optimizations.length > 0) {
+      addCard(`⚡ Optimizations (${optimizations.length})`, false,
+        optimizations.map(item => item.detail ? `${item.title}: ${item.detail}` : item.title));
+    }
+    if (questions.length > 0) {
+      addCard('❓ Questions to consider', true, questions);
+    }
+    addCard('📝 Full review', false, [prose]);
+
+    messageDiv.querySelector('.message-text').replaceWith(cards);
+  }
+
+  // problem is this extractor or a parked problem's state (see saveProblemState)
+  recordMessage(message, sender, complexity = null, details = {}, problem = this) {
     // Add to conversation history
-    this.conversationHistory.push({ 
+    problem.conversationHistory.push({ 
       message: this.sanitizeText(message), 
       sender, 
       complexity, 
       timestamp: Date.now() 
     });
+
+    // Keep the full, untruncated transcript on the server
+    this.syncSessionMessage({
+      message,
+      sender,
+      ...(complexity && { complexity }),
+      ...(details.type && { type: details.type }),
+      ...(details.code && { code: details.code }),
+      ...(details.analysis && { analysis: details.analysis })
+    }, problem.sessionId);
     
     // Limit history size
-    if (this.conversationHistory.length > 50) {
-      this.conversationHistory = this.conversationHistory.slice(-40);
+    if (problem.conversationHistory.length > 50) {
+      problem.conversationHistory = problem.conversationHistory.slice(-40);
     }
   }
 
@@ -1007,6 +2656,17 @@ Feel free to walk me through your logic!`,
 
   clearConversation() {
     this.conversationHistory = [];
+    this.sessionTranscript = [];
+
+    // Start a fresh server-side session for this problem
+    if (this.backendUrl && this.sessionId) {
+      fetch(`${this.backendUrl}/api/sessions/${this.sessionId}`, { method: 'DELETE' })
+        .catch(() => {})
+        .finally(() => {
+          this.sessionId = null;
+          this.resumeSession();
+        });
+    }
     
     const chatContainer = document.getElementById('dsa-chat-container');
     const complexityInfo = document.getElementById('dsa-complexity-info');
@@ -1138,6 +2798,12 @@ Feel free to walk me through your logic!`,
         border-bottom: 1px solid rgba(255,255,255,0.1) !important;
       }
 
+      .dsa-coach-target {
+        margin-top: 4px !important;
+        font-size: 12px !important;
+        opacity: 0.9 !important;
+      }
+
       .dsa-coach-mode-toggle {
         display: flex !important;
         padding: 16px 20px 0 !important;
@@ -1350,6 +3016,225 @@ Feel free to walk me through your logic!`,
 
       .dsa-chat-message.ai .message-text {
         margin-bottom: 8px !important;
+        white-space: pre-wrap !important;
+      }
+
+      .dsa-chat-message.ai.streaming .message-text::after {
+        content: '▍' !important;
+        opacity: 0.6 !important;
+        animation: dsaCoachBlink 1s steps(1) infinite !important;
+      }
+
+      @keyframes dsaCoachBlink {
+        50% { opacity: 0; }
+      }
+
+      /* Structured analysis cards */
+      .dsa-coach-cards {
+        display: flex !important;
+        flex-direction: column !important;
+        gap: 6px !important;
+        margin-bottom: 8px !important;
+      }
+
+      .dsa-coach-card {
+        background: rgba(255,255,255,0.08) !important;
+        border: 1px solid rgba(255,255,255,0.15) !important;
+        border-radius: 6px !important;
+        padding: 6px 8px !important;
+      }
+
+      .dsa-coach-card summary {
+        cursor: pointer !important;
+        font-weight: 600 !important;
+        font-size: 13px !important;
+      }
+
+      .dsa-coach-testcase-input {
+        margin: 6px 0 !important;
+        padding: 6px !important;
+        background: rgba(0,0,0,0.25) !important;
+        border-radius: 4px !important;
+        font-size: 12px !important;
+        white-space: pre-wrap !important;
+        word-break: break-all !important;
+        max-height: 120px !important;
+        overflow-y: auto !important;
+      }
+
+      .dsa-coach-testcase-note {
+        margin: 0 !important;
+        font-size: 12px !important;
+        opacity: 0.8 !important;
+      }
+
+      .dsa-coach-card-body p {
+        margin: 6px 0 0 !important;
+        font-size: 13px !important;
+        white-space: pre-wrap !important;
+      }
+
+      .dsa-coach-complexity-warning {
+        margin-top: 8px !important;
+        padding: 6px 8px !important;
+        border-radius: 6px !important;
+        background: rgba(255, 193, 7, 0.15) !important;
+        border-left: 3px solid #ffc107 !important;
+        font-size: 12px !important;
+      }
+
+      .dsa-coach-complexity-warning summary {
+        cursor: pointer !important;
+        font-weight: 600 !important;
+      }
+
+      .dsa-coach-complexity-warning p {
+        margin: 4px 0 0 !important;
+      }
+
+      .dsa-coach-pattern-tag {
+        background: rgba(156, 39, 176, 0.15) !important;
+        cursor: help !important;
+      }
+
+      .dsa-coach-budget-note {
+        margin-top: 6px !important;
+        font-size: 11px !important;
+        opacity: 0.75 !important;
+      }
+
+      .dsa-coach-budget-note summary {
+        cursor: pointer !important;
+      }
+
+      .dsa-coach-budget-note p {
+        margin: 2px 0 0 !important;
+      }
+
+      .dsa-coach-scaling-chart {
+        display: block !important;
+        margin: 8px 0 !important;
+        background: #fff !important;
+        border-radius: 6px !important;
+      }
+
+      /* Trace step-through */
+      .dsa-coach-trace-select {
+        padding: 4px !important;
+        border-radius: 4px !important;
+        font-size: 12px !important;
+      }
+
+      .dsa-coach-trace-view p {
+        white-space: pre-wrap !important;
+        margin: 6px 0 !important;
+      }
+
+      .dsa-coach-trace-controls {
+        display: flex !important;
+        align-items: center !important;
+        gap: 6px !important;
+        font-size: 12px !important;
+        flex-wrap: wrap !important;
+      }
+
+      .dsa-coach-trace-controls input[type="range"] {
+        flex: 1 !important;
+        min-width: 80px !important;
+      }
+
+      .dsa-coach-trace-code {
+        margin: 6px 0 !important;
+        padding: 4px 0 !important;
+        background: rgba(0,0,0,0.25) !important;
+        border-radius: 4px !important;
+        font-family: monospace !important;
+        font-size: 12px !important;
+        overflow-x: auto !important;
+      }
+
+      .dsa-coach-trace-line {
+        padding: 0 6px !important;
+        white-space: pre !important;
+        opacity: 0.6 !important;
+      }
+
+      .dsa-coach-trace-line.current {
+        opacity: 1 !important;
+        background: rgba(255, 193, 7, 0.25) !important;
+        border-left: 3px solid #ffc107 !important;
+      }
+
+      .dsa-coach-trace-array {
+        margin: 6px 0 !important;
+        font-size: 12px !important;
+      }
+
+      .dsa-coach-trace-array-name {
+        font-family: monospace !important;
+        font-weight: 600 !important;
+        margin-bottom: 2px !important;
+      }
+
+      .dsa-coach-trace-cells {
+        display: flex !important;
+        overflow-x: auto !important;
+        padding-bottom: 2px !important;
+      }
+
+      .dsa-coach-trace-cell {
+        display: flex !important;
+        flex-direction: column !important;
+        align-items: center !important;
+        min-width: 28px !important;
+        border: 1px solid rgba(255,255,255,0.3) !important;
+        margin-right: -1px !important;
+        padding: 2px 4px !important;
+        font-family: monospace !important;
+      }
+
+      .dsa-coach-trace-cell.changed,
+      .dsa-coach-trace-vars tr.changed {
+        background: rgba(76, 175, 80, 0.3) !important;
+      }
+
+      .dsa-coach-trace-index {
+        font-size: 9px !important;
+        opacity: 0.6 !important;
+      }
+
+      .dsa-coach-trace-pointer {
+        font-size: 10px !important;
+        color: #ffc107 !important;
+        font-weight: 600 !important;
+      }
+
+      .dsa-coach-trace-vars {
+        width: 100% !important;
+        border-collapse: collapse !important;
+        font-family: monospace !important;
+        font-size: 12px !important;
+        margin: 6px 0 !important;
+      }
+
+      .dsa-coach-trace-vars td {
+        padding: 2px 6px !important;
+        border-bottom: 1px solid rgba(255,255,255,0.15) !important;
+        vertical-align: top !important;
+        word-break: break-all !important;
+      }
+
+      .dsa-coach-trace-vars td:first-child {
+        font-weight: 600 !important;
+        white-space: nowrap !important;
+        word-break: normal !important;
+      }
+
+      .dsa-coach-trace-question {
+        flex: 1 !important;
+        padding: 4px 6px !important;
+        border-radius: 4px !important;
+        font-size: 12px !important;
       }
 
       .complexity-tag {
@@ -1361,6 +3246,71 @@ Feel free to walk me through your logic!`,
         margin-right: 4px !important;
       }
 
+      /* Mock interview */
+      .dsa-coach-interview-status {
+        display: flex !important;
+        flex-direction: column !important;
+        gap: 6px !important;
+      }
+
+      .dsa-coach-interview-steps {
+        display: flex !important;
+        gap: 4px !important;
+        flex-wrap: wrap !important;
+      }
+
+      .dsa-coach-interview-step {
+        padding: 2px 8px !important;
+        border-radius: 10px !important;
+        font-size: 11px !important;
+        background: rgba(255,255,255,0.1) !important;
+        opacity: 0.6 !important;
+      }
+
+      .dsa-coach-interview-step.current {
+        background: rgba(255, 193, 7, 0.35) !important;
+        opacity: 1 !important;
+      }
+
+      .dsa-coach-interview-step.done {
+        background: rgba(76, 175, 80, 0.35) !important;
+        opacity: 0.9 !important;
+      }
+
+      .dsa-coach-interview-timer {
+        font-size: 12px !important;
+        font-family: monospace !important;
+      }
+
+      .dsa-coach-interview-timer.over {
+        color: #ffc107 !important;
+        font-weight: 600 !important;
+      }
+
+      .dsa-coach-interview-view {
+        max-height: 240px !important;
+        overflow-y: auto !important;
+        display: flex !important;
+        flex-direction: column !important;
+        gap: 6px !important;
+        font-size: 13px !important;
+      }
+
+      .dsa-coach-interview-intro,
+      .dsa-coach-interview-turn {
+        margin: 0 !important;
+        white-space: pre-wrap !important;
+      }
+
+      .dsa-coach-interview-turn.user {
+        opacity: 0.85 !important;
+      }
+
+      .dsa-coach-interview-turn.ai {
+        padding-left: 8px !important;
+        border-left: 3px solid rgba(255, 193, 7, 0.6) !important;
+      }
+
       /* Chat Input */
       .dsa-chat-input-container {
         display: flex !important;
@@ -1535,6 +3485,8 @@ Feel free to walk me through your logic!`,
     if (this.codeObserver) {
       this.codeObserver.disconnect();
     }
+    clearInterval(this.navigationTimer);
+    window.removeEventListener('popstate', this.onNavigation);
     
     const button = document.getElementById('dsa-coach-button');
     const panel = document.getElementById('dsa-coach-panel');
@@ -0,0 +1,148 @@
+// lib/analysisSchema.js - Structured JSON analysis requested alongside the prose review
+//
+// The model writes its normal review first and then a single fenced ```json
+// block matching ANALYSIS_SHAPE. We split the two, validate the JSON and hand
+// both back so the extension can render cards without scraping Big-O text.
+
+const { extractComplexity } = require('./complexity');
+
+const STRUCTURED_TYPES = ['approach_analysis', 'code_analysis'];
+
+const ANALYSIS_SHAPE = `{
+  "logic": { "summary": "string", "correct": true | false | null },
+  "complexity": {
+    "time": { "value": "O(...)", "rationale": "string" },
+    "space": { "value": "O(...)", "rationale": "string" }
+  },
+  "edgeCases": [ { "case": "string", "passes": true | false | null, "note": "string" } ],
+  "optimizations": [ { "title": "string", "detail": "string" } ],
+  "questions": [ "string" ]
+}`;
+
+const JSON_BLOCK = /```json\s*([\s\S]*?)```/i;
+
+function wantsStructuredAnalysis(type) {
+  return STRUCTURED_TYPES.includes(type);
+}
+
+function withStructuredInstructions(prompt) {
+  return `${prompt}
+
+After your review, append exactly one fenced code block tagged json that restates the same analysis in this shape:
+${ANALYSIS_SHAPE}
+Use null for "correct" or "passes" when you cannot tell. Big-O values must start with "O(". Output valid JSON only inside the block, with no comments.`;
+}
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+const isVerdict = (value) => value === true || value === false || value === null || value === undefined;
+
+function validateComplexity(entry, label, errors) {
+  if (!entry || typeof entry !== 'object') {
+    errors.push(`complexity.${label} is missing`);
+    return null;
+  }
+  const value = String(entry.value || '').trim();
+  if (!/^O\(.+\)$/i.test(value)) {
+    errors.push(`complexity.${label}.value must look like O(...)`);
+    return null;
+  }
+  return { value, rationale: isText(entry.rationale) ? entry.rationale.trim() : '' };
+}
+
+// Returns { analysis, errors }; analysis is null when the JSON is unusable
+function validateAnalysis(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { analysis: null, errors: ['analysis must be a JSON object'] };
+  }
+
+  if (!raw.logic || !isText(raw.logic.summary)) errors.push('logic.summary is required');
+  if (raw.logic && !isVerdict(raw.logic.correct)) errors.push('logic.correct must be true, false or null');
+
+  const time = validateComplexity(raw.complexity?.time, 'time', errors);
+  const space = validateComplexity(raw.complexity?.space, 'space', errors);
+
+  const edgeCases = Array.isArray(raw.edgeCases) ? raw.edgeCases : [];
+  if (!Array.isArray(raw.edgeCases)) errors.push('edgeCases must be an array');
+  edgeCases.forEach((item, i) => {
+    if (!item || !isText(item.case)) errors.push(`edgeCases[${i}].case is required`);
+    else if (!isVerdict(item.passes)) errors.push(`edgeCases[${i}].passes must be true, false or null`);
+  });
+
+  const optimizations = Array.isArray(raw.optimizations) ? raw.optimizations : [];
+  if (!Array.isArray(raw.optimizations)) errors.push('optimizations must be an array');
+  optimizations.forEach((item, i) => {
+    if (!item || !isText(item.title)) errors.push(`optimizations[${i}].title is required`);
+  });
+
+  const questions = Array.isArray(raw.questions) ? raw.questions : [];
+  if (!Array.isArray(raw.questions)) errors.push('questions must be an array');
+  if (questions.some(q => !isText(q))) errors.push('questions must be non-empty strings');
+
+  if (errors.length > 0) return { analysis: null, errors };
+
+  return {
+    analysis: {
+      logic: { summary: raw.logic.summary.trim(), correct: raw.logic.correct ?? null },
+      complexity: { time, space },
+      edgeCases: edgeCases.map(item => ({
+        case: item.case.trim(),
+        passes: item.passes ?? null,
+        note: isText(item.note) ? item.note.trim() : ''
+      })),
+      optimizations: optimizations.map(item => ({
+        title: item.title.trim(),
+        detail: isText(item.detail) ? item.detail.trim() : ''
+      })),
+      questions: questions.map(q => q.trim())
+    },
+    errors
+  };
+}
+
+// Split model output into the prose review and the validated JSON analysis
+function parseStructuredResponse(text) {
+  const match = text.match(JSON_BLOCK);
+  if (!match) {
+    return { prose: text.trim(), analysis: null, errors: ['no json block in response'] };
+  }
+
+  const prose = text.replace(JSON_BLOCK, '').trim();
+  let raw;
+  try {
+    raw = JSON.parse(match[1]);
+  } catch (error) {
+    return { prose, analysis: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  return { prose, ...validateAnalysis(raw) };
+}
+
+// Build the response fields shared by /api/analyze and its streaming variant.
+// Complexity comes from the validated JSON; the regex scrape is only a fallback.
+function toAnalysisResult(type, text) {
+  if (!wantsStructuredAnalysis(type)) {
+    return { response: text, complexity: extractComplexity(text), analysis: null };
+  }
+
+  const { prose, analysis, errors } = parseStructuredResponse(text);
+  const complexity = analysis
+    ? { time: analysis.complexity.time.value, space: analysis.complexity.space.value }
+    : extractComplexity(prose);
+
+  return {
+    response: prose,
+    complexity,
+    analysis,
+    ...(errors.length > 0 && { analysisErrors: errors })
+  };
+}
+
+module.exports = {
+  wantsStructuredAnalysis,
+  toAnalysisResult,
+  withStructuredInstructions,
+  parseStructuredResponse,
+  validateAnalysis
+};
@@ -0,0 +1,243 @@
+// lib/analyzers/javascript.js - Loop/recursion/allocation shape of a JavaScript solution
+//
+// Parses the code with acorn and reduces each function to the shape nodes
+// lib/staticComplexity.js understands:
+//   { t: 'loop', growth: 'n' | 'log' | '1', label, retains, amortized, body: [...] }  retains: builds a result per iteration;
+//                                                       amortized: the pointer an inner loop only moves forward
+//   { t: 'op', growth: 'n' | 'log' | 'nlogn', label }   built-in call with a known cost
+//   { t: 'call', name, label, varying, halving, structural }  call to a function of the solution;
+//                                                       varying: positions of arguments that differ from the caller's parameters
+//   { t: 'alloc', size: 'n' | 'n2', label }             sized allocation or copy
+//   { t: 'grow', label }                                append/insert into a collection
+const acorn = require('acorn');
+
+const LINEAR_CALLBACKS = ['forEach', 'map', 'filter', 'reduce', 'reduceRight', 'some', 'every', 'find', 'findIndex', 'findLast', 'findLastIndex', 'flatMap'];
+const LINEAR_METHODS = ['includes', 'indexOf', 'lastIndexOf', 'splice', 'shift', 'unshift', 'slice', 'concat', 'join', 'reverse', 'split', 'fill', 'flat', 'keys', 'values', 'entries'];
+const COPYING_METHODS = ['slice', 'concat', 'split', 'map', 'filter', 'flat', 'flatMap'];
+const GROWING_METHODS = ['push', 'unshift', 'set', 'add'];
+const SMALL_CONSTANT = 128;
+// Recursing into node.left / node.right visits each node once, unlike f(n - 1) + f(n - 2)
+const STRUCTURAL_FIELDS = /\.(left|right|next|children|neighbors)\b/;
+
+function parse(code) {
+  const options = { ecmaVersion: 'latest', sourceType: 'script', allowReturnOutsideFunction: true, allowHashBang: true };
+  try {
+    return acorn.parse(code, options);
+  } catch (error) {
+    // LeetCode's JS is sometimes pasted with `export`/`import`
+    return acorn.parse(code, { ...options, sourceType: 'module' });
+  }
+}
+
+const isFunction = (node) => node && ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type);
+
+function children(node) {
+  const result = [];
+  for (const key of Object.keys(node)) {
+    if (key === 'type' || key === 'start' || key === 'end') continue;
+    const value = node[key];
+    if (Array.isArray(value)) value.forEach(item => item && typeof item.type === 'string' && result.push(item));
+    else if (value && typeof value.type === 'string') result.push(value);
+  }
+  return result;
+}
+
+function some(node, predicate) {
+  if (!node) return false;
+  if (predicate(node)) return true;
+  return children(node).some(child => some(child, predicate));
+}
+
+function rootName(node) {
+  while (node.type === 'MemberExpression') node = node.object;
+  return node.type === 'Identifier' ? node.name : null;
+}
+
+const isHalving = (node) => some(node, n =>
+  (n.type === 'BinaryExpression' && ['/', '>>', '>>>'].includes(n.operator) && n.right.type === 'Literal' && [1, 2].includes(n.right.value)) ||
+  (n.type === 'AssignmentExpression' && ['/=', '>>=', '>>>=', '*='].includes(n.operator) && n.right.type === 'Literal' && [1, 2].includes(n.right.value)) ||
+  (n.type === 'Identifier' && /^(mid|pivot)/i.test(n.name))
+);
+
+// Variables a loop steps by one: i++, --j, left += 1
+function steppedNames(node) {
+  const names = new Set();
+  some(node, n => {
+    if (n.type === 'UpdateExpression' && n.argument.type === 'Identifier') names.add(n.argument.name);
+    if (n.type === 'AssignmentExpression' && ['+=', '-='].includes(n.operator) && n.left.type === 'Identifier' && n.right.type === 'Literal' && n.right.value === 1) {
+      names.add(n.left.name);
+    }
+    return false;
+  });
+  return names;
+}
+
+// A while inside a linear loop that moves a pointer declared outside that loop
+// and never reset inside it (sliding window, two pointers): the pointer only
+// goes forward, so the inner loop runs n times in all, not n times per step.
+// A pointer is tested by the loop or indexes with it; a plain counter does neither.
+function amortizedPointer(loop, outer) {
+  if (!outer || outer.growth !== 'n') return null;
+  const resets = (name) => some(outer.node.body, n =>
+    (n.type === 'VariableDeclarator' && n.id.type === 'Identifier' && n.id.name === name) ||
+    (n.type === 'AssignmentExpression' && n.operator === '=' && n.left.type === 'Identifier' && n.left.name === name)
+  );
+  const isPointer = (name) =>
+    some(loop.test, n => n.type === 'Identifier' && n.name === name) ||
+    some(loop.body, n => n.type === 'MemberExpression' && n.computed && n.property.type === 'Identifier' && n.property.name === name);
+  return [...steppedNames(loop)].find(name => isPointer(name) && !resets(name)) || null;
+}
+
+function forGrowth(node) {
+  if (node.update && isHalving(node.update)) return 'log';
+  const test = node.test;
+  if (test && test.type === 'BinaryExpression' && test.right.type === 'Literal' && typeof test.right.value === 'number' && test.right.value <= SMALL_CONSTANT) {
+    return '1';
+  }
+  return 'n';
+}
+
+function collectFunctions(ast, source) {
+  const functions = [];
+  const text = (node) => source.slice(node.start, node.end);
+
+  function visit(node, name) {
+    if (isFunction(node)) {
+      functions.push({ name: name || node.id?.name || `<anonymous@${node.start}>`, node });
+    }
+    if (node.type === 'VariableDeclarator' && isFunction(node.init)) {
+      return visit(node.init, node.id.name);
+    }
+    if ((node.type === 'MethodDefinition' || node.type === 'Property') && isFunction(node.value)) {
+      return visit(node.value, node.key.name || text(node.key));
+    }
+    if (node.type === 'AssignmentExpression' && isFunction(node.right)) {
+      return visit(node.right, text(node.left).replace(/^.*\./, ''));
+    }
+    for (const child of children(node)) visit(child);
+  }
+
+  visit(ast);
+  return functions;
+}
+
+function analyzeJavaScript(code) {
+  const ast = parse(code);
+  const text = (node) => code.slice(node.start, node.end);
+  const functions = collectFunctions(ast, code);
+  const names = new Set(functions.map(f => f.name));
+
+  // `outer` is the nearest enclosing loop: { node, growth }
+  function shape(node, fn, outer = null) {
+    const out = [];
+    const params = new Set(fn.node.params.map(p => (p.type === 'AssignmentPattern' ? p.left : p)).filter(p => p.type === 'Identifier').map(p => p.name));
+    const add = (item) => out.push(item);
+
+    function walk(n) {
+      // Nested function bodies are analysed on their own and reached through calls,
+      // except inline callbacks, which are handled where they are passed
+      if (isFunction(n) && n !== fn.node) return;
+
+      switch (n.type) {
+        case 'ForStatement': {
+          const growth = forGrowth(n);
+          add({ t: 'loop', growth, label: `for (${text(n.test || n).slice(0, 40)})`, body: shape(n.body, fn, { node: n, growth }) });
+          return;
+        }
+        case 'ForOfStatement':
+        case 'ForInStatement':
+          add({ t: 'loop', growth: 'n', label: `for ... of ${text(n.right).slice(0, 40)}`, body: shape(n.body, fn, { node: n, growth: 'n' }) });
+          return;
+        case 'WhileStatement':
+        case 'DoWhileStatement': {
+          const growth = isHalving(n) ? 'log' : 'n';
+          const pointer = growth === 'n' ? amortizedPointer(n, outer) : null;
+          add({
+            t: 'loop',
+            growth,
+            label: `while (${text(n.test).slice(0, 40)})`,
+            ...(pointer && { amortized: pointer }),
+            body: shape(n.body, fn, { node: n, growth })
+          });
+          return;
+        }
+        case 'NewExpression': {
+          const callee = text(n.callee);
+          if (callee === 'Array' && n.arguments.length === 1) add({ t: 'alloc', size: 'n', label: `new Array(${text(n.arguments[0])})` });
+          break;
+        }
+        case 'SpreadElement':
+          add({ t: 'op', growth: 'n', label: `...${text(n.argument).slice(0, 30)}` });
+          add({ t: 'alloc', size: 'n', label: `copy of ${text(n.argument).slice(0, 30)}` });
+          break;
+        case 'AssignmentExpression':
+          // Writing into a parameter (`nums[i] = ...`) is in-place, not growth
+          if (n.left.type === 'MemberExpression' && n.left.computed && !params.has(rootName(n.left))) {
+            add({ t: 'grow', label: `${text(n.left).slice(0, 30)} = ...` });
+          }
+          break;
+        case 'CallExpression': {
+          const callee = n.callee;
+          const method = callee.type === 'MemberExpression' && !callee.computed ? callee.property.name : null;
+          const callbacks = n.arguments.filter(isFunction);
+
+          if (method === 'sort' || method === 'toSorted') {
+            add({ t: 'op', growth: 'nlogn', label: `${text(callee).slice(0, 40)}()` });
+          } else if (method && LINEAR_CALLBACKS.includes(method) && callbacks.length > 0) {
+            add({ t: 'loop', growth: 'n', label: `.${method}(callback)`, retains: COPYING_METHODS.includes(method), body: callbacks.flatMap(cb => shape(cb.body, fn)) });
+            if (COPYING_METHODS.includes(method)) add({ t: 'alloc', size: 'n', label: `.${method}() result` });
+            n.arguments.filter(arg => !isFunction(arg)).forEach(walk);
+            walk(callee.object);
+            return;
+          } else if (method && LINEAR_METHODS.includes(method)) {
+            add({ t: 'op', growth: 'n', label: `.${method}()` });
+            if (COPYING_METHODS.includes(method)) add({ t: 'alloc', size: 'n', label: `.${method}() result` });
+          } else if (method && GROWING_METHODS.includes(method)) {
+            add({ t: 'grow', label: `${text(callee).slice(0, 40)}()` });
+          } else if (text(callee) === 'Array.from' || text(callee) === 'Array') {
+            const nested = callbacks.some(cb => some(cb.body, m => m.type === 'NewExpression' || m.type === 'ArrayExpression' || (m.type === 'CallExpression' && /Array/.test(text(m.callee)))));
+            add({ t: 'alloc', size: nested ? 'n2' : 'n', label: `${text(n).slice(0, 40)}` });
+            if (callbacks.length > 0) add({ t: 'loop', growth: 'n', label: 'Array.from(callback)', retains: true, body: callbacks.flatMap(cb => shape(cb.body, fn)) });
+            return;
+          }
+
+          const calleeName = callee.type === 'Identifier' ? callee.name
+            : callee.type === 'MemberExpression' && callee.object.type === 'ThisExpression' ? callee.property.name
+            : null;
+          if (calleeName && names.has(calleeName)) {
+            const paramTexts = fn.node.params.map(p => text(p));
+            const args = n.arguments.map(a => text(a));
+            add({
+              t: 'call',
+              name: calleeName,
+              label: text(n).slice(0, 50),
+              varying: args.map((arg, i) => (arg !== paramTexts[i] ? i : -1)).filter(i => i >= 0),
+              halving: n.arguments.some(isHalving) || args.some(arg => /\.slice\(|\bmid\b/.test(arg)),
+              structural: args.some(arg => STRUCTURAL_FIELDS.test(arg))
+            });
+          }
+          break;
+        }
+        default:
+          break;
+      }
+
+      for (const child of children(n)) walk(child);
+    }
+
+    if (node) walk(node);
+    return out;
+  }
+
+  const memoPattern = /\b(memo|cache|dp|seen|visited)\w*\s*(\.has\(|\.get\(|\[)/i;
+  return {
+    language: 'javascript',
+    functions: functions.map(fn => ({
+      name: fn.name,
+      memo: memoPattern.test(text(fn.node.body)),
+      body: shape(fn.node.body, fn)
+    }))
+  };
+}
+
+module.exports = { analyzeJavaScript, parse, children, isFunction, collectFunctions };
@@ -0,0 +1,34 @@
+// lib/analyzers/python.js - Loop/recursion/allocation shape of a Python solution
+//
+// Python's own `ast` module does the parsing (python_shape.py), run through
+// the sandbox like the code runner so a pathological input can't hang the
+// backend. The code is only parsed, never executed.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runSandboxed } = require('../sandbox');
+
+const SHAPE_SCRIPT = path.join(__dirname, 'python_shape.py');
+
+async function analyzePython(code, { timeoutMs = 3000, memoryMb = 256 } = {}) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'dsa-coach-shape-')));
+  let run;
+  try {
+    fs.writeFileSync(path.join(dir, 'solution.py'), code);
+    run = await runSandboxed(process.env.PYTHON_BIN || 'python3', ['-I', '-B', SHAPE_SCRIPT, path.join(dir, 'solution.py')], {
+      cwd: dir,
+      timeoutMs,
+      memoryMb
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  if (run.exitCode !== 0) {
+    const lastLine = run.stderr.trim().split('\n').pop();
+    throw new Error(run.timedOut ? 'Python analysis timed out' : lastLine || `Python analysis exited with code ${run.exitCode}`);
+  }
+  return JSON.parse(run.stdout);
+}
+
+module.exports = { analyzePython };
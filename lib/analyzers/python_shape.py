@@ -0,0 +1,238 @@
+# lib/analyzers/python_shape.py - Loop/recursion/allocation shape of a Python solution
+#
+# Usage: python3 python_shape.py solution.py  ->  JSON on stdout
+# Emits the same shape nodes as lib/analyzers/javascript.js, so
+# lib/staticComplexity.js can estimate both languages the same way.
+import ast
+import json
+import re
+import sys
+
+# Linear only in their one-iterable form: max(nums) walks the list, max(a, b) doesn't
+LINEAR_BUILTINS = {'sum', 'min', 'max', 'list', 'set', 'dict', 'tuple', 'reversed', 'any', 'all', 'Counter', 'enumerate', 'zip', 'map', 'filter', 'deque'}
+COPYING_BUILTINS = {'sorted', 'list', 'set', 'dict', 'tuple', 'Counter', 'deque'}
+LINEAR_METHODS = {'index', 'count', 'remove', 'insert', 'copy', 'reverse', 'join', 'split', 'extend', 'replace', 'find'}
+COPYING_METHODS = {'copy', 'split'}
+LOG_CALLS = {'heappush', 'heappop', 'heappushpop', 'heapreplace', 'bisect', 'bisect_left', 'bisect_right', 'insort', 'insort_left', 'insort_right'}
+GROWING_METHODS = {'append', 'appendleft', 'add', 'extend', 'insert', 'setdefault', 'heappush', 'update'}
+MEMO_DECORATORS = re.compile(r'\b(cache|lru_cache|memoize)\b')
+MEMO_NAMES = re.compile(r'^(memo|cache|dp|seen|visited)', re.I)
+SMALL_CONSTANT = 128
+# Recursing into node.left / node.right visits each node once, unlike f(n - 1) + f(n - 2)
+STRUCTURAL_FIELDS = re.compile(r'\.(left|right|next|children|neighbors)\b')
+
+
+def text(node, source):
+    return (ast.get_source_segment(source, node) or '')[:50]
+
+
+def is_halving(node):
+    for n in ast.walk(node):
+        if isinstance(n, ast.BinOp) and isinstance(n.op, (ast.FloorDiv, ast.Div, ast.RShift)) \
+                and isinstance(n.right, ast.Constant) and n.right.value in (1, 2):
+            return True
+        if isinstance(n, ast.AugAssign) and isinstance(n.op, (ast.FloorDiv, ast.Div, ast.RShift, ast.Mult)) \
+                and isinstance(n.value, ast.Constant) and n.value.value in (1, 2):
+            return True
+        if isinstance(n, ast.Name) and n.id.lower().startswith(('mid', 'pivot')):
+            return True
+    return False
+
+
+def for_growth(node):
+    it = node.iter
+    if isinstance(it, ast.Call) and isinstance(it.func, ast.Name) and it.func.id == 'range' and it.args:
+        bounds = it.args[:2]
+        if all(isinstance(b, ast.Constant) and isinstance(b.value, int) and abs(b.value) <= SMALL_CONSTANT for b in bounds):
+            return '1'
+    if isinstance(it, (ast.List, ast.Tuple)):
+        return '1' if len(it.elts) <= SMALL_CONSTANT else 'n'
+    if isinstance(it, ast.Constant) and isinstance(it.value, str) and len(it.value) <= SMALL_CONSTANT:
+        return '1'
+    return 'n'
+
+
+def stepped_names(node):
+    # Variables a loop steps by one: i += 1, j -= 1
+    return {n.target.id for n in ast.walk(node)
+            if isinstance(n, ast.AugAssign) and isinstance(n.target, ast.Name) and isinstance(n.op, (ast.Add, ast.Sub))
+            and isinstance(n.value, ast.Constant) and n.value.value == 1}
+
+
+def amortized_pointer(loop, outer):
+    # A while inside a linear loop that moves a pointer the outer loop never
+    # resets (sliding window, two pointers): the pointer only goes forward, so
+    # the inner loop runs n times in all, not n times per step. A pointer is
+    # tested by the loop or indexes with it; a plain counter does neither.
+    if outer is None or outer[1] != 'n':
+        return None
+    reset = {t.id for n in ast.walk(outer[0]) if isinstance(n, ast.Assign)
+             for target in n.targets for t in ast.walk(target) if isinstance(t, ast.Name)}
+    pointers = {n.id for n in ast.walk(loop.test) if isinstance(n, ast.Name)}
+    pointers |= {n.slice.id for n in ast.walk(loop) if isinstance(n, ast.Subscript) and isinstance(n.slice, ast.Name)}
+    candidates = sorted((stepped_names(loop) & pointers) - reset)
+    return candidates[0] if candidates else None
+
+
+def root_name(node):
+    while isinstance(node, (ast.Subscript, ast.Attribute)):
+        node = node.value
+    return node.id if isinstance(node, ast.Name) else None
+
+
+def call_name(func):
+    if isinstance(func, ast.Name):
+        return func.id
+    if isinstance(func, ast.Attribute):
+        return func.attr
+    return None
+
+
+class Shaper:
+    def __init__(self, source, names):
+        self.source = source
+        self.names = names
+        # The enclosing loops as (node, growth), innermost last
+        self.loops = []
+
+    def loop_body(self, node, growth, fn):
+        self.loops.append((node, growth))
+        try:
+            return self.shape(node.body + node.orelse, fn)
+        finally:
+            self.loops.pop()
+
+    def shape(self, nodes, fn):
+        out = []
+        for node in nodes:
+            self.walk(node, fn, out)
+        return out
+
+    def walk(self, node, fn, out):
+        src = self.source
+        if isinstance(node, (ast.FunctionDef, ast.AsyncFunctionDef, ast.Lambda, ast.ClassDef)) and node is not fn:
+            return
+
+        if isinstance(node, (ast.For, ast.AsyncFor)):
+            growth = for_growth(node)
+            out.append({'t': 'loop', 'growth': growth, 'label': f'for ... in {text(node.iter, src)}',
+                        'body': self.loop_body(node, growth, fn)})
+            self.walk(node.iter, fn, out)
+            return
+
+        if isinstance(node, ast.While):
+            growth = 'log' if is_halving(node) else 'n'
+            loop = {'t': 'loop', 'growth': growth, 'label': f'while {text(node.test, src)}'}
+            pointer = amortized_pointer(node, self.loops[-1] if self.loops else None) if growth == 'n' else None
+            if pointer:
+                loop['amortized'] = pointer
+            loop['body'] = self.loop_body(node, growth, fn)
+            out.append(loop)
+            return
+
+        if isinstance(node, (ast.ListComp, ast.SetComp, ast.DictComp, ast.GeneratorExp)):
+            body = []
+            for key in ('elt', 'key', 'value'):
+                if getattr(node, key, None) is not None:
+                    self.walk(getattr(node, key), fn, body)
+            for gen in node.generators[1:]:
+                body = [{'t': 'loop', 'growth': for_growth(gen), 'label': f'for ... in {text(gen.iter, src)}', 'retains': True, 'body': body}]
+            first = node.generators[0]
+            retains = not isinstance(node, ast.GeneratorExp)
+            out.append({'t': 'loop', 'growth': for_growth(first), 'label': f'comprehension over {text(first.iter, src)}',
+                        'retains': retains, 'body': body})
+            if retains:
+                out.append({'t': 'alloc', 'size': 'n', 'label': 'comprehension result'})
+            self.walk(first.iter, fn, out)
+            return
+
+        if isinstance(node, ast.BinOp) and isinstance(node.op, ast.Mult) \
+                and (isinstance(node.left, (ast.List, ast.ListComp)) or isinstance(node.right, (ast.List, ast.ListComp))):
+            inner = node.left if isinstance(node.left, (ast.List, ast.ListComp)) else node.right
+            nested = any(isinstance(n, (ast.List, ast.ListComp)) for n in ast.walk(inner) if n is not inner)
+            out.append({'t': 'alloc', 'size': 'n2' if nested else 'n', 'label': text(node, src)})
+
+        if isinstance(node, ast.Subscript) and isinstance(node.slice, ast.Slice):
+            out.append({'t': 'op', 'growth': 'n', 'label': f'slice {text(node, src)}'})
+            out.append({'t': 'alloc', 'size': 'n', 'label': f'slice {text(node, src)}'})
+
+        if isinstance(node, (ast.Assign, ast.AugAssign)):
+            targets = node.targets if isinstance(node, ast.Assign) else [node.target]
+            # Writing into a parameter (nums[i] = ...) is in-place, not growth
+            params = {a.arg for a in fn.args.args}
+            if any(isinstance(t, ast.Subscript) and root_name(t) not in params for t in targets):
+                out.append({'t': 'grow', 'label': f'{text(targets[0], src)} = ...'})
+
+        if isinstance(node, ast.Call):
+            name = call_name(node.func)
+            is_method = isinstance(node.func, ast.Attribute)
+            if name in ('sort', 'sorted'):
+                out.append({'t': 'op', 'growth': 'nlogn', 'label': f'{name}()'})
+                if name == 'sorted':
+                    out.append({'t': 'alloc', 'size': 'n', 'label': 'sorted() copy'})
+            elif name in LOG_CALLS:
+                out.append({'t': 'op', 'growth': 'log', 'label': f'{name}()'})
+            elif not is_method and name in LINEAR_BUILTINS and len(node.args) == 1:
+                out.append({'t': 'op', 'growth': 'n', 'label': f'{name}()'})
+                if name in COPYING_BUILTINS:
+                    out.append({'t': 'alloc', 'size': 'n', 'label': f'{name}() copy'})
+            elif is_method and name in LINEAR_METHODS:
+                out.append({'t': 'op', 'growth': 'n', 'label': f'.{name}()'})
+                if name in COPYING_METHODS:
+                    out.append({'t': 'alloc', 'size': 'n', 'label': f'.{name}() result'})
+            elif is_method and name == 'pop' and node.args and isinstance(node.args[0], ast.Constant) and node.args[0].value == 0:
+                out.append({'t': 'op', 'growth': 'n', 'label': '.pop(0)'})
+
+            if name in GROWING_METHODS:
+                out.append({'t': 'grow', 'label': text(node.func, src)})
+
+            own = isinstance(node.func, ast.Name) or (isinstance(node.func, ast.Attribute)
+                                                     and isinstance(node.func.value, ast.Name) and node.func.value.id == 'self')
+            if own and name in self.names:
+                params = [a.arg for a in fn.args.args if a.arg != 'self'] if isinstance(fn, (ast.FunctionDef, ast.AsyncFunctionDef)) else []
+                args = [ast.get_source_segment(src, a) or '' for a in node.args]
+                out.append({
+                    't': 'call',
+                    'name': name,
+                    'label': text(node, src),
+                    'varying': [i for i, a in enumerate(args) if i >= len(params) or a != params[i]],
+                    'halving': any(is_halving(a) or isinstance(a, ast.Subscript) and isinstance(a.slice, ast.Slice) for a in node.args),
+                    'structural': any(STRUCTURAL_FIELDS.search(a) for a in args)
+                })
+
+        for child in ast.iter_child_nodes(node):
+            self.walk(child, fn, out)
+
+
+def uses_memo(fn, source):
+    for decorator in fn.decorator_list:
+        if MEMO_DECORATORS.search(ast.get_source_segment(source, decorator) or ''):
+            return True
+    for n in ast.walk(fn):
+        if isinstance(n, ast.Compare) and any(isinstance(op, (ast.In, ast.NotIn)) for op in n.ops):
+            if any(isinstance(c, ast.Name) and MEMO_NAMES.match(c.id) or
+                   isinstance(c, ast.Attribute) and MEMO_NAMES.match(c.attr) for c in n.comparators):
+                return True
+    return False
+
+
+def main():
+    with open(sys.argv[1]) as f:
+        source = f.read()
+    tree = ast.parse(source)
+
+    functions = [n for n in ast.walk(tree) if isinstance(n, (ast.FunctionDef, ast.AsyncFunctionDef))]
+    names = {f.name for f in functions}
+    shaper = Shaper(source, names)
+
+    print(json.dumps({
+        'language': 'python',
+        'functions': [
+            {'name': f.name, 'memo': uses_memo(f, source), 'body': shaper.shape(f.body, f)}
+            for f in functions
+        ]
+    }))
+
+
+if __name__ == '__main__':
+    main()
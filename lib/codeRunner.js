@@ -0,0 +1,213 @@
+// lib/codeRunner.js - Run a LeetCode solution against the problem's examples
+//
+// The solution is written to a fresh temporary directory together with the
+// language harness from lib/harness/ and a cases.json built from the parsed
+// examples, then run once through lib/sandbox.js. Each harness prints one
+// result line per example; comparing against the expected output happens
+// here so both languages are judged the same way.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runSandboxed } = require('./sandbox');
+const { parseExample } = require('./problemInputs');
+
+const MARKER = '\u0001RESULT ';
+const HARNESS_DIR = path.join(__dirname, 'harness');
+
+// The permission model is `--experimental-permission` on Node 20 and
+// `--permission` from Node 22; Node 18 has neither and rejects both
+const PERMISSION_FLAG = ['--permission', '--experimental-permission']
+  .find(flag => process.allowedNodeEnvironmentFlags.has(flag)) || null;
+if (!PERMISSION_FLAG) {
+  console.warn(`⚠️ Node ${process.version} has no permission model; JavaScript solutions run without file-system confinement (Node 20+ confines them)`);
+}
+
+const LANGUAGES = {
+  javascript: {
+    file: 'solution.js',
+    harness: 'runner.js',
+    command: () => process.execPath,
+    // V8 reserves far more address space than it uses, so the heap flag is the
+    // memory limit; the permission model confines reads to the run directory
+    args: (dir, memoryMb) => [
+      '--no-warnings',
+      ...(PERMISSION_FLAG ? [PERMISSION_FLAG, `--allow-fs-read=${dir}`] : []),
+      `--max-old-space-size=${memoryMb}`,
+      path.join(dir, 'runner.js')
+    ],
+    limitAddressSpace: false
+  },
+  python: {
+    file: 'solution.py',
+    harness: 'runner.py',
+    command: () => process.env.PYTHON_BIN || 'python3',
+    args: (dir) => ['-I', '-B', path.join(dir, 'runner.py')],
+    limitAddressSpace: true
+  }
+};
+
+const ALIASES = { js: 'javascript', node: 'javascript', javascript: 'javascript', py: 'python', python: 'python', python3: 'python' };
+
+class RunnerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RunnerError';
+    this.status = 400;
+  }
+}
+
+// Best guess from the code itself; LeetCode's editor doesn't label its content
+function detectLanguage(code) {
+  if (/^\s*class\s+Solution\s*(\([^)]*\))?\s*:/m.test(code) || /^\s*def\s+\w+\s*\(.*\)\s*(->.*)?:\s*$/m.test(code)) {
+    return 'python';
+  }
+  if (/#include|\bpublic\s+\w+|\bvector\s*</.test(code)) return null;
+  if (/\bfunction\b|=>/.test(code)) return 'javascript';
+  return null;
+}
+
+function resolveLanguage(language, code) {
+  const resolved = language ? ALIASES[String(language).toLowerCase()] : detectLanguage(code);
+  if (!resolved) {
+    throw new RunnerError(language
+      ? `Running ${language} is not supported; use javascript or python`
+      : 'Could not tell the language of this code; only javascript and python can be run');
+  }
+  return resolved;
+}
+
+// Deep equality with a little slack for floating point answers
+function sameValue(actual, expected) {
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    return Math.abs(actual - expected) <= 1e-5 * Math.max(1, Math.abs(expected));
+  }
+  if (Array.isArray(actual) && Array.isArray(expected)) {
+    return actual.length === expected.length && actual.every((value, i) => sameValue(value, expected[i]));
+  }
+  if (actual && expected && typeof actual === 'object' && typeof expected === 'object') {
+    const keys = Object.keys(expected);
+    return keys.length === Object.keys(actual).length && keys.every(key => sameValue(actual[key], expected[key]));
+  }
+  return actual === expected;
+}
+
+const formatArgs = (names, args) => names.map((name, i) => `${name} = ${JSON.stringify(args[i])}`).join(', ');
+
+// The reason a case produced no result line at all
+function missingResultError(run) {
+  if (run.timedOut) return 'Time limit exceeded';
+  if (run.outputLimited) return 'Output limit exceeded';
+  if (run.signal === 'SIGXCPU' || run.signal === 'SIGKILL') return 'Time limit exceeded';
+  if (/MemoryError|heap out of memory|Cannot allocate/i.test(run.stderr)) return 'Memory limit exceeded';
+  const lastLine = run.stderr.trim().split('\n').pop();
+  return lastLine || `Process exited with code ${run.exitCode}`;
+}
+
+// Run the harness once over `cases` ([{ index, args }]) and return the raw
+// process result with the parsed result lines keyed by case index
+async function runHarness({ code, language, cases, timeoutMs, caseTimeoutMs, memoryMb, benchmark, trace }) {
+  const config = LANGUAGES[language];
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'dsa-coach-run-')));
+  let run;
+  try {
+    fs.writeFileSync(path.join(dir, config.file), code);
+    fs.copyFileSync(path.join(HARNESS_DIR, config.harness), path.join(dir, config.harness));
+    fs.writeFileSync(path.join(dir, 'cases.json'), JSON.stringify({ caseTimeoutMs, benchmark, trace, cases }));
+
+    run = await runSandboxed(config.command(), config.args(dir, memoryMb), {
+      cwd: dir,
+      timeoutMs,
+      memoryMb: config.limitAddressSpace ? memoryMb : null
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  const byIndex = new Map();
+  for (const line of run.stdout.split('\n')) {
+    if (!line.startsWith(MARKER)) continue;
+    try {
+      const result = JSON.parse(line.slice(MARKER.length));
+      byIndex.set(result.index, result);
+    } catch (_) {
+      // A truncated last line after a kill; the case is reported as missing
+    }
+  }
+  return { run, byIndex };
+}
+
+async function runExamples({ code, language, examples, timeoutMs = 5000, caseTimeoutMs = 2000, memoryMb = 256 }) {
+  if (typeof code !== 'string' || !code.trim()) {
+    throw new RunnerError('code must be a non-empty string');
+  }
+  const lang = resolveLanguage(language, code);
+
+  const cases = (examples || [])
+    .map((text, index) => ({ index, parsed: parseExample(text) }))
+    .filter(({ parsed }) => parsed)
+    .map(({ index, parsed }) => ({
+      index,
+      names: Object.keys(parsed.input),
+      args: Object.values(parsed.input),
+      expected: parsed.output
+    }));
+  if (cases.length === 0) {
+    throw new RunnerError('No examples with `name = value` inputs to run against');
+  }
+
+  const { run, byIndex } = await runHarness({
+    code,
+    language: lang,
+    cases: cases.map(({ index, args }) => ({ index, args })),
+    timeoutMs,
+    caseTimeoutMs,
+    memoryMb
+  });
+
+  const results = cases.map(({ index, names, args, expected }) => {
+    const result = byIndex.get(index);
+    const error = result ? result.error || null : missingResultError(run);
+    return {
+      example: index + 1,
+      input: formatArgs(names, args),
+      expected,
+      actual: result && !result.error ? result.actual : null,
+      passed: !error && expected !== null && sameValue(result.actual, expected),
+      error,
+      stdout: result?.stdout || '',
+      timeMs: result ? Math.round(result.timeMs * 100) / 100 : null
+    };
+  });
+
+  return {
+    language: lang,
+    results,
+    passed: results.filter(r => r.passed).length,
+    total: results.length,
+    stderr: run.stderr.slice(-4000),
+    timedOut: run.timedOut,
+    durationMs: run.durationMs
+  };
+}
+
+// Plain-text summary for the code-analysis prompt, with a leading blank line
+// so templates can append it directly after the code block
+function describeRun(run) {
+  if (!run || !Array.isArray(run.results) || run.results.length === 0) return '';
+
+  const lines = run.results.map(r => {
+    if (r.passed) return `Example ${r.example}: PASS`;
+    if (r.error) return `Example ${r.example}: ERROR - ${r.error} (input ${r.input})`;
+    return `Example ${r.example}: FAIL - input ${r.input}; expected ${JSON.stringify(r.expected)}, got ${JSON.stringify(r.actual)}`;
+  });
+
+  return [
+    '',
+    '',
+    `🧪 RESULTS OF RUNNING THE CODE ON THE EXAMPLES (${run.language}, ${run.passed}/${run.total} passed):`,
+    ...lines,
+    'These are real results, not guesses: base your correctness review on them.'
+  ].join('\n');
+}
+
+module.exports = { runExamples, runHarness, describeRun, detectLanguage, resolveLanguage, missingResultError, sameValue, RunnerError };
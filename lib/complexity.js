@@ -0,0 +1,47 @@
+// lib/complexity.js - Pull Big-O claims out of free-form model output
+
+function extractComplexity(text) {
+  // Multiple patterns to catch complexity mentions
+  const timePatterns = [
+    /time\s+complexity[:\s]*([O]\([^)]+\))/gi,
+    /time[:\s]*([O]\([^)]+\))/gi,
+    /([O]\([^)]+\))\s+time/gi
+  ];
+
+  const spacePatterns = [
+    /space\s+complexity[:\s]*([O]\([^)]+\))/gi,
+    /space[:\s]*([O]\([^)]+\))/gi,
+    /([O]\([^)]+\))\s+space/gi
+  ];
+
+  let timeComplexity = 'O(?)';
+  let spaceComplexity = 'O(?)';
+
+  // Try each pattern
+  for (const pattern of timePatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      // Extract the O(...) part
+      const oNotation = match[0].match(/O\([^)]+\)/i);
+      if (oNotation) {
+        timeComplexity = oNotation[0];
+        break;
+      }
+    }
+  }
+
+  for (const pattern of spacePatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      const oNotation = match[0].match(/O\([^)]+\)/i);
+      if (oNotation) {
+        spaceComplexity = oNotation[0];
+        break;
+      }
+    }
+  }
+
+  return { time: timeComplexity, space: spaceComplexity };
+}
+
+module.exports = { extractComplexity };
@@ -0,0 +1,69 @@
+// lib/constraintTarget.js - Which time complexities a problem's constraints allow
+//
+// A judge runs roughly 10^8 simple operations per second, so the largest input
+// size in the constraints ("1 <= nums.length <= 10^5") decides which classes
+// can pass: evaluating each class at that size gives the target ("n ≤ 10⁵ ⇒
+// aim for O(n log n) or better"), and a claimed complexity can be checked the
+// same way before the student submits.
+const { inputSizes, formatSize, operations, superscript } = require('../constraintParser');
+const { parseBigO, formatTerm } = require('./staticComplexity');
+
+const OPERATIONS_PER_SECOND = 1e8;
+// Up to this many operations may still pass with a small constant factor
+const BORDERLINE_OPERATIONS = 1e9;
+
+// Fastest-growing first; the target is the first one that fits
+const CLASSES = [
+  { exp: 0, log: 0, exponential: true },
+  { exp: 3, log: 0, exponential: false },
+  { exp: 2, log: 0, exponential: false },
+  { exp: 1, log: 1, exponential: false },
+  { exp: 1, log: 0, exponential: false },
+  { exp: 0, log: 1, exponential: false },
+  { exp: 0, log: 0, exponential: false }
+];
+
+// The fastest-growing complexity class that fits the largest input size, or
+// null when the constraints name no size
+function targetComplexity(constraints) {
+  const sizes = inputSizes(constraints);
+  if (sizes.length === 0) return null;
+
+  const { name, max } = sizes[0];
+  const target = CLASSES.find(term => operations(term, max) <= OPERATIONS_PER_SECOND) || CLASSES[CLASSES.length - 1];
+  return {
+    sizes,
+    variable: name,
+    n: max,
+    target: formatTerm(target),
+    summary: `${name} ≤ ${formatSize(max)} ⇒ aim for ${formatTerm(target)} or better`
+  };
+}
+
+// Whether a claimed time complexity ("O(n^2)") fits the constraints; every
+// size variable in the claim counts as the largest one. Returns null when
+// either side is unknown.
+function checkAgainstConstraints(constraints, claimedTime) {
+  const target = targetComplexity(constraints);
+  const claimed = parseBigO(claimedTime);
+  if (!target || !claimed) return null;
+
+  const estimate = operations(claimed, target.n);
+  const verdict = estimate <= OPERATIONS_PER_SECOND ? 'ok' : estimate <= BORDERLINE_OPERATIONS ? 'borderline' : 'too-slow';
+  return {
+    ...target,
+    claimed: claimedTime,
+    operations: Number.isFinite(estimate) ? Math.round(estimate) : null,
+    verdict,
+    message: verdict === 'ok'
+      ? `${claimedTime} fits: about ${approximately(estimate)} operations at ${target.variable} = ${formatSize(target.n)}`
+      : `${claimedTime} is ${verdict === 'borderline' ? 'borderline' : 'too slow'} for the constraints: about ${approximately(estimate)} operations at ${target.variable} = ${formatSize(target.n)}; aim for ${target.target} or better`
+  };
+}
+
+function approximately(count) {
+  if (!Number.isFinite(count) || count >= 1e300) return 'astronomically many';
+  return count < 1000 ? String(Math.round(count)) : `10${superscript(Math.round(Math.log10(count)))}`;
+}
+
+module.exports = { targetComplexity, checkAgainstConstraints, inputSizes, formatSize };
@@ -0,0 +1,223 @@
+// lib/db.js - Embedded append-only JSON store for the backend
+//
+// Every write is appended to one JSON-lines file as an operation:
+//   {"op":"createTable","table":"sessions"}
+//   {"op":"put","table":"sessions","row":{"id":"...", ...}}
+//   {"op":"delete","table":"sessions","id":"..."}
+//   {"op":"meta","key":"schemaVersion","value":2}
+// Opening the store replays the log into memory, then runs pending
+// migrations. compact() rewrites the log as the minimal set of operations;
+// it runs by itself, on open and while writing, once more than
+// COMPACT_AFTER_OPS lines in the log are superseded.
+const fs = require('fs');
+const path = require('path');
+
+const COMPACT_AFTER_OPS = 5000;
+
+class Table {
+  constructor(db, name) {
+    this.db = db;
+    this.name = name;
+    this.rows = new Map();
+  }
+
+  get(id) {
+    return this.rows.get(id) || null;
+  }
+
+  all() {
+    return [...this.rows.values()];
+  }
+
+  find(predicate) {
+    return this.all().filter(predicate);
+  }
+
+  findOne(predicate) {
+    for (const row of this.rows.values()) {
+      if (predicate(row)) return row;
+    }
+    return null;
+  }
+
+  count() {
+    return this.rows.size;
+  }
+
+  put(row) {
+    if (!row || !row.id) {
+      throw new Error(`Rows in ${this.name} need an id`);
+    }
+    this.rows.set(row.id, row);
+    this.db.append({ op: 'put', table: this.name, row });
+    return row;
+  }
+
+  update(id, patch) {
+    const row = this.get(id);
+    if (!row) return null;
+    return this.put({ ...row, ...patch });
+  }
+
+  delete(id) {
+    if (!this.rows.has(id)) return false;
+    this.rows.delete(id);
+    this.db.append({ op: 'delete', table: this.name, id });
+    return true;
+  }
+}
+
+class Database {
+  constructor({ dir, file = 'coach.jsonl' } = {}) {
+    this.dir = dir;
+    this.file = path.join(dir, file);
+    this.tables = new Map();
+    this.meta = { schemaVersion: 0 };
+    this.opsSinceCompact = 0;
+    this.replaying = false;
+  }
+
+  open(migrations = []) {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    if (fs.existsSync(this.file)) {
+      this.replaying = true;
+      const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          this.apply(JSON.parse(line));
+        } catch (error) {
+          // A torn final line from a crash is expected; anything else is worth a warning
+          if (index < lines.length - 2) {
+            console.warn(`⚠️ Skipping unreadable line ${index + 1} in ${this.file}: ${error.message}`);
+          }
+        }
+      });
+      this.replaying = false;
+    }
+
+    this.migrate(migrations);
+    if (this.needsCompaction()) this.compact();
+    return this;
+  }
+
+  apply(op) {
+    this.opsSinceCompact++;
+    if (op.op === 'createTable') {
+      if (!this.tables.has(op.table)) this.tables.set(op.table, new Table(this, op.table));
+    } else if (op.op === 'put') {
+      this.table(op.table).rows.set(op.row.id, op.row);
+    } else if (op.op === 'delete') {
+      this.table(op.table).rows.delete(op.id);
+    } else if (op.op === 'meta') {
+      this.meta[op.key] = op.value;
+    }
+  }
+
+  append(op) {
+    if (this.replaying) return;
+    this.opsSinceCompact++;
+    fs.appendFileSync(this.file, JSON.stringify(op) + '\n');
+    if (this.needsCompaction()) this.compact();
+  }
+
+  // Lines a compacted log would hold: the meta keys, one per table and one per row
+  liveOps() {
+    let ops = Object.keys(this.meta).length;
+    for (const table of this.tables.values()) ops += 1 + table.rows.size;
+    return ops;
+  }
+
+  // Whether enough of the log is overwritten or deleted rows to rewrite it
+  needsCompaction() {
+    return this.opsSinceCompact - this.liveOps() > COMPACT_AFTER_OPS;
+  }
+
+  table(name) {
+    const table = this.tables.get(name);
+    if (!table) {
+      throw new Error(`Unknown table "${name}" - is a migration missing?`);
+    }
+    return table;
+  }
+
+  createTable(name) {
+    if (this.tables.has(name)) return this.tables.get(name);
+    this.tables.set(name, new Table(this, name));
+    this.append({ op: 'createTable', table: name });
+    return this.tables.get(name);
+  }
+
+  setMeta(key, value) {
+    this.meta[key] = value;
+    this.append({ op: 'meta', key, value });
+  }
+
+  // Migrations are { version, name, up(db) } and run once, in version order
+  migrate(migrations) {
+    const pending = migrations
+      .filter(m => m.version > this.meta.schemaVersion)
+      .sort((a, b) => a.version - b.version);
+
+    for (const migration of pending) {
+      console.log(`🗄️ Running migration ${migration.version}: ${migration.name}`);
+      migration.up(this);
+      this.setMeta('schemaVersion', migration.version);
+    }
+  }
+
+  // Rewrite the log so it holds only the current state
+  compact() {
+    const tmp = `${this.file}.tmp`;
+    const lines = [];
+    for (const [key, value] of Object.entries(this.meta)) {
+      lines.push(JSON.stringify({ op: 'meta', key, value }));
+    }
+    for (const table of this.tables.values()) {
+      lines.push(JSON.stringify({ op: 'createTable', table: table.name }));
+      for (const row of table.rows.values()) {
+        lines.push(JSON.stringify({ op: 'put', table: table.name, row }));
+      }
+    }
+
+    fs.writeFileSync(tmp, lines.join('\n') + '\n');
+    fs.renameSync(tmp, this.file);
+    this.opsSinceCompact = lines.length;
+  }
+
+  dump() {
+    const tables = {};
+    for (const table of this.tables.values()) {
+      tables[table.name] = table.all();
+    }
+    return { meta: { ...this.meta }, exportedAt: new Date().toISOString(), tables };
+  }
+
+  // Replace the whole store with a dump() taken earlier
+  restore(dump, migrations = []) {
+    if (!dump || typeof dump.tables !== 'object') {
+      throw new Error('Backup must contain a "tables" object');
+    }
+
+    this.tables = new Map();
+    this.meta = { schemaVersion: 0, ...dump.meta };
+    for (const [name, rows] of Object.entries(dump.tables)) {
+      const table = new Table(this, name);
+      (rows || []).forEach(row => table.rows.set(row.id, row));
+      this.tables.set(name, table);
+    }
+
+    this.compact();
+    // Bring older backups up to the current schema
+    this.migrate(migrations);
+  }
+
+  stats() {
+    const tables = {};
+    for (const table of this.tables.values()) tables[table.name] = table.count();
+    return { file: this.file, schemaVersion: this.meta.schemaVersion, tables };
+  }
+}
+
+module.exports = { Database };
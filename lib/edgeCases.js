@@ -0,0 +1,242 @@
+// lib/edgeCases.js - Boundary test inputs generated from a problem's constraints
+//
+// Parameters and their types come from the parsed examples, ranges from the
+// parsed constraints (lib/problemInputs.js). The first collection parameter
+// gets the shape variations (empty/min/max size, duplicates, negatives,
+// sorted, reverse-sorted, all-equal, extremes); the others keep the values
+// from example 1. Output is seeded per problem, so the same problem always
+// gets the same inputs.
+const crypto = require('crypto');
+const { parseExample, parametersFrom, parseConstraints, formatInput } = require('./problemInputs');
+
+// LeetCode's testcase box struggles with huge inputs, so maximum sizes are capped
+const MAX_GENERATED_LENGTH = 10000;
+const DEFAULT_LENGTH = { min: 1, max: 1000 };
+const DEFAULT_CHARSET = 'abcdefghijklmnopqrstuvwxyz';
+
+const COLLECTION_TYPES = ['int[]', 'double[]', 'char[]', 'string', 'string[]', 'int[][]', 'double[][]', 'char[][]', 'string[][]'];
+const NUMERIC_TYPES = ['int', 'double', 'int[]', 'double[]', 'int[][]', 'double[][]'];
+
+// mulberry32: small, fast and good enough for test data
+function seededRandom(seed) {
+  let state = crypto.createHash('sha1').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Everything the generator needs to know about one parameter
+function describeParameter(parameter, { ranges, flags }, warnings) {
+  const { name, type, example } = parameter;
+  const length = ranges[`${name}.length`];
+  const value = ranges[`${name}.value`];
+  const inner = ranges[`${name}.innerLength`];
+
+  const spec = { ...parameter, unique: flags.unique, sorted: flags.sorted, charset: flags.charset || DEFAULT_CHARSET };
+
+  if (COLLECTION_TYPES.includes(type)) {
+    spec.length = {
+      min: length?.min ?? DEFAULT_LENGTH.min,
+      max: length?.max ?? DEFAULT_LENGTH.max
+    };
+    if (!length) warnings.push(`No length constraint found for ${name}; assuming ${DEFAULT_LENGTH.min}..${DEFAULT_LENGTH.max}`);
+
+    const rows = Array.isArray(example) && Array.isArray(example[0]) ? example[0].length : 3;
+    spec.inner = { min: inner?.min ?? 1, max: inner?.max ?? Math.max(rows, 1) };
+  }
+
+  if (NUMERIC_TYPES.includes(type)) {
+    const flat = [example].flat(2).filter(v => typeof v === 'number');
+    const fallback = flat.length > 0 && Math.min(...flat) >= 0 ? { min: 0, max: 1000 } : { min: -1000, max: 1000 };
+    spec.value = {
+      min: value?.min ?? fallback.min,
+      max: value?.max ?? fallback.max
+    };
+    if (!value) warnings.push(`No value range found for ${name}; assuming ${spec.value.min}..${spec.value.max}`);
+  }
+
+  return spec;
+}
+
+function createGenerator(random) {
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+  const numbers = (count, min, max, unique) => {
+    if (!unique) return Array.from({ length: count }, () => int(min, max));
+
+    const span = max - min + 1;
+    if (span <= count * 4) {
+      // Small range: shuffle the whole range and take a prefix
+      const all = Array.from({ length: Math.min(span, 100000) }, (_, i) => min + i);
+      for (let i = all.length - 1; i > 0; i--) {
+        const j = int(0, i);
+        [all[i], all[j]] = [all[j], all[i]];
+      }
+      return all.slice(0, count);
+    }
+    const seen = new Set();
+    while (seen.size < count) seen.add(int(min, max));
+    return [...seen];
+  };
+
+  const chars = (count, charset) => Array.from({ length: count }, () => charset[int(0, charset.length - 1)]);
+
+  // One collection of `count` items shaped by `mode`
+  function collection(spec, count, mode) {
+    const { type, charset } = spec;
+    const min = spec.value?.min;
+    const max = spec.value?.max;
+    let items;
+
+    if (type === 'string' || type === 'char[]') {
+      const pool = mode === 'duplicates' ? charset.slice(0, 2)
+        : mode === 'equal' ? charset[0]
+        : charset;
+      items = mode === 'extreme'
+        ? Array.from({ length: count }, (_, i) => (i % 2 ? charset[charset.length - 1] : charset[0]))
+        : chars(count, pool);
+    } else if (type === 'string[]') {
+      const word = () => chars(int(spec.inner.min, Math.min(spec.inner.max, 10)), charset).join('');
+      const first = word();
+      items = mode === 'equal' ? Array(count).fill(first)
+        : mode === 'duplicates' ? Array.from({ length: count }, (_, i) => (i % 2 ? first : word()))
+        : Array.from({ length: count }, word);
+    } else if (type.endsWith('[][]')) {
+      const columns = clamp(spec.inner.max, spec.inner.min, 50);
+      const textual = type.startsWith('char') || type.startsWith('string');
+      const fill = textual ? charset[0] : int(min, max);
+      const row = () => (mode === 'equal' ? Array(columns).fill(fill)
+        : mode === 'extreme' && !textual ? Array.from({ length: columns }, (_, i) => (i % 2 ? max : min))
+        : textual ? chars(columns, charset)
+        : numbers(columns, min, max, false));
+      return Array.from({ length: count }, row);
+    } else {
+      const low = min;
+      const high = mode === 'negative' ? Math.min(-1, max) : max;
+      items = mode === 'equal' ? Array(count).fill(int(min, max))
+        : mode === 'duplicates' ? numbers(count, low, Math.min(high, low + Math.max(1, Math.floor(count / 3))), false)
+        : mode === 'extreme' ? Array.from({ length: count }, (_, i) => (i % 2 ? max : min))
+        : numbers(count, low, high, spec.unique && mode !== 'duplicates');
+    }
+
+    if (mode === 'sorted' || spec.sorted) items.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    if (mode === 'reverse') items.sort((a, b) => (a < b ? 1 : a > b ? -1 : 0));
+
+    return type === 'string' ? items.join('') : items;
+  }
+
+  return { collection };
+}
+
+// Returns null when the examples can't be parsed into named parameters,
+// so the caller can fall back to asking the model.
+function generateEdgeCases({ slug, title, examples, constraints }) {
+  const parsed = (examples || []).map(parseExample).filter(Boolean);
+  if (parsed.length === 0) return null;
+
+  const parsedConstraints = parseConstraints(constraints);
+  const warnings = [];
+  const parameters = parametersFrom(parsed);
+  const specs = parameters.map(p => describeParameter(p, parsedConstraints, warnings));
+  const base = Object.fromEntries(parameters.map(p => [p.name, parsed[0].input[p.name] ?? p.example]));
+  const { collection } = createGenerator(seededRandom(slug || title || JSON.stringify(examples)));
+
+  // Scalars tied to a length ("n == nums.length") follow the generated collection
+  const withLinkedLengths = (values) => {
+    for (const [alias, target] of Object.entries(parsedConstraints.aliases)) {
+      if (alias in values && target.field === 'length' && values[target.name] !== undefined) {
+        values[alias] = values[target.name].length;
+      }
+    }
+    return values;
+  };
+
+  const cases = [];
+  const seen = new Set();
+  const add = (name, description, values) => {
+    const input = formatInput(parameters, withLinkedLengths(values));
+    if (seen.has(input)) return;
+    seen.add(input);
+    cases.push({ name, description, input });
+  };
+
+  const primary = specs.find(spec => COLLECTION_TYPES.includes(spec.type));
+
+  if (primary) {
+    const { name, length } = primary;
+    const maxLength = Math.min(length.max, MAX_GENERATED_LENGTH);
+    const exampleLength = Array.isArray(base[name]) || typeof base[name] === 'string' ? base[name].length : 6;
+    const size = clamp(Math.max(exampleLength, 6), length.min, maxLength);
+    const vary = (mode, count = size) => ({ ...base, [name]: collection(primary, count, mode) });
+
+    if (length.min === 0) {
+      add('Empty input', `${name} is empty`, vary('random', 0));
+      if (maxLength >= 1) add('Single element', `${name} has one element`, vary('random', 1));
+    } else {
+      add('Minimum size', `${name} has the minimum allowed size (${length.min})`, vary('random', length.min));
+    }
+
+    add('Maximum size',
+      maxLength < length.max
+        ? `${name} has ${maxLength} elements (capped; up to ${length.max} allowed) - checks for time limits`
+        : `${name} has the maximum allowed size (${length.max}) - checks for time limits`,
+      vary('random', maxLength));
+
+    // Ordering and duplicate patterns only make sense for flat collections
+    const flat = !primary.type.endsWith('[][]');
+    if (flat && !primary.unique) add('Duplicates', `${name} repeats the same few values`, vary('duplicates'));
+    if (flat && primary.value && primary.value.min < 0) add('Negative values', `every value in ${name} is negative`, vary('negative'));
+    if (flat) add('Sorted', `${name} is already sorted ascending`, vary('sorted'));
+    if (flat && !primary.sorted) add('Reverse sorted', `${name} is sorted descending`, vary('reverse'));
+    if (!primary.unique && size >= 2) add('All equal', `every element of ${name} is the same`, vary('equal'));
+    if (primary.value || primary.type === 'string' || primary.type === 'char[]') {
+      add('Extreme values', `${name} alternates between the smallest and largest allowed values`, vary('extreme'));
+    }
+  }
+
+  // Numeric scalars at both ends of their range
+  for (const spec of specs.filter(s => (s.type === 'int' || s.type === 'double') && s.value)) {
+    if (spec.name in parsedConstraints.aliases && primary) continue;
+    add(`${spec.name} at minimum`, `${spec.name} = ${spec.value.min}`, { ...base, [spec.name]: spec.value.min });
+    add(`${spec.name} at maximum`, `${spec.name} = ${spec.value.max}`, { ...base, [spec.name]: spec.value.max });
+  }
+
+  if (cases.length === 0) return null;
+
+  return {
+    parameters: parameters.map(({ name, type }) => ({ name, type })),
+    cases,
+    warnings,
+    source: 'constraints'
+  };
+}
+
+// Cases written by the model (fallback path): a ```json array of { name, description, input }
+function parseModelCases(text) {
+  const match = String(text || '').match(/```json\s*([\s\S]*?)```/i) || String(text || '').match(/(\[[\s\S]*\])/);
+  if (!match) return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(match[1]);
+  } catch (_) {
+    return null;
+  }
+  if (!Array.isArray(raw)) return null;
+
+  const cases = raw
+    .filter(item => item && typeof item.input === 'string' && item.input.trim())
+    .map((item, i) => ({
+      name: typeof item.name === 'string' && item.name.trim() ? item.name.trim() : `Case ${i + 1}`,
+      description: typeof item.description === 'string' ? item.description.trim() : '',
+      input: item.input.trim()
+    }));
+  return cases.length > 0 ? cases : null;
+}
+
+module.exports = { generateEdgeCases, parseModelCases, seededRandom, describeParameter, createGenerator, COLLECTION_TYPES, MAX_GENERATED_LENGTH };
@@ -0,0 +1,68 @@
+// lib/failureDiagnosis.js - Describe a failed LeetCode Run/Submit for the diagnosis prompt
+//
+// The extension reads the verdict, the failing testcase and the runtime stats
+// from LeetCode's result panel and sends them as `failure` with a
+// failure_diagnosis request. This turns them into text for the prompt, along
+// with what to look at first for that kind of verdict.
+const MAX_FIELD_LENGTH = 1500;
+
+const VERDICT_FOCUS = {
+  'Wrong Answer': 'Trace the code on the failing input and find the first point where its state differs from what a correct solution would have: an unhandled edge case, an off-by-one boundary, or a wrong assumption about the input.',
+  'Time Limit Exceeded': 'Compare the time complexity of the code with what the constraints allow (roughly 10^8 simple operations per second) and find the part that grows too fast on the last executed input, or a loop that never ends.',
+  'Runtime Error': 'Find the line that raised the error and the input condition that triggers it: an index out of range, a null/None dereference, a division by zero, or recursion that goes too deep.',
+  'Memory Limit Exceeded': 'Find the data structure that grows too large on this input (a full DP table, copies of slices or strings, a queue or recursion stack that keeps growing) and what would need less memory.',
+  'Output Limit Exceeded': 'Look for print/console.log calls left in the code, especially inside loops.',
+  'Compile Error': 'Read the compiler message: find the line it points at and what the language expected there.'
+};
+const DEFAULT_FOCUS = 'Work out from the verdict and the failing input what went wrong.';
+
+const VERDICTS = Object.keys(VERDICT_FOCUS);
+
+// The canonical verdict for whatever the page showed ("wrong answer", "TLE", "Compilation Error")
+function normalizeVerdict(text) {
+  const value = String(text || '').toLowerCase();
+  if (/wrong answer/.test(value)) return 'Wrong Answer';
+  if (/time limit|\btle\b/.test(value)) return 'Time Limit Exceeded';
+  if (/memory limit|\bmle\b/.test(value)) return 'Memory Limit Exceeded';
+  if (/output limit/.test(value)) return 'Output Limit Exceeded';
+  if (/runtime error/.test(value)) return 'Runtime Error';
+  if (/compil(e|ation) error/.test(value)) return 'Compile Error';
+  return null;
+}
+
+function clip(value) {
+  const text = String(value).trim();
+  return text.length > MAX_FIELD_LENGTH ? `${text.slice(0, MAX_FIELD_LENGTH)}\n... (truncated)` : text;
+}
+
+// failure: { verdict, source: 'run' | 'submit', input, expected, actual, error,
+// stdout, runtime, memory, testcasesPassed, testcasesTotal }; all but verdict optional
+function describeFailure(failure) {
+  if (!failure || typeof failure !== 'object') return '(No details of the failed run were captured.)';
+
+  const verdict = normalizeVerdict(failure.verdict) || String(failure.verdict || 'Unknown verdict');
+  const passed = Number.isInteger(failure.testcasesPassed) && Number.isInteger(failure.testcasesTotal)
+    ? ` (${failure.testcasesPassed}/${failure.testcasesTotal} testcases passed)`
+    : '';
+  const lines = [`Verdict: ${verdict} on ${failure.source === 'run' ? 'Run' : 'Submit'}${passed}`];
+
+  const field = (label, value) => {
+    if (value !== undefined && value !== null && String(value).trim()) lines.push(`${label}:\n${clip(value)}`);
+  };
+  // LeetCode shows the input it was working on when it stopped a slow or crashing run
+  field(verdict === 'Wrong Answer' ? 'Failing input' : 'Last executed input', failure.input);
+  field('Expected output', failure.expected);
+  field("Student's output", failure.actual);
+  field('Error message', failure.error);
+  field('Stdout', failure.stdout);
+
+  const stats = [failure.runtime && `runtime ${failure.runtime}`, failure.memory && `memory ${failure.memory}`].filter(Boolean);
+  if (stats.length > 0) lines.push(`Stats: ${stats.join(', ')}`);
+  return lines.join('\n');
+}
+
+function failureFocus(failure) {
+  return VERDICT_FOCUS[normalizeVerdict(failure?.verdict)] || DEFAULT_FOCUS;
+}
+
+module.exports = { describeFailure, failureFocus, normalizeVerdict, VERDICTS };
@@ -0,0 +1,273 @@
+// lib/harness/runner.js - LeetCode-style harness for JavaScript solutions
+//
+// Copied into a temporary directory next to solution.js and cases.json and run
+// by lib/codeRunner.js under Node's permission model, so the solution can read
+// only that directory and cannot spawn processes or write files. Prints one
+// marker-prefixed JSON line per case so partial results survive a timeout.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const MARKER = '\u0001RESULT ';
+const MAX_CASE_STDOUT = 10000;
+
+const source = fs.readFileSync(path.join(__dirname, 'solution.js'), 'utf8');
+// `benchmark` ({ minTotalMs, maxRuns }) repeats each call on fresh copies of the
+// arguments and reports the fastest run instead of the result. `trace`
+// ({ maxSteps, maxChars }) records the steps lib/tracer.js compiled into the solution.
+const { cases, caseTimeoutMs, benchmark, trace } = JSON.parse(fs.readFileSync(path.join(__dirname, 'cases.json'), 'utf8'));
+
+function ListNode(val, next) {
+  this.val = val === undefined ? 0 : val;
+  this.next = next === undefined ? null : next;
+}
+
+function TreeNode(val, left, right) {
+  this.val = val === undefined ? 0 : val;
+  this.left = left === undefined ? null : left;
+  this.right = right === undefined ? null : right;
+}
+
+function toList(values) {
+  const head = new ListNode();
+  let tail = head;
+  for (const value of values || []) {
+    tail.next = new ListNode(value);
+    tail = tail.next;
+  }
+  return head.next;
+}
+
+function fromList(node) {
+  const values = [];
+  for (let seen = 0; node && seen < 100000; seen++, node = node.next) values.push(node.val);
+  return values;
+}
+
+// Level-order with nulls for missing children, as LeetCode prints trees
+function toTree(values) {
+  if (!values || values.length === 0 || values[0] === null) return null;
+  const root = new TreeNode(values[0]);
+  const queue = [root];
+  let i = 1;
+  while (queue.length > 0 && i < values.length) {
+    const node = queue.shift();
+    if (i < values.length && values[i] !== null) queue.push(node.left = new TreeNode(values[i]));
+    i++;
+    if (i < values.length && values[i] !== null) queue.push(node.right = new TreeNode(values[i]));
+    i++;
+  }
+  return root;
+}
+
+function fromTree(root) {
+  const values = [];
+  const queue = [root];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    values.push(node ? node.val : null);
+    if (node) queue.push(node.left, node.right);
+  }
+  while (values.length > 0 && values[values.length - 1] === null) values.pop();
+  return values;
+}
+
+function serialize(value) {
+  if (value instanceof ListNode) return fromList(value);
+  if (value instanceof TreeNode) return fromTree(value);
+  if (value === undefined) return null;
+  if (value instanceof Set) return [...value];
+  if (value instanceof Map) return Object.fromEntries(value);
+  return value;
+}
+
+// Variables as plain JSON for the step-through view: collections are cut
+// short, linked lists and trees flattened, functions left out
+const SNAPSHOT = { items: 30, string: 100, depth: 3 };
+
+function take(iterable) {
+  const items = [];
+  for (const item of iterable) {
+    if (items.length === SNAPSHOT.items) break;
+    items.push(item);
+  }
+  return items;
+}
+
+// Only the first nodes, so a list with a cycle still ends
+function listValues(node) {
+  const values = [];
+  for (; node && values.length < SNAPSHOT.items; node = node.next) values.push(snapshot(node.val, SNAPSHOT.depth - 1));
+  return values;
+}
+
+function snapshot(value, depth = 0) {
+  if (value === null || typeof value === 'boolean') return value;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : String(value);
+  if (typeof value === 'bigint') return String(value);
+  if (typeof value === 'string') return value.length > SNAPSHOT.string ? `${value.slice(0, SNAPSHOT.string)}…` : value;
+  if (typeof value !== 'object') return undefined;
+  if (value instanceof ListNode) return { __type: 'list', values: listValues(value) };
+  if (value instanceof TreeNode) return { __type: 'tree', values: fromTree(value).slice(0, SNAPSHOT.items * 2) };
+  if (depth >= SNAPSHOT.depth) return '…';
+
+  const item = (v) => snapshot(v, depth + 1) ?? null;
+  const more = (total) => (total > SNAPSHOT.items ? [`…${total - SNAPSHOT.items} more`] : []);
+  // Collections come from the solution's own realm, so instanceof Map/Set won't match
+  const tag = Object.prototype.toString.call(value);
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    return Array.prototype.slice.call(value, 0, SNAPSHOT.items).map(item).concat(more(value.length));
+  }
+  if (tag === '[object Set]') return { __type: 'set', size: value.size, values: take(value).map(item) };
+  if (tag === '[object Map]') return { __type: 'map', size: value.size, entries: take(value).map(([k, v]) => [item(k), item(v)]) };
+
+  const entries = Object.entries(value);
+  const proto = Object.getPrototypeOf(value);
+  if (!proto || proto.constructor?.name === 'Object') {
+    return { __type: 'map', size: entries.length, entries: take(entries).map(([k, v]) => [k, item(v)]) };
+  }
+  const fields = take(entries).map(([k, v]) => [k, snapshot(v, depth + 1)]).filter(([, v]) => v !== undefined);
+  return { __type: 'object', name: proto.constructor?.name || 'Object', fields: Object.fromEntries(fields) };
+}
+
+const TRACE_LIMIT = new Error('Trace step limit reached');
+let steps = [];
+let traceChars = 0;
+let traceDepth = 0;
+
+// `getters` maps each variable in scope to a closure reading it; a `let`
+// further down the block throws until its declaration has run
+function recordStep(step, getters) {
+  if (steps.length >= trace.maxSteps || traceChars >= trace.maxChars) throw TRACE_LIMIT;
+  const locals = {};
+  for (const [name, get] of Object.entries(getters)) {
+    let value;
+    try {
+      value = snapshot(get());
+    } catch (_) {
+      continue;
+    }
+    if (value !== undefined) locals[name] = value;
+  }
+  const recorded = { ...step, depth: traceDepth - 1, locals };
+  traceChars += JSON.stringify(recorded).length;
+  steps.push(recorded);
+}
+
+const format = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+let stdout = '';
+const write = (...args) => {
+  if (stdout.length < MAX_CASE_STDOUT) stdout += args.map(format).join(' ') + '\n';
+};
+const context = vm.createContext({
+  console: { log: write, info: write, warn: write, error: write, debug: write },
+  ListNode,
+  TreeNode
+});
+if (trace) {
+  Object.assign(context, {
+    __enter: () => { traceDepth++; },
+    __exit: () => { traceDepth--; },
+    __trace: (line, fn, getters) => recordStep({ line, function: fn, event: 'line' }, getters),
+    __ret: (line, fn, getters, value) => {
+      recordStep({ line, function: fn, event: 'return', returnValue: snapshot(value) ?? null }, getters);
+      return value;
+    }
+  });
+}
+
+// Top-level functions the solution declares: `var twoSum = function`, `function twoSum`, arrows
+const names = [...new Set([...source.matchAll(
+  /(?:^|\n)\s*(?:function\s+([A-Za-z_$][\w$]*)|(?:var|let|const)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>))/g
+)].map(match => match[1] || match[2]))];
+
+// `@param {ListNode} head` in the LeetCode template tells us which arguments to convert
+const paramTypes = Object.fromEntries([...source.matchAll(/@param\s*\{\s*([\w[\]|]+)\s*\}\s*([A-Za-z_$][\w$]*)/g)].map(m => [m[2], m[1]]));
+
+// maxRSS is the process peak so far, in kilobytes
+function emit(result) {
+  process.stdout.write(MARKER + JSON.stringify({ ...result, peakRssKb: process.resourceUsage().maxRSS }) + '\n');
+}
+
+let functions;
+try {
+  const listing = names.map(name => `${JSON.stringify(name)}: typeof ${name} === 'undefined' ? undefined : ${name}`).join(', ');
+  functions = vm.runInContext(`${source}\n;({ ${listing} })`, context, { filename: 'solution.js', timeout: caseTimeoutMs });
+} catch (error) {
+  for (const testCase of cases) {
+    emit({ index: testCase.index, error: `${error.name}: ${error.message}`, stdout, timeMs: 0 });
+  }
+  process.exit(0);
+}
+
+function pickEntry(argCount) {
+  const candidates = names.map(name => [name, functions[name]]).filter(([, fn]) => typeof fn === 'function');
+  return candidates.find(([, fn]) => fn.length === argCount) || candidates[0] || null;
+}
+
+function parameterNames(fn) {
+  const match = fn.toString().match(/^[^(]*\(([^)]*)\)/) || fn.toString().match(/^\s*([A-Za-z_$][\w$]*)\s*=>/);
+  return match ? match[1].split(',').map(p => p.trim().replace(/=.*$/, '')).filter(Boolean) : [];
+}
+
+for (const testCase of cases) {
+  stdout = '';
+  steps = [];
+  traceChars = 0;
+  traceDepth = 0;
+  const entry = pickEntry(testCase.args.length);
+  if (!entry) {
+    emit({ index: testCase.index, error: 'No function found in the solution', stdout, timeMs: 0 });
+    continue;
+  }
+
+  const [name, fn] = entry;
+  const params = parameterNames(fn);
+  const convert = (values) => values.map((value, i) => {
+    const type = paramTypes[params[i]] || '';
+    if (/ListNode/.test(type)) return toList(value);
+    if (/TreeNode/.test(type)) return toTree(value);
+    return value;
+  });
+
+  let started = process.hrtime.bigint();
+  try {
+    context.__entry = fn;
+    const times = [];
+    let args;
+    let returned;
+    do {
+      // Solutions may sort or mutate their input, so every repeat gets a fresh copy
+      args = convert(benchmark ? structuredClone(testCase.args) : testCase.args);
+      context.__args = args;
+      started = process.hrtime.bigint();
+      returned = vm.runInContext('__entry.apply(null, __args)', context, { timeout: caseTimeoutMs });
+      times.push(Number(process.hrtime.bigint() - started) / 1e6);
+    } while (benchmark && times.length < benchmark.maxRuns && times.reduce((a, b) => a + b, 0) < benchmark.minTotalMs);
+
+    if (benchmark) {
+      emit({ index: testCase.index, entry: name, runs: times.length, stdout, timeMs: Math.min(...times) });
+      continue;
+    }
+    // In-place problems return nothing; LeetCode checks the first argument instead
+    const actual = returned === undefined ? serialize(args[0]) : serialize(returned);
+    emit({ index: testCase.index, entry: name, actual, inPlace: returned === undefined, stdout, timeMs: times[0], ...(trace && { steps, truncated: false }) });
+  } catch (error) {
+    const timeMs = Number(process.hrtime.bigint() - started) / 1e6;
+    if (error === TRACE_LIMIT) {
+      emit({ index: testCase.index, entry: name, steps, truncated: true, stdout, timeMs });
+      continue;
+    }
+    const timedOut = error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+    emit({
+      index: testCase.index,
+      entry: name,
+      error: timedOut ? 'Time limit exceeded' : `${error.name}: ${error.message}`,
+      timedOut,
+      stdout,
+      timeMs,
+      // The steps up to the error are the interesting part of a trace
+      ...(trace && { steps, truncated: false })
+    });
+  }
+}
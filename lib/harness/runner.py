@@ -0,0 +1,409 @@
+# lib/harness/runner.py - LeetCode-style harness for Python solutions
+#
+# Copied into a temporary directory next to solution.py and cases.json and run
+# by lib/codeRunner.js with CPU and memory limits. Prints one marker-prefixed
+# JSON line per case so partial results survive a timeout. Before the solution
+# runs, an audit hook confines it to this directory (see confine()).
+import contextlib
+import copy
+import inspect
+import io
+import json
+import os
+import resource
+import signal
+import sys
+import time
+
+# LeetCode pre-imports these, and solutions rely on it
+import bisect, collections, functools, heapq, itertools, math, random, re, string  # noqa: E401,F401
+from bisect import *  # noqa: F401,F403
+from collections import *  # noqa: F401,F403
+from functools import *  # noqa: F401,F403
+from heapq import *  # noqa: F401,F403
+from itertools import *  # noqa: F401,F403
+from math import *  # noqa: F401,F403
+from typing import *  # noqa: F401,F403
+
+MARKER = '\u0001RESULT '
+MAX_CASE_STDOUT = 10000
+HERE = os.path.dirname(os.path.abspath(__file__))
+
+sys.setrecursionlimit(10000)
+
+
+class ListNode:
+    def __init__(self, val=0, next=None):
+        self.val = val
+        self.next = next
+
+
+class TreeNode:
+    def __init__(self, val=0, left=None, right=None):
+        self.val = val
+        self.left = left
+        self.right = right
+
+
+def to_list(values):
+    head = tail = ListNode()
+    for value in values or []:
+        tail.next = ListNode(value)
+        tail = tail.next
+    return head.next
+
+
+def from_list(node):
+    values = []
+    while node and len(values) < 100000:
+        values.append(node.val)
+        node = node.next
+    return values
+
+
+def to_tree(values):
+    if not values or values[0] is None:
+        return None
+    root = TreeNode(values[0])
+    queue = collections.deque([root])
+    i = 1
+    while queue and i < len(values):
+        node = queue.popleft()
+        if i < len(values) and values[i] is not None:
+            node.left = TreeNode(values[i])
+            queue.append(node.left)
+        i += 1
+        if i < len(values) and values[i] is not None:
+            node.right = TreeNode(values[i])
+            queue.append(node.right)
+        i += 1
+    return root
+
+
+def from_tree(root):
+    values = []
+    queue = collections.deque([root])
+    while queue:
+        node = queue.popleft()
+        values.append(node.val if node else None)
+        if node:
+            queue.append(node.left)
+            queue.append(node.right)
+    while values and values[-1] is None:
+        values.pop()
+    return values
+
+
+def serialize(value):
+    if isinstance(value, ListNode):
+        return from_list(value)
+    if isinstance(value, TreeNode):
+        return from_tree(value)
+    if isinstance(value, (set, frozenset, tuple)):
+        return list(value)
+    return value
+
+
+# Variables as plain JSON for the step-through view: collections are cut
+# short, linked lists and trees flattened, functions and modules left out
+SNAPSHOT_ITEMS = 30
+SNAPSHOT_STRING = 100
+SNAPSHOT_DEPTH = 3
+SKIP = object()
+
+
+def snapshot(value, depth=0):
+    if value is None or isinstance(value, bool):
+        return value
+    if isinstance(value, int):
+        return value if abs(value) < 2 ** 53 else str(value)
+    if isinstance(value, float):
+        return value if math.isfinite(value) else str(value)
+    if isinstance(value, str):
+        return value[:SNAPSHOT_STRING] + '…' if len(value) > SNAPSHOT_STRING else value
+    if callable(value) or inspect.ismodule(value):
+        return SKIP
+    if isinstance(value, ListNode):
+        # Only the first nodes, so a list with a cycle still ends
+        values = []
+        while value and len(values) < SNAPSHOT_ITEMS:
+            values.append(snapshot(value.val, SNAPSHOT_DEPTH - 1))
+            value = value.next
+        return {'__type': 'list', 'values': values}
+    if isinstance(value, TreeNode):
+        return {'__type': 'tree', 'values': from_tree(value)[:SNAPSHOT_ITEMS * 2]}
+    if depth >= SNAPSHOT_DEPTH:
+        return '…'
+
+    def item(v):
+        v = snapshot(v, depth + 1)
+        return None if v is SKIP else v
+
+    first = lambda items: itertools.islice(items, SNAPSHOT_ITEMS)  # noqa: E731
+    if isinstance(value, (list, tuple, collections.deque)):
+        more = [f'…{len(value) - SNAPSHOT_ITEMS} more'] if len(value) > SNAPSHOT_ITEMS else []
+        return [item(v) for v in first(value)] + more
+    if isinstance(value, (set, frozenset)):
+        return {'__type': 'set', 'size': len(value), 'values': [item(v) for v in first(value)]}
+    if isinstance(value, dict):
+        return {'__type': 'map', 'size': len(value), 'entries': [[item(k), item(v)] for k, v in first(value.items())]}
+    if isinstance(getattr(value, '__dict__', None), dict):
+        fields = ((k, snapshot(v, depth + 1)) for k, v in first(vars(value).items()))
+        return {'__type': 'object', 'name': type(value).__name__, 'fields': {k: v for k, v in fields if v is not SKIP}}
+    return str(value)[:SNAPSHOT_STRING]
+
+
+class TraceLimit(Exception):
+    pass
+
+
+# sys.settrace hooks recording one step per line run in solution.py
+class Tracer:
+    def __init__(self, max_steps, max_chars):
+        self.max_steps = max_steps
+        self.max_chars = max_chars
+        self.steps = []
+        self.chars = 0
+        self.depth = 0
+        self.truncated = False
+        self.unwinding = None
+
+    def record(self, frame, event, **extra):
+        if len(self.steps) >= self.max_steps or self.chars >= self.max_chars:
+            self.truncated = True
+            # Python turns tracing off when a trace function raises
+            raise TraceLimit()
+        local_vars = {}
+        for name, value in frame.f_locals.items():
+            value = snapshot(value)
+            if name != 'self' and not name.startswith('__') and value is not SKIP:
+                local_vars[name] = value
+        step = {'line': frame.f_lineno, 'function': frame.f_code.co_name, 'event': event, **extra,
+                'depth': self.depth - 1, 'locals': local_vars}
+        self.chars += len(json.dumps(step, default=str))
+        self.steps.append(step)
+
+    def on_call(self, frame, event, arg):
+        if frame.f_code.co_filename != 'solution.py':
+            return None
+        self.depth += 1
+        return self.on_event
+
+    def on_event(self, frame, event, arg):
+        if event == 'line':
+            self.unwinding = None
+            self.record(frame, 'line')
+        elif event == 'exception':
+            self.unwinding = frame
+        elif event == 'return':
+            try:
+                # A frame left by an exception "returns" None; that isn't a return value
+                if self.unwinding is not frame:
+                    value = snapshot(arg)
+                    self.record(frame, 'return', returnValue=None if value is SKIP else value)
+            finally:
+                self.depth -= 1
+        return self.on_event
+
+
+def trace_fields(tracer):
+    return {'steps': tracer.steps, 'truncated': tracer.truncated} if tracer else {}
+
+
+def run_traced(tracer, method, args):
+    sys.settrace(tracer.on_call)
+    try:
+        return method(*args)
+    finally:
+        sys.settrace(None)
+
+
+class CaseTimeout(Exception):
+    pass
+
+
+def on_timeout(signum, frame):
+    raise CaseTimeout()
+
+
+class LimitedStdout(io.StringIO):
+    def write(self, text):
+        if self.tell() < MAX_CASE_STDOUT:
+            return super().write(text)
+        return len(text)
+
+
+def peak_rss_kb():
+    peak = resource.getrusage(resource.RUSAGE_SELF).ru_maxrss
+    # Linux reports kilobytes, macOS bytes
+    return peak // 1024 if sys.platform == 'darwin' else peak
+
+
+def emit(result):
+    result['peakRssKb'] = peak_rss_kb()
+    sys.__stdout__.write(MARKER + json.dumps(result, default=str) + '\n')
+    sys.__stdout__.flush()
+
+
+def pick_entry(solution, arg_count):
+    methods = [
+        (name, getattr(solution, name))
+        for name, member in type(solution).__dict__.items()
+        if callable(member) and not name.startswith('_')
+    ]
+    for name, method in methods:
+        if len(inspect.signature(method).parameters) == arg_count:
+            return name, method
+    return methods[0] if methods else (None, None)
+
+
+def convert_args(method, args):
+    params = list(inspect.signature(method).parameters.values())
+    converted = []
+    for i, value in enumerate(args):
+        annotation = str(params[i].annotation) if i < len(params) else ''
+        if 'ListNode' in annotation:
+            converted.append(to_list(value))
+        elif 'TreeNode' in annotation:
+            converted.append(to_tree(value))
+        else:
+            converted.append(value)
+    return converted
+
+
+# Audit events a solution has no business raising at all
+BLOCKED_EVENTS = ('socket.', 'subprocess.', 'os.exec', 'os.spawn', 'os.posix_spawn', 'os.fork', 'os.system',
+                  'os.kill', 'pty.', 'ctypes.', 'resource.setrlimit', 'resource.prlimit', 'winreg.', 'webbrowser.')
+# Audit events whose path arguments the solution would change
+WRITE_EVENTS = ('os.remove', 'os.rename', 'os.rmdir', 'os.mkdir', 'os.chmod', 'os.chown', 'os.truncate',
+                'os.utime', 'os.symlink', 'os.link', 'shutil.')
+WRITE_FLAGS = os.O_WRONLY | os.O_RDWR | os.O_CREAT | os.O_APPEND | os.O_TRUNC
+
+
+def confine():
+    # Reads are allowed here and in the directories modules are imported
+    # from; writes only here. Audit hooks can't be removed once added.
+    here = os.path.realpath(HERE)
+    readable = [here] + [os.path.realpath(p) for p in sys.path if p and os.path.isdir(p)]
+
+    def inside(path, roots):
+        if isinstance(path, int):
+            return True  # an already open descriptor
+        path = os.path.realpath(os.fsdecode(path))
+        return any(path == root or path.startswith(root + os.sep) for root in roots)
+
+    def hook(event, args):
+        if event.startswith(BLOCKED_EVENTS):
+            raise PermissionError(f'{event} is not allowed in the sandbox')
+        if event == 'open':
+            path, mode, flags = args
+            writes = any(c in (mode or '') for c in 'wax+') or bool((flags or 0) & WRITE_FLAGS)
+            if path is not None and not inside(path, [here] if writes else readable):
+                raise PermissionError(f'Access to {path} is not allowed in the sandbox')
+        elif event in ('os.listdir', 'os.scandir'):
+            if args[0] is not None and not inside(args[0], readable):
+                raise PermissionError(f'Access to {args[0]} is not allowed in the sandbox')
+        elif event.startswith(WRITE_EVENTS):
+            paths = [arg for arg in args if isinstance(arg, (str, bytes, os.PathLike))]
+            if not all(inside(path, [here]) for path in paths):
+                raise PermissionError(f'{event} is not allowed outside the run directory')
+
+    sys.addaudithook(hook)
+
+
+def main():
+    with open(os.path.join(HERE, 'cases.json')) as f:
+        spec = json.load(f)
+    with open(os.path.join(HERE, 'solution.py')) as f:
+        source = f.read()
+    confine()
+
+    namespace = dict(globals())
+    namespace['__name__'] = 'solution'
+    stdout = LimitedStdout()
+    try:
+        with contextlib.redirect_stdout(stdout):
+            exec(compile(source, 'solution.py', 'exec'), namespace)
+        solution = namespace['Solution']()
+    except Exception as error:
+        for case in spec['cases']:
+            emit({'index': case['index'], 'error': f'{type(error).__name__}: {error}', 'stdout': stdout.getvalue(), 'timeMs': 0})
+        return
+
+    timeout_seconds = spec['caseTimeoutMs'] / 1000
+    # {minTotalMs, maxRuns}: repeat each call on fresh copies and report the fastest run
+    benchmark = spec.get('benchmark')
+    # {maxSteps, maxChars}: record the lines the call runs, with its variables
+    trace = spec.get('trace')
+    use_timer = hasattr(signal, 'setitimer')
+    if use_timer:
+        signal.signal(signal.SIGALRM, on_timeout)
+
+    for case in spec['cases']:
+        name, method = pick_entry(solution, len(case['args']))
+        if method is None:
+            emit({'index': case['index'], 'error': 'No method found on class Solution', 'stdout': '', 'timeMs': 0})
+            continue
+
+        stdout = LimitedStdout()
+        tracer = Tracer(trace['maxSteps'], trace['maxChars']) if trace else None
+        started = time.perf_counter()
+        try:
+            times = []
+            while True:
+                # Solutions may sort or mutate their input, so every repeat gets a fresh copy
+                args = convert_args(method, copy.deepcopy(case['args']) if benchmark else case['args'])
+                started = time.perf_counter()
+                if use_timer:
+                    signal.setitimer(signal.ITIMER_REAL, timeout_seconds)
+                with contextlib.redirect_stdout(stdout):
+                    returned = run_traced(tracer, method, args) if tracer else method(*args)
+                if use_timer:
+                    signal.setitimer(signal.ITIMER_REAL, 0)
+                times.append((time.perf_counter() - started) * 1000)
+                if not benchmark or len(times) >= benchmark['maxRuns'] or sum(times) >= benchmark['minTotalMs']:
+                    break
+
+            if benchmark:
+                emit({'index': case['index'], 'entry': name, 'runs': len(times), 'stdout': stdout.getvalue(), 'timeMs': min(times)})
+                continue
+            # In-place problems return None; LeetCode checks the first argument instead
+            actual = serialize(args[0] if returned is None and args else returned)
+            emit({
+                'index': case['index'], 'entry': name, 'actual': actual, 'inPlace': returned is None,
+                'stdout': stdout.getvalue(), 'timeMs': times[0], **trace_fields(tracer)
+            })
+        except TraceLimit:
+            if use_timer:
+                signal.setitimer(signal.ITIMER_REAL, 0)
+            emit({
+                'index': case['index'], 'entry': name, 'stdout': stdout.getvalue(),
+                'timeMs': (time.perf_counter() - started) * 1000, **trace_fields(tracer)
+            })
+        except CaseTimeout:
+            emit({
+                'index': case['index'], 'entry': name, 'error': 'Time limit exceeded', 'timedOut': True,
+                'stdout': stdout.getvalue(), 'timeMs': (time.perf_counter() - started) * 1000, **trace_fields(tracer)
+            })
+        except BaseException as error:  # noqa: B902 - RecursionError, MemoryError and SystemExit all count as failures
+            if use_timer:
+                signal.setitimer(signal.ITIMER_REAL, 0)
+            line = traceback_line(error)
+            emit({
+                'index': case['index'], 'entry': name, 'error': f'{type(error).__name__}: {error}{line}',
+                'stdout': stdout.getvalue(), 'timeMs': (time.perf_counter() - started) * 1000, **trace_fields(tracer)
+            })
+
+
+def traceback_line(error):
+    tb = error.__traceback__
+    line = None
+    while tb:
+        if tb.tb_frame.f_code.co_filename == 'solution.py':
+            line = tb.tb_lineno
+        tb = tb.tb_next
+    return f' (line {line})' if line else ''
+
+
+if __name__ == '__main__':
+    main()
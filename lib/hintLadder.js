@@ -0,0 +1,77 @@
+// lib/hintLadder.js - Progressive hints for a student who is stuck on a problem
+//
+// Each problem gets the same ladder of hints, from "which pattern applies" up
+// to a pseudocode skeleton. A generated hint is stored in the hints table per
+// problem slug and level, and per provider, model and prompt version, so every
+// student asking for level N of a problem with the same setup sees the same
+// text, and a new model or prompt writes its own.
+const HINT_LEVELS = [
+  {
+    name: 'Which pattern applies',
+    focus: 'Name the family of techniques this problem belongs to (e.g. two pointers, sliding window, BFS, DP) without saying how to apply it.'
+  },
+  {
+    name: 'Key observation',
+    focus: 'Point out the property of the input or constraints that makes that pattern work here.'
+  },
+  {
+    name: 'Approach outline',
+    focus: 'Describe the overall approach and the main data structure in plain words, without step-by-step details.'
+  },
+  {
+    name: 'Key invariant',
+    focus: 'State what must stay true at every step (the loop invariant or the DP state and transition) and why it leads to the answer.'
+  },
+  {
+    name: 'Pseudocode skeleton',
+    focus: 'Give a short language-neutral pseudocode skeleton with the tricky lines left as blanks or comments for the student to fill in.'
+  }
+];
+
+const MAX_HINT_LEVEL = HINT_LEVELS.length;
+
+function hintLevel(level) {
+  const n = Number(level);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_HINT_LEVEL) {
+    throw new Error(`level must be an integer from 1 to ${MAX_HINT_LEVEL}`);
+  }
+  return { level: n, maxLevel: MAX_HINT_LEVEL, ...HINT_LEVELS[n - 1] };
+}
+
+const hintId = (slug, level, { provider, model, promptVersion }) => `${slug}:${level}:${provider}:${model}:${promptVersion}`;
+
+class HintStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  get hints() {
+    return this.db.table('hints');
+  }
+
+  // `source` is { provider, model, promptVersion }
+  get(slug, level, source) {
+    return this.hints.get(hintId(slug, level, source));
+  }
+
+  // Hints below `level` that already exist for the same source, lowest first
+  previous(slug, level, source) {
+    return this.hints.find(h => h.slug === slug && h.level < level && hintId(h.slug, h.level, h) === hintId(slug, h.level, source))
+      .sort((a, b) => a.level - b.level);
+  }
+
+  save(slug, level, { hint, provider, model, promptVersion }) {
+    return this.hints.put({
+      id: hintId(slug, level, { provider, model, promptVersion }),
+      slug,
+      level,
+      hint,
+      provider,
+      model,
+      promptVersion,
+      createdAt: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = { HintStore, hintLevel, HINT_LEVELS, MAX_HINT_LEVEL };
@@ -0,0 +1,65 @@
+// lib/migrations.js - Schema history for the embedded store (lib/db.js)
+//
+// Append new migrations at the end with the next version number; never edit
+// one that has already shipped.
+
+module.exports = [
+  {
+    version: 1,
+    name: 'create sessions, messages and code snapshots',
+    up(db) {
+      db.createTable('sessions');
+      db.createTable('messages');
+      db.createTable('code_snapshots');
+    }
+  },
+  {
+    version: 2,
+    name: 'create feedback and usage counters',
+    up(db) {
+      db.createTable('feedback');
+      db.createTable('usage');
+    }
+  },
+  {
+    version: 3,
+    name: 'create hints',
+    up(db) {
+      db.createTable('hints');
+    }
+  },
+  {
+    version: 4,
+    name: 'create reference solutions',
+    up(db) {
+      db.createTable('reference_solutions');
+    }
+  },
+  {
+    version: 5,
+    name: 'create profile events',
+    up(db) {
+      db.createTable('profile_events');
+    }
+  },
+  {
+    version: 6,
+    name: 'create mock interviews',
+    up(db) {
+      db.createTable('interviews');
+      db.createTable('interview_turns');
+    }
+  },
+  {
+    version: 7,
+    name: 'key hints by provider, model and prompt version',
+    up(db) {
+      const hints = db.table('hints');
+      for (const row of hints.all()) {
+        hints.delete(row.id);
+        // Placeholder text from the offline stub was never a real hint
+        if (row.provider !== 'stub') hints.put({ ...row, id: `${row.slug}:${row.level}:${row.provider}:${row.model}:${row.promptVersion}` });
+      }
+    }
+  }
+];
@@ -0,0 +1,308 @@
+// lib/mockInterview.js - Timed mock interviews and their graded reports
+//
+// An interview walks through PHASES in order with the model as interviewer.
+// The problem is saved with the interview when it starts, so every turn and
+// the report are prompted with the same statement, examples and constraints.
+// Every message is kept in the interview_turns table; when the student ends
+// the interview the model grades the transcript against RUBRIC and writes a
+// fenced ```json block with the scores, which is validated here and saved
+// with the interview so reports can be compared over time.
+const crypto = require('crypto');
+const { slugFromUrl } = require('./sessionStore');
+
+const PHASES = [
+  {
+    id: 'clarify',
+    name: 'Clarify',
+    minutes: 5,
+    goal: 'Restate the problem, ask about input sizes, edge cases and expected output.',
+    focus: 'Answer clarifying questions briefly, the way a real interviewer would. If the student jumps ahead without asking anything, ask what they would want to confirm first.'
+  },
+  {
+    id: 'approach',
+    name: 'Approach',
+    minutes: 10,
+    goal: 'Explain an approach and its trade-offs before writing code.',
+    focus: 'Probe the approach: ask why it works, what the bottleneck is and whether there is a better one. Do not suggest the optimal approach yourself.'
+  },
+  {
+    id: 'code',
+    name: 'Code',
+    minutes: 20,
+    goal: 'Write working code while talking through it.',
+    focus: 'Stay mostly quiet while they code. Ask about a variable or a branch only when it looks wrong or unexplained.'
+  },
+  {
+    id: 'test',
+    name: 'Test',
+    minutes: 5,
+    goal: 'Walk through the code on an example and on edge cases.',
+    focus: 'Ask them to dry-run their code on an example, then name an edge case they have not tried and ask what the code does with it.'
+  },
+  {
+    id: 'complexity',
+    name: 'Complexity',
+    minutes: 5,
+    goal: 'State and justify the time and space complexity.',
+    focus: 'Ask for the time and space complexity and a one-line justification of each. Follow up on anything hand-waved.'
+  }
+];
+
+// Each dimension is scored 1 (poor) to 5 (excellent)
+const RUBRIC = [
+  { id: 'communication', name: 'Communication', description: 'Clarified the problem, explained their thinking aloud and responded to follow-ups.' },
+  { id: 'correctness', name: 'Correctness', description: 'The final code solves the problem, including edge cases.' },
+  { id: 'optimality', name: 'Optimality', description: 'The approach meets the complexity the constraints call for, and the analysis is right.' },
+  { id: 'testing', name: 'Testing', description: 'Dry-ran the code, chose meaningful edge cases and found their own bugs.' }
+];
+
+const MIN_SCORE = 1;
+const MAX_SCORE = 5;
+const SENDERS = ['user', 'ai'];
+const JSON_BLOCK = /```json\s*([\s\S]*?)```/i;
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const REPORT_SHAPE = `{
+${RUBRIC.map(dimension => `  "${dimension.id}": { "score": ${MIN_SCORE}-${MAX_SCORE}, "evidence": "string" }`).join(',\n')},
+  "strengths": [ "string" ],
+  "improvements": [ "string" ]
+}`;
+
+function phaseById(id) {
+  const phase = PHASES.find(p => p.id === id);
+  if (!phase) {
+    throw new Error(`phase must be one of: ${PHASES.map(p => p.id).join(', ')}`);
+  }
+  return phase;
+}
+
+const textList = (value) => (Array.isArray(value) ? value.filter(isText) : []);
+
+// The problem as the prompts need it; constraints stay as sent, either lines
+// or the parsed { text, ranges } objects
+function interviewProblem(problem, slug) {
+  return {
+    slug,
+    title: isText(problem?.title) ? problem.title : slug,
+    difficulty: problem?.difficulty || null,
+    tags: textList(problem?.tags),
+    description: isText(problem?.description) ? problem.description : '',
+    examples: textList(problem?.examples),
+    constraints: Array.isArray(problem?.constraints)
+      ? problem.constraints.filter(constraint => isText(constraint) || isText(constraint?.text))
+      : []
+  };
+}
+
+const minutesBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 6000) / 10;
+
+// Variables for the interview_turn template
+function describePhase(interview, now = new Date().toISOString()) {
+  const phase = phaseById(interview.phase);
+  const index = PHASES.indexOf(phase);
+  const elapsed = minutesBetween(interview.phaseStartedAt, now);
+  return {
+    ...phase,
+    number: index + 1,
+    total: PHASES.length,
+    elapsedMinutes: elapsed,
+    overTime: elapsed > phase.minutes
+      ? `The student is ${Math.round(elapsed - phase.minutes)} minutes over the time for this phase; nudge them to wrap it up.`
+      : '',
+    next: PHASES[index + 1]?.name || 'the end of the interview'
+  };
+}
+
+// The interview as the prompts see it, phase by phase; code is shown each time it changed
+function describeTranscript(turns) {
+  if (turns.length === 0) return '(Nothing has been said yet.)';
+  let phase = null;
+  let lastCode = null;
+  return turns.map(turn => {
+    const heading = turn.phase !== phase ? `\n[${phaseById(turn.phase).name} phase]\n` : '';
+    phase = turn.phase;
+    const code = turn.code && turn.code !== lastCode ? `\n(code at this point)\n${turn.code}` : '';
+    if (turn.code) lastCode = turn.code;
+    return `${heading}${turn.sender === 'user' ? 'Candidate' : 'Interviewer'}: ${turn.message}${code}`;
+  }).join('\n').trim();
+}
+
+// Variables for the interview_report template
+function reportVariables(interview, now = new Date().toISOString()) {
+  return {
+    interviewTranscript: describeTranscript(interview.turns),
+    durationMinutes: Math.round(minutesBetween(interview.startedAt, interview.endedAt || now)),
+    phasesReached: interview.phases.map(p => phaseById(p.id).name).join(', '),
+    rubric: RUBRIC.map(d => `- ${d.name} ("${d.id}"): ${d.description}`).join('\n'),
+    minScore: MIN_SCORE,
+    maxScore: MAX_SCORE,
+    reportShape: REPORT_SHAPE
+  };
+}
+
+const clampScore = (score) => Math.min(MAX_SCORE, Math.max(MIN_SCORE, Math.round(Number(score))));
+
+// Split the report into prose and validated scores; scores is null when the
+// JSON is missing or unusable, and errors says why
+function parseReport(text) {
+  const match = text.match(JSON_BLOCK);
+  const summary = text.replace(JSON_BLOCK, '').trim();
+  if (!match) return { summary, scores: null, overall: null, strengths: [], improvements: [], errors: ['no json block in response'] };
+
+  let raw;
+  try {
+    raw = JSON.parse(match[1]);
+  } catch (error) {
+    return { summary, scores: null, overall: null, strengths: [], improvements: [], errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  const errors = [];
+  const scores = {};
+  for (const dimension of RUBRIC) {
+    const entry = raw?.[dimension.id];
+    if (!entry || !Number.isFinite(Number(entry.score))) {
+      errors.push(`${dimension.id}.score must be a number from ${MIN_SCORE} to ${MAX_SCORE}`);
+      continue;
+    }
+    scores[dimension.id] = { score: clampScore(entry.score), evidence: isText(entry.evidence) ? entry.evidence.trim() : '' };
+  }
+  const list = (value) => (Array.isArray(value) ? value.filter(isText).map(item => item.trim()) : []);
+
+  if (errors.length > 0) return { summary, scores: null, overall: null, strengths: [], improvements: [], errors };
+  const overall = Math.round(10 * RUBRIC.reduce((sum, d) => sum + scores[d.id].score, 0) / RUBRIC.length) / 10;
+  return { summary, scores, overall, strengths: list(raw.strengths), improvements: list(raw.improvements), errors };
+}
+
+class InterviewStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  get interviews() { return this.db.table('interviews'); }
+  get turns() { return this.db.table('interview_turns'); }
+
+  start({ userId, problem, slug }) {
+    const key = slug || problem?.slug || slugFromUrl(problem?.url);
+    if (!key) {
+      throw new Error('A problem slug (or a problem.url containing one) is required');
+    }
+
+    const now = new Date().toISOString();
+    const row = this.interviews.put({
+      id: crypto.randomUUID(),
+      userId: typeof userId === 'string' ? userId : null,
+      slug: key,
+      problem: interviewProblem(problem, key),
+      phase: PHASES[0].id,
+      phaseStartedAt: now,
+      phases: [{ id: PHASES[0].id, startedAt: now }],
+      startedAt: now,
+      endedAt: null,
+      report: null
+    });
+    return this.get(row.id);
+  }
+
+  get(id) {
+    const row = this.interviews.get(id);
+    if (!row) return null;
+    return {
+      ...row,
+      turns: this.turns.find(t => t.interviewId === id).sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    };
+  }
+
+  addTurn(id, { sender, message, code }) {
+    const interview = this.interviews.get(id);
+    if (!interview) return null;
+    if (interview.endedAt) throw new Error('This interview has already ended');
+    if (!SENDERS.includes(sender)) throw new Error(`sender must be one of: ${SENDERS.join(', ')}`);
+    if (!isText(message)) throw new Error('message must be a non-empty string');
+
+    return this.turns.put({
+      id: crypto.randomUUID(),
+      interviewId: id,
+      phase: interview.phase,
+      sender,
+      message: message.trim(),
+      code: isText(code) ? code : null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Take back a turn, e.g. a message the interviewer never got to answer
+  removeTurn(turnId) {
+    if (!this.turns.get(turnId)) return false;
+    this.turns.delete(turnId);
+    return true;
+  }
+
+  // Move to another phase; the timeline keeps when each phase started and ended
+  setPhase(id, phaseId) {
+    const interview = this.interviews.get(id);
+    if (!interview) return null;
+    if (interview.endedAt) throw new Error('This interview has already ended');
+    phaseById(phaseId);
+    if (interview.phase === phaseId) return this.get(id);
+
+    const now = new Date().toISOString();
+    this.interviews.update(id, {
+      phase: phaseId,
+      phaseStartedAt: now,
+      phases: [...interview.phases.map(p => (p.endedAt ? p : { ...p, endedAt: now })), { id: phaseId, startedAt: now }]
+    });
+    return this.get(id);
+  }
+
+  finish(id, report) {
+    const interview = this.interviews.get(id);
+    if (!interview) return null;
+    const endedAt = interview.endedAt || new Date().toISOString();
+    this.interviews.update(id, {
+      endedAt,
+      durationMinutes: minutesBetween(interview.startedAt, endedAt),
+      phases: interview.phases.map(p => (p.endedAt ? p : { ...p, endedAt })),
+      report
+    });
+    return this.get(id);
+  }
+
+  // Oldest first, with each graded interview's change against the one before
+  // it, so a student's scores can be followed over time
+  list({ userId, slug } = {}) {
+    let previous = null;
+    return this.interviews.find(i => (!userId || i.userId === userId) && (!slug || i.slug === slug))
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+      .map(interview => {
+        const scores = interview.report?.scores
+          ? Object.fromEntries(RUBRIC.map(d => [d.id, interview.report.scores[d.id].score]))
+          : null;
+        const change = scores && previous
+          ? Object.fromEntries([...RUBRIC.map(d => [d.id, scores[d.id] - previous.scores[d.id]]), ['overall', Math.round(10 * (interview.report.overall - previous.overall)) / 10]])
+          : null;
+        if (scores) previous = { scores, overall: interview.report.overall };
+
+        return {
+          id: interview.id,
+          slug: interview.slug,
+          title: interview.problem.title,
+          startedAt: interview.startedAt,
+          endedAt: interview.endedAt,
+          durationMinutes: interview.durationMinutes ?? null,
+          overall: interview.report?.overall ?? null,
+          scores,
+          change
+        };
+      });
+  }
+
+  delete(id) {
+    if (!this.interviews.get(id)) return false;
+    this.turns.find(t => t.interviewId === id).forEach(t => this.turns.delete(t.id));
+    this.interviews.delete(id);
+    return true;
+  }
+}
+
+module.exports = { InterviewStore, PHASES, RUBRIC, phaseById, describePhase, describeTranscript, reportVariables, parseReport };
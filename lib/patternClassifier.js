@@ -0,0 +1,80 @@
+// lib/patternClassifier.js - Name the DSA pattern an approach or a solution uses
+//
+// Each pattern in the taxonomy (patternTaxonomy.js, shared with the offline
+// coach) lists signals: phrases in the approach and constructs in the code,
+// each with a weight for how strongly it points to the pattern on its own.
+// Signals combine as independent evidence (1 - Π(1 - weight)), which gives
+// every label a confidence in [0, 1). A variant ("monotonic stack", "knapsack
+// DP") takes its parent's evidence as well and replaces it in the result.
+const { PATTERNS: TAXONOMY } = require('../patternTaxonomy');
+
+const MIN_CONFIDENCE = 0.25;
+const MAX_LABELS = 3;
+const MAX_CONFIDENCE = 0.99;
+
+const quote = (text) => `"${text.trim().replace(/\s+/g, ' ').slice(0, 50)}"`;
+
+// Signals of one pattern found in the inputs, with what matched
+function findSignals(entry, texts) {
+  const found = [];
+  ['approach', 'code'].forEach(source => {
+    if (!texts[source]) return;
+    entry[source].forEach(({ pattern, weight }) => {
+      const match = texts[source].match(pattern);
+      if (match) found.push({ weight, evidence: `${source === 'approach' ? 'approach says' : 'code has'} ${quote(match[0])}` });
+    });
+  });
+  return found;
+}
+
+const combine = (signals) => Math.min(MAX_CONFIDENCE, 1 - signals.reduce((rest, s) => rest * (1 - s.weight), 1));
+
+// Labels for an approach description and/or code, most confident first:
+// { labels: [{ id, label, family, confidence, evidence }], primary, source }.
+// Returns null when there is nothing to classify.
+function classifyPattern({ approach, code } = {}) {
+  const texts = {
+    approach: typeof approach === 'string' && approach.trim() ? approach.toLowerCase() : null,
+    code: typeof code === 'string' && code.trim() ? code : null
+  };
+  if (!texts.approach && !texts.code) return null;
+
+  const found = new Map(TAXONOMY.map(entry => [entry.id, findSignals(entry, texts)]));
+
+  // A variant with signals of its own absorbs its parent's evidence
+  const replaced = new Set();
+  const scored = TAXONOMY.filter(entry => found.get(entry.id).length > 0).map(entry => {
+    let signals = found.get(entry.id);
+    if (entry.parent) {
+      signals = [...signals, ...found.get(entry.parent)];
+      replaced.add(entry.parent);
+    }
+    return { entry, signals };
+  });
+
+  const labels = scored
+    .filter(({ entry }) => !replaced.has(entry.id))
+    .map(({ entry, signals }) => ({
+      id: entry.id,
+      label: entry.label,
+      family: entry.family,
+      confidence: Math.round(combine(signals) * 100) / 100,
+      evidence: signals.map(s => s.evidence)
+    }))
+    .filter(label => label.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_LABELS);
+
+  return {
+    labels,
+    primary: labels[0] || null,
+    source: texts.approach && texts.code ? 'both' : texts.approach ? 'approach' : 'code'
+  };
+}
+
+// The taxonomy without its signals, for clients that group by pattern
+function listPatterns() {
+  return TAXONOMY.map(({ id, label, family, parent }) => ({ id, label, family, ...(parent && { parent }) }));
+}
+
+module.exports = { classifyPattern, listPatterns };
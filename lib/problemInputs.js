@@ -0,0 +1,103 @@
+// lib/problemInputs.js - Parse the examples and constraints scraped from a problem page
+//
+// Examples look like "Input: nums = [2,7,11,15], target = 9\nOutput: [0,1]".
+// Constraints are read by the parser the extension uses (constraintParser.js),
+// from the typed ranges the content script sends or from plain text lines.
+const { parseConstraints, parseNumber } = require('../constraintParser');
+
+// Split "a = [1,2], b = "x,y"" on commas that are not inside brackets or quotes
+function splitTopLevel(text, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"' && text[i - 1] !== '\\') quoted = !quoted;
+    if (!quoted) {
+      if (ch === '[' || ch === '{' || ch === '(') depth++;
+      if (ch === ']' || ch === '}' || ch === ')') depth--;
+      if (ch === separator && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+    }
+    current += ch;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function parseValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    return raw;
+  }
+}
+
+function section(text, label, nextLabels) {
+  const match = text.match(new RegExp(`${label}:\\s*([\\s\\S]*?)(?=\\n?\\s*(?:${nextLabels.join('|')}):|$)`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+// "Example 1:\nInput: nums = [2,7], target = 9\nOutput: [0,1]\nExplanation: ..."
+//   -> { input: { nums: [2,7], target: 9 }, output: [0,1], explanation: '...' }
+// Returns null when the input isn't a list of `name = value` pairs (e.g. design problems).
+function parseExample(text) {
+  const input = section(String(text || ''), 'Input', ['Output', 'Explanation']);
+  if (!input) return null;
+
+  const values = {};
+  for (const part of splitTopLevel(input.replace(/\s*\n\s*/g, ' '))) {
+    const match = part.match(/^([A-Za-z_]\w*)\s*=\s*([\s\S]+)$/);
+    if (!match) return null;
+    values[match[1]] = parseValue(match[2].trim());
+  }
+  if (Object.keys(values).length === 0) return null;
+
+  const output = section(text, 'Output', ['Explanation', 'Example', 'Constraints']);
+  return {
+    input: values,
+    output: output === null ? null : parseValue(output),
+    explanation: section(text, 'Explanation', ['Example', 'Constraints'])
+  };
+}
+
+function typeOf(value) {
+  if (typeof value === 'boolean') return 'bool';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+  if (typeof value === 'string') return 'string';
+  if (Array.isArray(value)) {
+    // Level-order trees and linked lists use null placeholders
+    if (value.some(item => item === null)) return 'tree';
+    const first = value.find(item => item !== undefined);
+    if (first === undefined) return 'int[]';
+    if (Array.isArray(first)) return `${typeOf(first[0] ?? 0).replace(/\[\]$/, '')}[][]`;
+    if (typeof first === 'string') return value.every(item => item.length === 1) ? 'char[]' : 'string[]';
+    return `${typeOf(first)}[]`;
+  }
+  return 'unknown';
+}
+
+// Parameters in declaration order, typed from the first example that has them
+function parametersFrom(examples) {
+  const parameters = [];
+  for (const example of examples) {
+    for (const [name, value] of Object.entries(example.input)) {
+      if (!parameters.some(p => p.name === name)) {
+        parameters.push({ name, type: typeOf(value), example: value });
+      }
+    }
+  }
+  return parameters;
+}
+
+// LeetCode's custom testcase format: one JSON value per parameter, one per line
+function formatInput(parameters, values) {
+  return parameters.map(p => JSON.stringify(values[p.name])).join('\n');
+}
+
+module.exports = { parseExample, parametersFrom, parseConstraints, parseNumber, formatInput, splitTopLevel, typeOf };
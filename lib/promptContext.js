@@ -0,0 +1,176 @@
+// lib/promptContext.js - The problem as prompts see it, fitted to a token budget
+//
+// Prompts get the full statement, examples, constraints and language of the
+// problem ({{problemContext}}), the whole conversation and the student's code
+// in full. When the rendered prompt is over the budget, the least important
+// parts are trimmed first - the oldest messages, example explanations, extra
+// examples, the body of the description - and every cut is reported back with
+// the response.
+const { detectLanguage } = require('./codeRunner');
+const { constraintText } = require('../constraintParser');
+
+const CHARS_PER_TOKEN = 4;
+const RECENT_MESSAGES_KEPT = 2;
+const SUMMARY_CHARS = 600;
+const MIN_DESCRIPTION_CHARS = 200;
+const MIN_CODE_LINES = 20;
+
+// A rough count that errs on the high side for code and English alike
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function describeProblem(problem, language) {
+  if (!problem) return '(No problem details were provided.)';
+  const about = [problem.difficulty, (problem.tags || []).join(', ')].filter(Boolean).join('; ');
+  const sections = [`Problem: ${problem.title || 'Unknown problem'}${about ? ` (${about})` : ''}`];
+
+  if (problem.description) sections.push(`Description:\n${problem.description}`);
+  if (problem.examples?.length) {
+    sections.push(`Examples:\n${problem.examples.map((example, i) => `Example ${i + 1}:\n${String(example).replace(/^Example \d+:\s*/i, '')}`).join('\n\n')}`);
+  }
+  if (problem.constraints?.length) sections.push(`Constraints:\n${problem.constraints.map(c => `- ${constraintText(c)}`).join('\n')}`);
+  if (language) sections.push(`Language: ${language}`);
+  return sections.join('\n\n');
+}
+
+// The conversation as {{recentMessages}} shows it
+const MESSAGE_SEPARATOR = '\n\n';
+const describeMessage = (entry) => `${entry.sender === 'user' ? '🎓 Student' : '🤖 Coach'}: ${entry.message}`;
+const describeMessages = (history) => (history || []).map(describeMessage).join(MESSAGE_SEPARATOR);
+
+// The student's language, from the request or the code itself
+function languageOf({ language, execution, code }) {
+  return language || execution?.language || (typeof code === 'string' && code.trim() ? detectLanguage(code) : null);
+}
+
+// Keep the first and last lines of the code and cut about `chars` from the middle
+function cutMiddle(code, chars) {
+  const lines = code.split('\n');
+  const block = (cut) => {
+    const start = Math.floor((lines.length - cut) / 2);
+    return { start, chars: lines.slice(start, start + cut).join('\n').length };
+  };
+
+  let cut = 0;
+  while (lines.length - cut > MIN_CODE_LINES && (cut === 0 || block(cut).chars < chars)) cut++;
+  if (cut === 0) return null;
+
+  const { start } = block(cut);
+  return {
+    code: [...lines.slice(0, start), `... (${cut} lines left out to fit the prompt) ...`, ...lines.slice(start + cut)].join('\n'),
+    detail: `cut ${cut} of ${lines.length} lines from the middle of the code`
+  };
+}
+
+// Lowest priority first. Each step changes the request and describes the
+// cut, or returns null when it has nothing to trim; `over` is how many
+// tokens the prompt is over the budget.
+const TRIM_STEPS = [
+  {
+    part: 'history',
+    apply(request, over) {
+      const history = request.history || [];
+      if (history.length <= RECENT_MESSAGES_KEPT) return null;
+      // Oldest first, only as many as it takes, keeping the last few; each
+      // message counts as rendered, with its sender and separator
+      let dropped = 0;
+      let chars = 0;
+      while (history.length - dropped > RECENT_MESSAGES_KEPT && chars < over * CHARS_PER_TOKEN) {
+        chars += describeMessage(history[dropped]).length + MESSAGE_SEPARATOR.length;
+        dropped++;
+      }
+      request.history = history.slice(dropped);
+      return `kept the last ${request.history.length} of ${history.length} conversation messages`;
+    }
+  },
+  {
+    part: 'examples',
+    apply(request) {
+      const examples = request.problem?.examples || [];
+      const trimmed = examples.map(example => String(example).replace(/\n\s*Explanation:[\s\S]*$/i, ''));
+      if (trimmed.every((example, i) => example === examples[i])) return null;
+      request.problem.examples = trimmed;
+      return 'removed the example explanations';
+    }
+  },
+  {
+    part: 'examples',
+    apply(request) {
+      const examples = request.problem?.examples || [];
+      if (examples.length <= 1) return null;
+      request.problem.examples = examples.slice(0, 1);
+      return `kept 1 of ${examples.length} examples`;
+    }
+  },
+  {
+    part: 'description',
+    apply(request) {
+      const description = request.problem?.description || '';
+      if (description.length <= SUMMARY_CHARS) return null;
+      // The opening paragraphs state the task; the rest is mostly detail and notes
+      let summary = '';
+      for (const paragraph of description.split(/\n\s*\n/)) {
+        if (summary && summary.length + paragraph.length > SUMMARY_CHARS) break;
+        summary += `${summary ? '\n\n' : ''}${paragraph}`;
+      }
+      summary = summary.slice(0, SUMMARY_CHARS);
+      request.problem.description = `${summary}\n(... rest of the description left out)`;
+      return `shortened the description from ${description.length} to ${summary.length} characters`;
+    }
+  },
+  {
+    part: 'history',
+    apply(request) {
+      if (!request.history?.length) return null;
+      request.history = [];
+      return 'left out the conversation history';
+    }
+  },
+  {
+    part: 'code',
+    apply(request, over) {
+      if (typeof request.code !== 'string') return null;
+      const result = cutMiddle(request.code, over * CHARS_PER_TOKEN);
+      if (!result) return null;
+      request.code = result.code;
+      return result.detail;
+    }
+  },
+  {
+    part: 'description',
+    apply(request, over) {
+      const description = request.problem?.description || '';
+      const length = Math.max(MIN_DESCRIPTION_CHARS, description.length - over * CHARS_PER_TOKEN);
+      if (length >= description.length) return null;
+      request.problem.description = `${description.slice(0, length)} ...`;
+      return `cut the description to its first ${length} characters`;
+    }
+  }
+];
+
+// Render the prompt for `body` and trim it until it fits `limit` tokens.
+// `render(request)` returns { prompt, ... } for a (possibly trimmed) request.
+function fitPromptBudget(body, render, limit) {
+  const request = {
+    ...body,
+    problem: body.problem && { ...body.problem, examples: [...(body.problem.examples || [])] },
+    history: [...(body.history || [])]
+  };
+  let rendered = render(request);
+  const trimmed = [];
+
+  for (const step of TRIM_STEPS) {
+    const over = estimateTokens(rendered.prompt) - limit;
+    if (!(limit > 0) || over <= 0) break;
+    const detail = step.apply(request, over);
+    if (detail) {
+      trimmed.push({ part: step.part, detail });
+      rendered = render(request);
+    }
+  }
+
+  return { ...rendered, budget: { limit, tokens: estimateTokens(rendered.prompt), trimmed } };
+}
+
+module.exports = { describeProblem, describeMessages, languageOf, fitPromptBudget, estimateTokens };
@@ -0,0 +1,156 @@
+// lib/promptLibrary.js - Versioned prompt templates loaded from prompts/
+//
+// Layout:
+//   prompts/<version>/<request type>.txt   e.g. prompts/sections-v1/code_analysis.txt
+//   prompts/<version>/meta.json            { "description": "..." }
+//   prompts/partials/<name>.txt            included with {{> name}}
+// Variables use {{dotted.path}} and are filled in a single pass, so braces
+// inside student code are never expanded.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { describeRun } = require('./codeRunner');
+const { describeFailure, failureFocus } = require('./failureDiagnosis');
+const { describeProblem, describeMessages, languageOf } = require('./promptContext');
+
+const PARTIAL = /\{\{>\s*([\w-]+)\s*\}\}/g;
+const VARIABLE = /\{\{\s*([\w.]+)\s*\}\}/g;
+const MAX_PARTIAL_DEPTH = 5;
+
+class PromptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptError';
+    this.status = 400;
+  }
+}
+
+function readTemplates(dir) {
+  if (!fs.existsSync(dir)) return {};
+  const templates = {};
+  for (const file of fs.readdirSync(dir)) {
+    if (file.endsWith('.txt')) {
+      templates[path.basename(file, '.txt')] = fs.readFileSync(path.join(dir, file), 'utf8').replace(/\s+$/, '');
+    }
+  }
+  return templates;
+}
+
+function lookup(variables, dotted) {
+  return dotted.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+}
+
+class PromptLibrary {
+  constructor(dir) {
+    this.dir = dir;
+    this.partials = {};
+    this.versions = new Map();
+  }
+
+  // A broken template file leaves the last good set in place
+  load() {
+    const previous = { partials: this.partials, versions: this.versions };
+    this.partials = readTemplates(path.join(this.dir, 'partials'));
+    this.versions = new Map();
+    try {
+      this.loadVersions();
+    } catch (error) {
+      Object.assign(this, previous);
+      throw error;
+    }
+    return this;
+  }
+
+  loadVersions() {
+
+    for (const entry of fs.readdirSync(this.dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name === 'partials') continue;
+
+      const versionDir = path.join(this.dir, entry.name);
+      const metaFile = path.join(versionDir, 'meta.json');
+      const meta = fs.existsSync(metaFile) ? JSON.parse(fs.readFileSync(metaFile, 'utf8')) : {};
+      const templates = readTemplates(versionDir);
+
+      // The hash covers the expanded text, so editing a shared partial changes it too
+      const hash = crypto.createHash('sha1');
+      for (const type of Object.keys(templates).sort()) {
+        hash.update(type).update(this.expandPartials(templates[type], entry.name));
+      }
+
+      this.versions.set(entry.name, {
+        version: entry.name,
+        description: meta.description || '',
+        templates,
+        hash: hash.digest('hex').slice(0, 10)
+      });
+    }
+  }
+
+  has(version) {
+    return this.versions.has(version);
+  }
+
+  list() {
+    return [...this.versions.values()].map(({ version, description, templates, hash }) => ({
+      version,
+      description,
+      types: Object.keys(templates).sort(),
+      hash
+    }));
+  }
+
+  get(version) {
+    return this.versions.get(version) || null;
+  }
+
+  expandPartials(text, version, depth = 0) {
+    if (depth > MAX_PARTIAL_DEPTH) {
+      throw new PromptError(`Partials nested more than ${MAX_PARTIAL_DEPTH} deep in ${version}`);
+    }
+    return text.replace(PARTIAL, (_, name) => {
+      if (!(name in this.partials)) {
+        throw new PromptError(`Unknown partial "${name}" in prompt version ${version}`);
+      }
+      return this.expandPartials(this.partials[name], version, depth + 1);
+    });
+  }
+
+  render(version, type, variables) {
+    const entry = this.get(version);
+    if (!entry) {
+      throw new PromptError(`Unknown prompt version "${version}". Available: ${[...this.versions.keys()].join(', ')}`);
+    }
+    const template = entry.templates[type];
+    if (template === undefined) {
+      throw new PromptError(`Prompt version ${version} has no template for request type "${type}"`);
+    }
+
+    const prompt = this.expandPartials(template, version).replace(VARIABLE, (_, name) => {
+      const value = lookup(variables, name);
+      return value == null ? '' : String(value);
+    });
+
+    return { prompt, version, hash: entry.hash };
+  }
+}
+
+// Named variables every template can use. Nothing is cut here: over-long
+// prompts are trimmed as a whole by lib/promptContext.js.
+function promptVariables({ problem, approach, code, language, message, history, execution, failure }) {
+  return {
+    problem: { title: problem?.title || '', description: problem?.description || '' },
+    // Title, difficulty, description, examples, constraints and language
+    problemContext: describeProblem(problem, languageOf({ language, execution, code })),
+    approach: approach || '',
+    code: code || '',
+    message: message || '',
+    recentMessages: describeMessages(history),
+    // Example results from /api/run, when the client ran the code first
+    executionResults: describeRun(execution),
+    // LeetCode's verdict and failing testcase for failure_diagnosis requests
+    failureReport: describeFailure(failure),
+    failureFocus: failureFocus(failure)
+  };
+}
+
+module.exports = { PromptLibrary, PromptError, promptVariables };
@@ -0,0 +1,164 @@
+// lib/rateLimiter.js - Token bucket + daily quota with a fair queue in front of the LLM provider
+//
+// Requests that arrive while the bucket is empty wait in a per-client FIFO;
+// clients are served round-robin so one busy tab cannot starve another.
+// When the wait would be too long, acquire() rejects with a RateLimitError
+// carrying retryAfterSeconds for the Retry-After header.
+
+class RateLimitError extends Error {
+  constructor(message, { retryAfterSeconds, scope }) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.status = 429;
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.scope = scope;
+  }
+}
+
+const MINUTE_MS = 60 * 1000;
+
+function nextUtcMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+class RateLimiter {
+  constructor({ requestsPerMinute = 15, requestsPerDay = 1500, usedToday = 0, maxWaitMs = 30000, maxQueueLength = 50 } = {}) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.requestsPerDay = requestsPerDay;
+    this.maxWaitMs = maxWaitMs;
+    this.maxQueueLength = maxQueueLength;
+
+    this.tokens = requestsPerMinute;
+    this.lastRefill = Date.now();
+    this.dayUsed = usedToday;
+    this.dayResetAt = nextUtcMidnight(Date.now());
+
+    // clientId -> array of waiters; Map order is the round-robin order
+    this.queues = new Map();
+    this.queued = 0;
+    this.timer = null;
+  }
+
+  get enabled() {
+    return this.requestsPerMinute > 0 || this.requestsPerDay > 0;
+  }
+
+  refill(now = Date.now()) {
+    if (now >= this.dayResetAt) {
+      this.dayUsed = 0;
+      this.dayResetAt = nextUtcMidnight(now);
+    }
+    if (this.requestsPerMinute > 0) {
+      const rate = this.requestsPerMinute / MINUTE_MS;
+      this.tokens = Math.min(this.requestsPerMinute, this.tokens + (now - this.lastRefill) * rate);
+    }
+    this.lastRefill = now;
+  }
+
+  msUntilToken() {
+    if (this.requestsPerMinute <= 0 || this.tokens >= 1) return 0;
+    return Math.ceil((1 - this.tokens) / (this.requestsPerMinute / MINUTE_MS));
+  }
+
+  take() {
+    if (this.requestsPerMinute > 0) this.tokens -= 1;
+    this.dayUsed++;
+  }
+
+  // Resolves once the caller may call the provider
+  acquire(clientId = 'anonymous') {
+    if (!this.enabled) return Promise.resolve();
+
+    this.refill();
+    const now = Date.now();
+
+    if (this.requestsPerDay > 0 && this.dayUsed + this.queued >= this.requestsPerDay) {
+      return Promise.reject(new RateLimitError(
+        `Daily limit of ${this.requestsPerDay} requests reached`,
+        { retryAfterSeconds: Math.ceil((this.dayResetAt - now) / 1000), scope: 'day' }
+      ));
+    }
+
+    if (this.queued === 0 && this.msUntilToken() === 0) {
+      this.take();
+      return Promise.resolve();
+    }
+
+    // Everyone already waiting is ahead of us, one token each
+    const waitMs = this.msUntilToken() + this.queued * (MINUTE_MS / this.requestsPerMinute);
+    if (waitMs > this.maxWaitMs || this.queued >= this.maxQueueLength) {
+      return Promise.reject(new RateLimitError(
+        `Rate limit of ${this.requestsPerMinute} requests/minute reached`,
+        { retryAfterSeconds: Math.ceil(waitMs / 1000), scope: 'minute' }
+      ));
+    }
+
+    return new Promise(resolve => {
+      if (!this.queues.has(clientId)) this.queues.set(clientId, []);
+      this.queues.get(clientId).push(resolve);
+      this.queued++;
+      this.schedule();
+    });
+  }
+
+  schedule() {
+    if (this.timer || this.queued === 0) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, this.msUntilToken());
+  }
+
+  drain() {
+    this.refill();
+    while (this.queued > 0 && this.msUntilToken() === 0) {
+      // Serve the client at the front of the rotation, then move it to the back
+      const [clientId, waiters] = this.queues.entries().next().value;
+      const resolve = waiters.shift();
+      this.queues.delete(clientId);
+      if (waiters.length > 0) this.queues.set(clientId, waiters);
+
+      this.queued--;
+      this.take();
+      resolve();
+    }
+    this.schedule();
+  }
+
+  retryAfterSeconds() {
+    this.refill();
+    return Math.max(1, Math.ceil(this.msUntilToken() / 1000));
+  }
+
+  status() {
+    this.refill();
+    const now = Date.now();
+    const msToFull = this.requestsPerMinute > 0
+      ? Math.ceil((this.requestsPerMinute - this.tokens) / (this.requestsPerMinute / MINUTE_MS))
+      : 0;
+
+    return {
+      enabled: this.enabled,
+      minute: {
+        limit: this.requestsPerMinute || null,
+        remaining: this.requestsPerMinute > 0 ? Math.floor(this.tokens) : null,
+        nextTokenAt: new Date(now + this.msUntilToken()).toISOString(),
+        resetAt: new Date(now + msToFull).toISOString()
+      },
+      day: {
+        limit: this.requestsPerDay || null,
+        used: this.dayUsed,
+        remaining: this.requestsPerDay > 0 ? Math.max(0, this.requestsPerDay - this.dayUsed) : null,
+        resetAt: new Date(this.dayResetAt).toISOString()
+      },
+      queue: {
+        waiting: this.queued,
+        clients: this.queues.size,
+        maxWaitSeconds: Math.round(this.maxWaitMs / 1000)
+      }
+    };
+  }
+}
+
+module.exports = { RateLimiter, RateLimitError };
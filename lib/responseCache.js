@@ -0,0 +1,131 @@
+// lib/responseCache.js - Content-addressed LRU + TTL cache for analysis responses
+//
+// Keys hash the parts that decide the model's answer: request type, the
+// normalized problem (with its examples and constraints), the normalized
+// approach or code and its language, the example run results the prompt
+// showed, the prompt version and the provider/model, plus any per-student
+// context the prompt carried. Clicking "Analyze" again on unchanged code is a
+// hit; analyzing it again after a new run is not.
+const crypto = require('crypto');
+const { describeRun } = require('./codeRunner');
+const { languageOf } = require('./promptContext');
+const { constraintText } = require('../constraintParser');
+
+const CACHEABLE_TYPES = ['approach_analysis', 'code_analysis'];
+
+// Whitespace-only edits should not miss the cache
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .filter(line => line.length > 0)
+    .join('\n')
+    .trim();
+}
+
+function normalizeProblem(problem = {}) {
+  return {
+    slug: problem.slug || null,
+    title: normalizeText(problem.title).toLowerCase(),
+    difficulty: problem.difficulty || null,
+    tags: problem.tags || [],
+    description: normalizeText(problem.description).replace(/\s+/g, ' '),
+    examples: (problem.examples || []).map(example => normalizeText(example)),
+    constraints: (problem.constraints || []).map(constraint => normalizeText(constraintText(constraint)))
+  };
+}
+
+function cacheKey({ type, problem, approach, code, language, execution, promptVersion, provider, model, context }) {
+  const material = JSON.stringify({
+    type,
+    problem: normalizeProblem(problem || undefined),
+    input: normalizeText(type === 'code_analysis' ? code : approach),
+    language: languageOf({ language, execution, code }) || null,
+    // The run results exactly as the prompt shows them
+    execution: describeRun(execution),
+    promptVersion,
+    provider,
+    model,
+    // Anything else the prompt was built from, such as the student's weak spots
+    context: context || ''
+  });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+class ResponseCache {
+  constructor({ maxEntries = 200, ttlMs = 60 * 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    // Map iteration order doubles as LRU order: oldest first
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  }
+
+  isCacheable(type) {
+    return this.maxEntries > 0 && CACHEABLE_TYPES.includes(type);
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      return null;
+    }
+
+    // Refresh recency
+    this.entries.delete(key);
+    entry.hits++;
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  set(key, value, meta = {}) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      meta,
+      hits: 0,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.ttlMs
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  flush() {
+    const flushed = this.entries.size;
+    this.entries.clear();
+    return flushed;
+  }
+
+  inspect() {
+    const now = Date.now();
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlSeconds: Math.round(this.ttlMs / 1000),
+      ...this.stats,
+      entries: [...this.entries.entries()].reverse().map(([key, entry]) => ({
+        key,
+        ...entry.meta,
+        hits: entry.hits,
+        createdAt: new Date(entry.createdAt).toISOString(),
+        expiresInSeconds: Math.max(0, Math.round((entry.expiresAt - now) / 1000))
+      }))
+    };
+  }
+}
+
+module.exports = { ResponseCache, cacheKey };
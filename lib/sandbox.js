@@ -0,0 +1,75 @@
+// lib/sandbox.js - Run an untrusted program in a child process with limits
+//
+// Limits: wall-clock timeout (the process is killed), CPU seconds and address
+// space via `ulimit` on POSIX systems, and a cap on captured output. The child
+// gets an empty environment apart from PATH, so the backend's API keys are not
+// in its environment. That alone does not stop it from reading .env from disk:
+// each language confines file access itself (Node's permission model for
+// JavaScript on Node 20+, an audit hook in lib/harness/runner.py for Python).
+// Both keep an ordinary solution in its run directory; neither is a hardened
+// sandbox, which is why the server only listens on loopback by default.
+const { spawn } = require('child_process');
+
+const DEFAULTS = {
+  timeoutMs: 5000,
+  memoryMb: 256,
+  maxOutputBytes: 1024 * 1024
+};
+
+function limitedCommand(command, args, { timeoutMs, memoryMb }) {
+  if (process.platform === 'win32') return { command, args };
+
+  const limits = [`ulimit -t ${Math.ceil(timeoutMs / 1000) + 1}`];
+  if (memoryMb) limits.push(`ulimit -v ${memoryMb * 1024}`);
+  // "$0" "$@" re-expands the real command after the limits are in place
+  return { command: 'sh', args: ['-c', `${limits.join('; ')}; exec "$0" "$@"`, command, ...args] };
+}
+
+// Resolves (never rejects for program failures) with everything the run produced
+function runSandboxed(command, args, options = {}) {
+  const { cwd, timeoutMs, memoryMb, maxOutputBytes } = { ...DEFAULTS, ...options };
+  const limited = limitedCommand(command, args, { timeoutMs, memoryMb });
+
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const child = spawn(limited.command, limited.args, {
+      cwd,
+      env: { PATH: process.env.PATH, LANG: 'C.UTF-8', PYTHONIOENCODING: 'utf-8' },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let outputLimited = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeoutMs);
+
+    const collect = (stream, append) => stream.on('data', (data) => {
+      if (stdout.length + stderr.length > maxOutputBytes) {
+        outputLimited = true;
+        child.kill('SIGKILL');
+        return;
+      }
+      append(data.toString('utf8'));
+    });
+    collect(child.stdout, (text) => { stdout += text; });
+    collect(child.stderr, (text) => { stderr += text; });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      resolve({ stdout, stderr, exitCode, signal, timedOut, outputLimited, durationMs: Date.now() - started });
+    });
+  });
+}
+
+module.exports = { runSandboxed, SANDBOX_DEFAULTS: DEFAULTS };
@@ -0,0 +1,214 @@
+// lib/scalingBenchmark.js - Measure how a solution's running time grows with n
+//
+// Inputs of growing size are generated from the problem's examples and
+// constraints (the same parameter specs as lib/edgeCases.js), each size runs
+// in its own sandboxed process through the code runner's harness, and the
+// fastest of several runs is kept. The measurements are then fitted against
+// the usual complexity classes to find the curve that explains them best.
+const { runHarness, resolveLanguage, missingResultError, RunnerError } = require('./codeRunner');
+const { parseExample, parametersFrom, parseConstraints } = require('./problemInputs');
+const { seededRandom, describeParameter, createGenerator, COLLECTION_TYPES } = require('./edgeCases');
+
+const DEFAULT_SIZES = [100, 300, 1000, 3000, 10000, 30000, 100000];
+// Retried when even the smallest default size is too slow (exponential solutions)
+const SMALL_SIZES = [4, 8, 12, 16, 20, 24];
+const MAX_SIZE = 1000000;
+const MIN_POINTS = 3;
+// A run this slow means the next size would blow the time limit
+const STOP_AFTER_MS = 1000;
+const BENCHMARK = { minTotalMs: 100, maxRuns: 50 };
+// Models within this much relative error of the best count as a tie; the simplest wins
+const FIT_TOLERANCE = 0.02;
+// Measurements that vary less than this across all sizes are flat: O(1)
+const FLAT_SPREAD = 0.1;
+
+const MODELS = [
+  { name: 'O(1)', f: () => 1 },
+  { name: 'O(log n)', f: n => Math.log2(n) },
+  { name: 'O(n)', f: n => n },
+  { name: 'O(n log n)', f: n => n * Math.log2(n) },
+  { name: 'O(n^2)', f: n => n * n },
+  { name: 'O(2^n)', f: n => 2 ** n }
+];
+
+// Sizes to try. Collections go past the judge's length limit when it is large
+// (the curve is clearer at 10^5); a small limit (n <= 45 for a Fibonacci-style
+// problem, or a 200-element DP) gets evenly spaced steps up to it instead.
+function sizesFor(limit, { isScalar = false } = {}) {
+  if (!limit || limit >= DEFAULT_SIZES[2]) {
+    if (!isScalar || !limit) return DEFAULT_SIZES;
+    const sizes = DEFAULT_SIZES.filter(n => n <= limit);
+    if (limit < DEFAULT_SIZES[DEFAULT_SIZES.length - 1] && limit > sizes[sizes.length - 1]) sizes.push(limit);
+    return sizes;
+  }
+  const step = Math.max(1, Math.ceil(limit / 6));
+  const sizes = [];
+  for (let n = step; n <= limit; n += step) sizes.push(n);
+  return sizes;
+}
+
+// Parameter specs for the problem, and which one grows with n
+function planInputs(problem) {
+  const parsed = (problem?.examples || []).map(parseExample).filter(Boolean);
+  if (parsed.length === 0) {
+    throw new RunnerError('No examples with `name = value` inputs to build larger inputs from');
+  }
+
+  const constraints = parseConstraints(problem.constraints);
+  const warnings = [];
+  // Linked lists and trees are generated as their level-order value lists
+  const specs = parametersFrom(parsed).map(p => describeParameter(p.type === 'tree' ? { ...p, type: 'int[]' } : p, constraints, warnings));
+  const base = Object.fromEntries(specs.map(spec => [spec.name, parsed[0].input[spec.name] ?? spec.example]));
+
+  const collections = specs.filter(spec => COLLECTION_TYPES.includes(spec.type));
+  const scalar = specs.find(spec => spec.type === 'int' && !(spec.name in constraints.aliases));
+  if (collections.length === 0 && !scalar) {
+    throw new RunnerError('Could not find an array, string or integer input to scale');
+  }
+
+  const primary = collections[0] || scalar;
+  const limit = collections.length > 0
+    ? constraints.ranges[`${primary.name}.length`]?.max
+    : primary.value && constraints.ranges[`${primary.name}.value`] ? primary.value.max : null;
+
+  return { specs, base, collections, scalar: collections.length === 0 ? scalar : null, primary, limit, aliases: constraints.aliases, warnings };
+}
+
+// Argument list for size n: every collection gets n elements (2D inputs about
+// n cells), a size-only problem gets n itself
+function inputFor(plan, n, collection) {
+  const values = { ...plan.base };
+  for (const spec of plan.collections) {
+    if (spec.type.endsWith('[][]')) {
+      const columns = Math.min(Math.max(spec.inner.max, spec.inner.min), 50);
+      values[spec.name] = collection(spec, Math.ceil(n / columns), 'random');
+    } else {
+      values[spec.name] = collection(spec, n, 'random');
+    }
+  }
+  if (plan.scalar) values[plan.scalar.name] = n;
+
+  // Scalars tied to a length ("n == nums.length") follow the generated collection
+  for (const [alias, target] of Object.entries(plan.aliases)) {
+    if (alias in values && target.field === 'length' && values[target.name] !== undefined) {
+      values[alias] = values[target.name].length;
+    }
+  }
+  return plan.specs.map(spec => values[spec.name]);
+}
+
+// Least squares fit of y ≈ a·f(n) + c (a, c >= 0) on relative error, so the
+// small sizes count as much as the big ones
+function fitModel(points, model, key) {
+  const rows = points.map(p => ({ f: model.f(p.n), y: Math.max(p[key], 1e-4) }));
+  if (rows.some(row => !Number.isFinite(row.f))) return null;
+
+  let sff = 0, sf = 0, s1 = 0, sfy = 0, sy = 0;
+  for (const { f, y } of rows) {
+    const w = 1 / (y * y);
+    sff += w * f * f; sf += w * f; s1 += w; sfy += w * f * y; sy += w * y;
+  }
+
+  const det = sff * s1 - sf * sf;
+  let a = det > 1e-12 * sff * s1 ? (sfy * s1 - sf * sy) / det : 0;
+  let c = det > 1e-12 * sff * s1 ? (sff * sy - sf * sfy) / det : sy / s1;
+  if (a < 0) { a = 0; c = sy / s1; }
+  if (c < 0) { c = 0; a = sfy / sff; }
+
+  const error = Math.sqrt(rows.reduce((sum, { f, y }) => sum + ((a * f + c - y) / y) ** 2, 0) / rows.length);
+  return { model: model.name, a, c, error };
+}
+
+function bestFit(points, key) {
+  if (points.length < MIN_POINTS) return null;
+  const ranking = MODELS.map(model => fitModel(points, model, key)).filter(Boolean);
+  const lowest = Math.min(...ranking.map(r => r.error));
+  const values = points.map(p => p[key]);
+  const flat = Math.max(...values) - Math.min(...values) <= FLAT_SPREAD * Math.min(...values);
+  const best = flat ? ranking[0] : ranking.find(r => r.error <= lowest + FIT_TOLERANCE);
+
+  return {
+    model: best.model,
+    error: Math.round(best.error * 1000) / 1000,
+    coefficients: { a: best.a, c: best.c },
+    ranking: ranking
+      .map(({ model, error }) => ({ model, error: Math.round(error * 1000) / 1000 }))
+      .sort((x, y) => x.error - y.error)
+  };
+}
+
+async function measureSizes({ code, language, plan, sizes, collection, timeoutMs, caseTimeoutMs, memoryMb }) {
+  const points = [];
+  const failures = [];
+  let stopped = null;
+
+  for (const n of sizes) {
+    const args = inputFor(plan, n, collection);
+    const { run, byIndex } = await runHarness({
+      code, language, cases: [{ index: 0, args }], timeoutMs, caseTimeoutMs, memoryMb, benchmark: BENCHMARK
+    });
+    const result = byIndex.get(0);
+    const error = result ? result.error || null : missingResultError(run);
+
+    if (error) {
+      failures.push({ n, error });
+      stopped = `Stopped at n = ${n}: ${error}`;
+      break;
+    }
+    points.push({ n, timeMs: Math.round(result.timeMs * 1000) / 1000, runs: result.runs, peakMemoryKb: result.peakRssKb ?? null });
+    if (result.timeMs > STOP_AFTER_MS && n !== sizes[sizes.length - 1]) {
+      stopped = `Stopped after n = ${n}: one run took ${Math.round(result.timeMs)} ms`;
+      break;
+    }
+  }
+  return { points, failures, stopped };
+}
+
+async function measureScaling({ code, language, problem, sizes, timeoutMs = 5000, caseTimeoutMs = 2000, memoryMb = 256 }) {
+  if (typeof code !== 'string' || !code.trim()) {
+    throw new RunnerError('code must be a non-empty string');
+  }
+  if (sizes !== undefined && (!Array.isArray(sizes) || sizes.length < MIN_POINTS || sizes.length > 12 ||
+      !sizes.every(n => Number.isInteger(n) && n > 0 && n <= MAX_SIZE))) {
+    throw new RunnerError(`sizes must be ${MIN_POINTS}-12 positive integers up to ${MAX_SIZE}`);
+  }
+
+  const lang = resolveLanguage(language, code);
+  const plan = planInputs(problem);
+  const { collection } = createGenerator(seededRandom(`${problem.slug || problem.title}:scaling`));
+  const started = Date.now();
+
+  let plannedSizes = sizes ? [...sizes].sort((a, b) => a - b) : sizesFor(plan.limit, { isScalar: Boolean(plan.scalar) });
+  const options = { code, language: lang, plan, collection, timeoutMs, caseTimeoutMs, memoryMb };
+  let measured = await measureSizes({ ...options, sizes: plannedSizes });
+
+  // Too slow to get a curve at all: look at small inputs, where exponential growth shows
+  if (!sizes && measured.points.length < MIN_POINTS && plannedSizes[0] > SMALL_SIZES[SMALL_SIZES.length - 1]) {
+    plannedSizes = SMALL_SIZES;
+    const retry = await measureSizes({ ...options, sizes: plannedSizes });
+    retry.retried = measured.stopped;
+    measured = retry;
+  }
+
+  const warnings = [...plan.warnings];
+  if (measured.retried) warnings.push(`${measured.retried}; measured small sizes instead`);
+  if (measured.points.length < MIN_POINTS) warnings.push(`Only ${measured.points.length} size(s) finished; at least ${MIN_POINTS} are needed to fit a curve`);
+
+  return {
+    language: lang,
+    parameter: plan.primary.name,
+    sizes: plannedSizes,
+    points: measured.points,
+    failures: measured.failures,
+    stopped: measured.stopped,
+    fit: {
+      time: bestFit(measured.points, 'timeMs'),
+      // Peak process memory, so it includes the runtime and the input itself
+      memory: bestFit(measured.points.filter(p => p.peakMemoryKb !== null), 'peakMemoryKb')
+    },
+    warnings,
+    durationMs: Date.now() - started
+  };
+}
+
+module.exports = { measureScaling, bestFit, sizesFor, MODELS };
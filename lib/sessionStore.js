@@ -0,0 +1,195 @@
+// lib/sessionStore.js - Coaching sessions keyed by LeetCode problem slug
+//
+// A session holds the full transcript, the latest problem snapshot and every
+// distinct version of the student's code, so any tab can resume the thread.
+// Rows live in the sessions, messages and code_snapshots tables of lib/db.js.
+const crypto = require('crypto');
+
+const SENDERS = ['user', 'ai'];
+
+// "https://leetcode.com/problems/two-sum/description/" -> "two-sum"
+function slugFromUrl(url) {
+  const match = String(url || '').match(/\/problems\/([^/?#]+)/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha1').update(code).digest('hex').slice(0, 12);
+}
+
+const byTimestamp = (a, b) => a.timestamp.localeCompare(b.timestamp);
+
+const RATINGS = ['up', 'down'];
+
+class SessionStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Looked up on each use so a restore from backup is picked up immediately
+  get sessions() { return this.db.table('sessions'); }
+  get messages() { return this.db.table('messages'); }
+  get codeSnapshots() { return this.db.table('code_snapshots'); }
+  get feedback() { return this.db.table('feedback'); }
+
+  // Resume the session for a slug, or start a new one
+  createOrResume({ slug, problem }) {
+    const key = slug || slugFromUrl(problem?.url);
+    if (!key) {
+      throw new Error('A problem slug (or a problem.url containing one) is required');
+    }
+
+    const existing = this.findBySlug(key);
+    if (existing) {
+      if (problem) this.updateProblem(existing.id, problem);
+      return { session: this.get(existing.id), created: false };
+    }
+
+    const now = new Date().toISOString();
+    const row = this.sessions.put({
+      id: crypto.randomUUID(),
+      slug: key,
+      problem: problem || null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return { session: this.get(row.id), created: true };
+  }
+
+  // Full session view: the row plus its transcript and code versions
+  get(id) {
+    const row = this.sessions.get(id);
+    if (!row) return null;
+
+    return {
+      ...row,
+      messages: this.messages.find(m => m.sessionId === id).sort(byTimestamp),
+      codeVersions: this.codeSnapshots.find(c => c.sessionId === id).sort((a, b) => a.version - b.version)
+    };
+  }
+
+  findBySlug(slug) {
+    return this.sessions.findOne(s => s.slug === slug);
+  }
+
+  list() {
+    return this.sessions.all().map(session => ({
+      id: session.id,
+      slug: session.slug,
+      title: session.problem?.title || session.slug,
+      messageCount: this.messages.find(m => m.sessionId === session.id).length,
+      codeVersionCount: this.codeSnapshots.find(c => c.sessionId === session.id).length,
+      hintsUsed: session.hintsUsed || 0,
+      pattern: session.pattern?.id || null,
+      updatedAt: session.updatedAt
+    }));
+  }
+
+  updateProblem(id, problem) {
+    const session = this.sessions.get(id);
+    this.sessions.update(id, {
+      problem: { ...session.problem, ...problem },
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  addMessage(id, { sender, message, type, complexity, analysis, code }) {
+    if (!this.sessions.get(id)) return null;
+
+    if (!SENDERS.includes(sender)) {
+      throw new Error(`sender must be one of: ${SENDERS.join(', ')}`);
+    }
+    if (typeof message !== 'string' || !message.trim()) {
+      throw new Error('message must be a non-empty string');
+    }
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      sessionId: id,
+      sender,
+      message,
+      ...(type && { type }),
+      ...(complexity && { complexity }),
+      ...(analysis && { analysis }),
+      timestamp: now
+    };
+
+    if (typeof code === 'string' && code.trim()) {
+      entry.codeVersion = this.addCodeVersion(id, code, now);
+    }
+
+    this.messages.put(entry);
+    this.sessions.update(id, { updatedAt: now });
+    return entry;
+  }
+
+  // Store the code only when it differs from the latest version
+  addCodeVersion(sessionId, code, timestamp) {
+    const hash = hashCode(code);
+    const versions = this.codeSnapshots.find(c => c.sessionId === sessionId);
+    const latest = versions.sort((a, b) => b.version - a.version)[0];
+    if (latest && latest.hash === hash) return latest.version;
+
+    const version = versions.length + 1;
+    this.codeSnapshots.put({ id: `${sessionId}:${version}`, sessionId, version, hash, code, timestamp });
+    return version;
+  }
+
+  // Highest hint level revealed in this session; asking for an earlier level again doesn't lower it
+  recordHint(id, level) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+
+    const hintsUsed = Math.max(session.hintsUsed || 0, level);
+    this.sessions.update(id, { hintsUsed, updatedAt: new Date().toISOString() });
+    return hintsUsed;
+  }
+
+  // The pattern a classified approach or solution uses (lib/patternClassifier.js).
+  // Every label is kept so progress can be grouped by pattern; `pattern` is the latest.
+  recordPattern(id, { primary, source }) {
+    const session = this.sessions.get(id);
+    if (!session || !primary) return null;
+
+    const now = new Date().toISOString();
+    const entry = { id: primary.id, label: primary.label, family: primary.family, confidence: primary.confidence, source, timestamp: now };
+    this.sessions.update(id, { pattern: entry, patterns: [...(session.patterns || []), entry], updatedAt: now });
+    return entry;
+  }
+
+  // Thumbs up/down on one coach reply, with an optional comment
+  addFeedback(id, { messageId, rating, comment }) {
+    if (!this.sessions.get(id)) return null;
+
+    if (!RATINGS.includes(rating)) {
+      throw new Error(`rating must be one of: ${RATINGS.join(', ')}`);
+    }
+    const message = messageId ? this.messages.get(messageId) : null;
+    if (messageId && (!message || message.sessionId !== id)) {
+      throw new Error(`message ${messageId} is not part of this session`);
+    }
+
+    return this.feedback.put({
+      id: crypto.randomUUID(),
+      sessionId: id,
+      messageId: messageId || null,
+      rating,
+      comment: typeof comment === 'string' ? comment.trim() : '',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  delete(id) {
+    if (!this.sessions.get(id)) return false;
+
+    this.messages.find(m => m.sessionId === id).forEach(m => this.messages.delete(m.id));
+    this.codeSnapshots.find(c => c.sessionId === id).forEach(c => this.codeSnapshots.delete(c.id));
+    this.feedback.find(f => f.sessionId === id).forEach(f => this.feedback.delete(f.id));
+    this.sessions.delete(id);
+    return true;
+  }
+}
+
+module.exports = { SessionStore, slugFromUrl };
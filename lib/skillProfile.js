@@ -0,0 +1,211 @@
+// lib/skillProfile.js - What the coach has learned about each student, by topic
+//
+// Requests that carry a `userId` (a random id the extension keeps per
+// install) leave events in the profile_events table: analyses run, hints
+// revealed and the Submit verdicts the extension reads from LeetCode. A
+// profile folds those events into one record per problem, then groups the
+// problems by topic tag and by pattern (lib/patternClassifier.js) and scores
+// mastery for each group.
+const crypto = require('crypto');
+const { slugFromUrl } = require('./sessionStore');
+
+const EVENT_KINDS = ['analysis', 'hint', 'submission'];
+const USER_ID = /^[\w-]{1,64}$/;
+
+const DIFFICULTY_WEIGHTS = { Easy: 1, Medium: 2, Hard: 3 };
+// Mastery starts near 0 and needs this much (difficulty-weighted) evidence to
+// approach a topic's average problem score
+const PRIOR_WEIGHT = 2;
+// A solve loses this much per hint level and per failed submission, down to MIN_SOLVED_SCORE
+const HINT_PENALTY = 0.1;
+const FAILURE_PENALTY = 0.1;
+const MAX_FAILURE_PENALTY = 0.3;
+const SLOW_SOLVE_MINUTES = 60;
+const SLOW_SOLVE_PENALTY = 0.1;
+const MIN_SOLVED_SCORE = 0.2;
+// Weak spots need a low score on at least this many problems
+const WEAK_MASTERY = 50;
+const WEAK_SPOT_MIN_PROBLEMS = 2;
+const MAX_WEAK_SPOTS = 3;
+
+function validUserId(userId) {
+  return typeof userId === 'string' && USER_ID.test(userId);
+}
+
+function assertUserId(userId) {
+  if (!validUserId(userId)) {
+    throw new Error('userId must be 1-64 letters, digits, "_" or "-"');
+  }
+}
+
+const isAccepted = (verdict) => /^accepted$/i.test(String(verdict || '').trim());
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// One record per problem from its events, oldest first
+function summarizeProblem(events) {
+  const latest = events[events.length - 1].problem;
+  const summary = {
+    slug: latest.slug,
+    title: latest.title || latest.slug,
+    difficulty: latest.difficulty || null,
+    tags: latest.tags || [],
+    pattern: null,
+    analyses: 0,
+    hintsUsed: 0,
+    failedSubmissions: 0,
+    solved: false,
+    minutesToAccept: null,
+    firstSeen: events[0].timestamp,
+    lastSeen: events[events.length - 1].timestamp
+  };
+
+  for (const event of events) {
+    if (event.kind === 'analysis') {
+      summary.analyses++;
+      if (event.pattern) summary.pattern = event.pattern;
+    } else if (event.kind === 'hint') {
+      summary.hintsUsed = Math.max(summary.hintsUsed, event.level || 0);
+    } else if (event.kind === 'submission' && !summary.solved) {
+      if (isAccepted(event.verdict)) {
+        summary.solved = true;
+        summary.minutesToAccept = Math.round((Date.parse(event.timestamp) - Date.parse(summary.firstSeen)) / 60000);
+      } else {
+        summary.failedSubmissions++;
+      }
+    }
+  }
+
+  summary.score = problemScore(summary);
+  return summary;
+}
+
+// 0 for an unsolved problem; a solve scores 1 less what it took to get there
+function problemScore({ solved, hintsUsed, failedSubmissions, minutesToAccept }) {
+  if (!solved) return 0;
+  const penalty = hintsUsed * HINT_PENALTY +
+    Math.min(MAX_FAILURE_PENALTY, failedSubmissions * FAILURE_PENALTY) +
+    (minutesToAccept > SLOW_SOLVE_MINUTES ? SLOW_SOLVE_PENALTY : 0);
+  return Math.max(MIN_SOLVED_SCORE, 1 - penalty);
+}
+
+// Totals and mastery (0-100) for a group of problem summaries
+function groupStats(problems) {
+  const weight = (p) => DIFFICULTY_WEIGHTS[p.difficulty] || DIFFICULTY_WEIGHTS.Medium;
+  const totalWeight = problems.reduce((sum, p) => sum + weight(p), 0);
+  const weightedScore = problems.reduce((sum, p) => sum + weight(p) * p.score, 0);
+  const solved = problems.filter(p => p.solved);
+
+  return {
+    problems: problems.length,
+    solved: solved.length,
+    analyses: problems.reduce((sum, p) => sum + p.analyses, 0),
+    hintsUsed: problems.reduce((sum, p) => sum + p.hintsUsed, 0),
+    failedSubmissions: problems.reduce((sum, p) => sum + p.failedSubmissions, 0),
+    medianMinutesToAccept: median(solved.map(p => p.minutesToAccept)),
+    mastery: Math.round(100 * weightedScore / (totalWeight + PRIOR_WEIGHT))
+  };
+}
+
+function groupBy(problems, keysOf) {
+  const groups = new Map();
+  problems.forEach(problem => keysOf(problem).forEach(key => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(problem);
+  }));
+  return groups;
+}
+
+function describeWeakSpot(spot) {
+  return `${spot.name} (mastery ${spot.mastery}/100 over ${spot.problems} problems: ${spot.solved} solved, ` +
+    `${spot.hintsUsed} hint levels used, ${spot.failedSubmissions} failed submissions)`;
+}
+
+class SkillProfile {
+  constructor(db) {
+    this.db = db;
+  }
+
+  get events() {
+    return this.db.table('profile_events');
+  }
+
+  // Record one event; requests without a valid userId or problem slug are not tracked
+  record(userId, problem, { kind, ...details }) {
+    if (!validUserId(userId)) return null;
+    if (!EVENT_KINDS.includes(kind)) {
+      throw new Error(`kind must be one of: ${EVENT_KINDS.join(', ')}`);
+    }
+    const slug = problem?.slug || slugFromUrl(problem?.url);
+    if (!slug) return null;
+
+    return this.events.put({
+      id: crypto.randomUUID(),
+      userId,
+      kind,
+      problem: {
+        slug,
+        title: problem.title || slug,
+        difficulty: problem.difficulty || null,
+        tags: Array.isArray(problem.tags) ? problem.tags : []
+      },
+      ...details,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // A Submit verdict read from LeetCode's result panel
+  recordSubmission(userId, { problem, verdict }) {
+    assertUserId(userId);
+    if (typeof verdict !== 'string' || !verdict.trim()) {
+      throw new Error('verdict must be a non-empty string');
+    }
+    const event = this.record(userId, problem, { kind: 'submission', verdict: verdict.trim() });
+    if (!event) {
+      throw new Error('A problem slug (or a problem.url containing one) is required');
+    }
+    return event;
+  }
+
+  profile(userId) {
+    assertUserId(userId);
+    const events = this.events.find(e => e.userId === userId).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const problems = [...groupBy(events, e => [e.problem.slug]).values()].map(summarizeProblem);
+
+    const topics = [...groupBy(problems, p => p.tags)].map(([topic, group]) => ({ topic, ...groupStats(group) }));
+    const patterns = [...groupBy(problems, p => (p.pattern ? [p.pattern.id] : []))]
+      .map(([id, group]) => ({ id, label: group[group.length - 1].pattern.label, ...groupStats(group) }));
+    const byMastery = (a, b) => a.mastery - b.mastery || b.problems - a.problems;
+
+    const weakSpots = [...topics.map(t => ({ name: t.topic, ...t })), ...patterns.map(p => ({ name: p.label, ...p }))]
+      .filter(group => group.problems >= WEAK_SPOT_MIN_PROBLEMS && group.mastery < WEAK_MASTERY)
+      .sort(byMastery)
+      .slice(0, MAX_WEAK_SPOTS)
+      .map(({ name, mastery, problems: count, solved, hintsUsed, failedSubmissions }) => ({ name, mastery, problems: count, solved, hintsUsed, failedSubmissions }));
+
+    return {
+      userId,
+      totals: groupStats(problems),
+      topics: topics.sort(byMastery),
+      patterns: patterns.sort(byMastery),
+      weakSpots,
+      problems: problems.sort((a, b) => b.lastSeen.localeCompare(a.lastSeen))
+    };
+  }
+
+  // One paragraph for the coaching prompts, or '' when nothing stands out yet
+  weakSpotSummary(userId) {
+    if (!validUserId(userId)) return '';
+    const { weakSpots } = this.profile(userId);
+    if (weakSpots.length === 0) return '';
+    return `Known weak spots from this student's history: ${weakSpots.map(describeWeakSpot).join('; ')}. ` +
+      'Take extra care to build understanding where this problem touches them.';
+  }
+}
+
+module.exports = { SkillProfile };
@@ -0,0 +1,290 @@
+// lib/staticComplexity.js - Estimate time/space complexity from the code itself
+//
+// The language analyzers in lib/analyzers/ reduce a solution to loops, known
+// built-in costs, calls between its functions and allocations. This module
+// turns that shape into Big-O bounds, so the review's claim can be checked
+// against something other than the model's own word. It is a heuristic: the
+// result is "what the structure suggests", reported with the reasons behind it.
+const { analyzeJavaScript } = require('./analyzers/javascript');
+const { analyzePython } = require('./analyzers/python');
+const { detectLanguage } = require('./codeRunner');
+
+// A bound is n^exp · log^log n, times 2^n when exponential
+const term = (exp = 0, log = 0, exponential = false) => ({ exp, log, exponential });
+const CONSTANT = term();
+const GROWTH = { 1: term(), log: term(0, 1), n: term(1), nlogn: term(1, 1), n2: term(2) };
+
+const multiply = (a, b) => term(a.exp + b.exp, a.log + b.log, a.exponential || b.exponential);
+
+function compare(a, b) {
+  if (a.exponential !== b.exponential) return a.exponential ? 1 : -1;
+  if (a.exp !== b.exp) return a.exp - b.exp;
+  return a.log - b.log;
+}
+
+const largest = (terms) => terms.reduce((best, t) => (compare(t, best) > 0 ? t : best), CONSTANT);
+
+// An amortized inner loop runs n times across the whole enclosing loop, so
+// per step of that loop it counts once
+const loopGrowth = (node) => (node.amortized ? CONSTANT : GROWTH[node.growth]);
+
+function formatTerm({ exp, log, exponential }) {
+  const parts = [];
+  if (exp === 1) parts.push('n');
+  else if (exp > 0) parts.push(`n^${Number.isInteger(exp) ? exp : exp.toFixed(2)}`);
+  if (log === 1) parts.push('log n');
+  else if (log > 1) parts.push(`log^${log} n`);
+  if (exponential) parts.push('2^n');
+  return `O(${parts.join(' · ') || '1'})`;
+}
+
+// Pick the function the judge calls: the one no other function calls,
+// preferring the last defined (helpers usually come first in JS)
+function entryFunction(functions) {
+  const calledByOthers = new Set();
+  functions.forEach(fn => {
+    const walk = (nodes) => nodes.forEach(node => {
+      if (node.t === 'call' && node.name !== fn.name) calledByOthers.add(node.name);
+      if (node.body) walk(node.body);
+    });
+    walk(fn.body);
+  });
+
+  const candidates = functions.filter(fn => !calledByOthers.has(fn.name) && !fn.name.startsWith('_') && !fn.name.startsWith('<'));
+  return candidates[candidates.length - 1] || functions[functions.length - 1] || null;
+}
+
+function estimateShape(shape) {
+  const byName = new Map(shape.functions.map(fn => [fn.name, fn]));
+  const results = new Map();
+  const notes = [];
+
+  function estimateFunction(fn, stack) {
+    if (results.has(fn.name)) return results.get(fn.name);
+    if (stack.includes(fn.name)) return { time: CONSTANT, space: CONSTANT };
+
+    const recursive = [];
+    const inner = [...stack, fn.name];
+
+    // Cost of a list of shape nodes; recursive calls to fn cost O(1) here and
+    // are collected with the loop factor they sit under
+    function time(nodes, factor) {
+      return largest(nodes.map(node => {
+        switch (node.t) {
+          case 'loop': {
+            const growth = loopGrowth(node);
+            return multiply(growth, time(node.body, multiply(factor, growth)));
+          }
+          case 'op':
+            return GROWTH[node.growth];
+          case 'alloc':
+            return GROWTH[node.size];
+          case 'call': {
+            if (node.name === fn.name) {
+              recursive.push({ ...node, factor });
+              return CONSTANT;
+            }
+            const callee = byName.get(node.name);
+            return callee ? estimateFunction(callee, inner).time : CONSTANT;
+          }
+          default:
+            return CONSTANT;
+        }
+      }));
+    }
+
+    // Memory held at once: allocations multiply under loops that keep a result
+    // per iteration, growth multiplies under every enclosing loop
+    function space(nodes, retained, grown) {
+      return largest(nodes.map(node => {
+        switch (node.t) {
+          case 'loop': {
+            const growth = loopGrowth(node);
+            return space(node.body, node.retains ? multiply(retained, growth) : retained, multiply(grown, growth));
+          }
+          case 'alloc':
+            return multiply(retained, GROWTH[node.size]);
+          case 'grow':
+            return grown;
+          case 'call': {
+            const callee = node.name !== fn.name && byName.get(node.name);
+            return callee ? estimateFunction(callee, inner).space : CONSTANT;
+          }
+          default:
+            return CONSTANT;
+        }
+      }));
+    }
+
+    const work = time(fn.body, CONSTANT);
+    const local = space(fn.body, CONSTANT, CONSTANT);
+    let result = { time: work, space: local };
+
+    if (recursive.length > 0) {
+      const inLoop = recursive.some(call => compare(call.factor, CONSTANT) > 0);
+      const halving = recursive.every(call => call.halving);
+      const structural = recursive.every(call => call.structural);
+      const branches = recursive.length;
+
+      if (fn.memo) {
+        const varying = new Set(recursive.flatMap(call => call.varying));
+        const states = term(Math.max(1, varying.size));
+        notes.push(`${fn.name}() is memoized: about ${formatTerm(states)} states × ${formatTerm(work)} work each`);
+        result = { time: multiply(states, work), space: largest([states, local]) };
+      } else if (structural && !inLoop) {
+        notes.push(`${fn.name}() recurses over the structure, visiting each node once`);
+        result = { time: multiply(GROWTH.n, work), space: largest([GROWTH.n, local]) };
+      } else if (halving && !inLoop) {
+        result = { time: divideAndConquer(branches, work), space: largest([GROWTH.log, local]) };
+        notes.push(`${fn.name}() makes ${branches} recursive call${branches > 1 ? 's' : ''} on half the input`);
+      } else if (branches >= 2 || inLoop) {
+        notes.push(`${fn.name}() branches into ${inLoop ? 'a loop of' : branches} recursive calls without memoization`);
+        result = { time: multiply(term(0, 0, true), work), space: largest([GROWTH.n, local]) };
+      } else {
+        notes.push(`${fn.name}() recurses once per level, up to n levels deep`);
+        result = { time: multiply(GROWTH.n, work), space: largest([GROWTH.n, local]) };
+      }
+    }
+
+    results.set(fn.name, result);
+    return result;
+  }
+
+  const entry = entryFunction(shape.functions);
+  if (!entry) return null;
+
+  const { time, space } = estimateFunction(entry, []);
+  return { entry: entry.name, time, space, notes: [...notes, ...describeLoops(entry, byName)] };
+}
+
+// Master theorem for T(n) = a·T(n/2) + work
+function divideAndConquer(a, work) {
+  const critical = Math.log2(a);
+  if (work.exp < critical) return term(critical);
+  if (work.exp === critical) return term(work.exp, work.log + 1);
+  return work;
+}
+
+// The deepest loop nest, amortized inner loops and the costly built-ins, as
+// evidence for the estimate
+function describeLoops(entry, byName) {
+  let deepest = [];
+  const costly = [];
+  const amortized = [];
+  const seen = new Set();
+
+  function walk(nodes, path) {
+    for (const node of nodes) {
+      if (node.t === 'loop' && node.amortized) {
+        amortized.push(`${node.label} only moves ${node.amortized} forward: O(n) in total across ${path[path.length - 1]?.label || 'the outer loop'}, not per step`);
+        walk(node.body, path);
+      } else if (node.t === 'loop' && node.growth !== '1') {
+        const next = [...path, node];
+        if (next.length > deepest.length) deepest = next;
+        walk(node.body, next);
+      } else if (node.t === 'loop') {
+        walk(node.body, path);
+      } else if (node.t === 'op' && node.growth !== 'log' && path.length > 0) {
+        costly.push(`${node.label} inside ${path[path.length - 1].label}`);
+      } else if (node.t === 'op' && node.growth === 'nlogn') {
+        costly.push(`${node.label} sorts in O(n log n)`);
+      } else if (node.t === 'call' && !seen.has(node.name) && byName.has(node.name)) {
+        seen.add(node.name);
+        walk(byName.get(node.name).body, path);
+      }
+    }
+  }
+
+  seen.add(entry.name);
+  walk(entry.body, []);
+
+  // A halving loop (binary search) is O(log n), not a pass over the input
+  const describe = (loop) => (loop.growth === 'log' ? `${loop.label} (halves the range each step)` : loop.label);
+  const notes = [];
+  if (deepest.length > 1) notes.push(`${deepest.length} nested loops: ${deepest.map(describe).join(' → ')}`);
+  else if (deepest.length === 1 && deepest[0].growth === 'log') notes.push(`one loop that halves the range each step: ${deepest[0].label}`);
+  else if (deepest.length === 1) notes.push(`one loop over the input: ${deepest[0].label}`);
+  return notes.concat(amortized, costly.slice(0, 3));
+}
+
+// Read a Big-O string from a review ("O(n²)", "O(n log n)", "O(m * n)", "O(2^n)")
+// into the same form. Every size variable counts as n.
+function parseBigO(text) {
+  if (typeof text !== 'string') return null;
+  const start = text.search(/O\s*\(/i);
+  if (start === -1) return null;
+
+  // Up to the matching parenthesis; extractComplexity may have cut "O(log(n))" short
+  let depth = 0;
+  let inside = '';
+  for (const char of text.slice(text.indexOf('(', start))) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth === 0) break;
+    inside += char;
+  }
+
+  const expression = inside.slice(1)
+    .replace(/[²]/g, '^2').replace(/[³]/g, '^3')
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+    .trim();
+  // "O(?)" is what extractComplexity reports when the review gave no bound
+  if (!/[a-z0-9√]/.test(expression)) return null;
+
+  // A sum is as big as its largest part
+  const summands = expression.split(/\s*\+\s*/).map(part => {
+    if (/\d\s*\^\s*[a-z]|[a-z]\s*!|[a-z]\s*\^\s*[a-z]/.test(part)) return term(0, 0, true);
+
+    let log = 0;
+    let exp = 0;
+    const rest = part
+      .replace(/log\s*(?:\^\s*(\d+))?\s*\(?\s*[a-z]?\s*\)?/g, (_, power) => { log += Number(power || 1); return ' '; })
+      .replace(/(?:sqrt|√)\s*\(?\s*[a-z]\s*\)?/g, () => { exp += 0.5; return ' '; });
+    for (const factor of rest.matchAll(/\b([a-z])\b(?:\s*\^\s*(\d+))?/g)) {
+      exp += factor[2] ? Number(factor[2]) : 1;
+    }
+    return term(exp, log);
+  });
+  return largest(summands);
+}
+
+const sameClass = (a, b) => (a.exponential && b.exponential) || compare(a, b) === 0;
+
+async function shapeOf(code, language) {
+  if (language === 'javascript') return analyzeJavaScript(code);
+  if (language === 'python') return analyzePython(code);
+  return null;
+}
+
+// Estimate the code's complexity; with `claimed` ({ time, space } strings from
+// the review, or one string for the time alone) also report whether each part
+// agrees. Returns null when the language isn't supported.
+async function estimateComplexity({ code, language, claimed } = {}) {
+  const lang = language ? String(language).toLowerCase().replace(/^(js|node)$/, 'javascript').replace(/^py(thon3)?$/, 'python') : detectLanguage(code);
+  const shape = await shapeOf(code, lang);
+  const estimate = shape && estimateShape(shape);
+  if (!estimate) return null;
+
+  const result = {
+    language: lang,
+    entry: estimate.entry,
+    time: formatTerm(estimate.time),
+    space: formatTerm(estimate.space),
+    notes: estimate.notes
+  };
+
+  const claim = typeof claimed === 'string' ? { time: claimed } : claimed;
+  if (claim) {
+    const claimedTime = parseBigO(claim.time);
+    const claimedSpace = parseBigO(claim.space);
+    result.claimed = { time: claim.time || null, space: claim.space || null };
+    result.agrees = {
+      time: claimedTime ? sameClass(claimedTime, estimate.time) : null,
+      space: claimedSpace ? sameClass(claimedSpace, estimate.space) : null
+    };
+  }
+  return result;
+}
+
+module.exports = { estimateComplexity, parseBigO, formatTerm };
@@ -0,0 +1,265 @@
+// lib/stressTest.js - Find an input where the solution disagrees with a brute-force reference
+//
+// Random small inputs are generated from the problem's examples and constraints
+// (the parameter specs of lib/edgeCases.js, squeezed to tiny sizes and values,
+// where off-by-one and duplicate bugs show up), both programs run on them in
+// batches through the code runner's harness, and the first mismatch is shrunk
+// to the smallest input that still fails. Inputs the reference itself cannot
+// handle are treated as outside the problem's promises and skipped.
+const { runHarness, resolveLanguage, missingResultError, sameValue, RunnerError } = require('./codeRunner');
+const { parseExample, parametersFrom, parseConstraints, formatInput } = require('./problemInputs');
+const { seededRandom, describeParameter, createGenerator, COLLECTION_TYPES } = require('./edgeCases');
+
+const SMALL = { length: 8, inner: 4, value: 10, charset: 3 };
+const BATCH_SIZE = 50;
+const MAX_SHRINK_ROUNDS = 30;
+const MAX_CANDIDATES = 60;
+
+class ReferenceStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  get references() {
+    return this.db.table('reference_solutions');
+  }
+
+  get(slug, language) {
+    return this.references.get(`${slug}:${language}`);
+  }
+
+  save(slug, language, { code, provider, model, promptVersion }) {
+    return this.references.put({
+      id: `${slug}:${language}`,
+      slug,
+      language,
+      code,
+      provider,
+      model,
+      promptVersion,
+      createdAt: new Date().toISOString()
+    });
+  }
+}
+
+// The first fenced code block of a model reply, or the whole reply when it has none
+function extractCode(text) {
+  const match = String(text || '').match(/```[\w+-]*\n([\s\S]*?)```/);
+  const code = (match ? match[1] : String(text || '')).trim();
+  return code || null;
+}
+
+// A range narrowed to small values, keeping at least a few to choose from
+function smallRange(range, size) {
+  if (!range) return { min: -size, max: size };
+  const min = Math.max(range.min ?? -size, -size);
+  const max = Math.min(range.max ?? size, size);
+  if (min <= max) return { min, max };
+  // The allowed range lies entirely outside [-size, size]: take its start
+  const start = range.min ?? range.max - size;
+  return { min: start, max: Math.min(range.max ?? start + size, start + size) };
+}
+
+function planInputs(problem) {
+  const parsed = (problem?.examples || []).map(parseExample).filter(Boolean);
+  if (parsed.length === 0) {
+    throw new RunnerError('No examples with `name = value` inputs to build random inputs from');
+  }
+
+  const constraints = parseConstraints(problem.constraints);
+  const warnings = [];
+  const parameters = parametersFrom(parsed);
+  // Linked lists and trees are generated as their level-order value lists
+  const specs = parameters.map(p => describeParameter(p.type === 'tree' ? { ...p, type: 'int[]' } : p, constraints, warnings));
+  return { parameters, specs, aliases: constraints.aliases, examples: parsed, warnings };
+}
+
+// Scalars tied to a length ("n == nums.length") follow their collection
+function withLinkedLengths(plan, values) {
+  for (const [alias, target] of Object.entries(plan.aliases)) {
+    if (alias in values && target.field === 'length' && values[target.name] !== undefined) {
+      values[alias] = values[target.name].length;
+    }
+  }
+  return values;
+}
+
+function createInputGenerator(plan, random) {
+  const { collection } = createGenerator(random);
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+  return () => {
+    const values = {};
+    for (const spec of plan.specs) {
+      if (COLLECTION_TYPES.includes(spec.type)) {
+        const length = smallRange(spec.length, SMALL.length);
+        const columns = int(Math.max(spec.inner.min, 1), Math.max(Math.min(spec.inner.max, SMALL.inner), 1));
+        const small = {
+          ...spec,
+          value: spec.value && smallRange(spec.value, SMALL.value),
+          inner: { min: columns, max: columns },
+          charset: spec.charset.slice(0, SMALL.charset)
+        };
+        values[spec.name] = collection(small, int(Math.max(length.min, 0), Math.max(length.max, 0)), 'random');
+      } else if (spec.type === 'int') {
+        const range = smallRange(spec.value, SMALL.value);
+        values[spec.name] = int(range.min, range.max);
+      } else {
+        // Booleans, doubles and anything unusual keep the first example's value
+        values[spec.name] = plan.examples[0].input[spec.name] ?? spec.example;
+      }
+    }
+    return withLinkedLengths(plan, values);
+  };
+}
+
+// Smaller variants of a failing input: drop elements first, then move numbers toward 0
+function shrinkCandidates(plan, values) {
+  const candidates = [];
+  const withValue = (name, value) => withLinkedLengths(plan, { ...values, [name]: value });
+
+  for (const spec of plan.specs) {
+    const value = values[spec.name];
+    const min = spec.length?.min ?? 0;
+    if ((Array.isArray(value) || typeof value === 'string') && value.length > min) {
+      if (value.length >= 2 && Math.floor(value.length / 2) >= min) candidates.push(withValue(spec.name, value.slice(0, Math.floor(value.length / 2))));
+      for (let i = 0; i < value.length; i++) {
+        candidates.push(withValue(spec.name, value.slice(0, i).concat(value.slice(i + 1))));
+      }
+    }
+  }
+
+  const inRange = (spec, n) => !spec.value || ((spec.value.min ?? -Infinity) <= n && n <= (spec.value.max ?? Infinity));
+  const simpler = (n) => [...new Set([0, Math.trunc(n / 2), n - Math.sign(n)])].filter(m => Math.abs(m) < Math.abs(n));
+
+  for (const spec of plan.specs) {
+    const value = values[spec.name];
+    if (typeof value === 'number' && !(spec.name in plan.aliases)) {
+      simpler(value).filter(m => inRange(spec, m)).forEach(m => candidates.push(withValue(spec.name, m)));
+    } else if (Array.isArray(value) && value.every(item => typeof item === 'number') && !spec.sorted) {
+      // Changing one element must not break a "distinct values" promise
+      value.forEach((item, i) => simpler(item).filter(m => inRange(spec, m) && !(spec.unique && value.includes(m))).forEach(m => {
+        const next = value.slice();
+        next[i] = m;
+        candidates.push(withValue(spec.name, next));
+      }));
+    }
+  }
+
+  const seen = new Set();
+  return candidates.filter(candidate => {
+    const key = JSON.stringify(candidate);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, MAX_CANDIDATES);
+}
+
+function sameOutput(actual, expected, compare) {
+  if (compare === 'unordered' && Array.isArray(actual) && Array.isArray(expected)) {
+    const sorted = (list) => list.map(item => JSON.stringify(item)).sort();
+    return sameValue(sorted(actual), sorted(expected));
+  }
+  return sameValue(actual, expected);
+}
+
+// Run both programs on a batch; returns one verdict per input
+async function judge(inputs, { plan, solution, reference, compare, limits }) {
+  const cases = inputs.map((values, index) => ({ index, args: plan.parameters.map(p => values[p.name]) }));
+  const [mine, theirs] = [
+    await runHarness({ ...solution, cases, ...limits }),
+    await runHarness({ ...reference, cases, ...limits })
+  ];
+
+  return inputs.map((values, index) => {
+    const expected = theirs.byIndex.get(index);
+    if (!expected || expected.error) return { values, status: 'invalid', error: expected?.error || missingResultError(theirs.run) };
+
+    const actual = mine.byIndex.get(index);
+    const error = actual ? actual.error || null : missingResultError(mine.run);
+    if (error) return { values, status: 'fail', expected: expected.actual, actual: null, error };
+    if (!sameOutput(actual.actual, expected.actual, compare)) {
+      return { values, status: 'fail', expected: expected.actual, actual: actual.actual, error: null };
+    }
+    return { values, status: 'pass' };
+  });
+}
+
+async function stressTest({
+  code, language, reference, problem, iterations = 200, compare = 'exact',
+  timeoutMs = 5000, caseTimeoutMs = 1000, memoryMb = 256
+}) {
+  if (typeof code !== 'string' || !code.trim()) {
+    throw new RunnerError('code must be a non-empty string');
+  }
+  if (!reference || typeof reference.code !== 'string' || !reference.code.trim()) {
+    throw new RunnerError('reference.code must be a non-empty string');
+  }
+  if (!Number.isInteger(iterations) || iterations < 1 || iterations > 2000) {
+    throw new RunnerError('iterations must be an integer from 1 to 2000');
+  }
+  if (!['exact', 'unordered'].includes(compare)) {
+    throw new RunnerError('compare must be "exact" or "unordered"');
+  }
+
+  const plan = planInputs(problem);
+  const context = {
+    plan,
+    compare,
+    solution: { code, language: resolveLanguage(language, code) },
+    reference: { code: reference.code, language: resolveLanguage(reference.language, reference.code) },
+    limits: { timeoutMs, caseTimeoutMs, memoryMb }
+  };
+  const next = createInputGenerator(plan, seededRandom(`${problem.slug || problem.title}:stress`));
+  const started = Date.now();
+
+  let tested = 0;
+  let invalid = 0;
+  let failure = null;
+  while (tested < iterations && !failure) {
+    const batch = Array.from({ length: Math.min(BATCH_SIZE, iterations - tested) }, next);
+    const verdicts = await judge(batch, context);
+    for (const verdict of verdicts) {
+      tested++;
+      if (verdict.status === 'invalid') invalid++;
+      if (verdict.status === 'fail') {
+        failure = verdict;
+        break;
+      }
+    }
+  }
+
+  // Greedily take the first smaller variant that still fails
+  let shrinkSteps = 0;
+  for (let round = 0; failure && round < MAX_SHRINK_ROUNDS; round++) {
+    const candidates = shrinkCandidates(plan, failure.values);
+    if (candidates.length === 0) break;
+    const smaller = (await judge(candidates, context)).find(verdict => verdict.status === 'fail');
+    if (!smaller) break;
+    failure = smaller;
+    shrinkSteps++;
+  }
+
+  const result = {
+    found: Boolean(failure),
+    tested,
+    invalid,
+    language: context.solution.language,
+    referenceLanguage: context.reference.language,
+    warnings: plan.warnings,
+    durationMs: Date.now() - started
+  };
+  if (!failure) return result;
+
+  return {
+    ...result,
+    input: plan.parameters.map(p => `${p.name} = ${JSON.stringify(failure.values[p.name])}`).join(', '),
+    testcase: formatInput(plan.parameters, failure.values),
+    expected: failure.expected,
+    actual: failure.actual,
+    error: failure.error,
+    shrinkSteps
+  };
+}
+
+module.exports = { stressTest, ReferenceStore, extractCode, shrinkCandidates };
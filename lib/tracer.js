@@ -0,0 +1,162 @@
+// lib/tracer.js - Record a step-by-step trace of a solution on one example
+//
+// The code runs once through the code runner's harness in trace mode. Python
+// is traced from the outside with sys.settrace; JavaScript has no such hook,
+// so the solution is rewritten here with acorn to call the harness before
+// every statement and around every return, passing closures that read the
+// variables in scope. The rewrite only inserts text on existing lines, so the
+// recorded line numbers are the student's own.
+const { runHarness, resolveLanguage, missingResultError, sameValue, RunnerError } = require('./codeRunner');
+const { parseExample } = require('./problemInputs');
+const { parse, children, isFunction, collectFunctions } = require('./analyzers/javascript');
+
+const DEFAULT_STEPS = 300;
+const MAX_STEPS = 1000;
+// Keeps the result line under the sandbox's 1 MB output limit
+const MAX_TRACE_CHARS = 700 * 1024;
+
+const LOOPS = ['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'];
+const UNTRACED = ['FunctionDeclaration', 'ClassDeclaration', 'EmptyStatement'];
+
+// Identifiers bound by a parameter or declaration pattern
+function patternNames(pattern) {
+  if (!pattern) return [];
+  switch (pattern.type) {
+    case 'Identifier': return [pattern.name];
+    case 'AssignmentPattern': return patternNames(pattern.left);
+    case 'RestElement': return patternNames(pattern.argument);
+    case 'ArrayPattern': return pattern.elements.flatMap(patternNames);
+    case 'ObjectPattern': return pattern.properties.flatMap(p => patternNames(p.type === 'RestElement' ? p : p.value));
+    default: return [];
+  }
+}
+
+// Names a function (or the whole program) declares, not counting those of nested functions
+function declaredNames(node) {
+  const names = isFunction(node) ? node.params.flatMap(patternNames) : [];
+  const visit = (n) => {
+    if (n.type === 'VariableDeclarator') names.push(...patternNames(n.id));
+    if ((n.type === 'FunctionDeclaration' || n.type === 'ClassDeclaration') && n.id) names.push(n.id.name);
+    if (n.type === 'CatchClause') names.push(...patternNames(n.param));
+    if (!isFunction(n)) children(n).forEach(visit);
+  };
+  visit(isFunction(node) ? node.body : node);
+  return names;
+}
+
+// Rewrite a JavaScript solution to report each step to the harness's
+// __trace/__ret/__enter/__exit hooks (lib/harness/runner.js)
+function instrumentJavaScript(code) {
+  const ast = parse(code);
+  const functionNames = new Map(collectFunctions(ast, code).map(({ name, node }) => [node, name]));
+  const lineOf = (pos) => code.slice(0, pos).split('\n').length;
+
+  const edits = [];
+  const open = (pos, text, depth) => edits.push({ pos, text, depth, close: false });
+  const close = (pos, text, depth) => edits.push({ pos, text, depth, close: true });
+
+  function visit(node, scope, depth) {
+    if (isFunction(node) && node.body.type === 'BlockStatement') {
+      const inner = { name: functionNames.get(node) || 'anonymous', vars: [...new Set([...declaredNames(node), ...scope.vars])] };
+      open(node.body.start + 1, '__enter();try{', depth);
+      close(node.body.end - 1, '}finally{__exit();}', depth);
+      children(node).forEach(child => visit(child, inner, depth + 1));
+      return;
+    }
+
+    // Statements outside any function only define the solution
+    if (scope.name !== null) {
+      const getters = `{${scope.vars.filter(name => !name.startsWith('__')).map(name => `${name}:()=>${name}`).join(',')}}`;
+      const step = (statement) => `__trace(${lineOf(statement.start)},${JSON.stringify(scope.name)},${getters});`;
+
+      const list = node.type === 'BlockStatement' ? node.body : node.type === 'SwitchCase' ? node.consequent : [];
+      list.filter(statement => !UNTRACED.includes(statement.type)).forEach(statement => open(statement.start, step(statement), depth + 1));
+
+      // Braceless bodies on their own line get a block to hold their step;
+      // `if (x) return y;` is one step, as in Python
+      const bodies = node.type === 'IfStatement' ? [node.consequent, node.alternate] : LOOPS.includes(node.type) ? [node.body] : [];
+      bodies.filter(body => body && body.type !== 'BlockStatement' && !UNTRACED.includes(body.type) && lineOf(body.start) !== lineOf(node.start)).forEach(body => {
+        open(body.start, `{${step(body)}`, depth + 1);
+        close(body.end, '}', depth + 1);
+      });
+
+      if (node.type === 'ReturnStatement' && node.argument) {
+        open(node.argument.start, `__ret(${lineOf(node.start)},${JSON.stringify(scope.name)},${getters},(`, depth + 1);
+        close(node.argument.end, '))', depth + 1);
+      }
+    }
+    children(node).forEach(child => visit(child, scope, depth + 1));
+  }
+
+  visit(ast, { name: null, vars: declaredNames(ast) }, 0);
+
+  // At the same position inner constructs close before outer ones, and
+  // anything closing comes before whatever opens there
+  edits.sort((a, b) => a.pos - b.pos ||
+    (a.close !== b.close ? (a.close ? -1 : 1) : a.close ? b.depth - a.depth : a.depth - b.depth));
+
+  let result = '';
+  let last = 0;
+  for (const edit of edits) {
+    result += code.slice(last, edit.pos) + edit.text;
+    last = edit.pos;
+  }
+  return result + code.slice(last);
+}
+
+async function traceExample({
+  code, language, examples, example = 1, maxSteps = DEFAULT_STEPS,
+  timeoutMs = 5000, caseTimeoutMs = 3000, memoryMb = 256
+}) {
+  if (typeof code !== 'string' || !code.trim()) {
+    throw new RunnerError('code must be a non-empty string');
+  }
+  if (!Number.isInteger(maxSteps) || maxSteps < 1 || maxSteps > MAX_STEPS) {
+    throw new RunnerError(`maxSteps must be an integer from 1 to ${MAX_STEPS}`);
+  }
+  const lang = resolveLanguage(language, code);
+
+  const parsed = Number.isInteger(example) && example >= 1 ? parseExample((examples || [])[example - 1] || '') : null;
+  if (!parsed) {
+    throw new RunnerError(`Example ${example} is missing or has no \`name = value\` inputs to trace`);
+  }
+
+  let source = code;
+  if (lang === 'javascript') {
+    try {
+      source = instrumentJavaScript(code);
+    } catch (error) {
+      throw new RunnerError(`Could not parse the code: ${error.message}`);
+    }
+  }
+
+  const { run, byIndex } = await runHarness({
+    code: source,
+    language: lang,
+    cases: [{ index: 0, args: Object.values(parsed.input) }],
+    timeoutMs,
+    caseTimeoutMs,
+    memoryMb,
+    trace: { maxSteps, maxChars: MAX_TRACE_CHARS }
+  });
+  const result = byIndex.get(0);
+  const error = result ? result.error || null : missingResultError(run);
+  const finished = Boolean(result && !error && !result.truncated);
+
+  return {
+    language: lang,
+    example,
+    input: Object.entries(parsed.input).map(([name, value]) => `${name} = ${JSON.stringify(value)}`).join(', '),
+    entry: result?.entry || null,
+    lines: code.split('\n'),
+    steps: result?.steps || [],
+    truncated: Boolean(result?.truncated),
+    expected: parsed.output,
+    actual: finished ? result.actual : null,
+    passed: finished && parsed.output !== null && sameValue(result.actual, parsed.output),
+    error,
+    stdout: result?.stdout || ''
+  };
+}
+
+module.exports = { traceExample, instrumentJavaScript };
@@ -0,0 +1,41 @@
+// lib/usageCounters.js - Durable per-day, per-provider request and error counts
+class UsageCounters {
+  constructor(db) {
+    this.db = db;
+  }
+
+  get usage() {
+    return this.db.table('usage');
+  }
+
+  record(provider, { type, error } = {}) {
+    const date = new Date().toISOString().slice(0, 10);
+    const id = `${date}:${provider}`;
+    const row = this.usage.get(id) || { id, date, provider, requests: 0, errors: 0, byType: {}, errorTypes: {} };
+
+    row.requests++;
+    if (type) row.byType[type] = (row.byType[type] || 0) + 1;
+    if (error) {
+      row.errors++;
+      row.errorTypes[error] = (row.errorTypes[error] || 0) + 1;
+    }
+    row.updatedAt = new Date().toISOString();
+
+    this.usage.put(row);
+    return row;
+  }
+
+  // Provider calls made so far today, across all providers
+  requestsToday() {
+    const date = new Date().toISOString().slice(0, 10);
+    return this.usage.find(row => row.date === date).reduce((sum, row) => sum + row.requests, 0);
+  }
+
+  // Most recent days first
+  summary({ days = 7 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    return this.usage.find(row => row.date >= since).sort((a, b) => b.date.localeCompare(a.date));
+  }
+}
+
+module.exports = { UsageCounters };
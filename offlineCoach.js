@@ -0,0 +1,354 @@
+// offlineCoach.js - Rule-based coaching for when the backend can't be reached
+//
+// The pattern taxonomy (patternTaxonomy.js) is its knowledge base: the
+// signals that suggest each pattern (LeetCode tags, wording in the problem and
+// the approach, constructs in the code), its usual cost, common pitfalls and
+// Socratic questions. Requests are matched against it and answered from the
+// best matches, so the same problem, approach and code always get the same
+// answer. Loaded before content.js and popup.js (after constraintParser.js and
+// patternTaxonomy.js), and exported for Node.
+const OfflineCoach = (() => {
+  const Constraints = typeof ConstraintParser !== 'undefined' ? ConstraintParser : require('./constraintParser');
+  const Taxonomy = typeof PatternTaxonomy !== 'undefined' ? PatternTaxonomy : require('./patternTaxonomy');
+
+  // Scores per matched signal; tags are the most reliable, problem wording the least
+  const WEIGHTS = { tag: 3, problem: 1, approach: 2, code: 2 };
+  const OPERATIONS_PER_SECOND = 1e8;
+  const QUESTIONS_PER_ANSWER = 2;
+
+  // The patterns it can teach, each with its variants' signals (a monotonic
+  // stack counts as a stack); signal weights are the classifier's, here each
+  // matched signal scores by its source
+  const PATTERNS = Taxonomy.PATTERNS.filter(pattern => pattern.coaching).map(pattern => {
+    const variants = Taxonomy.PATTERNS.filter(entry => entry === pattern || entry.parent === pattern.id);
+    const all = (field) => variants.flatMap(entry => entry[field]);
+    return {
+      ...pattern,
+      ...pattern.coaching,
+      tags: all('tags'),
+      problem: all('problem'),
+      approach: all('approach').map(signal => signal.pattern),
+      code: all('code').map(signal => signal.pattern)
+    };
+  });
+
+  const GENERIC_QUESTIONS = [
+    'What is the brute-force solution, and which part of it repeats work?',
+    'How many times does your innermost operation run when the input is at its maximum size?',
+    'What data structure would make that repeated operation fast?',
+    'Which inputs at the edges of the constraints could break your solution?'
+  ];
+
+  const VERDICT_CHECKS = {
+    'Wrong Answer': 'Trace your code by hand on the failing input. At which step does a variable first hold something you did not expect?',
+    'Time Limit Exceeded': 'Compare your loops with the constraints. How many operations does your code do when n is at its maximum?',
+    'Runtime Error': 'Look at the line in the error message. Which input makes an index, a null value or the recursion depth go out of bounds there?',
+    'Memory Limit Exceeded': 'Which of your data structures grows with the input, and does it need to keep everything it stores?'
+  };
+
+  const { superscript, formatSize, operations } = Constraints;
+  const quote = (text) => `"${text.trim().replace(/\s+/g, ' ').slice(0, 40)}"`;
+
+  function problemText(problem) {
+    if (!problem) return '';
+    return [problem.title, problem.description, ...(problem.examples || []), ...(problem.constraints || []).map(Constraints.constraintText)]
+      .filter(Boolean).join('\n').toLowerCase();
+  }
+
+  // Every pattern with at least one signal in the sources, best first. Each
+  // match lists the evidence it was found on.
+  function matchPatterns({ problem, approach, code } = {}) {
+    const sources = {
+      problem: problemText(problem),
+      approach: String(approach || '').toLowerCase(),
+      code: String(code || '')
+    };
+    const tags = (problem?.tags || []).map(tag => String(tag).toLowerCase());
+
+    return PATTERNS.map((pattern, order) => {
+      const evidence = [];
+      const scores = { tag: 0, problem: 0, approach: 0, code: 0 };
+
+      pattern.tags.filter(tag => tags.includes(tag.toLowerCase())).forEach(tag => {
+        scores.tag += WEIGHTS.tag;
+        evidence.push(`the problem is tagged "${tag}"`);
+      });
+      ['problem', 'approach', 'code'].forEach(source => {
+        pattern[source].forEach(signal => {
+          const found = sources[source].match(signal);
+          if (!found) return;
+          scores[source] += WEIGHTS[source];
+          evidence.push(`${source === 'problem' ? 'the problem mentions' : source === 'approach' ? 'your approach mentions' : 'your code uses'} ${quote(found[0])}`);
+        });
+      });
+
+      const score = scores.tag + scores.problem + scores.approach + scores.code;
+      return { pattern, score, scores, evidence, order };
+    })
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score || a.order - b.order);
+  }
+
+  // The best match that was found on the given sources
+  function bestFrom(matches, ...sources) {
+    return matches.find(match => sources.some(source => match.scores[source] > 0)) || null;
+  }
+
+  // Nesting depth of loops (by indentation) and self-calling functions
+  function codeStructure(code) {
+    const lines = String(code || '').split('\n');
+    const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+    const open = [];
+    let loopDepth = 0;
+    lines.forEach(line => {
+      if (!line.trim() || /^\s*(\/\/|#)/.test(line)) return;
+      const indent = indentOf(line);
+      while (open.length > 0 && open[open.length - 1] >= indent) open.pop();
+      if (/^\s*(\}\s*)?(for|while)\b/.test(line)) {
+        open.push(indent);
+        loopDepth = Math.max(loopDepth, open.length);
+      }
+    });
+
+    const names = [...String(code || '').matchAll(/\b(?:def|function)\s+(\w+)|\b(\w+)\s*=\s*(?:function\b|\([^)]*\)\s*=>|\w+\s*=>)/g)]
+      .map(match => match[1] || match[2]);
+    const recursive = [...new Set(names)].filter(name => {
+      const calls = lines.filter(line => !new RegExp(`\\b(def|function)\\s+${name}\\b|\\b${name}\\s*=`).test(line))
+        .reduce((count, line) => count + (line.match(new RegExp(`\\b${name}\\s*\\(`, 'g')) || []).length, 0);
+      return calls > 0;
+    });
+    // Two calls from one line (fib(n - 1) + fib(n - 2)) branch; a tree's left and right children don't
+    const branching = recursive.some(name => lines.some(line =>
+      (line.match(new RegExp(`\\b${name}\\s*\\(`, 'g')) || []).length >= 2 && !/\.(left|right)\b/.test(line)));
+    const memoized = /@(functools\.)?(lru_)?cache\b|\bmemo\b/i.test(code || '');
+
+    return { loopDepth, recursive, branching, memoized, sorts: /\.sort\(|\bsorted\(|\bsort\(/.test(code || '') };
+  }
+
+  // Growth as { exp, log, exponential }, read from an O(...) string
+  function growthOf(bigO) {
+    if (!bigO) return null;
+    const text = bigO.replace(/\s/g, '');
+    if (/2\^|2ⁿ|!/.test(text)) return { exp: 0, log: 0, exponential: true };
+    const withoutLogs = text.replace(/log\w*/g, '');
+    const power = withoutLogs.match(/n(?:\^(\d)|([²³]))/);
+    const exp = power ? Number(power[1] || '⁰¹²³'.indexOf(power[2])) : /[nmkVELN]/.test(withoutLogs) ? 1 : 0;
+    return { exp, log: /log/.test(text) ? 1 : 0, exponential: false };
+  }
+
+  function formatGrowth({ exp, log, exponential }) {
+    if (exponential) return 'O(2ⁿ)';
+    const parts = [exp === 1 ? 'n' : exp > 1 ? `n${superscript(exp)}` : '', log ? 'log n' : ''].filter(Boolean);
+    return `O(${parts.join(' ') || '1'})`;
+  }
+
+  function structureGrowth(structure) {
+    if (structure.branching && !structure.memoized) return { exp: 0, log: 0, exponential: true };
+    const exp = structure.loopDepth;
+    return { exp, log: structure.sorts && exp <= 1 ? 1 : 0, exponential: false };
+  }
+
+  // Largest input size the constraints allow ("1 <= nums.length <= 10^5"), or null
+  function largestSize(constraints) {
+    const sizes = Constraints.inputSizes(constraints);
+    return sizes.length > 0 ? sizes[0].max : null;
+  }
+
+  // "n ≤ 10⁵: O(n²) is about 10¹⁰ steps, too slow" - or null when unknown
+  function constraintNote(problem, growth) {
+    const n = largestSize(problem?.constraints);
+    if (!n || !growth) return null;
+    const steps = operations(growth, n);
+    const about = Number.isFinite(steps) && steps < 1e300 ? `about 10${superscript(Math.max(0, Math.round(Math.log10(steps))))} steps` : 'astronomically many steps';
+    const verdict = steps <= OPERATIONS_PER_SECOND ? 'fits the time limit' : steps <= 10 * OPERATIONS_PER_SECOND ? 'borderline' : 'too slow';
+    return `⏱️ The input goes up to ${formatSize(n)}: ${formatGrowth(growth)} is ${about}, ${verdict}.`;
+  }
+
+  function costOf(pattern) {
+    return pattern.time ? `${pattern.time} time, ${pattern.space} space` : pattern.cost;
+  }
+
+  // Questions rotate with the number of coach replies so far, so asking again moves on
+  function pickQuestions(questions, turn, count = QUESTIONS_PER_ANSWER) {
+    return Array.from({ length: Math.min(count, questions.length) }, (_, i) => questions[(turn + i) % questions.length]);
+  }
+
+  const coachTurns = (history) => (history || []).filter(entry => entry.sender === 'ai').length;
+  const bullets = (items) => items.map(item => `- ${item}`).join('\n');
+  const header = '📴 Offline coach - rule-based feedback while the AI backend is unreachable.';
+
+  function analyzeApproach({ problem, approach, history }) {
+    const matches = matchPatterns({ problem, approach });
+    const yours = bestFrom(matches, 'approach');
+    const suggested = bestFrom(matches, 'tag', 'problem');
+    const turn = coachTurns(history);
+    const sections = [header];
+
+    if (yours) {
+      sections.push(`**Your approach:** ${yours.pattern.label} (${yours.evidence.filter(e => e.startsWith('your')).join('; ')})`);
+      sections.push(`**Typical cost:** ${costOf(yours.pattern)}`);
+      const note = constraintNote(problem, growthOf(yours.pattern.time));
+      if (note) sections.push(note);
+      if (suggested && suggested.pattern !== yours.pattern) {
+        sections.push(`**Worth comparing:** ${suggested.pattern.label} - ${suggested.evidence.filter(e => e.startsWith('the problem')).join('; ')}.`);
+      } else if (suggested) {
+        sections.push(`✅ That fits the problem: ${suggested.evidence.filter(e => e.startsWith('the problem')).join('; ')}.`);
+      }
+      sections.push(`**Pitfalls to check:**\n${bullets(yours.pattern.pitfalls)}`);
+      sections.push(`**Questions for you:**\n${bullets(pickQuestions(yours.pattern.questions, turn))}`);
+    } else if (suggested) {
+      sections.push('I could not tell which technique your approach uses - can you name the data structure or the main loop?');
+      sections.push(`**The problem points to:** ${suggested.pattern.label} (${suggested.evidence.join('; ')}), usually ${costOf(suggested.pattern)}.`);
+      sections.push(`**Questions for you:**\n${bullets(pickQuestions(suggested.pattern.questions, turn))}`);
+    } else {
+      sections.push(`**Questions for you:**\n${bullets(pickQuestions(GENERIC_QUESTIONS, turn, 3))}`);
+    }
+
+    return {
+      response: sections.join('\n\n'),
+      complexity: { time: yours?.pattern.time || 'O(?)', space: yours?.pattern.space || 'O(?)' }
+    };
+  }
+
+  function describeStructure(structure) {
+    const notes = [];
+    if (structure.loopDepth >= 2) notes.push(`loops nested ${structure.loopDepth} deep - about ${formatGrowth({ exp: structure.loopDepth, log: 0 })} time`);
+    else if (structure.loopDepth === 1) notes.push('a single level of loops');
+    if (structure.recursive.length > 0) {
+      const how = structure.branching ? (structure.memoized ? 'branching, memoized' : 'branching, not memoized - often exponential') : 'one call per level';
+      notes.push(`recursion in ${structure.recursive.join(', ')} (${how})`);
+    }
+    if (structure.sorts) notes.push('a sort - O(n log n) on its own');
+    return notes;
+  }
+
+  function analyzeCode({ problem, code, history }) {
+    const matches = matchPatterns({ problem, code });
+    const fromCode = matches.filter(match => match.scores.code > 0).slice(0, 2);
+    const structure = codeStructure(code);
+    const turn = coachTurns(history);
+
+    // Nested loops and unmemoized branching say more than the pattern's usual cost
+    const structural = structureGrowth(structure);
+    const growth = structure.loopDepth >= 2 || structural.exponential || !fromCode[0]?.pattern.time
+      ? structural
+      : growthOf(fromCode[0].pattern.time);
+    const time = formatGrowth(growth);
+
+    const seen = [
+      ...describeStructure(structure),
+      ...fromCode.map(match => `${match.pattern.label} (${match.evidence.filter(e => e.startsWith('your code')).join('; ')})`)
+    ];
+    const sections = [header];
+    sections.push(`**What I see in your code:**\n${bullets(seen.length > 0 ? seen : ['straight-line code with no loops or recursion I could spot'])}`);
+    sections.push(`**Estimated time:** ${time}`);
+    const note = constraintNote(problem, growth);
+    if (note) sections.push(note);
+
+    const suggested = fromCode.length === 0 && bestFrom(matches, 'tag', 'problem');
+    if (fromCode[0]) {
+      sections.push(`**Pitfalls to check:**\n${bullets(fromCode[0].pattern.pitfalls.slice(0, 3))}`);
+    } else if (suggested) {
+      sections.push(`**The problem points to:** ${suggested.pattern.label} (${suggested.evidence.join('; ')}), usually ${costOf(suggested.pattern)}.`);
+    }
+    const focus = fromCode[0] || suggested;
+    sections.push(`**Questions for you:**\n${bullets(pickQuestions(focus ? focus.pattern.questions : GENERIC_QUESTIONS, turn))}`);
+
+    return {
+      response: sections.join('\n\n'),
+      complexity: { time, space: fromCode[0]?.pattern.space || 'O(?)' }
+    };
+  }
+
+  function diagnoseFailure({ problem, code, failure }) {
+    const verdict = failure?.verdict || 'This failure';
+    const check = Object.entries(VERDICT_CHECKS).find(([name]) => verdict.toLowerCase().includes(name.toLowerCase()));
+    const sections = [header, `**${verdict}** - let's find out why.`, check ? check[1] : 'Re-read the verdict and the failing input: what is special about that input?'];
+
+    if (check && check[0] === 'Time Limit Exceeded') {
+      const note = constraintNote(problem, structureGrowth(codeStructure(code)));
+      if (note) sections.push(note);
+    }
+    const focus = bestFrom(matchPatterns({ problem, code }), 'code', 'tag', 'problem');
+    if (focus) sections.push(`**Common ${focus.pattern.label.toLowerCase()} mistakes:**\n${bullets(focus.pattern.pitfalls)}`);
+    sections.push('Once you find it, what is the smallest change that would handle that case?');
+
+    return { response: sections.join('\n\n'), complexity: null };
+  }
+
+  // Edge cases the constraints allow: minimum sizes, negative values, duplicates
+  function edgeCasesFor(problem) {
+    const cases = [];
+    Object.values(Constraints.parseConstraints(problem?.constraints).ranges).forEach(range => {
+      if (range.min === null) return;
+      if (Constraints.isSize(range)) cases.push(range.min === 0 ? 'an empty input' : range.min === 1 ? 'a single element' : `only ${range.min} elements, the fewest allowed`);
+      else if (range.min < 0) cases.push('negative values and zero');
+    });
+    const text = problemText(problem);
+    if (text && !/\b(distinct|unique)\b/.test(text)) cases.push('repeated values');
+    return [...new Set(cases)];
+  }
+
+  const INTENTS = [
+    { id: 'complexity', signal: /\b(complexity|big ?o|time limit|tle|fast|slow|efficient|optimi[sz])/ },
+    { id: 'edge-cases', signal: /\b(edge|corner|fail|wrong|bug|breaks?)\b/ },
+    { id: 'hint', signal: /\b(hint|stuck|idea|where do i start|how (do|should|can) i|approach)\b/ }
+  ];
+
+  function reply({ problem, message, code, history }) {
+    const text = String(message || '').toLowerCase();
+    const turn = coachTurns(history);
+    const matches = matchPatterns({ problem, approach: message, code });
+    // A pattern the student names comes before what the problem suggests
+    const named = bestFrom(matches, 'approach');
+    const focus = named || bestFrom(matches, 'code', 'tag', 'problem');
+    const intent = INTENTS.find(candidate => candidate.signal.test(text))?.id;
+    const questions = focus ? focus.pattern.questions : GENERIC_QUESTIONS;
+    const sections = [header];
+
+    if (intent === 'complexity') {
+      const growth = code ? structureGrowth(codeStructure(code)) : growthOf(focus?.pattern.time);
+      const note = constraintNote(problem, growth);
+      if (focus) sections.push(`${focus.pattern.label} usually costs ${costOf(focus.pattern)}.`);
+      if (note) sections.push(note);
+      sections.push(GENERIC_QUESTIONS[1]);
+    } else if (intent === 'edge-cases') {
+      const cases = edgeCasesFor(problem);
+      if (cases.length > 0) sections.push(`**Inputs the constraints allow:**\n${bullets(cases)}`);
+      if (focus) sections.push(`**Common ${focus.pattern.label.toLowerCase()} mistakes:**\n${bullets(pickQuestions(focus.pattern.pitfalls, turn))}`);
+      sections.push(GENERIC_QUESTIONS[3]);
+    } else if (named) {
+      const problemSide = named.evidence.filter(e => e.startsWith('the problem'));
+      const suggested = bestFrom(matches, 'tag', 'problem');
+      sections.push(`${named.pattern.label}: ${costOf(named.pattern)}.${problemSide.length > 0 ? ` It fits: ${problemSide.join('; ')}.` : ''}`);
+      if (suggested && suggested.pattern !== named.pattern) {
+        sections.push(`The problem's own signals point to ${suggested.pattern.label.toLowerCase()} (${suggested.evidence.filter(e => e.startsWith('the problem')).join('; ')}). How would the two compare here?`);
+      }
+      sections.push(pickQuestions(questions, turn, 1)[0]);
+    } else if (intent === 'hint' && focus) {
+      sections.push(`Problems like this one often use ${focus.pattern.label.toLowerCase()} (${focus.evidence[0]}).`);
+      sections.push(pickQuestions(questions, turn, 1)[0]);
+    } else {
+      sections.push(pickQuestions(questions, turn, 1)[0]);
+    }
+
+    return { response: sections.join('\n\n'), complexity: null };
+  }
+
+  // Answer any coaching request the backend would: { response, complexity, offline }
+  function respond(payload = {}) {
+    const handlers = {
+      approach_analysis: analyzeApproach,
+      code_analysis: analyzeCode,
+      failure_diagnosis: diagnoseFailure
+    };
+    return { ...(handlers[payload.type] || reply)(payload), offline: true };
+  }
+
+  return { respond, matchPatterns, codeStructure, largestSize, PATTERNS };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OfflineCoach;
+}
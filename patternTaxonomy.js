@@ -0,0 +1,594 @@
+// patternTaxonomy.js - The DSA patterns the coach recognizes, in one place
+//
+// Each pattern has an id, a label and a family, and variants ("monotonic
+// stack", "knapsack DP") name their parent. Signals say what points to it:
+// LeetCode tags, wording in the problem statement, and phrases in an approach
+// or constructs in code, the last two weighted by how strongly they point to
+// the pattern on their own. Structural signals (a window bound moving inside
+// the loop, a pass over the input testing each candidate answer) weigh more
+// than bare keywords. Patterns the offline coach can teach carry
+// `coaching`: the usual cost, common pitfalls and Socratic questions.
+// lib/patternClassifier.js labels approaches and code from the weighted
+// signals; offlineCoach.js answers from the coached patterns. Loaded before
+// offlineCoach.js in the extension, and exported for Node.
+const PatternTaxonomy = (() => {
+  const signal = (pattern, weight) => ({ pattern, weight });
+
+  // problem/approach signals are tested against lowercased text, code signals as written
+  const PATTERNS = [
+    {
+      id: 'hash-map',
+      label: 'Hash map / counting',
+      family: 'hashing',
+      tags: ['Hash Table', 'Counting'],
+      problem: [/\bpairs?\b[^.]*\b(sum|target)\b/, /\bduplicates?\b/, /\banagrams?\b/, /\bfrequenc(y|ies)\b/],
+      approach: [signal(/\bhash ?(map|set|table)\b|\bhashing\b/, 0.7), signal(/\bdictionary\b|\bdict\b/, 0.5), signal(/\bcomplement\b/, 0.3), signal(/\b(count|frequency) (map|table|array)\b|\bcount (the )?occurrences\b/, 0.5)],
+      code: [signal(/\bnew (Map|Set)\b/, 0.6), signal(/\b(dict|set|defaultdict|Counter)\(/, 0.6), signal(/\b(HashMap|HashSet|unordered_map|unordered_set)\b/, 0.6), signal(/\bin (seen|visited|counts?|freq|lookup|index|memo)\b/, 0.3)],
+      coaching: {
+        time: 'O(n)',
+        space: 'O(n)',
+        pitfalls: [
+          'Look up the complement before inserting the current element, or an element can pair with itself.',
+          'Duplicates: does a later occurrence overwrite an index or count you still need?',
+          'Decide what the key and the value are before coding - value to index, value to count, or a normalized key such as the sorted letters.'
+        ],
+        questions: [
+          'What would you need to remember about the elements you have already seen to answer in a single pass?',
+          'What exactly goes in as the key, and what as the value?',
+          'How does your lookup behave when the same value appears twice?'
+        ]
+      }
+    },
+    {
+      id: 'two-pointers',
+      label: 'Two pointers',
+      family: 'pointers',
+      tags: ['Two Pointers'],
+      problem: [/\bsorted\b/, /\bpalindrom/, /\bin-?place\b/, /\breverse\b/],
+      approach: [signal(/\btwo[- ]pointers?\b/, 0.8), signal(/\bleft and right (pointers?|ends?)\b|\bfrom both ends\b/, 0.6), signal(/\bmove (the )?(left|right) pointer\b/, 0.5), signal(/\bpointers?\b/, 0.2)],
+      code: [signal(/\bwhile\s*\(?\s*(left|lo|l|i)\s*<=?\s*(right|hi|r|j)\b/, 0.5), signal(/\b(right|r|j)\s*(-=\s*1|--)/, 0.3)],
+      coaching: {
+        time: 'O(n)',
+        space: 'O(1)',
+        pitfalls: [
+          'Moving one pointer must provably rule out the candidates it skips - usually because the input is sorted.',
+          'Check the loop condition (< or <=) and that every branch moves a pointer, or the loop never ends.',
+          'After a match, skip past equal values if the answers must be unique.'
+        ],
+        questions: [
+          'In each case, why is it safe to move that pointer and not the other one?',
+          'Would this still work if the input were not sorted? What would sorting it first cost?',
+          'What is true about the elements outside the two pointers at every step?'
+        ]
+      }
+    },
+    {
+      id: 'sliding-window',
+      label: 'Sliding window',
+      family: 'pointers',
+      tags: ['Sliding Window'],
+      problem: [/\b(contiguous|consecutive)\b/, /\b(longest|shortest|maximum|minimum)\b[^.]*\bsub(array|string)\b/, /\bwindow\b/, /\bat most k\b|\bwithout repeating\b/],
+      approach: [signal(/\bsliding window\b/, 0.85), signal(/\b(the|a|current) window\b/, 0.5), signal(/\bshrink\b|\bexpand\b/, 0.3)],
+      code: [
+        signal(/\b(right|r|end|j)\s*-\s*(left|l|start|i)\s*\+\s*1\b/, 0.5),
+        // The left bound moves inside the loop that advances the right one
+        signal(/\bfor\b[^\n]*\n(?:[^\n]*\n){0,8}?[^\n]*\b(while|if)\b[^\n]*\n?(?:[^\n]*\n){0,4}?[^\n]*\b(left|l|start)\s*(\+=\s*1|\+\+|=\s*(max\()?[^\n]*\[[^\]\n]+\]\s*\+\s*1)/, 0.8),
+        // The element leaving the window is taken out of its counts
+        signal(/\[\s*\w+\s*\[\s*(left|l|start)\s*\]\s*\]\s*(-=\s*1|--)|\.(set|get|delete|remove)\(\s*\w+\s*\[\s*(left|l|start)\s*\]/, 0.6),
+        signal(/\bwindow\b/i, 0.4)
+      ],
+      coaching: {
+        time: 'O(n)',
+        space: 'O(k)',
+        pitfalls: [
+          'Shrinking only works if the window condition is monotonic: adding elements never makes a broken window valid again. Negative numbers often break that for sums.',
+          'Update the answer at the right moment - after shrinking for "longest valid", while shrinking for "shortest valid".',
+          'Remove the left element\'s contribution from your counts when the window shrinks.'
+        ],
+        questions: [
+          'What makes a window invalid, and what is the smallest move that makes it valid again?',
+          'Does each element enter and leave the window at most once? What does that say about the running time?',
+          'What do you need to track inside the window to check its condition in O(1)?'
+        ]
+      }
+    },
+    {
+      id: 'binary-search',
+      label: 'Binary search',
+      family: 'search',
+      tags: ['Binary Search'],
+      problem: [/\bsorted\b/, /o\(log ?n\)/, /\bminimi[sz]e the maximum\b|\bmaximi[sz]e the minimum\b/, /\brotated\b/],
+      approach: [signal(/\bbinary search\b|\bbisect/, 0.85), signal(/\b(mid|middle)\b/, 0.3), signal(/\bhalve\b|\bhalf of the\b/, 0.3)],
+      code: [signal(/\bmid\s*=/, 0.6), signal(/\bbisect/, 0.7), signal(/\b(lower_bound|upper_bound|binarySearch)\b/, 0.7)],
+      coaching: {
+        time: 'O(log n)',
+        space: 'O(1)',
+        pitfalls: [
+          'Pick one convention - [lo, hi] with lo <= hi, or [lo, hi) with lo < hi - and make every update match it, or the loop never ends or skips the answer.',
+          'With fixed-width integers, compute mid as lo + (hi - lo) / 2 so it cannot overflow.',
+          'When searching over the answer, check that the feasibility test really is monotonic.'
+        ],
+        questions: [
+          'After comparing with the middle element, which half can you discard, and why can the answer not be there?',
+          'What do lo and hi point at when the loop ends?',
+          'Could you binary search over the answer itself instead of over an index?'
+        ]
+      }
+    },
+    {
+      id: 'binary-search-answer',
+      label: 'Binary search on the answer',
+      parent: 'binary-search',
+      family: 'search',
+      tags: [],
+      problem: [],
+      approach: [
+        signal(/\bbinary search (on|over) (the )?(answer|result|value|speed|capacity|time)\b/, 0.9),
+        signal(/\bbinary search\b[^.]*\b(capacity|speed|rate|days|time|size|distance)\b/, 0.6),
+        signal(/\bfeasib|\bcheck (if|whether) \w+ (is|works)\b|\bcheck (if|whether) (we|it) can\b/, 0.4),
+        signal(/\bminimi[sz]e the maximum\b|\bmaximi[sz]e the minimum\b|\bsmallest \w+ (such that|that works)\b/, 0.5),
+        // The least value that still meets a limit: "minimum capacity to ship within d days"
+        signal(/\b(minimum|smallest|least|maximum|largest)\b[^.]*\b(capacity|speed|rate|size|distance|time)\b[^.]*\b(within|in at most|so that|such that|before)\b/, 0.6)
+      ],
+      code: [
+        signal(/\b(can|feasible|possible|check|ok|valid|enough)\w*\s*\(\s*mid\b/i, 0.75),
+        // A pass over the input tests each candidate mid
+        signal(/\bmid\s*=[^\n]*\n(?:[^\n]*\n){0,3}?[^\n]*\bfor\b[^\n]*(?:\n[^\n]*){0,4}?[<>]=?\s*mid\b/, 0.75),
+        signal(/\b(lo|left|low)\s*,\s*(hi|right|high)\s*=\s*(1|0|min)\b[^\n]*\b(max|sum)\(|\b(lo|left|low)\s*=\s*(Math\.)?max\(/, 0.4)
+      ]
+    },
+    {
+      id: 'prefix-sum',
+      label: 'Prefix sums',
+      family: 'arrays',
+      tags: ['Prefix Sum'],
+      problem: [/\brange sum\b|\bsum of (the )?(elements|subarray|range)\b/, /\bsubarrays?\b[^.]*\bsum\b/, /\bqueries\b/],
+      approach: [signal(/\bprefix sums?\b|\bcumulative sums?\b|\brunning (sum|total)\b/, 0.8)],
+      code: [signal(/\bprefix\w*\b|\bpsum\b/i, 0.6), signal(/\b\w+\[i\s*\+\s*1\]\s*=\s*\w+\[i\]\s*\+/, 0.5), signal(/\bpre\[/, 0.4)],
+      coaching: {
+        time: 'O(n)',
+        space: 'O(n)',
+        pitfalls: [
+          'Off-by-one: with prefix[0] = 0, the sum of nums[i..j] is prefix[j + 1] - prefix[i].',
+          'To count subarrays with a given sum, seed the map of prefix counts with {0: 1} so subarrays starting at index 0 count.',
+          'Check whether the sums can grow past 2^31.'
+        ],
+        questions: [
+          'How can you get the sum of any range from two values computed ahead of time?',
+          'Given the prefix sum up to here, which earlier prefix sum would make the subarray in between work?',
+          'Do you need every prefix sum at once, or just a running total and a count?'
+        ]
+      }
+    },
+    {
+      id: 'stack',
+      label: 'Stack',
+      family: 'stack',
+      tags: ['Stack'],
+      problem: [/\bparenthes|\bbrackets?\b/, /\bnext (greater|smaller|warmer)\b/, /\bevaluate\b|\bexpression\b/, /\bhistogram\b/],
+      approach: [signal(/\bstack\b/, 0.7), signal(/\bpush\b[^.]*\bpop\b/, 0.3)],
+      code: [signal(/\bstack\b|\bstk\b/i, 0.5), signal(/\.pop\(\)/, 0.2), signal(/\.peek\(\)|\.top\(\)/, 0.4)],
+      coaching: {
+        time: 'O(n)',
+        space: 'O(n)',
+        pitfalls: [
+          'Check for an empty stack before you peek or pop.',
+          'Whatever is still on the stack at the end matters - unmatched brackets, or elements with no next greater value.',
+          'For a monotonic stack, decide whether equal elements are popped (strict or non-strict comparison).'
+        ],
+        questions: [
+          'Which earlier element does the current one need, and why is it always the most recent one still waiting?',
+          'When can an element be popped for good, because it can never be the answer for anything later?',
+          'What is each element on the stack still waiting for?'
+        ]
+      }
+    },
+    {
+      id: 'monotonic-stack',
+      label: 'Monotonic stack',
+      parent: 'stack',
+      family: 'stack',
+      tags: ['Monotonic Stack'],
+      problem: [],
+      approach: [signal(/\bmonotonic(ally)? (increasing |decreasing )?(stack|queue)\b/, 0.9), signal(/\b(next|previous) (greater|smaller|larger|warmer)\b/, 0.5)],
+      code: [signal(/\bwhile\b[^\n]*\b(stack|stk|st)\b[^\n]*(\[-1\]|\.at\(-1\)|\[\s*\w+\.length\s*-\s*1\s*\]|\.peek\(\)|\.top\(\))[^\n]*[<>]/, 0.75)]
+    },
+    {
+      id: 'heap',
+      label: 'Heap / top-k',
+      family: 'heap',
+      tags: ['Heap (Priority Queue)'],
+      problem: [/\bk(th)? (largest|smallest|closest|most frequent)\b|\btop k\b/, /\bmedian\b/, /\bmerge k\b/],
+      approach: [signal(/\bheap\b|\bpriority queue\b/, 0.85), signal(/\btop k\b|\bk (largest|smallest)\b/, 0.3)],
+      code: [signal(/\bheapq\b|\b(PriorityQueue|priority_queue|MinPriorityQueue|MaxPriorityQueue)\b/, 0.8), signal(/\bheap\b/i, 0.4)],
+      coaching: {
+        time: 'O(n log k)',
+        space: 'O(k)',
+        pitfalls: [
+          'Python\'s heapq and most default heaps are min-heaps: negate the values (or flip the comparator) for a max-heap.',
+          'Keep the heap at size k to get O(n log k) instead of O(n log n).',
+          'When entries are tuples, ties compare the next field: make sure it is comparable, or add a counter.'
+        ],
+        questions: [
+          'Do you need every element in order, or only the k best at any moment?',
+          'Should the heap holding the k largest be a min-heap or a max-heap, and why?',
+          'Would sorting once be simpler, and what would it cost?'
+        ]
+      }
+    },
+    {
+      id: 'bfs',
+      label: 'Breadth-first search',
+      family: 'graph',
+      tags: ['Breadth-First Search'],
+      problem: [/\bshortest (path|route|distance)\b|\bminimum (number of )?(steps|moves|jumps)\b/, /\blevel order\b|\blevel by level\b/, /\bgrid\b/],
+      approach: [signal(/\bbfs\b|\bbreadth[- ]first\b/, 0.85), signal(/\bqueue\b/, 0.3), signal(/\blevel by level\b|\blevel order\b/, 0.5)],
+      code: [signal(/\bdeque\(|\bpopleft\(\)/, 0.6), signal(/\.shift\(\)/, 0.4), signal(/\bqueue\b/i, 0.4)],
+      coaching: {
+        time: 'O(V + E)',
+        space: 'O(V)',
+        pitfalls: [
+          'Mark a node visited when you enqueue it, not when you dequeue it, or it can be queued many times.',
+          'In JavaScript, Array shift() is O(n); use a head index or a real queue on large inputs.',
+          'For distances, process the queue level by level or store the distance with each node.'
+        ],
+        questions: [
+          'Why does BFS find the shortest path in an unweighted graph, and would that still hold with weights?',
+          'What is a node and what is an edge in this problem?',
+          'What should happen when you reach a cell you have already visited?'
+        ]
+      }
+    },
+    {
+      id: 'dfs',
+      label: 'Depth-first search',
+      family: 'graph',
+      tags: ['Depth-First Search', 'Tree', 'Binary Tree', 'Graph'],
+      problem: [/\bbinary tree\b|\btree\b/, /\bconnected components?\b|\bislands?\b/, /\broot\b/],
+      approach: [signal(/\bdfs\b|\bdepth[- ]first\b/, 0.85), signal(/\brecursively (visit|explore|traverse)\b|\bflood fill\b/, 0.5), signal(/\btravers(e|al)\b/, 0.2), signal(/\brecurs/, 0.2)],
+      code: [signal(/\bdfs\b/i, 0.6), signal(/\b(visited|seen)\b/, 0.2), signal(/\.(left|right)\b/, 0.3)],
+      coaching: {
+        time: 'O(n)',
+        space: 'O(h)',
+        pitfalls: [
+          'Handle the empty tree (a null root) first.',
+          'On graphs and grids, mark a node visited before recursing, or cycles recurse forever.',
+          'Deep recursion can hit the stack limit (about 1000 frames in Python); an explicit stack avoids it.'
+        ],
+        questions: [
+          'What does the recursive call return, and how do you combine the children\'s answers?',
+          'What has to flow down as parameters, and what flows back up as return values?',
+          'Is this a preorder, inorder or postorder computation, and why?'
+        ]
+      }
+    },
+    {
+      id: 'backtracking',
+      label: 'Backtracking',
+      family: 'search',
+      tags: ['Backtracking'],
+      problem: [/\ball (possible |the )?(combinations|permutations|subsets|partitions)\b|\bgenerate all\b/, /\bn-queens\b|\bsudoku\b|\bword search\b/],
+      approach: [signal(/\bbacktrack/, 0.85), signal(/\b(all|every) (possible )?(combinations?|permutations?|subsets?)\b/, 0.4), signal(/\bundo (the|my) (choice|move)\b/, 0.5), signal(/\btry (all|every|each)\b/, 0.3)],
+      code: [signal(/\bbacktrack\b/i, 0.7), signal(/\.append\([^)]*\)[\s\S]*?\.pop\(\)/, 0.25), signal(/\.push\([^)]*\)[\s\S]*?\.pop\(\)/, 0.25)],
+      coaching: {
+        time: 'O(2^n)',
+        space: 'O(n)',
+        pitfalls: [
+          'Undo every choice once the recursive call returns (pop what you pushed).',
+          'Copy the current path when you record an answer; otherwise every answer points at the same list.',
+          'Prune early: stop exploring a branch as soon as it cannot lead to a valid answer.',
+          'With repeated values in the input, skip duplicate choices at the same depth.'
+        ],
+        questions: [
+          'What is the choice at each step, and what undoes it?',
+          'When is a partial answer complete, and when is it already hopeless?',
+          'How many leaves does your recursion tree have, and does that fit the constraints?'
+        ]
+      }
+    },
+    {
+      id: 'dp',
+      label: 'Dynamic programming',
+      family: 'dp',
+      tags: ['Dynamic Programming'],
+      problem: [/\bnumber of (distinct )?ways\b/, /\b(minimum|maximum) (cost|sum|profit|path)\b/, /\blongest (common|increasing|palindromic)\b/, /\bclimb/],
+      approach: [signal(/\bdynamic programming\b|\bdp\b/, 0.85), signal(/\bsubproblems?\b|\brecurrence\b/, 0.5), signal(/\btabulat/, 0.6)],
+      code: [signal(/\bdp\b/i, 0.6), signal(/\b(memo|cache)\b/i, 0.4)],
+      coaching: {
+        time: null,
+        space: null,
+        cost: 'states × work per state for time; the table size for space, often reducible to the last row',
+        pitfalls: [
+          'Say what dp[i] means in one sentence before writing the recurrence.',
+          'Set the base cases (dp[0], the first row or column) before anything reads them.',
+          'Fill the table in an order where every state you read is already computed.',
+          'Memoized recursion can hit the recursion limit on large inputs; a bottom-up loop avoids it.'
+        ],
+        questions: [
+          'What is the smallest version of this problem, and how does its answer help with a slightly bigger one?',
+          'What are the choices at the last step, and which subproblem does each one leave?',
+          'How many distinct states are there, and how much work does each take?'
+        ]
+      }
+    },
+    {
+      id: 'dp-1d',
+      label: '1D DP',
+      parent: 'dp',
+      family: 'dp',
+      tags: [],
+      problem: [],
+      approach: [signal(/\bdp\[i\]\s*(=|depends|is)\b|\b1d dp\b|\bprevious (one|two) (states|values|steps)\b/, 0.6)],
+      code: [signal(/\bdp\s*\[\s*i\s*\]\s*=[^\n]*\bdp\s*\[\s*i\s*-\s*[12]\s*\]/, 0.75)]
+    },
+    {
+      id: 'dp-2d',
+      label: '2D / grid DP',
+      parent: 'dp',
+      family: 'dp',
+      tags: [],
+      problem: [],
+      approach: [signal(/\bdp\[i\]\[j\]|\b2d (dp|table)\b|\bgrid dp\b/, 0.7), signal(/\b(edit distance|longest common subsequence|lcs)\b/, 0.6)],
+      code: [signal(/\bdp\s*\[[^\]\n]+\]\s*\[[^\]\n]+\]\s*=/, 0.7), signal(/\[\s*\[\s*0\s*\]\s*\*|Array\.from\(\{\s*length[^)]*\}\s*,\s*\(\)\s*=>\s*(new )?Array/, 0.3)]
+    },
+    {
+      id: 'dp-knapsack',
+      label: 'Knapsack DP',
+      parent: 'dp',
+      family: 'dp',
+      tags: [],
+      problem: [],
+      approach: [signal(/\bknapsack\b/, 0.9), signal(/\b(target sum|coin change)\b|\b(items?|weights? and values?|dp)\b[^.]*\bcapacity\b|\bcapacity\b[^.]*\b(items?|dp)\b/, 0.4)],
+      code: [signal(/range\(\s*\w+\s*,\s*(\w+\s*-\s*1|-1)\s*,\s*-1\s*\)[^\n]*:\s*\n\s*dp\[/, 0.6), signal(/\bdp\s*\[\s*\w+\s*\]\s*=[^\n]*\bdp\s*\[\s*\w+\s*-\s*(\w+|\w+\[\w+\])\s*\]\s*\+/, 0.5)]
+    },
+    {
+      id: 'dp-lis',
+      label: 'Longest increasing subsequence DP',
+      parent: 'dp',
+      family: 'dp',
+      tags: [],
+      problem: [],
+      approach: [signal(/\blongest increasing subsequence\b|\blis\b|\bpatience sort/, 0.85)],
+      code: [signal(/\bdp\s*\[\s*i\s*\]\s*=\s*(Math\.)?max\(\s*dp\s*\[\s*i\s*\]\s*,\s*dp\s*\[\s*j\s*\]\s*\+\s*1\s*\)/, 0.85), signal(/\bbisect_left\(\s*(tails|sub|lis|piles)\b/, 0.8)]
+    },
+    {
+      id: 'dp-interval',
+      label: 'Interval DP',
+      parent: 'dp',
+      family: 'dp',
+      tags: [],
+      problem: [],
+      approach: [signal(/\binterval dp\b|\bdp over (ranges|intervals|substrings)\b/, 0.9), signal(/\bsplit (point|at k)\b/, 0.5)],
+      code: [signal(/\bfor\s*\(?\s*(let\s+|int\s+)?(length|len|size|gap)\b/, 0.4), signal(/\bdp\s*\[\s*i\s*\]\s*\[\s*k\s*\][^\n]*\bdp\s*\[\s*k\s*(\+\s*1\s*)?\]\s*\[\s*j\s*\]/, 0.8)]
+    },
+    {
+      id: 'dp-memo',
+      label: 'Top-down DP (memoization)',
+      parent: 'dp',
+      family: 'dp',
+      tags: ['Memoization'],
+      problem: [],
+      approach: [signal(/\bmemoi[sz]|\bmemo\b|\btop[- ]down\b/, 0.8)],
+      code: [signal(/@(functools\.)?(lru_)?cache\b/, 0.85), signal(/\bmemo\s*(\[|\.get\(|\.has\(|=)/, 0.6)]
+    },
+    {
+      id: 'dp-bitmask',
+      label: 'Bitmask DP',
+      parent: 'dp',
+      family: 'dp',
+      tags: ['Bitmask'],
+      problem: [],
+      approach: [signal(/\bbitmask dp\b|\bdp over subsets\b/, 0.9)],
+      code: [signal(/\bdp\s*\[\s*(mask|state)\b/, 0.7), signal(/\b1\s*<<\s*\w+/, 0.2)]
+    },
+    {
+      id: 'greedy',
+      label: 'Greedy',
+      family: 'greedy',
+      tags: ['Greedy'],
+      problem: [/\bminimum number of (arrows|coins|jumps|platforms|boats)\b/, /\bmaximum number of (non-overlapping|meetings|events)\b/, /\bcan (you )?(reach|jump)\b/],
+      approach: [signal(/\bgreedy\b|\bgreedily\b/, 0.85), signal(/\balways (take|pick|choose)\b/, 0.5), signal(/\blocally (best|optimal)\b|\bearliest (end|finish)\b/, 0.5)],
+      code: [signal(/\.sort\([^)]*\b(end|finish|\[1\])/, 0.3)],
+      coaching: {
+        time: 'O(n log n)',
+        space: 'O(1)',
+        pitfalls: [
+          'A greedy choice needs a reason - an exchange argument that swapping an optimal solution\'s choice for yours never makes it worse.',
+          'Try small counterexamples before trusting it; a wrong greedy fails silently.',
+          'Sort by the key your argument needs - often the end time, not the start.'
+        ],
+        questions: [
+          'Why is the locally best choice never a mistake here? Can you find a counterexample?',
+          'What would you sort by, and why that key?',
+          'If greedy fails, what would a DP over the same choices look like?'
+        ]
+      }
+    },
+    {
+      id: 'sorting',
+      label: 'Sorting first',
+      family: 'sorting',
+      tags: ['Sorting'],
+      problem: [],
+      approach: [signal(/\bsort/, 0.4)],
+      code: [signal(/\.sort\(|\bsorted\(|\bArrays\.sort\b|\bsort\(/, 0.4)],
+      coaching: {
+        time: 'O(n log n)',
+        space: 'O(1)',
+        pitfalls: [
+          'Sorting loses the original indices; keep (value, index) pairs if the answer needs them.',
+          'JavaScript\'s default sort compares as strings: pass (a, b) => a - b for numbers.',
+          'Sorting costs O(n log n) on its own - check whether a linear approach (hashing, counting) exists.'
+        ],
+        questions: [
+          'What does sorted order give you that the original order does not?',
+          'Do you need the original positions after sorting?',
+          'Do the constraints allow O(n log n), or do they expect a linear solution?'
+        ]
+      }
+    },
+    {
+      id: 'intervals',
+      label: 'Interval sweep',
+      family: 'intervals',
+      tags: ['Line Sweep'],
+      problem: [/\bintervals?\b/, /\boverlap/, /\bmeetings?\b/],
+      approach: [signal(/\binterval/, 0.6), signal(/\boverlap/, 0.4), signal(/\bmerge\b/, 0.3)],
+      code: [signal(/\bintervals?\b/, 0.4)],
+      coaching: {
+        time: 'O(n log n)',
+        space: 'O(n)',
+        pitfalls: [
+          'Decide whether touching intervals such as [1,2] and [2,3] overlap.',
+          'Sort by start to merge; sort by end to keep the most non-overlapping intervals.',
+          'When merging, extend the current end with max(end, newEnd), not newEnd.'
+        ],
+        questions: [
+          'After sorting, which interval can the next one possibly overlap with?',
+          'Which key should you sort by for this question, and why?',
+          'How would you count the maximum number of intervals overlapping at one point?'
+        ]
+      }
+    },
+    {
+      id: 'linked-list',
+      label: 'Linked list pointers',
+      family: 'lists',
+      tags: ['Linked List'],
+      problem: [/\blinked list\b/, /\bcycle\b/, /\bmiddle (node|of the (linked )?list)\b/],
+      approach: [signal(/\bdummy\b/, 0.5), signal(/\bnext pointers?\b/, 0.5)],
+      code: [signal(/\.next\b/, 0.4), signal(/\bdummy\b/i, 0.4)],
+      coaching: {
+        time: 'O(n)',
+        space: 'O(1)',
+        pitfalls: [
+          'Use a dummy head node when the head itself can change.',
+          'Save node.next before you overwrite it.',
+          'Check fast and fast.next before moving fast two steps.'
+        ],
+        questions: [
+          'Which pointers do you need to hold at once so nothing gets lost while relinking?',
+          'What happens at the head and at the tail of the list?',
+          'Could two pointers moving at different speeds tell you something in one pass?'
+        ]
+      }
+    },
+    {
+      id: 'fast-slow-pointers',
+      label: 'Fast and slow pointers',
+      parent: 'linked-list',
+      family: 'lists',
+      tags: [],
+      problem: [],
+      approach: [signal(/\bfast and slow\b|\bslow and fast\b|\btortoise\b|\bfloyd/, 0.85)],
+      code: [signal(/\bfast\s*=\s*fast\.next\.next\b/, 0.8), signal(/\bslow\s*=\s*slow\.next\b/, 0.5)]
+    },
+    {
+      id: 'union-find',
+      label: 'Union-find',
+      family: 'graph',
+      tags: ['Union Find'],
+      problem: [/\bconnected\b/, /\bredundant connection\b|\bequivalen/],
+      approach: [signal(/\bunion[- ]find\b|\bdisjoint[- ]set\b|\bdsu\b/, 0.9), signal(/\bpath compression\b|\bunion by rank\b/, 0.6)],
+      code: [signal(/\bparent\s*\[\s*\w+\s*\]\s*=\s*find\(/, 0.8), signal(/\b(def|function)\s+find\b/, 0.5), signal(/\bunion\s*\(/, 0.4), signal(/\brank\b/, 0.2)],
+      coaching: {
+        time: 'O(n α(n))',
+        space: 'O(n)',
+        pitfalls: [
+          'Use path compression (and union by rank or size), or find can degrade to O(n).',
+          'Have union report whether it merged two sets: an edge inside one set closes a cycle.',
+          'Count components as n minus the number of successful unions.'
+        ],
+        questions: [
+          'What are the elements, and what makes two of them belong to the same set?',
+          'Which question is answered by "are these two in the same set"?',
+          'What does it mean when an edge joins two nodes that are already connected?'
+        ]
+      }
+    },
+    {
+      id: 'topological-sort',
+      label: 'Topological sort',
+      family: 'graph',
+      tags: ['Topological Sort'],
+      problem: [/\bprerequisites?\b|\bcourse schedule\b/, /\bdependenc/, /\bbefore\b[^.]*\bafter\b/],
+      approach: [signal(/\btopological\b|\btopo sort\b|\bkahn/, 0.9), signal(/\bin-?degrees?\b/, 0.6)],
+      code: [signal(/\bin_?degrees?\b/i, 0.7)],
+      coaching: {
+        time: 'O(V + E)',
+        space: 'O(V + E)',
+        pitfalls: [
+          'If fewer nodes come out than went in, the graph has a cycle and no valid order exists.',
+          'Check the edge direction: does [a, b] mean a before b, or b before a?',
+          'Start with every node of in-degree 0, not just one of them.'
+        ],
+        questions: [
+          'Which tasks can be done right now, with nothing left before them?',
+          'What changes for the remaining tasks when you finish one?',
+          'How would you tell that no valid order exists?'
+        ]
+      }
+    },
+    {
+      id: 'shortest-path',
+      label: 'Shortest path (Dijkstra)',
+      family: 'graph',
+      tags: ['Shortest Path'],
+      problem: [],
+      approach: [signal(/\bdijkstra\b/, 0.9), signal(/\bbellman[- ]ford\b|\bfloyd[- ]warshall\b/, 0.8), signal(/\brelax(ing|ation)?\b/, 0.3)],
+      code: [signal(/\b(dist|distance)s?\s*\[[^\]]+\]\s*(=|>|<)/, 0.3), signal(/\bheappush\([^)]*\(\s*\w*(dist|cost|d)\w*\s*\+/, 0.6)]
+    },
+    {
+      id: 'trie',
+      label: 'Trie',
+      family: 'strings',
+      tags: ['Trie'],
+      problem: [/\bprefix(es)?\b[^.]*\bwords?\b|\bwords?\b[^.]*\bprefix/, /\bautocomplete\b|\bdictionary of words\b/],
+      approach: [signal(/\btrie\b|\bprefix tree\b/, 0.9)],
+      code: [signal(/\bTrie(Node)?\b/, 0.8), signal(/\bchildren\b/, 0.3), signal(/\b(is_?end|isWord|is_word|end_of_word)\b/i, 0.5)],
+      coaching: {
+        time: 'O(L)',
+        space: 'O(N·L)',
+        pitfalls: [
+          'Mark where words end; a prefix of a stored word is not a stored word.',
+          'Decide between a 26-slot array and a map per node for the children.',
+          'Search and startsWith differ only in whether the last node must end a word.'
+        ],
+        questions: [
+          'How many times would you compare the same prefix without a shared structure?',
+          'What must each node store besides its children?',
+          'How does walking the trie let you stop early?'
+        ]
+      }
+    },
+    {
+      id: 'bit-manipulation',
+      label: 'Bit manipulation',
+      family: 'bits',
+      tags: ['Bit Manipulation'],
+      problem: [/\bappears (once|twice|exactly)\b|\bsingle number\b/, /\bbits?\b|\bbinary representation\b|\bxor\b/],
+      approach: [signal(/\bxor\b/, 0.7), signal(/\bbit(wise|mask)?s?\b/, 0.5)],
+      code: [signal(/\^=/, 0.6), signal(/<<\s*\d|>>>?\s*\d|&\s*1\b|&\s*\(\s*\w+\s*-\s*1\s*\)/, 0.5)],
+      coaching: {
+        time: 'O(n)',
+        space: 'O(1)',
+        pitfalls: [
+          'Operator precedence: wrap bit operations in parentheses before comparing (x & 1 == 0 is not what it looks like).',
+          'Negative numbers and right shifts differ between languages (>> keeps the sign, >>> in JavaScript does not).',
+          'x ^ x = 0 and x ^ 0 = x: pairs cancel out.'
+        ],
+        questions: [
+          'What happens to values that appear twice if you XOR everything together?',
+          'Can you look at each bit position independently?',
+          'What does x & (x - 1) do to the lowest set bit?'
+        ]
+      }
+    }
+  ];
+
+  return { PATTERNS };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PatternTaxonomy;
+}
@@ -4,17 +4,84 @@ class DSACoachPopup {
         this.currentMode = 'discussion';
         this.problemData = null;
         this.conversationHistory = [];
+        this.sessionId = null;
+        this.userId = null; // Shared with the in-page panel; keys the skill profile
         this.backendUrl = 'http://localhost:3000'; // Make this configurable
+        this.streamIdleTimeout = 15000; // Abort a stream after 15s without new text
+        this.maxRetryAfter = 20; // Wait out rate limits shorter than this many seconds
         this.init();
     }
 
     init() {
         this.setupEventListeners();
-        this.loadProblemData();
-        this.loadConversationHistory();
         // Ensure chat is available for interaction by default
         this.showChatInput();
-        this.testBackendConnection();
+        this.start();
+    }
+
+    async start() {
+        await Promise.all([this.loadProblemData(), this.testBackendConnection(), this.loadUserId(), this.loadDueReviews()]);
+        await this.loadConversationHistory();
+        await this.resumeSession();
+    }
+
+    // Resume the server-side coaching thread for this problem, shared with the in-page panel
+    async resumeSession() {
+        const slug = this.problemData?.slug || (this.problemData?.url || '').match(/\/problems\/([^/?#]+)/)?.[1];
+        if (!this.backendUrl || !slug) return;
+
+        try {
+            const response = await fetch(`${this.backendUrl}/api/sessions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ slug, problem: this.problemData })
+            });
+            if (!response.ok) throw new Error(`Backend error: ${response.status}`);
+
+            const { session } = await response.json();
+            this.sessionId = session.id;
+            console.log(`DSA Coach: Session ${session.id} (${session.messages.length} messages)`);
+
+            if (session.messages.length > 0) {
+                this.renderTranscript(session.messages);
+            }
+        } catch (error) {
+            console.warn('Could not start a coaching session:', error.message);
+        }
+    }
+
+    renderTranscript(messages) {
+        const chatContainer = document.getElementById('chatContainer');
+        chatContainer.innerHTML = '';
+
+        messages.forEach(entry => {
+            const messageDiv = document.createElement('div');
+            messageDiv.className = `chat-message ${entry.sender}`;
+            messageDiv.textContent = entry.message;
+            chatContainer.appendChild(messageDiv);
+        });
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+
+        this.conversationHistory = messages.map(entry => ({
+            message: entry.message,
+            sender: entry.sender,
+            complexity: entry.complexity || null,
+            timestamp: Date.parse(entry.timestamp)
+        }));
+        this.saveConversationHistory();
+        this.showChatInput();
+    }
+
+    syncSessionMessage(entry) {
+        if (!this.backendUrl || !this.sessionId) return;
+
+        fetch(`${this.backendUrl}/api/sessions/${this.sessionId}/messages`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
+        }).catch(error => {
+            console.warn('Could not save message to session:', error.message);
+        });
     }
 
     async testBackendConnection() {
@@ -22,9 +89,12 @@ class DSACoachPopup {
             const response = await fetch(`${this.backendUrl}/api/health`);
             const data = await response.json();
             console.log('DSA Coach: Backend connected', data);
+            if (data.provider) {
+                document.querySelector('.powered-by').textContent = `Powered by ${data.provider} AI`;
+            }
         } catch (error) {
-            console.warn('DSA Coach: Backend not available, using mock responses');
-            this.backendUrl = null; // Will trigger mock mode
+            console.warn('DSA Coach: Backend not available, using the offline coach');
+            this.backendUrl = null; // Will trigger offline mode
         }
     }
 
@@ -52,6 +122,9 @@ class DSACoachPopup {
         // Clear chat
         document.getElementById('clearChat').addEventListener('click', () => this.clearConversation());
 
+        // Skill profile
+        document.getElementById('toggleProgress').addEventListener('click', () => this.toggleProgress());
+
         // Auto-resize chat input
         const chatInput = document.getElementById('chatInput');
         chatInput.addEventListener('input', () => {
@@ -73,7 +146,7 @@ class DSACoachPopup {
             try {
                 await chrome.scripting.executeScript({
                     target: { tabId: tab.id },
-                    files: ['content.js']
+                    files: ['constraintParser.js', 'problemParser.js', 'patternTaxonomy.js', 'offlineCoach.js', 'reviewScheduler.js', 'content.js']
                 });
                 
                 // Wait a moment for the script to initialize
@@ -163,16 +236,16 @@ class DSACoachPopup {
         this.setLoading('analyzeApproach', true);
         
         try {
-            const analysis = await this.callAI({
+            this.addChatMessage(approachText, 'user', null, { type: 'approach_analysis' });
+            this.showChatInput();
+
+            await this.streamChatResponse({
                 type: 'approach_analysis',
                 problem: this.problemData,
                 approach: approachText,
-                history: this.conversationHistory
+                history: this.conversationHistory,
+                sessionId: this.sessionId
             });
-
-            this.addChatMessage(approachText, 'user');
-            this.addChatMessage(analysis.response, 'ai');
-            this.showChatInput();
             
             // Clear the approach input
             document.getElementById('approachInput').value = '';
@@ -201,16 +274,16 @@ class DSACoachPopup {
         this.setLoading('analyzeCode', true);
         
         try {
-            const analysis = await this.callAI({
+            this.addChatMessage('Code analysis requested', 'user', null, { type: 'code_analysis', code: codeText });
+            this.showChatInput();
+
+            await this.streamChatResponse({
                 type: 'code_analysis',
                 problem: this.problemData,
                 code: codeText,
-                history: this.conversationHistory
+                history: this.conversationHistory,
+                sessionId: this.sessionId
             });
-
-            this.addChatMessage('Code analysis requested', 'user');
-            this.addChatMessage(analysis.response, 'ai');
-            this.showChatInput();
             
         } catch (error) {
             console.error('Error analyzing code:', error);
@@ -232,19 +305,18 @@ class DSACoachPopup {
         }
 
         // Add user message
-        this.addChatMessage(message, 'user');
+        this.addChatMessage(message, 'user', null, { type: 'chat_followup' });
         chatInput.value = '';
         chatInput.style.height = 'auto';
 
         try {
-            const response = await this.callAI({
+            await this.streamChatResponse({
                 type: 'chat_followup',
                 problem: this.problemData,
                 message: message,
-                history: this.conversationHistory
+                history: this.conversationHistory,
+                sessionId: this.sessionId
             });
-
-            this.addChatMessage(response.response, 'ai');
             
         } catch (error) {
             console.error('Error sending chat message:', error);
@@ -253,13 +325,14 @@ class DSACoachPopup {
     }
 
     async callAI(payload) {
-        // Try backend first, fallback to mock
+        // Try backend first, fall back to the offline coach
         if (this.backendUrl) {
             try {
                 const response = await fetch(`${this.backendUrl}/api/analyze`, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
+                        'X-Client-Id': 'popup'
                     },
                     body: JSON.stringify(payload)
                 });
@@ -284,206 +357,124 @@ class DSACoachPopup {
                 return data;
                 
             } catch (error) {
-                console.warn('Backend failed, using mock:', error.message);
-                this.backendUrl = null; // Switch to mock mode
+                console.warn('Backend failed, using the offline coach:', error.message);
+                this.backendUrl = null; // Switch to offline mode
             }
         }
         
-        // Fallback to mock responses
-        console.log('Using mock AI responses');
-        return this.getMockResponse(payload);
-    }
-
-    getMockResponse(payload) {
-        // Simulate API delay
-        return new Promise(resolve => {
-            setTimeout(() => {
-                if (payload.type === 'approach_analysis') {
-                    resolve(this.generateMockApproachAnalysis(payload));
-                } else if (payload.type === 'code_analysis') {
-                    resolve(this.generateMockCodeAnalysis(payload));
-                } else {
-                    resolve(this.generateMockChatResponse(payload));
-                }
-            }, 1000);
-        });
+        console.log('Using the offline coach');
+        return this.getOfflineResponse(payload);
     }
 
-    generateMockApproachAnalysis(payload) {
-        const approach = payload.approach.toLowerCase();
-        let response = '';
-        let timeComplexity = 'O(?)';
-        let spaceComplexity = 'O(?)';
-
-        if (approach.includes('hash') || approach.includes('map') || approach.includes('dictionary')) {
-            response = `Great thinking! Using a hash map is indeed a solid approach for this problem.
-
-**Analysis of your approach:**
-- ✅ **Correctness**: Your hash map approach should work correctly
-- ⚡ **Efficiency**: This gives us much better time complexity than brute force
-- 💾 **Space trade-off**: We use extra space for the hash map
-
-**Potential considerations:**
-- What happens with duplicate values?
-- Have you thought about the one-pass vs two-pass implementation?
-
-**Question for you**: Can you walk me through what exactly you'd store as keys and values in your hash map?`;
-            
-            timeComplexity = 'O(n)';
-            spaceComplexity = 'O(n)';
-            
-        } else if (approach.includes('sort') || approach.includes('sorted')) {
-            response = `Interesting approach with sorting! Let's think through this together.
+    // Render the AI reply token-by-token; fall back to a regular request
+    // (and from there to the offline coach) when streaming is unavailable
+    async streamChatResponse(payload) {
+        payload = { ...payload, userId: this.userId };
+        const messageDiv = this.createStreamingMessage();
+        let response = null;
 
-**Analysis:**
-- ✅ **Correctness**: Sorting can work for some problems, but consider the requirements
-- ⏰ **Time impact**: Sorting typically adds O(n log n) complexity
-- 💾 **Space**: Depends on whether you sort in-place
-
-**Things to consider:**
-- Does sorting change the original indices? (This matters for some problems!)
-- Could there be a more efficient approach?
-
-**Question**: What specific advantage does sorting give you for this particular problem?`;
-            
-            timeComplexity = 'O(n log n)';
-            spaceComplexity = 'O(1)';
-            
-        } else if (approach.includes('two pointer') || approach.includes('pointer')) {
-            response = `Excellent! Two pointers can be very efficient when applicable.
-
-**Your approach analysis:**
-- ✅ **Efficiency**: Two pointers often give us O(n) time complexity
-- 💾 **Space**: Usually O(1) space complexity - great!
-- 🎯 **Elegance**: Clean and intuitive when it works
-
-**Key considerations:**
-- Does this problem have the right structure for two pointers?
-- Do you need the array to be sorted first?
-
-**Challenge question**: Can you describe how you'd move the pointers and what condition would make you move each one?`;
-            
-            timeComplexity = 'O(n)';
-            spaceComplexity = 'O(1)';
-            
-        } else {
-            response = `Thanks for sharing your approach! Let me help you think through it.
-
-**Let's analyze together:**
-- First, let's make sure we understand the problem correctly
-- Then we can evaluate the efficiency of your approach
-- Finally, we'll see if there are ways to optimize it
-
-**Questions to guide you:**
-1. What's the main operation you need to perform repeatedly?
-2. How many times might you need to do this operation?
-3. What data structure would make this operation fastest?
-
-Can you elaborate on the specific steps in your approach?`;
-            
-            timeComplexity = 'O(?)';
-            spaceComplexity = 'O(?)';
+        if (this.backendUrl) {
+            const onText = (text) => this.updateStreamingMessage(messageDiv, text);
+            try {
+                response = await this.callAIStream(payload, onText);
+            } catch (error) {
+                if (error.retryAfter && error.retryAfter <= this.maxRetryAfter) {
+                    // Honor the backend's Retry-After once before giving up on streaming
+                    this.showMessage(`Rate limit reached. Retrying in ${error.retryAfter}s...`, 'warning');
+                    this.updateStreamingMessage(messageDiv, `Waiting ${error.retryAfter}s for the rate limit...`);
+                    await new Promise(resolve => setTimeout(resolve, error.retryAfter * 1000));
+                    response = await this.callAIStream(payload, onText).catch(() => null);
+                } else {
+                    console.warn('Streaming failed, retrying without streaming:', error.message);
+                }
+            }
         }
 
-        return {
-            response,
-            complexity: {
-                time: timeComplexity,
-                space: spaceComplexity
+        if (!response || !response.response) {
+            try {
+                response = await this.callAI(payload);
+            } catch (error) {
+                messageDiv.remove();
+                throw error;
             }
-        };
-    }
-
-    generateMockCodeAnalysis(payload) {
-        const code = payload.code.toLowerCase();
-        let response = '';
-        let timeComplexity = 'O(?)';
-        let spaceComplexity = 'O(?)';
-
-        if (code.includes('for') && code.includes('for')) {
-            response = `I see you're using nested loops! Let's analyze this together.
-
-**Code Review:**
-- 🔍 **Structure**: Nested loops detected - this often means O(n²) complexity
-- ⚠️ **Efficiency concern**: This might be slower than needed for large inputs
-
-**Questions to help you optimize:**
-1. Are you checking every pair of elements?
-2. Is there information from previous iterations you could reuse?
-3. Could a data structure help you avoid the inner loop?
-
-**Syntactic notes:** Your code structure looks good! Let's focus on the algorithmic efficiency.
+        }
 
-**Next step**: Can you think of a way to eliminate one of the loops?`;
-            
-            timeComplexity = 'O(n²)';
-            spaceComplexity = 'O(1)';
-            
-        } else if (code.includes('{}') || code.includes('dict') || code.includes('hashmap') || code.includes('{') || code.includes('Map')) {
-            response = `Nice! I can see you're using a hash-based approach.
+        this.finishStreamingMessage(messageDiv, response.response, response.complexity, response.analysis);
+        return response;
+    }
 
-**Code Analysis:**
-- ✅ **Good choice**: Hash maps are excellent for lookup-heavy problems
-- ⚡ **Efficiency**: This should give you O(n) time complexity
-- 💾 **Space trade-off**: Using O(n) space for better time complexity
+    async callAIStream(payload, onText) {
+        const controller = new AbortController();
+        let timeoutId = setTimeout(() => controller.abort(), this.streamIdleTimeout);
 
-**Code review points:**
-- Make sure to handle the case where the complement doesn't exist
-- Consider edge cases like duplicate values
-- Your overall structure looks promising!
+        try {
+            const response = await fetch(`${this.backendUrl}/api/analyze/stream`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Client-Id': 'popup'
+                },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
 
-**Guiding question**: How are you handling the case where you find the target complement? Are you making sure not to use the same element twice?`;
-            
-            timeComplexity = 'O(n)';
-            spaceComplexity = 'O(n)';
-            
-        } else {
-            response = `Thanks for sharing your code! Let me help you review it.
+            if (response.status === 429) {
+                const error = new Error('Rate limit exceeded');
+                error.retryAfter = Number(response.headers.get('Retry-After')) || 0;
+                throw error;
+            }
 
-**Initial observations:**
-- I can see the basic structure of your solution
-- Let's work together to identify any issues and optimizations
+            if (!response.ok || !response.body) {
+                throw new Error(`Backend error: ${response.status}`);
+            }
 
-**Let's check a few things:**
-1. **Logic flow**: Does your code handle all the required cases?
-2. **Edge cases**: What happens with empty inputs or single elements?
-3. **Efficiency**: Can we make this faster or use less memory?
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let text = '';
+            let result = null;
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                clearTimeout(timeoutId);
+                timeoutId = setTimeout(() => controller.abort(), this.streamIdleTimeout);
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    if (!line.trim()) continue;
+                    const event = JSON.parse(line);
+
+                    if (event.type === 'chunk') {
+                        text += event.text;
+                        onText(text);
+                    } else if (event.type === 'done') {
+                        // The final event carries the prose with the JSON block removed
+                        result = { response: text, ...event };
+                    } else if (event.type === 'error') {
+                        if (!text) throw new Error(event.message || event.error);
+                        result = { response: `${text}\n\n(Response interrupted: ${event.error})`, complexity: null };
+                    }
+                }
+            }
 
-**Debugging together**: Can you walk me through what your code does step by step? This will help us spot any issues!`;
-            
-            timeComplexity = 'O(?)';
-            spaceComplexity = 'O(?)';
+            console.log('Backend stream finished:', result?.model);
+            return result || { response: text, complexity: null };
+        } finally {
+            clearTimeout(timeoutId);
         }
-
-        return {
-            response,
-            complexity: {
-                time: timeComplexity,
-                space: spaceComplexity
-            }
-        };
     }
 
-    generateMockChatResponse(payload) {
-        const message = payload.message.toLowerCase();
-        const responses = [
-            "That's a great question! Let's think about it step by step. What do you think would happen if...?",
-            "You're on the right track! Can you tell me more about how you'd handle the edge case where...?",
-            "Interesting point! Have you considered what the time complexity would be if you tried...?",
-            "Good thinking! What if we tried a different approach? What data structure might help us here?",
-            "That makes sense! Now, what do you think would be the trade-offs between time and space complexity?",
-            "Excellent observation! How would you modify your approach to handle larger input sizes?",
-            "You're getting closer! Can you think of a way to optimize the part where you...?",
-            "Great progress! What would be your next step to implement this idea?"
-        ];
-
-        return {
-            response: responses[Math.floor(Math.random() * responses.length)],
-            complexity: null
-        };
+    // Without a backend, answers come from the rule-based coach in offlineCoach.js
+    getOfflineResponse(payload) {
+        return Promise.resolve(OfflineCoach.respond(payload));
     }
 
-    addChatMessage(message, sender, complexity = null) {
+    addChatMessage(message, sender, complexity = null, details = {}) {
         const chatContainer = document.getElementById('chatContainer');
         const messageDiv = document.createElement('div');
         messageDiv.className = `chat-message ${sender}`;
@@ -510,6 +501,61 @@ Can you elaborate on the specific steps in your approach?`;
         });
         
         this.saveConversationHistory();
+        this.syncSessionMessage({ message, sender, ...(complexity && { complexity }), ...details });
+    }
+
+    createStreamingMessage() {
+        const chatContainer = document.getElementById('chatContainer');
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'chat-message ai streaming';
+
+        const content = document.createElement('div');
+        content.className = 'message-content';
+        content.textContent = '…';
+        messageDiv.appendChild(content);
+
+        chatContainer.appendChild(messageDiv);
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+        return messageDiv;
+    }
+
+    updateStreamingMessage(messageDiv, text) {
+        const chatContainer = document.getElementById('chatContainer');
+        // Hide the trailing JSON analysis block while it is still streaming in
+        messageDiv.querySelector('.message-content').textContent = text.split('```json')[0];
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+    }
+
+    finishStreamingMessage(messageDiv, message, complexity = null, analysis = null) {
+        this.updateStreamingMessage(messageDiv, message);
+        messageDiv.classList.remove('streaming');
+
+        // The complexity badge is only known once the stream has finished
+        if (complexity) {
+            [['Time', complexity.time], ['Space', complexity.space]].forEach(([label, value]) => {
+                if (value && value !== 'O(?)') {
+                    const badge = document.createElement('span');
+                    badge.className = 'complexity-badge';
+                    badge.textContent = `${label}: ${value}`;
+                    messageDiv.appendChild(badge);
+                }
+            });
+        }
+
+        this.conversationHistory.push({
+            message,
+            sender: 'ai',
+            complexity,
+            timestamp: Date.now()
+        });
+
+        this.saveConversationHistory();
+        this.syncSessionMessage({
+            message,
+            sender: 'ai',
+            ...(complexity && { complexity }),
+            ...(analysis && { analysis })
+        });
     }
 
     // Complexity panel removed; complexities are now embedded in AI responses
@@ -563,7 +609,6 @@ Can you elaborate on the specific steps in your approach?`;
     clearConversation() {
         this.conversationHistory = [];
         document.getElementById('chatContainer').innerHTML = '';
-        document.getElementById('complexityInfo').classList.add('hidden');
         document.getElementById('chatInputSection').classList.add('hidden');
         document.getElementById('aiResponseSection').classList.add('hidden');
         
@@ -573,6 +618,16 @@ Can you elaborate on the specific steps in your approach?`;
         
         this.saveConversationHistory();
         this.showMessage('Conversation cleared', 'info');
+
+        // Start a fresh server-side session for this problem
+        if (this.backendUrl && this.sessionId) {
+            fetch(`${this.backendUrl}/api/sessions/${this.sessionId}`, { method: 'DELETE' })
+                .catch(() => {})
+                .finally(() => {
+                    this.sessionId = null;
+                    this.resumeSession();
+                });
+        }
     }
 
     saveConversationHistory() {
@@ -586,6 +641,206 @@ Can you elaborate on the specific steps in your approach?`;
         }
     }
 
+    async loadUserId() {
+        try {
+            const result = await chrome.storage.local.get(['userId']);
+            this.userId = result.userId || `user-${crypto.randomUUID()}`;
+            if (!result.userId) await chrome.storage.local.set({ userId: this.userId });
+        } catch (error) {
+            console.error('Error loading user id:', error);
+        }
+    }
+
+    async toggleProgress() {
+        const view = document.getElementById('progressView');
+        const button = document.getElementById('toggleProgress');
+        if (!view.classList.contains('hidden')) {
+            view.classList.add('hidden');
+            button.textContent = 'My Progress';
+            return;
+        }
+
+        view.classList.remove('hidden');
+        button.textContent = 'Hide Progress';
+        view.textContent = 'Loading your progress...';
+        if (!this.backendUrl || !this.userId) {
+            view.textContent = 'Progress tracking needs the backend. Start it and reopen the popup.';
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.backendUrl}/api/profile/${this.userId}`);
+            if (!response.ok) throw new Error(`Backend error: ${response.status}`);
+            const { profile } = await response.json();
+            this.renderProgress(view, profile);
+        } catch (error) {
+            console.warn('Could not load the skill profile:', error.message);
+            view.textContent = 'Could not load your progress. Please try again.';
+        }
+    }
+
+    // Totals, weak spots, then mastery per topic and per pattern (weakest first)
+    renderProgress(view, profile) {
+        view.innerHTML = '';
+        const add = (parent, tag, className, text) => {
+            const element = document.createElement(tag);
+            if (className) element.className = className;
+            if (text) element.textContent = text;
+            parent.appendChild(element);
+            return element;
+        };
+
+        const { totals } = profile;
+        if (totals.problems === 0) {
+            add(view, 'p', 'progress-empty', 'No progress yet. Analyze an approach, reveal a hint or submit a solution and it will show up here.');
+            return;
+        }
+        const minutes = totals.medianMinutesToAccept == null ? '' : ` · ${totals.medianMinutesToAccept} min median to accept`;
+        add(view, 'p', 'progress-totals', `${totals.problems} problems · ${totals.solved} solved · ${totals.hintsUsed} hint levels · ${totals.failedSubmissions} failed submissions${minutes}`);
+
+        if (profile.weakSpots.length > 0) {
+            add(view, 'h3', '', 'Weak spots');
+            const list = add(view, 'ul', 'progress-weak-spots');
+            profile.weakSpots.forEach(spot => add(list, 'li', '', `${spot.name}: mastery ${spot.mastery}/100 (${spot.solved}/${spot.problems} solved)`));
+        }
+
+        const section = (title, groups, nameOf) => {
+            if (groups.length === 0) return;
+            add(view, 'h3', '', title);
+            groups.forEach(group => {
+                const row = add(view, 'div', 'progress-row');
+                row.title = `${group.solved}/${group.problems} solved, ${group.analyses} analyses, ${group.hintsUsed} hint levels, ${group.failedSubmissions} failed submissions`;
+                add(row, 'span', 'progress-name', nameOf(group));
+                const bar = add(row, 'div', 'progress-bar');
+                add(bar, 'div', 'progress-fill').style.width = `${group.mastery}%`;
+                add(row, 'span', 'progress-score', String(group.mastery));
+            });
+        };
+        section('Topics', profile.topics, topic => topic.topic);
+        section('Patterns', profile.patterns, pattern => pattern.label);
+    }
+
+    // Spaced-repetition reviews (reviewScheduler.js) that are due by the end of today
+    async loadDueReviews() {
+        try {
+            this.renderDueReviews(ReviewScheduler.dueReviews(await ReviewScheduler.load()));
+        } catch (error) {
+            console.error('Error loading reviews:', error);
+        }
+    }
+
+    renderDueReviews(due) {
+        const list = document.getElementById('dueList');
+        list.innerHTML = '';
+        document.getElementById('reviewSection').classList.toggle('hidden', due.length === 0);
+        document.getElementById('dueCount').textContent = due.length;
+
+        due.forEach(item => {
+            const button = document.createElement('button');
+            button.className = 'due-item';
+            button.textContent = item.title;
+            const meta = document.createElement('span');
+            meta.className = 'due-meta';
+            meta.textContent = [item.difficulty, `${item.repetitions} reviews`].filter(Boolean).join(' · ');
+            button.appendChild(meta);
+            button.addEventListener('click', () => this.startReview(item));
+
+            const entry = document.createElement('li');
+            entry.appendChild(button);
+            list.appendChild(entry);
+        });
+    }
+
+    // The student restates the key insight first; their old notes only show after that
+    startReview(item) {
+        const session = document.getElementById('reviewSession');
+        session.innerHTML = '';
+        session.classList.remove('hidden');
+
+        const heading = document.createElement('h3');
+        heading.textContent = `Review: ${item.title}`;
+        const question = document.createElement('p');
+        question.textContent = 'Before you look at your notes: what is the key insight that solves this problem?';
+        const insightInput = document.createElement('textarea');
+        insightInput.rows = 3;
+        insightInput.placeholder = 'e.g., Store each number\'s index in a hash map so the complement lookup is O(1)...';
+        const revealBtn = document.createElement('button');
+        revealBtn.className = 'secondary-btn';
+        revealBtn.textContent = 'Show my notes';
+        revealBtn.disabled = true;
+        insightInput.addEventListener('input', () => {
+            revealBtn.disabled = !insightInput.value.trim();
+        });
+        revealBtn.addEventListener('click', () => {
+            insightInput.readOnly = true;
+            revealBtn.remove();
+            this.showReviewNotes(session, item, insightInput.value);
+        });
+
+        session.append(heading, question, insightInput, revealBtn);
+        insightInput.focus();
+    }
+
+    showReviewNotes(session, item, insight) {
+        const notes = item.notes || {};
+        const addNote = (label, text) => {
+            if (!text) return;
+            const note = document.createElement('div');
+            note.className = 'review-note';
+            const title = document.createElement('strong');
+            title.textContent = label;
+            const body = document.createElement('p');
+            body.textContent = text;
+            note.append(title, body);
+            session.appendChild(note);
+        };
+        addNote('Your insight last time', notes.insight);
+        addNote('Your approach', notes.approach);
+        addNote('Coach feedback', notes.coachReply);
+
+        if (notes.code) {
+            const code = document.createElement('details');
+            code.className = 'review-note';
+            const summary = document.createElement('summary');
+            summary.textContent = 'Your accepted code';
+            const pre = document.createElement('pre');
+            pre.textContent = notes.code;
+            code.append(summary, pre);
+            session.appendChild(code);
+        }
+
+        const prompt = document.createElement('p');
+        prompt.textContent = 'How well did you remember it?';
+        const grades = document.createElement('div');
+        grades.className = 'review-grades';
+        ReviewScheduler.GRADES.forEach(({ label, grade }) => {
+            const button = document.createElement('button');
+            button.className = 'secondary-btn';
+            button.textContent = label;
+            button.addEventListener('click', () => this.finishReview(item, grade, insight));
+            grades.appendChild(button);
+        });
+        const openLink = document.createElement('button');
+        openLink.className = 'clear-btn';
+        openLink.textContent = 'Open problem';
+        openLink.addEventListener('click', () => chrome.tabs.create({ url: item.url }));
+
+        session.append(prompt, grades, openLink);
+    }
+
+    async finishReview(item, grade, insight) {
+        try {
+            const reviews = await ReviewScheduler.update(stored => ReviewScheduler.recordReview(stored, item.slug, grade, { insight }));
+            const days = reviews[item.slug].interval;
+            document.getElementById('reviewSession').classList.add('hidden');
+            this.renderDueReviews(ReviewScheduler.dueReviews(reviews));
+            this.showMessage(`Next review of ${item.title} in ${days} day${days === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('Error saving review:', error);
+            this.showMessage('Could not save the review. Please try again.', 'error');
+        }
+    }
+
     async loadConversationHistory() {
         try {
             const result = await chrome.storage.local.get(['conversationHistory', 'problemUrl']);
@@ -598,13 +853,6 @@ Can you elaborate on the specific steps in your approach?`;
                 if (this.conversationHistory.length > 0) {
                     // Restore the chat interface but don't duplicate messages
                     this.showChatInput();
-                    
-                    // Show last complexity info if available
-                    const lastComplexity = [...this.conversationHistory].reverse()
-                        .find(item => item.complexity)?.complexity;
-                    if (lastComplexity) {
-                        this.showComplexityInfo(lastComplexity);
-                    }
                 }
             }
         } catch (error) {
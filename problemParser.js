@@ -0,0 +1,241 @@
+// problemParser.js - Reads a LeetCode problem page into structured data
+//
+// Loaded as a content script before content.js, and exported for Node so it
+// can run against saved pages. Handles the current layout (description_content,
+// example-block) and the older one (data-cy/data-key attributes, <pre> examples).
+// Constraint lines are read by constraintParser.js, loaded just before it.
+const ProblemParser = (() => {
+  const Constraints = typeof ConstraintParser !== 'undefined' ? ConstraintParser : require('./constraintParser');
+  const TITLE_SELECTORS = [
+    '[data-cy="question-title"]',
+    'div.text-title-large a',
+    '.text-title-large',
+    '.css-v3d350',
+    '.question-title',
+    'h1'
+  ];
+  const DESCRIPTION_SELECTORS = [
+    '[data-track-load="description_content"]',
+    '[data-key="description-content"]',
+    '.content__u3I1',
+    '.question-content'
+  ];
+  const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+  const BLOCK_TAGS = ['p', 'div', 'pre', 'ul', 'ol', 'li', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table'];
+  const ELEMENT_NODE = 1;
+  const TEXT_NODE = 3;
+
+  const tagOf = (node) => (node.nodeName || '').toLowerCase();
+  const collapse = (text) => text.replace(/\u00a0/g, ' ').replace(/[ \t\r\f\v]+/g, ' ');
+  const isBlock = (node) => node.nodeType === ELEMENT_NODE && BLOCK_TAGS.includes(tagOf(node));
+
+  function first(root, selectors) {
+    for (const selector of selectors) {
+      const element = root.querySelector(selector);
+      if (element && element.textContent.trim()) return element;
+    }
+    return null;
+  }
+
+  // Text as the page shows it: superscripts as "^" ("10<sup>4</sup>" -> "10^4"),
+  // line breaks between blocks and at <br>
+  function textOf(node) {
+    if (node.nodeType === TEXT_NODE) return node.textContent.replace(/\u00a0/g, ' ');
+    if (node.nodeType !== ELEMENT_NODE) return '';
+    const tag = tagOf(node);
+    if (tag === 'br') return '\n';
+    const content = Array.from(node.childNodes).map(textOf).join('');
+    if (tag === 'sup') return `^${content.trim()}`;
+    return isBlock(node) ? `\n${content}\n` : content;
+  }
+
+  const lineOf = (node) => collapse(textOf(node)).replace(/\s*\n\s*/g, ' ').trim();
+
+  // Inline markdown for a node's contents
+  function inline(node) {
+    if (node.nodeType === TEXT_NODE) return collapse(node.textContent).replace(/\n/g, ' ');
+    if (node.nodeType !== ELEMENT_NODE) return '';
+    const content = () => Array.from(node.childNodes).map(inline).join('');
+    const wrap = (mark) => {
+      const text = content();
+      return text.trim() ? text.replace(/^(\s*)([\s\S]*?)(\s*)$/, `$1${mark}$2${mark}$3`) : text;
+    };
+
+    switch (tagOf(node)) {
+      case 'br': return '\n';
+      case 'strong':
+      case 'b': return wrap('**');
+      case 'em':
+      case 'i': return wrap('*');
+      case 'code': return `\`${lineOf(node)}\``;
+      case 'sup': return `^${content().trim()}`;
+      case 'sub': return `_${content().trim()}`;
+      case 'a': return `[${content().trim()}](${node.getAttribute('href') || ''})`;
+      case 'img': return `![${node.getAttribute('alt') || ''}](${node.getAttribute('src') || ''})`;
+      default: return content();
+    }
+  }
+
+  function markdown(node) {
+    if (node.nodeType === TEXT_NODE) return collapse(node.textContent).trim();
+    if (node.nodeType !== ELEMENT_NODE) return '';
+
+    switch (tagOf(node)) {
+      case 'pre':
+        return `\`\`\`\n${collapse(textOf(node)).replace(/^\n+|\s+$/g, '')}\n\`\`\``;
+      case 'ul':
+      case 'ol': {
+        const ordered = tagOf(node) === 'ol';
+        return Array.from(node.children)
+          .filter(item => tagOf(item) === 'li')
+          .map((item, index) => `${ordered ? `${index + 1}.` : '-'} ${inline(item).replace(/\s*\n\s*/g, ' ').trim()}`)
+          .join('\n');
+      }
+      case 'p':
+        return inline(node).replace(/ *\n */g, '\n').trim();
+      default:
+        // Containers of blocks (a wrapping <div>) become their blocks
+        if (Array.from(node.childNodes).some(isBlock)) return Array.from(node.childNodes).map(markdown).filter(Boolean).join('\n\n');
+        return inline(node).replace(/ *\n */g, '\n').trim();
+    }
+  }
+
+  // The description's top-level blocks, looking through wrapper <div>s. Loose
+  // text and inline elements between blocks (older problems end with a bare
+  // "<strong>Follow-up:</strong> ...") are read as one paragraph.
+  function blocksOf(root) {
+    const blocks = [];
+    let run = [];
+    const endRun = () => {
+      if (run.some(node => node.textContent.trim())) blocks.push({ nodeType: ELEMENT_NODE, nodeName: 'P', className: '', childNodes: run });
+      run = [];
+    };
+
+    for (const node of Array.from(root.childNodes)) {
+      if (!isBlock(node)) {
+        run.push(node);
+        continue;
+      }
+      endRun();
+      const wrapper = tagOf(node) === 'div' && !/example-block/.test(node.className || '') && Array.from(node.childNodes).some(isBlock);
+      if (wrapper) blocks.push(...blocksOf(node));
+      else blocks.push(node);
+    }
+    endRun();
+    return blocks;
+  }
+
+  // "Input: nums = [2,7], target = 9\nOutput: [0,1]\nExplanation: ..." -> { input, output, explanation }
+  function parseExample(text) {
+    const parts = {};
+    const labels = [...text.matchAll(/(^|\n)\s*(Input|Output|Explanation)\s*:/g)];
+    labels.forEach((match, i) => {
+      const start = match.index + match[0].length;
+      const end = i + 1 < labels.length ? labels[i + 1].index : text.length;
+      parts[match[2].toLowerCase()] = text.slice(start, end).split('\n').map(line => collapse(line).trim()).filter(Boolean).join('\n');
+    });
+    if (!parts.input && !parts.output) return null;
+    return { input: parts.input || '', output: parts.output ?? null, explanation: parts.explanation || null };
+  }
+
+  // Splits the description into the statement, examples, constraints and follow-up
+  function parseDescription(root) {
+    const statement = [];
+    const examples = [];
+    const constraints = [];
+    let section = 'statement';
+
+    for (const block of blocksOf(root)) {
+      const text = lineOf(block);
+      const exampleText = collapse(textOf(block));
+
+      if (/^Example\s*\d*\s*:?$/i.test(text)) {
+        section = 'examples';
+        continue;
+      }
+      if (/^Constraints\s*:?$/i.test(text)) {
+        section = 'constraints';
+        continue;
+      }
+      if (/^Follow[\s-]*up\b/i.test(text)) section = 'follow-up';
+
+      const isExample = tagOf(block) === 'pre' || /example-block/.test(block.className || '');
+      if ((section === 'examples' || isExample) && /(^|\n)\s*(Input|Output)\s*:/.test(exampleText)) {
+        const example = parseExample(exampleText);
+        if (example) examples.push(example);
+        section = 'examples';
+        continue;
+      }
+
+      if (section === 'constraints') {
+        const items = ['ul', 'ol'].includes(tagOf(block)) ? Array.from(block.querySelectorAll('li')) : [block];
+        items.map(lineOf).filter(Boolean).forEach(line => constraints.push(Constraints.parseConstraint(line)));
+      } else if (section !== 'examples') {
+        // Example diagrams and stray notes between examples are left out
+        const part = markdown(block);
+        if (part) statement.push(part);
+      }
+    }
+
+    return { description: statement.join('\n\n'), examples, constraints };
+  }
+
+  function parseTitle(doc) {
+    const element = first(doc, TITLE_SELECTORS);
+    const text = element
+      ? lineOf(element)
+      : (doc.title || '').replace(/\s+-\s+LeetCode\s*$/, '').trim();
+    const numbered = text.match(/^(\d+)\.\s*(.+)$/);
+    return numbered ? { number: Number(numbered[1]), title: numbered[2] } : { number: null, title: text || null };
+  }
+
+  function parseDifficulty(doc) {
+    const element = doc.querySelector('[class*="text-difficulty-"], [diff]');
+    const text = element ? element.textContent.trim() : '';
+    return DIFFICULTIES.find(level => level.toLowerCase() === text.toLowerCase()) || null;
+  }
+
+  function parseTags(doc) {
+    const tags = Array.from(doc.querySelectorAll('a[href*="/tag/"]')).map(link => link.textContent.trim()).filter(Boolean);
+    return [...new Set(tags)];
+  }
+
+  function parseSlug(pathname) {
+    const match = String(pathname || '').match(/\/problems\/([^/]+)/);
+    return match ? match[1] : null;
+  }
+
+  // The whole page; `location` defaults to the document's own. Fields the page
+  // doesn't show (yet) come back null or empty.
+  function parseProblemPage(doc, location = doc.location) {
+    const { number, title } = parseTitle(doc);
+    const root = first(doc, DESCRIPTION_SELECTORS);
+    const { description, examples, constraints } = root
+      ? parseDescription(root)
+      : { description: '', examples: [], constraints: [] };
+
+    return {
+      slug: parseSlug(location && location.pathname),
+      number,
+      title,
+      difficulty: parseDifficulty(doc),
+      tags: parseTags(doc),
+      description,
+      examples,
+      constraints
+    };
+  }
+
+  // The "Input: ...\nOutput: ..." text the backend's example parser reads
+  function formatExample({ input, output, explanation }) {
+    return [`Input: ${input}`, output !== null && `Output: ${output}`, explanation && `Explanation: ${explanation}`]
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  return { parseProblemPage, parseDescription, parseExample, formatExample };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProblemParser;
+}
@@ -0,0 +1,58 @@
+// providers/errors.js - Error type shared by all LLM provider adapters
+
+class ProviderError extends Error {
+  constructor(message, { provider, status } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+// Map a provider failure to the HTTP status and JSON body sent to the extension
+function toHttpError(error) {
+  if (error.status === 400) {
+    return {
+      status: 400,
+      body: {
+        error: error.name === 'PromptError' ? 'Invalid prompt version' : 'Invalid provider',
+        message: error.message
+      }
+    };
+  }
+
+  if (error.status === 401 || error.message?.includes('API key')) {
+    return {
+      status: 401,
+      body: {
+        error: 'Invalid API key',
+        message: `Please check the API key for the ${error.provider || 'configured'} provider in the .env file`
+      }
+    };
+  }
+
+  if (error.status === 429 || error.message?.includes('quota')) {
+    // Our own limiter knows the exact wait; an upstream quota error gets one free-tier window
+    const retryAfter = error.retryAfterSeconds || 60;
+    return {
+      status: 429,
+      body: {
+        error: 'Rate limit exceeded',
+        message: `${error.name === 'RateLimitError' ? error.message : 'Provider quota exceeded'}. Please retry in ${retryAfter}s.`,
+        retryAfter,
+        fallback: "I'm temporarily unavailable due to rate limits. Can you describe your approach step by step while we wait?"
+      }
+    };
+  }
+
+  return {
+    status: 500,
+    body: {
+      error: 'AI service error',
+      message: error.message,
+      fallback: "I'm having technical difficulties. Try describing your approach in more detail - what data structure are you considering?"
+    }
+  };
+}
+
+module.exports = { ProviderError, toHttpError };
@@ -0,0 +1,48 @@
+// providers/gemini.js - Google Gemini adapter (free tier by default)
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { ProviderError } = require('./errors');
+
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.model = options.model || process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+    this.generationConfig = {
+      temperature: 0.7,
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: 2048,
+      ...options.generationConfig
+    };
+
+    if (!this.apiKey) {
+      throw new ProviderError('GEMINI_API_KEY not found in environment variables', { provider: this.name });
+    }
+
+    const genAI = new GoogleGenerativeAI(this.apiKey);
+    this.client = genAI.getGenerativeModel({
+      model: this.model,
+      generationConfig: this.generationConfig
+    });
+  }
+
+  async generate(prompt) {
+    const result = await this.client.generateContent(prompt);
+    const response = await result.response;
+    return { text: response.text(), model: this.model, provider: this.name };
+  }
+
+  async *stream(prompt) {
+    const result = await this.client.generateContentStream(prompt);
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+
+  describe() {
+    return { name: this.name, model: this.model, free: true };
+  }
+}
+
+module.exports = { GeminiProvider };
@@ -0,0 +1,65 @@
+// providers/index.js - Registry for the pluggable LLM provider layer
+//
+// Every adapter exposes the same small interface:
+//   generate(prompt) -> Promise<{ text, model, provider }>
+//   stream(prompt)   -> async iterable of text chunks
+//   describe()       -> plain object shown by /api/providers
+//
+// The deployment default comes from LLM_PROVIDER; a request can override it
+// with a `provider` field (or ?provider= query string).
+const { GeminiProvider } = require('./gemini');
+const { OpenAICompatibleProvider } = require('./openai');
+const { LocalProvider } = require('./local');
+const { StubProvider } = require('./stub');
+const { ProviderError, toHttpError } = require('./errors');
+
+const FACTORIES = {
+  gemini: (options) => new GeminiProvider(options),
+  openai: (options) => new OpenAICompatibleProvider(options),
+  ollama: (options) => new LocalProvider({ ...options, flavor: 'ollama' }),
+  llamacpp: (options) => new LocalProvider({ ...options, flavor: 'llamacpp' }),
+  stub: (options) => new StubProvider(options)
+};
+
+const instances = new Map();
+
+function defaultProviderName() {
+  return (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+}
+
+function getProvider(name) {
+  const key = (name || defaultProviderName()).toLowerCase();
+
+  if (!FACTORIES[key]) {
+    throw new ProviderError(`Unknown provider "${key}". Available: ${Object.keys(FACTORIES).join(', ')}`, { provider: key, status: 400 });
+  }
+
+  if (!instances.has(key)) {
+    try {
+      instances.set(key, FACTORIES[key]());
+    } catch (error) {
+      // Missing keys or bad settings are a client-visible configuration problem
+      if (!error.status) error.status = 400;
+      throw error;
+    }
+  }
+  return instances.get(key);
+}
+
+function listProviders() {
+  return Object.keys(FACTORIES).map(name => {
+    try {
+      return { ...getProvider(name).describe(), configured: true, default: name === defaultProviderName() };
+    } catch (error) {
+      return { name, configured: false, default: name === defaultProviderName(), reason: error.message };
+    }
+  });
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  defaultProviderName,
+  ProviderError,
+  toHttpError
+};
@@ -0,0 +1,97 @@
+// providers/local.js - Adapters for a local Ollama or llama.cpp server
+const { ProviderError } = require('./errors');
+const { readLines, readServerSentEvents } = require('./stream');
+
+const FLAVORS = {
+  ollama: {
+    baseUrl: () => process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    model: () => process.env.OLLAMA_MODEL || 'llama3.1',
+    path: '/api/generate',
+    body: (p, prompt, stream) => ({
+      model: p.model,
+      prompt,
+      stream,
+      options: { temperature: p.temperature, num_predict: p.maxTokens }
+    }),
+    text: (data) => data.response,
+    // Ollama streams newline-delimited JSON objects
+    events: async function* (body) {
+      for await (const line of readLines(body)) {
+        try { yield JSON.parse(line); } catch (_) {}
+      }
+    }
+  },
+  llamacpp: {
+    baseUrl: () => process.env.LLAMACPP_BASE_URL || 'http://localhost:8080',
+    model: () => process.env.LLAMACPP_MODEL || 'local',
+    path: '/completion',
+    body: (p, prompt, stream) => ({
+      prompt,
+      stream,
+      temperature: p.temperature,
+      n_predict: p.maxTokens
+    }),
+    text: (data) => data.content,
+    // llama.cpp streams Server-Sent Events
+    events: readServerSentEvents
+  }
+};
+
+class LocalProvider {
+  constructor(options = {}) {
+    const flavor = FLAVORS[options.flavor || 'ollama'];
+    if (!flavor) {
+      throw new ProviderError(`Unknown local provider flavor: ${options.flavor}`, { provider: options.flavor });
+    }
+
+    this.name = options.flavor || 'ollama';
+    this.flavor = flavor;
+    this.baseUrl = (options.baseUrl || flavor.baseUrl()).replace(/\/+$/, '');
+    this.model = options.model || flavor.model();
+    this.temperature = options.temperature ?? 0.7;
+    this.maxTokens = options.maxTokens ?? 2048;
+    // Local models on a laptop CPU can be slow, so be generous
+    this.timeout = options.timeout ?? 120000;
+  }
+
+  async request(prompt, stream) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${this.flavor.path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.flavor.body(this, prompt, stream)),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      throw new ProviderError(`Could not reach local ${this.name} server at ${this.baseUrl}: ${error.message}`, { provider: this.name, status: 503 });
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new ProviderError(data.error?.message || data.error || response.statusText, { provider: this.name, status: response.status });
+    }
+
+    return response;
+  }
+
+  async generate(prompt) {
+    const response = await this.request(prompt, false);
+    const data = await response.json().catch(() => ({}));
+    return { text: this.flavor.text(data) || '', model: this.model, provider: this.name };
+  }
+
+  async *stream(prompt) {
+    const response = await this.request(prompt, true);
+    for await (const event of this.flavor.events(response.body)) {
+      const text = this.flavor.text(event);
+      if (text) yield text;
+    }
+  }
+
+  describe() {
+    return { name: this.name, model: this.model, baseUrl: this.baseUrl, local: true };
+  }
+}
+
+module.exports = { LocalProvider };
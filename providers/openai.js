@@ -0,0 +1,83 @@
+// providers/openai.js - Adapter for any OpenAI-compatible chat completions endpoint
+// (OpenAI, OpenRouter, Groq, vLLM, LM Studio, llama.cpp's /v1 server, ...)
+const { ProviderError } = require('./errors');
+const { readServerSentEvents } = require('./stream');
+
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || '';
+    this.model = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.temperature = options.temperature ?? 0.7;
+    this.maxTokens = options.maxTokens ?? 2048;
+    this.timeout = options.timeout ?? 60000;
+
+    // A key is only mandatory for the hosted OpenAI API; local servers usually accept anything
+    if (!this.apiKey && this.baseUrl.includes('api.openai.com')) {
+      throw new ProviderError('OPENAI_API_KEY not found in environment variables', { provider: this.name });
+    }
+  }
+
+  async request(prompt, stream) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: this.model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: this.temperature,
+          max_tokens: this.maxTokens,
+          stream
+        }),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      throw new ProviderError(`Could not reach ${this.baseUrl}: ${error.message}`, { provider: this.name, status: 503 });
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const detail = data.error?.message || response.statusText;
+      if (response.status === 401) {
+        throw new ProviderError(`Invalid API key: ${detail}`, { provider: this.name, status: 401 });
+      }
+      if (response.status === 429) {
+        throw new ProviderError(`Rate limit or quota exceeded: ${detail}`, { provider: this.name, status: 429 });
+      }
+      throw new ProviderError(detail, { provider: this.name, status: response.status });
+    }
+
+    return response;
+  }
+
+  async generate(prompt) {
+    const response = await this.request(prompt, false);
+    const data = await response.json().catch(() => ({}));
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      model: data.model || this.model,
+      provider: this.name
+    };
+  }
+
+  async *stream(prompt) {
+    const response = await this.request(prompt, true);
+    for await (const event of readServerSentEvents(response.body)) {
+      const text = event.choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  describe() {
+    return { name: this.name, model: this.model, baseUrl: this.baseUrl };
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
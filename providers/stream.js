@@ -0,0 +1,36 @@
+// providers/stream.js - Helpers for reading streamed HTTP responses from LLM servers
+
+// Yield each non-empty line of a fetch() response body
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield line;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) yield buffer.trim();
+}
+
+// Yield the parsed JSON payload of each Server-Sent Events `data:` line
+async function* readServerSentEvents(body) {
+  for await (const line of readLines(body)) {
+    if (!line.startsWith('data:')) continue;
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return;
+    try {
+      yield JSON.parse(data);
+    } catch (_) {
+      // Ignore keep-alive comments and partial frames
+    }
+  }
+}
+
+module.exports = { readLines, readServerSentEvents };
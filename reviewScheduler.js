@@ -0,0 +1,126 @@
+// reviewScheduler.js - Spaced-repetition reviews for problems solved with the coach
+//
+// SM-2: each solved problem becomes a review item with an ease factor and an
+// interval in days. Recall is graded 0-5; a grade below 3 starts the item over
+// at one day, anything else stretches the interval by the ease, which itself
+// moves with the grade. The first grade comes from the hints the student needed
+// to solve it, later ones from their own rating after a review. Items live in
+// chrome.storage.local under `reviews`, by problem slug; loaded by the content
+// script, the popup and the service worker, and exported for Node.
+const ReviewScheduler = (() => {
+  const STORAGE_KEY = 'reviews';
+  const DAY = 24 * 60 * 60 * 1000;
+  const INITIAL_EASE = 2.5;
+  const MIN_EASE = 1.3;
+  const MAX_GRADE = 5;
+  const NOTE_CHARS = 1200;
+
+  // Self-rated recall after a review
+  const GRADES = [
+    { label: 'Forgot', grade: 1 },
+    { label: 'Hard', grade: 3 },
+    { label: 'Good', grade: 4 },
+    { label: 'Easy', grade: 5 }
+  ];
+
+  const endOfDay = (time) => {
+    const date = new Date(time);
+    date.setHours(23, 59, 59, 999);
+    return date.getTime();
+  };
+
+  // A solve without hints is a perfect recall; each hint level costs one grade
+  const gradeFromHints = (hintsUsed) => Math.max(0, MAX_GRADE - (hintsUsed || 0));
+
+  // The next ease, interval and due date after a recall of `grade`
+  function schedule(item, grade, now = Date.now()) {
+    const repetitions = grade < 3 ? 0 : item.repetitions + 1;
+    const interval = repetitions === 0 ? 1
+      : repetitions === 1 ? 1
+        : repetitions === 2 ? 6
+          : Math.round(item.interval * item.ease);
+    const ease = Math.max(MIN_EASE, item.ease + 0.1 - (MAX_GRADE - grade) * (0.08 + (MAX_GRADE - grade) * 0.02));
+
+    return {
+      ...item,
+      ease: Math.round(ease * 100) / 100,
+      interval,
+      repetitions,
+      due: now + interval * DAY,
+      lastReviewed: now
+    };
+  }
+
+  const clip = (text) => {
+    const value = String(text || '').trim();
+    return value.length > NOTE_CHARS ? `${value.slice(0, NOTE_CHARS)}...` : value;
+  };
+
+  // Add (or refresh) the item for a problem the student just solved.
+  // `notes` is what they will see again: { approach, coachReply, code }.
+  function recordSolve(reviews, problem, { hintsUsed = 0, notes = {} } = {}, now = Date.now()) {
+    const existing = reviews[problem.slug];
+    const item = existing || {
+      slug: problem.slug,
+      ease: INITIAL_EASE,
+      interval: 0,
+      repetitions: 0,
+      history: []
+    };
+
+    const solved = schedule({
+      ...item,
+      title: problem.title || item.title || problem.slug,
+      url: problem.url || item.url || `https://leetcode.com/problems/${problem.slug}/`,
+      difficulty: problem.difficulty || item.difficulty || null,
+      notes: {
+        ...item.notes,
+        approach: clip(notes.approach) || item.notes?.approach || '',
+        coachReply: clip(notes.coachReply) || item.notes?.coachReply || '',
+        code: notes.code || item.notes?.code || ''
+      },
+      history: [...item.history, { kind: 'solve', hintsUsed, grade: gradeFromHints(hintsUsed), at: now }]
+    }, gradeFromHints(hintsUsed), now);
+
+    return { ...reviews, [problem.slug]: solved };
+  }
+
+  // Grade one review; the student's restated insight is kept with the notes
+  function recordReview(reviews, slug, grade, { insight = '' } = {}, now = Date.now()) {
+    const item = reviews[slug];
+    if (!item) return reviews;
+
+    const reviewed = schedule({
+      ...item,
+      notes: { ...item.notes, ...(insight.trim() && { insight: clip(insight) }) },
+      history: [...item.history, { kind: 'review', grade, at: now }]
+    }, grade, now);
+
+    return { ...reviews, [slug]: reviewed };
+  }
+
+  // Items due by the end of today, most overdue first
+  function dueReviews(reviews, now = Date.now()) {
+    return Object.values(reviews || {})
+      .filter(item => item.due <= endOfDay(now))
+      .sort((a, b) => a.due - b.due);
+  }
+
+  async function load() {
+    const items = await chrome.storage.local.get([STORAGE_KEY]);
+    return items[STORAGE_KEY] || {};
+  }
+
+  // Read, change and write back the stored reviews
+  async function update(change) {
+    const reviews = change(await load());
+    await chrome.storage.local.set({ [STORAGE_KEY]: reviews });
+    return reviews;
+  }
+
+  return { STORAGE_KEY, GRADES, schedule, recordSolve, recordReview, dueReviews, gradeFromHints, load, update };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReviewScheduler;
+}
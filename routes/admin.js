@@ -0,0 +1,70 @@
+// routes/admin.js - Inspect, back up and restore the backend's local data and cache
+const express = require('express');
+
+// Admin routes are open on localhost unless ADMIN_TOKEN is set
+function requireAdminToken(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (token && req.get('X-Admin-Token') !== token) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Missing or invalid X-Admin-Token header' });
+  }
+  next();
+}
+
+function createAdminRouter({ db, migrations, usage, responseCache }) {
+  const router = express.Router();
+  router.use(requireAdminToken);
+
+  router.get('/db', (req, res) => {
+    res.json(db.stats());
+  });
+
+  // Query rows: /api/admin/db/messages?sessionId=...&limit=20
+  router.get('/db/:table', (req, res) => {
+    let table;
+    try {
+      table = db.table(req.params.table);
+    } catch (error) {
+      return res.status(404).json({ error: 'Table not found', message: error.message });
+    }
+
+    const { limit = 100, ...filters } = req.query;
+    const rows = table.find(row => Object.entries(filters).every(([key, value]) => String(row[key]) === value));
+    res.json({ table: table.name, total: rows.length, rows: rows.slice(0, Number(limit) || 100) });
+  });
+
+  router.get('/usage', (req, res) => {
+    res.json({ usage: usage.summary({ days: Number(req.query.days) || 7 }) });
+  });
+
+  router.get('/backup', (req, res) => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.setHeader('Content-Disposition', `attachment; filename="dsa-coach-backup-${stamp}.json"`);
+    res.json(db.dump());
+  });
+
+  router.post('/restore', (req, res) => {
+    try {
+      db.restore(req.body, migrations);
+      res.json({ restored: true, ...db.stats() });
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid backup', message: error.message });
+    }
+  });
+
+  router.post('/compact', (req, res) => {
+    db.compact();
+    res.json({ compacted: true, ...db.stats() });
+  });
+
+  router.get('/cache', (req, res) => {
+    res.json(responseCache.inspect());
+  });
+
+  router.delete('/cache', (req, res) => {
+    res.json({ flushed: responseCache.flush() });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
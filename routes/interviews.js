@@ -0,0 +1,54 @@
+// routes/interviews.js - Mock interview sessions (lib/mockInterview.js)
+//
+// Interviewer replies and the graded report come from the model, so they are
+// served by server.js: POST /api/interviews/:id/turns and /:id/report.
+const express = require('express');
+const { PHASES, RUBRIC } = require('../lib/mockInterview');
+
+function createInterviewsRouter(interviews) {
+  const router = express.Router();
+
+  const notFound = (res, id) => res.status(404).json({ error: 'Interview not found', message: `No interview with id ${id}` });
+
+  // Past interviews, oldest first with score changes, filtered by ?userId= and ?slug=
+  router.get('/', (req, res) => {
+    const { userId, slug } = req.query;
+    res.json({ interviews: interviews.list({ userId, slug }), phases: PHASES, rubric: RUBRIC });
+  });
+
+  // Start an interview for a problem: { userId, problem } or { userId, slug }
+  router.post('/', (req, res) => {
+    try {
+      const interview = interviews.start(req.body || {});
+      res.status(201).json({ interview, phases: PHASES, rubric: RUBRIC });
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid interview', message: error.message });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const interview = interviews.get(req.params.id);
+    if (!interview) return notFound(res, req.params.id);
+    res.json({ interview });
+  });
+
+  // Move to another phase: { phase }
+  router.post('/:id/phase', (req, res) => {
+    try {
+      const interview = interviews.setPhase(req.params.id, req.body?.phase);
+      if (!interview) return notFound(res, req.params.id);
+      res.json({ interview });
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid phase', message: error.message });
+    }
+  });
+
+  router.delete('/:id', (req, res) => {
+    if (!interviews.delete(req.params.id)) return notFound(res, req.params.id);
+    res.json({ deleted: true, id: req.params.id });
+  });
+
+  return router;
+}
+
+module.exports = { createInterviewsRouter };
@@ -0,0 +1,29 @@
+// routes/profile.js - Per-student skill profile (lib/skillProfile.js)
+const express = require('express');
+
+function createProfileRouter(profiles) {
+  const router = express.Router();
+
+  // Totals, per-topic and per-pattern mastery, weak spots and the problems behind them
+  router.get('/:userId', (req, res) => {
+    try {
+      res.json({ profile: profiles.profile(req.params.userId), timestamp: new Date().toISOString() });
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid user', message: error.message });
+    }
+  });
+
+  // A Submit verdict the extension read from LeetCode: { problem, verdict }
+  router.post('/:userId/submissions', (req, res) => {
+    try {
+      const event = profiles.recordSubmission(req.params.userId, req.body || {});
+      res.status(201).json({ event });
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid submission', message: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createProfileRouter };
@@ -0,0 +1,32 @@
+// routes/prompts.js - Browse and reload the versioned prompt templates
+const express = require('express');
+
+function createPromptsRouter({ prompts, defaultVersion }) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json({ default: defaultVersion, versions: prompts.list() });
+  });
+
+  router.get('/:version', (req, res) => {
+    const entry = prompts.get(req.params.version);
+    if (!entry) {
+      return res.status(404).json({ error: 'Prompt version not found', message: `No prompt version ${req.params.version}` });
+    }
+    res.json({ ...entry, partials: prompts.partials });
+  });
+
+  // Pick up edited template files without restarting the server
+  router.post('/reload', (req, res) => {
+    try {
+      prompts.load();
+      res.json({ reloaded: true, versions: prompts.list() });
+    } catch (error) {
+      res.status(500).json({ error: 'Prompt reload failed', message: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPromptsRouter };
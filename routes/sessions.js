@@ -0,0 +1,67 @@
+// routes/sessions.js - REST API for server-side coaching sessions
+const express = require('express');
+
+function createSessionsRouter(store) {
+  const router = express.Router();
+
+  // List sessions, optionally filtered by ?slug= and ?pattern= (the latest classified pattern id)
+  router.get('/', (req, res) => {
+    const { slug, pattern } = req.query;
+    res.json({
+      sessions: store.list().filter(s => (!slug || s.slug === slug) && (!pattern || s.pattern === pattern))
+    });
+  });
+
+  // Create a session for a problem slug, or resume the existing one
+  router.post('/', (req, res) => {
+    try {
+      const { session, created } = store.createOrResume(req.body || {});
+      res.status(created ? 201 : 200).json({ session, created });
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid session', message: error.message });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const session = store.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found', message: `No session with id ${req.params.id}` });
+    }
+    res.json({ session });
+  });
+
+  router.post('/:id/messages', (req, res) => {
+    try {
+      const message = store.addMessage(req.params.id, req.body || {});
+      if (!message) {
+        return res.status(404).json({ error: 'Session not found', message: `No session with id ${req.params.id}` });
+      }
+      res.status(201).json({ message });
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid message', message: error.message });
+    }
+  });
+
+  router.post('/:id/feedback', (req, res) => {
+    try {
+      const feedback = store.addFeedback(req.params.id, req.body || {});
+      if (!feedback) {
+        return res.status(404).json({ error: 'Session not found', message: `No session with id ${req.params.id}` });
+      }
+      res.status(201).json({ feedback });
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid feedback', message: error.message });
+    }
+  });
+
+  router.delete('/:id', (req, res) => {
+    if (!store.delete(req.params.id)) {
+      return res.status(404).json({ error: 'Session not found', message: `No session with id ${req.params.id}` });
+    }
+    res.json({ deleted: true, id: req.params.id });
+  });
+
+  return router;
+}
+
+module.exports = { createSessionsRouter };
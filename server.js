@@ -1,35 +1,100 @@
-// backend-gemini.js - Free Google Gemini backend
+// server.js - DSA Coach backend: one Express server for every LLM provider
+//
+// The provider comes from LLM_PROVIDER (gemini, openai, ollama, llamacpp or
+// stub; see providers/) and a request can pick another. backend-gemini.js is
+// only an entry point that starts this server with a different default
+// prompt version.
 const express = require('express');
+const path = require('path');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 require('dotenv').config();
+const { getProvider, listProviders, defaultProviderName, toHttpError } = require('./providers');
+const { wantsStructuredAnalysis, withStructuredInstructions, toAnalysisResult } = require('./lib/analysisSchema');
+const { Database } = require('./lib/db');
+const migrations = require('./lib/migrations');
+const { SessionStore, slugFromUrl } = require('./lib/sessionStore');
+const { UsageCounters } = require('./lib/usageCounters');
+const { ResponseCache, cacheKey } = require('./lib/responseCache');
+const { RateLimiter } = require('./lib/rateLimiter');
+const { PromptLibrary, promptVariables } = require('./lib/promptLibrary');
+const { fitPromptBudget } = require('./lib/promptContext');
+const { HintStore, hintLevel } = require('./lib/hintLadder');
+const { generateEdgeCases, parseModelCases } = require('./lib/edgeCases');
+const { runExamples, resolveLanguage, RunnerError } = require('./lib/codeRunner');
+const { estimateComplexity } = require('./lib/staticComplexity');
+const { targetComplexity, checkAgainstConstraints } = require('./lib/constraintTarget');
+const { classifyPattern, listPatterns } = require('./lib/patternClassifier');
+const { SkillProfile } = require('./lib/skillProfile');
+const { InterviewStore, describePhase, describeTranscript, reportVariables, parseReport } = require('./lib/mockInterview');
+const { measureScaling } = require('./lib/scalingBenchmark');
+const { stressTest, ReferenceStore, extractCode } = require('./lib/stressTest');
+const { traceExample } = require('./lib/tracer');
+const { createSessionsRouter } = require('./routes/sessions');
+const { createAdminRouter } = require('./routes/admin');
+const { createPromptsRouter } = require('./routes/prompts');
+const { createProfileRouter } = require('./routes/profile');
+const { createInterviewsRouter } = require('./routes/interviews');
 
 const app = express();
 const port = process.env.PORT || 3000;
-
-// Initialize Gemini AI with error handling
-if (!process.env.GEMINI_API_KEY) {
-  console.error('❌ GEMINI_API_KEY not found in environment variables');
+// Loopback only by default: /api/run executes code, so don't expose it to the network
+const host = process.env.HOST || '127.0.0.1';
+
+// Initialize the default LLM provider with error handling
+let defaultProvider;
+try {
+  defaultProvider = getProvider();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   console.log('💡 Create a .env file with: GEMINI_API_KEY=your_key_here');
+  console.log('💡 Or pick another provider: LLM_PROVIDER=openai | ollama | llamacpp | stub');
+  process.exit(1);
+}
+
+// Local persistence: one append-only JSON-lines file under DATA_DIR
+const db = new Database({ dir: process.env.DATA_DIR || path.join(__dirname, 'data') }).open(migrations);
+const sessionStore = new SessionStore(db);
+const usage = new UsageCounters(db);
+const hintStore = new HintStore(db);
+const referenceStore = new ReferenceStore(db);
+const profiles = new SkillProfile(db);
+const interviews = new InterviewStore(db);
+
+// Prompt templates live in prompts/<version>/; a request may pick one with `promptVersion`
+const prompts = new PromptLibrary(path.join(__dirname, 'prompts')).load();
+const DEFAULT_PROMPT_VERSION = process.env.PROMPT_VERSION || 'emoji-v1';
+if (!prompts.has(DEFAULT_PROMPT_VERSION)) {
+  console.error(`❌ Unknown PROMPT_VERSION "${DEFAULT_PROMPT_VERSION}". Available: ${prompts.list().map(p => p.version).join(', ')}`);
   process.exit(1);
 }
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Rendered prompts over this many (estimated) tokens are trimmed, least
+// important context first; 0 sends everything
+const PROMPT_TOKEN_BUDGET = Number(process.env.PROMPT_TOKEN_BUDGET ?? 6000);
+
+// Limits for running student code against the examples (/api/run); the
+// scaling benchmark applies them to each input size
+const RUN_TIMEOUT_MS = Number(process.env.RUN_TIMEOUT_MS ?? 5000);
+const RUN_MEMORY_MB = Number(process.env.RUN_MEMORY_MB ?? 256);
+
+// Enforced in front of every provider call; 0 disables a limit.
+// Today's count is seeded from the usage table so restarts don't reset it.
+const rateLimiter = new RateLimiter({
+  requestsPerMinute: Number(process.env.RATE_LIMIT_RPM ?? 15),
+  requestsPerDay: Number(process.env.RATE_LIMIT_RPD ?? 1500),
+  maxWaitMs: Number(process.env.RATE_LIMIT_MAX_WAIT_SECONDS ?? 30) * 1000,
+  usedToday: usage.requestsToday()
+});
 
-// Use the free Gemini 1.5 Flash model
-const model = genAI.getGenerativeModel({ 
-  model: "gemini-1.5-flash",
-  generationConfig: {
-    temperature: 0.7,
-    topK: 40,
-    topP: 0.95,
-    maxOutputTokens: 1024,
-  }
+const responseCache = new ResponseCache({
+  maxEntries: Number(process.env.CACHE_MAX_ENTRIES ?? 200),
+  ttlMs: Number(process.env.CACHE_TTL_SECONDS ?? 3600) * 1000
 });
 
 app.use(cors({
   origin: ['chrome-extension://*', 'http://localhost:*'],
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'DELETE'],
+  exposedHeaders: ['X-Cache', 'Retry-After'],
   credentials: true
 }));
 app.use(express.json({ limit: '10mb' }));
@@ -45,10 +110,28 @@ app.get('/', (req, res) => {
     service: 'DSA Coach AI Backend',
     version: '1.0.0',
     status: 'running',
-    model: 'gemini-1.5-flash',
+    provider: defaultProvider.name,
+    model: defaultProvider.model,
     endpoints: {
       health: '/api/health',
       analyze: '/api/analyze (POST)',
+      analyzeStream: '/api/analyze/stream (POST, NDJSON)',
+      hint: '/api/hint (POST, { problem, level: 1-5, sessionId?, promptVersion?, force? })',
+      testcases: '/api/testcases (POST, { problem })',
+      run: '/api/run (POST, { code, language?, problem })',
+      complexity: '/api/complexity (POST, { code, language?, claimed? })',
+      complexityTarget: '/api/complexity/target (POST, { problem, claimed? })',
+      classify: '/api/classify (POST, { approach?, code?, sessionId? })',
+      patterns: '/api/patterns',
+      profile: '/api/profile/:userId (GET), /api/profile/:userId/submissions (POST, { problem, verdict })',
+      interviews: '/api/interviews (GET ?userId=&slug=, POST { userId, problem }), /api/interviews/:id (GET, DELETE), /api/interviews/:id/phase (POST { phase }), /api/interviews/:id/turns (POST { message, code }), /api/interviews/:id/report (POST)',
+      scaling: '/api/scaling (POST, { code, language?, problem, sizes? })',
+      stress: '/api/stress (POST, { code, language?, problem, reference?: { code, language? }, iterations?, compare? })',
+      trace: '/api/trace (POST, { code, language?, problem, example?, maxSteps? })',
+      providers: '/api/providers',
+      prompts: '/api/prompts, /api/prompts/:version, /api/prompts/reload (POST)',
+      sessions: '/api/sessions (GET, POST), /api/sessions/:id (GET, DELETE), /api/sessions/:id/messages (POST), /api/sessions/:id/feedback (POST)',
+      admin: '/api/admin/db, /api/admin/db/:table, /api/admin/usage, /api/admin/backup, /api/admin/restore (POST), /api/admin/cache (GET, DELETE)',
       test: '/api/test',
       limits: '/api/limits'
     },
@@ -60,212 +143,742 @@ app.get('/', (req, res) => {
   });
 });
 
+app.use('/api/sessions', createSessionsRouter(sessionStore));
+app.use('/api/admin', createAdminRouter({ db, migrations, usage, responseCache }));
+app.use('/api/prompts', createPromptsRouter({ prompts, defaultVersion: DEFAULT_PROMPT_VERSION }));
+app.use('/api/profile', createProfileRouter(profiles));
+app.use('/api/interviews', createInterviewsRouter(interviews));
+
+// Cache key for analysis requests, or null when the request type is never cached.
+// The template hash is part of the key, so editing a prompt file retires old answers;
+// so is the student's weak-spot summary, which changes what the prompt asks for.
+function responseCacheKey(body, provider, { promptVersion, promptHash, weakSpots }) {
+  if (!responseCache.isCacheable(body.type)) return null;
+  return cacheKey({ ...body, promptVersion: `${promptVersion}@${promptHash}`, provider: provider.name, model: provider.model, context: weakSpots });
+}
+
+// Requests queue fairly per client; the extension tags itself with X-Client-Id
+function rateLimitClient(req) {
+  return req.get('X-Client-Id') || req.ip;
+}
+
+// Calls to the provider itself. A failure from one is tagged, because only
+// requests that reached a provider count towards its usage; a bad prompt
+// version, an unknown provider or our own limiter turn requests away first.
+function reachedProvider(error, provider) {
+  error.reachedProvider = true;
+  error.provider = error.provider || provider.name;
+  return error;
+}
+
+async function generate(provider, prompt) {
+  try {
+    return await provider.generate(prompt);
+  } catch (error) {
+    throw reachedProvider(error, provider);
+  }
+}
+
+async function* streamFrom(provider, prompt) {
+  try {
+    yield* provider.stream(prompt);
+  } catch (error) {
+    throw reachedProvider(error, provider);
+  }
+}
+
+// Shared error reply for routes that call the provider
+function sendProviderError(req, res, error, type = req.body?.type) {
+  const { status, body } = toHttpError(error);
+  if (error.reachedProvider) usage.record(error.provider, { type, error: body.error });
+  if (body.retryAfter) res.set('Retry-After', String(body.retryAfter));
+  res.status(status).json(body);
+}
+
+// Prefer the full server-side transcript when the client names a session
+function resolveHistory({ sessionId, history }) {
+  const session = sessionId ? sessionStore.get(sessionId) : null;
+  return session ? session.messages : (history || []);
+}
+
+// Build the coaching prompt for one request from the selected template version;
+// `extra` adds variables used only by that request type's template. The
+// result's `budget` lists whatever was trimmed to fit PROMPT_TOKEN_BUDGET.
+function buildPrompt(body, extra = {}) {
+  // The student's known weak spots, from their skill profile ('' for unknown students)
+  const weakSpots = profiles.weakSpotSummary(body.userId);
+  const built = fitPromptBudget(body, (request) => {
+    const variables = { ...promptVariables(request), learnerProfile: weakSpots && `\n\n${weakSpots}`, ...extra };
+    const { prompt, version, hash } = prompts.render(body.promptVersion || DEFAULT_PROMPT_VERSION, body.type, variables);
+
+    return {
+      // Analysis requests also ask for the machine-readable JSON summary
+      prompt: wantsStructuredAnalysis(body.type) ? withStructuredInstructions(prompt) : prompt,
+      promptVersion: version,
+      promptHash: hash
+    };
+  }, PROMPT_TOKEN_BUDGET);
+  return { ...built, weakSpots };
+}
+
+// Static complexity estimate of reviewed code, checked against the review's
+// claim. Best effort: the code may not parse or be in another language.
+async function staticComplexityFor(body, complexity) {
+  if (body.type !== 'code_analysis' || typeof body.code !== 'string') return null;
+  try {
+    return await estimateComplexity({
+      code: body.code,
+      language: body.language || body.execution?.language,
+      claimed: complexity
+    });
+  } catch (error) {
+    console.warn(`⚠️ Static complexity estimate failed: ${error.message}`);
+    return null;
+  }
+}
+
+// Whether the reviewed approach or code is fast enough for the problem's
+// constraints; the static estimate stands in when the review gave no bound
+function constraintCheckFor(body, complexity, staticComplexity) {
+  if (!['approach_analysis', 'code_analysis'].includes(body.type)) return null;
+  const claimed = complexity?.time && complexity.time !== 'O(?)' ? complexity.time : staticComplexity?.time;
+  return checkAgainstConstraints(body.problem?.constraints, claimed);
+}
+
+// The named DSA pattern of a reviewed approach or solution, recorded with the
+// student's session so progress can be grouped by pattern
+function patternFor(body) {
+  if (!['approach_analysis', 'code_analysis'].includes(body.type)) return null;
+  const pattern = classifyPattern(body.type === 'approach_analysis' ? { approach: body.approach } : { code: body.code });
+  if (!pattern?.primary) return null;
+  if (body.sessionId) sessionStore.recordPattern(body.sessionId, pattern);
+  return pattern;
+}
+
+// Reviews and diagnoses count towards the student's skill profile
+function recordAnalysis(body, pattern) {
+  if (!['approach_analysis', 'code_analysis', 'failure_diagnosis'].includes(body.type)) return;
+  profiles.record(body.userId, body.problem, {
+    kind: 'analysis',
+    type: body.type,
+    ...(pattern && { pattern: { id: pattern.primary.id, label: pattern.primary.label } })
+  });
+}
+
 app.post('/api/analyze', async (req, res) => {
   try {
-    const { type, problem, approach, code, message, history } = req.body;
+    const { type, problem } = req.body;
+    const provider = getProvider(req.body.provider);
     
-    console.log(`🤖 Processing ${type} request for problem: ${problem?.title || 'Unknown'}`);
+    console.log(`🤖 Processing ${type} request for problem: ${problem?.title || 'Unknown'} via ${provider.name}`);
     
-    let prompt = '';
+    const built = buildPrompt({ ...req.body, history: resolveHistory(req.body) });
+    const pattern = patternFor(req.body);
+
+    // Identical problem/code pairs are answered from the cache unless `force` is set
+    const key = responseCacheKey(req.body, provider, built);
+    const cached = key && !req.body.force ? responseCache.get(key) : null;
+    if (cached) {
+      console.log(`♻️ Cache hit for ${type} request`);
+      res.set('X-Cache', 'hit');
+      recordAnalysis(req.body, pattern);
+      return res.json({ ...cached, cached: true, timestamp: new Date().toISOString() });
+    }
+    res.set('X-Cache', 'miss');
+
+    // Wait for our turn in the rate limiter (or fail fast with 429)
+    await rateLimiter.acquire(rateLimitClient(req));
+
+    // Call the selected LLM provider
+    const result = await generate(provider, built.prompt);
+    const aiResponse = result.text;
+    
+    console.log(`✅ Generated response (${aiResponse.length} chars)`);
+    usage.record(provider.name, { type });
     
-    if (type === 'approach_analysis') {
-      prompt = `You are an expert Data Structures & Algorithms coach helping a student learn problem-solving.
+    const analysis = toAnalysisResult(type, aiResponse);
+    const staticComplexity = await staticComplexityFor(req.body, analysis.complexity);
+    const constraintCheck = constraintCheckFor(req.body, analysis.complexity, staticComplexity);
+    const payload = {
+      ...analysis,
+      ...(staticComplexity && { staticComplexity }),
+      ...(constraintCheck && { constraintCheck }),
+      ...(pattern && { pattern }),
+      provider: result.provider,
+      model: result.model,
+      promptVersion: built.promptVersion,
+      promptBudget: built.budget
+    };
+    if (key) {
+      responseCache.set(key, payload, { type, slug: problem?.slug, title: problem?.title, provider: result.provider });
+    }
+    recordAnalysis(req.body, pattern);
 
-🎯 PROBLEM: "${problem.title}"
+    res.json({ ...payload, timestamp: new Date().toISOString() });
 
-📝 STUDENT'S APPROACH: 
-"${approach}"
+  } catch (error) {
+    console.error('❌ LLM Provider Error:', error);
+    sendProviderError(req, res, error);
+  }
+});
 
-🎓 YOUR COACHING TASK:
-Analyze their approach and provide educational guidance WITHOUT giving away the solution.
+// Streaming variant of /api/analyze: newline-delimited JSON events
+//   {"type":"chunk","text":"..."}  - partial response text, in order
+//   {"type":"done","response":"...","complexity":{...},"analysis":{...},"staticComplexity":{...},"constraintCheck":{...},"pattern":{...},"provider":"...","model":"...","promptVersion":"...","promptBudget":{...}}
+//   {"type":"error","error":"...","message":"...","fallback":"..."}
+app.post('/api/analyze/stream', async (req, res) => {
+  const { type, problem } = req.body;
+  let provider;
+  let built;
+  let pattern;
 
-Please provide:
+  let key;
+  let cached;
 
-📊 COMPLEXITY ANALYSIS:
-- Time Complexity: [Provide O notation]
-- Space Complexity: [Provide O notation]
+  try {
+    provider = getProvider(req.body.provider);
+    built = buildPrompt({ ...req.body, history: resolveHistory(req.body) });
+    pattern = patternFor(req.body);
 
-✅ APPROACH EVALUATION:
-- What's good about this approach?
-- What potential issues do you see?
-- Are there any edge cases they should consider?
+    key = responseCacheKey(req.body, provider, built);
+    cached = key && !req.body.force ? responseCache.get(key) : null;
 
-💡 GUIDING QUESTIONS (Don't give solutions!):
-Ask 2-3 thought-provoking questions that will help them:
-- Think deeper about the problem
-- Consider optimizations
-- Spot potential issues
+    // Cache hits never reach the provider, so they skip the limiter
+    if (!cached) await rateLimiter.acquire(rateLimitClient(req));
+  } catch (error) {
+    console.error('❌ LLM Provider Error:', error);
+    return sendProviderError(req, res, error);
+  }
 
-Keep it encouraging, educational, and focused on building their problem-solving skills!`;
+  console.log(`🌊 Streaming ${type} request for problem: ${problem?.title || 'Unknown'} via ${provider.name}`);
 
-    } else if (type === 'code_analysis') {
-      // Truncate very long code
-      const truncatedCode = code.length > 2000 ? code.substring(0, 2000) + '\n// ... (code truncated)' : code;
-      
-      prompt = `You are a DSA coding mentor reviewing a student's solution.
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.setHeader('X-Cache', cached ? 'hit' : 'miss');
+  res.flushHeaders();
 
-🎯 PROBLEM: "${problem.title}"
+  let aborted = false;
+  res.on('close', () => { aborted = !res.writableFinished; });
 
-💻 STUDENT'S CODE:
-\`\`\`
-${truncatedCode}
-\`\`\`
+  const send = (event) => res.write(JSON.stringify(event) + '\n');
 
-🎓 YOUR REVIEW TASK:
-Provide constructive code review focused on learning, not just giving answers.
+  // A cached answer is replayed as one chunk followed by the usual done event
+  if (cached) {
+    console.log(`♻️ Cache hit for streamed ${type} request`);
+    recordAnalysis(req.body, pattern);
+    send({ type: 'chunk', text: cached.response });
+    send({ type: 'done', ...cached, cached: true, timestamp: new Date().toISOString() });
+    return res.end();
+  }
 
-Please analyze:
+  let aiResponse = '';
 
-📊 COMPLEXITY ANALYSIS:
-- Time Complexity: [Provide O notation with brief explanation]
-- Space Complexity: [Provide O notation with brief explanation]
+  try {
+    for await (const text of streamFrom(provider, built.prompt)) {
+      if (aborted) break;
+      aiResponse += text;
+      send({ type: 'chunk', text });
+    }
 
-🔍 CODE REVIEW:
-- Correctness: Does the logic look sound?
-- Edge cases: What scenarios might break this?
-- Code quality: Any style or clarity improvements?
+    console.log(`✅ Streamed response (${aiResponse.length} chars)`);
+    usage.record(provider.name, { type });
+
+    const analysis = toAnalysisResult(type, aiResponse);
+    const staticComplexity = await staticComplexityFor(req.body, analysis.complexity);
+    const constraintCheck = constraintCheckFor(req.body, analysis.complexity, staticComplexity);
+    const payload = {
+      ...analysis,
+      ...(staticComplexity && { staticComplexity }),
+      ...(constraintCheck && { constraintCheck }),
+      ...(pattern && { pattern }),
+      provider: provider.name,
+      model: provider.model,
+      promptVersion: built.promptVersion,
+      promptBudget: built.budget
+    };
+    // Only complete responses are worth reusing
+    if (key && !aborted) {
+      responseCache.set(key, payload, { type, slug: problem?.slug, title: problem?.title, provider: provider.name });
+    }
+    if (!aborted) recordAnalysis(req.body, pattern);
 
-🚫 ISSUES SPOTTED:
-- Potential bugs or logical errors
-- Performance concerns
-- Missing edge case handling
+    send({ type: 'done', ...payload, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('❌ LLM Provider Stream Error:', error);
+    const { body } = toHttpError(error);
+    if (error.reachedProvider) usage.record(provider.name, { type, error: body.error });
+    send({ type: 'error', ...body });
+  }
 
-❓ COACHING QUESTIONS:
-Ask specific questions about their code to help them:
-- Identify issues themselves
-- Think about optimizations
-- Consider alternative approaches
+  res.end();
+});
 
-Remember: Guide them to discover improvements, don't just tell them what to fix!`;
+// Progressive hint ladder: level 1 names the pattern, the last level is a
+// pseudocode skeleton. Hints are stored per problem slug and level and per
+// provider, model and prompt version, so asking again (from any tab or
+// session) returns the same text; `force` writes a new one over a bad hint.
+// Placeholder text from offline providers is never stored.
+app.post('/api/hint', async (req, res) => {
+  const { problem, sessionId } = req.body;
+  const slug = req.body.slug || problem?.slug || slugFromUrl(problem?.url);
 
-    } else if (type === 'chat_followup') {
-      // Build conversation context
-      const recentMessages = history.slice(-6).map(h => 
-        `${h.sender === 'user' ? '🎓 Student' : '🤖 Coach'}: ${h.message.substring(0, 200)}${h.message.length > 200 ? '...' : ''}`
-      ).join('\n\n');
-      
-      prompt = `You are continuing a DSA coaching conversation about: "${problem.title}"
+  let hint;
+  try {
+    if (!slug) throw new Error('A problem slug (or a problem.url containing one) is required');
+    hint = hintLevel(req.body.level);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid hint request', message: error.message });
+  }
 
-📚 RECENT CONVERSATION:
-${recentMessages}
+  try {
+    const provider = getProvider(req.body.provider);
+    const source = { provider: provider.name, model: provider.model, promptVersion: req.body.promptVersion || DEFAULT_PROMPT_VERSION };
+    let stored = req.body.force ? null : hintStore.get(slug, hint.level, source);
+    const cached = Boolean(stored);
+    res.set('X-Cache', cached ? 'hit' : 'miss');
+
+    if (!stored) {
+      console.log(`💡 Generating hint ${hint.level}/${hint.maxLevel} for problem: ${problem?.title || slug} via ${provider.name}`);
+
+      const previousHints = hintStore.previous(slug, hint.level, source)
+        .map(h => `${h.level}. ${h.hint}`)
+        .join('\n\n') || '(none yet)';
+      // Hints are shared by every student, so they leave out the learner profile
+      const built = buildPrompt({ ...req.body, type: 'hint', userId: null }, { hint, previousHints });
+
+      await rateLimiter.acquire(rateLimitClient(req));
+      const result = await generate(provider, built.prompt);
+      usage.record(provider.name, { type: 'hint' });
+
+      // Stored under the provider and model asked for, which is how it is looked up
+      const generated = { ...source, hint: result.text.trim() };
+      stored = provider.describe().offline ? generated : hintStore.save(slug, hint.level, generated);
+    }
 
-🎓 STUDENT'S NEW MESSAGE:
-"${message}"
+    const hintsUsed = sessionId ? sessionStore.recordHint(sessionId, hint.level) : null;
+    profiles.record(req.body.userId, { ...problem, slug }, { kind: 'hint', level: hint.level });
 
-🤖 YOUR RESPONSE:
-Continue coaching them thoughtfully. Ask probing questions, provide hints, but avoid giving direct solutions. Help them think through the problem step by step.
+    res.json({
+      hint: stored.hint,
+      level: hint.level,
+      maxLevel: hint.maxLevel,
+      name: hint.name,
+      hintsUsed,
+      cached,
+      provider: stored.provider,
+      model: stored.model,
+      promptVersion: stored.promptVersion,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ LLM Provider Error:', error);
+    sendProviderError(req, res, error, 'hint');
+  }
+});
 
-Focus on:
-- Understanding their current thinking
-- Identifying gaps in their logic
-- Guiding them toward insights
-- Building their confidence
+// Boundary test inputs for the panel's "Test cases" tab. They are generated
+// from the parsed examples and constraints; the model is only asked when the
+// examples can't be parsed into named arguments (e.g. design problems).
+app.post('/api/testcases', async (req, res) => {
+  const { problem } = req.body;
+  if (!problem || !Array.isArray(problem.examples)) {
+    return res.status(400).json({ error: 'Invalid test case request', message: 'problem.examples must be an array of example strings' });
+  }
 
-Keep it conversational and supportive!`;
+  try {
+    const generated = generateEdgeCases(problem);
+    if (generated) {
+      return res.json({ ...generated, timestamp: new Date().toISOString() });
+    }
+
+    const provider = getProvider(req.body.provider);
+    console.log(`🧪 Asking ${provider.name} for test cases for problem: ${problem.title || 'Unknown'}`);
+
+    const built = buildPrompt({ ...req.body, type: 'testcases' });
+    await rateLimiter.acquire(rateLimitClient(req));
+    const result = await generate(provider, built.prompt);
+    usage.record(provider.name, { type: 'testcases' });
+
+    const cases = parseModelCases(result.text);
+    if (!cases) {
+      return res.status(502).json({ error: 'Could not generate test cases', message: 'The model did not return a usable list of inputs' });
     }
 
-    // Call Gemini API
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const aiResponse = response.text();
-    
-    console.log(`✅ Generated response (${aiResponse.length} chars)`);
-    
-    // Enhanced complexity extraction
-    const extractComplexity = (text) => {
-      // Multiple patterns to catch complexity mentions
-      const timePatterns = [
-        /time\s+complexity[:\s]*([O]\([^)]+\))/gi,
-        /time[:\s]*([O]\([^)]+\))/gi,
-        /([O]\([^)]+\))\s+time/gi
-      ];
-      
-      const spacePatterns = [
-        /space\s+complexity[:\s]*([O]\([^)]+\))/gi,
-        /space[:\s]*([O]\([^)]+\))/gi,
-        /([O]\([^)]+\))\s+space/gi
-      ];
-      
-      let timeComplexity = 'O(?)';
-      let spaceComplexity = 'O(?)';
-      
-      // Try each pattern
-      for (const pattern of timePatterns) {
-        const match = text.match(pattern);
-        if (match) {
-          // Extract the O(...) part
-          const oNotation = match[0].match(/O\([^)]+\)/i);
-          if (oNotation) {
-            timeComplexity = oNotation[0];
-            break;
-          }
-        }
-      }
-      
-      for (const pattern of spacePatterns) {
-        const match = text.match(pattern);
-        if (match) {
-          const oNotation = match[0].match(/O\([^)]+\)/i);
-          if (oNotation) {
-            spaceComplexity = oNotation[0];
-            break;
-          }
-        }
-      }
-      
-      return { time: timeComplexity, space: spaceComplexity };
-    };
-    
-    const complexity = extractComplexity(aiResponse);
-    
     res.json({
-      response: aiResponse,
-      complexity: complexity,
-      model: 'gemini-1.5-flash',
+      parameters: [],
+      cases,
+      warnings: ['Written by the model: double-check each input against the constraints'],
+      source: 'model',
+      provider: result.provider,
+      model: result.model,
       timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    console.error('❌ LLM Provider Error:', error);
+    sendProviderError(req, res, error, 'testcases');
+  }
+});
 
+// Run the student's JavaScript or Python solution against the problem's
+// examples in a sandboxed child process (lib/codeRunner.js)
+app.post('/api/run', async (req, res) => {
+  const { code, language, problem } = req.body;
+  try {
+    console.log(`▶️ Running ${language || 'auto-detected'} code for problem: ${problem?.title || 'Unknown'}`);
+    const run = await runExamples({
+      code,
+      language,
+      examples: problem?.examples,
+      timeoutMs: RUN_TIMEOUT_MS,
+      memoryMb: RUN_MEMORY_MB
+    });
+    console.log(`✅ ${run.passed}/${run.total} examples passed (${run.durationMs}ms)`);
+    res.json({ ...run, timestamp: new Date().toISOString() });
   } catch (error) {
-    console.error('❌ Gemini API Error:', error);
-    
-    // Check for specific API errors
-    if (error.message?.includes('API key')) {
-      res.status(401).json({
-        error: 'Invalid API key',
-        message: 'Please check your GEMINI_API_KEY in the .env file'
-      });
-    } else if (error.message?.includes('quota')) {
-      res.status(429).json({
-        error: 'Rate limit exceeded',
-        message: 'Free tier: 15 requests/minute. Please wait a moment.',
-        fallback: "I'm temporarily unavailable due to rate limits. Can you describe your approach step by step while we wait?"
-      });
-    } else {
-      res.status(500).json({
-        error: 'AI service error',
-        message: error.message,
-        fallback: "I'm having technical difficulties. Try describing your approach in more detail - what data structure are you considering?"
+    if (error instanceof RunnerError) {
+      return res.status(400).json({ error: 'Cannot run code', message: error.message });
+    }
+    console.error('❌ Code runner error:', error);
+    res.status(500).json({ error: 'Execution failed', message: error.message });
+  }
+});
+
+// Time the solution on generated inputs of growing size and fit the
+// measurements to a complexity class (lib/scalingBenchmark.js)
+app.post('/api/scaling', async (req, res) => {
+  const { code, language, problem, sizes } = req.body;
+  try {
+    console.log(`📈 Measuring scaling of ${language || 'auto-detected'} code for problem: ${problem?.title || 'Unknown'}`);
+    const result = await measureScaling({
+      code,
+      language,
+      problem,
+      sizes,
+      timeoutMs: RUN_TIMEOUT_MS,
+      memoryMb: RUN_MEMORY_MB
+    });
+    console.log(`✅ Best fit ${result.fit.time?.model || 'none'} over ${result.points.length} sizes (${result.durationMs}ms)`);
+    res.json({ ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    if (error instanceof RunnerError) {
+      return res.status(400).json({ error: 'Cannot measure scaling', message: error.message });
+    }
+    console.error('❌ Scaling benchmark error:', error);
+    res.status(500).json({ error: 'Benchmark failed', message: error.message });
+  }
+});
+
+// Record the lines the code runs on one example, with its variables at each
+// step, for the panel's step-through view (lib/tracer.js)
+app.post('/api/trace', async (req, res) => {
+  const { code, language, problem, example, maxSteps } = req.body;
+  try {
+    console.log(`🔍 Tracing ${language || 'auto-detected'} code on example ${example || 1} of problem: ${problem?.title || 'Unknown'}`);
+    const trace = await traceExample({
+      code,
+      language,
+      examples: problem?.examples,
+      example,
+      maxSteps,
+      timeoutMs: RUN_TIMEOUT_MS,
+      memoryMb: RUN_MEMORY_MB
+    });
+    console.log(`✅ Recorded ${trace.steps.length} steps${trace.truncated ? ' (truncated)' : ''}`);
+    res.json({ ...trace, timestamp: new Date().toISOString() });
+  } catch (error) {
+    if (error instanceof RunnerError) {
+      return res.status(400).json({ error: 'Cannot trace code', message: error.message });
+    }
+    console.error('❌ Tracer error:', error);
+    res.status(500).json({ error: 'Trace failed', message: error.message });
+  }
+});
+
+const LANGUAGE_NAMES = { javascript: 'JavaScript', python: 'Python 3' };
+
+// A brute-force reference for the problem in `language`: stored per problem
+// slug, otherwise written by the model and kept only if it passes the examples
+async function referenceFor(req, slug, language) {
+  const stored = slug && !req.body.regenerate ? referenceStore.get(slug, language) : null;
+  if (stored) return { code: stored.code, language, source: 'stored' };
+
+  const { problem } = req.body;
+  const provider = getProvider(req.body.provider);
+  console.log(`🧱 Asking ${provider.name} for a brute-force reference for problem: ${problem?.title || 'Unknown'}`);
+
+  const built = buildPrompt({ ...req.body, type: 'brute_force' }, {
+    language: LANGUAGE_NAMES[language]
+  });
+  await rateLimiter.acquire(rateLimitClient(req));
+  const result = await generate(provider, built.prompt);
+  usage.record(provider.name, { type: 'brute_force' });
+
+  const code = extractCode(result.text);
+  const check = code && await runExamples({
+    code, language, examples: problem.examples, timeoutMs: RUN_TIMEOUT_MS, memoryMb: RUN_MEMORY_MB
+  }).catch(() => null);
+  if (!check || check.passed !== check.total) {
+    return { code: null, language, source: 'model' };
+  }
+
+  if (slug) {
+    referenceStore.save(slug, language, { code, provider: result.provider, model: result.model, promptVersion: built.promptVersion });
+  }
+  return { code, language, source: 'model' };
+}
+
+// Stress test: random small inputs until the solution disagrees with a
+// brute-force reference, then a guided question about the smallest failing
+// input. The reference code itself is never sent back to the student.
+app.post('/api/stress', async (req, res) => {
+  const { code, language, problem, reference, iterations, compare } = req.body;
+  const slug = req.body.slug || problem?.slug || slugFromUrl(problem?.url);
+
+  let lang;
+  try {
+    if (!problem || !Array.isArray(problem.examples)) {
+      throw new RunnerError('problem.examples must be an array of example strings');
+    }
+    lang = resolveLanguage(language, typeof code === 'string' ? code : '');
+  } catch (error) {
+    return res.status(400).json({ error: 'Cannot stress test', message: error.message });
+  }
+
+  let oracle;
+  try {
+    oracle = reference?.code
+      ? { code: reference.code, language: reference.language, source: 'provided' }
+      : await referenceFor(req, slug, lang);
+  } catch (error) {
+    console.error('❌ LLM Provider Error:', error);
+    return sendProviderError(req, res, error, 'brute_force');
+  }
+  if (!oracle.code) {
+    return res.status(502).json({ error: 'No reference solution', message: 'The model did not write a brute-force solution that passes the examples; try again or provide one' });
+  }
+
+  let result;
+  try {
+    console.log(`🔨 Stress testing ${lang} code for problem: ${problem.title || 'Unknown'}`);
+    result = await stressTest({
+      code,
+      language: lang,
+      reference: oracle,
+      problem,
+      iterations,
+      compare,
+      timeoutMs: RUN_TIMEOUT_MS,
+      memoryMb: RUN_MEMORY_MB
+    });
+    console.log(result.found
+      ? `✅ Found a failing input after ${result.tested} tests: ${result.input}`
+      : `✅ No mismatch in ${result.tested} tests (${result.durationMs}ms)`);
+  } catch (error) {
+    if (error instanceof RunnerError) {
+      return res.status(400).json({ error: 'Cannot stress test', message: error.message });
+    }
+    console.error('❌ Stress test error:', error);
+    return res.status(500).json({ error: 'Stress test failed', message: error.message });
+  }
+
+  // The failing input is worth returning even when the model can't be reached
+  let question = null;
+  let questionError = null;
+  if (result.found) {
+    try {
+      const provider = getProvider(req.body.provider);
+      const built = buildPrompt({ ...req.body, type: 'stress_question' }, {
+        failingInput: result.input,
+        actualOutput: result.error ? `an error (${result.error})` : JSON.stringify(result.actual),
+        expectedOutput: JSON.stringify(result.expected)
       });
+      await rateLimiter.acquire(rateLimitClient(req));
+      const generated = await generate(provider, built.prompt);
+      usage.record(provider.name, { type: 'stress_question' });
+      question = generated.text.trim();
+    } catch (error) {
+      console.error('❌ LLM Provider Error:', error);
+      const { body } = toHttpError(error);
+      if (error.reachedProvider) usage.record(error.provider, { type: 'stress_question', error: body.error });
+      questionError = body.message;
     }
   }
+
+  res.json({
+    ...result,
+    reference: { source: oracle.source, language: result.referenceLanguage },
+    question,
+    ...(questionError && { questionError }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// One exchange of a mock interview: the candidate's message (and current code)
+// in, the interviewer's follow-up out. Both are kept with the interview, or
+// neither when the model fails, so the candidate can send the message again.
+app.post('/api/interviews/:id/turns', async (req, res) => {
+  const { message, code } = req.body;
+  let userTurn;
+  try {
+    userTurn = interviews.addTurn(req.params.id, { sender: 'user', message, code });
+    if (!userTurn) {
+      return res.status(404).json({ error: 'Interview not found', message: `No interview with id ${req.params.id}` });
+    }
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid interview turn', message: error.message });
+  }
+
+  try {
+    const interview = interviews.get(req.params.id);
+    const provider = getProvider(req.body.provider);
+    const phase = describePhase(interview);
+    console.log(`🎤 Interview turn (${phase.name} phase) for problem: ${interview.problem.title} via ${provider.name}`);
+
+    const built = buildPrompt({
+      ...req.body,
+      type: 'interview_turn',
+      // Interviews started before the whole problem was saved only have its title
+      problem: { ...req.body.problem, ...interview.problem },
+      history: []
+    }, { interview: phase, interviewTranscript: describeTranscript(interview.turns.slice(0, -1)) });
+    await rateLimiter.acquire(rateLimitClient(req));
+    const result = await generate(provider, built.prompt);
+    usage.record(provider.name, { type: 'interview_turn' });
+
+    const turn = interviews.addTurn(interview.id, { sender: 'ai', message: result.text });
+    res.json({
+      turn,
+      phase,
+      provider: result.provider,
+      model: result.model,
+      promptVersion: built.promptVersion,
+      promptBudget: built.budget,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    interviews.removeTurn(userTurn.id);
+    console.error('❌ LLM Provider Error:', error);
+    sendProviderError(req, res, error, 'interview_turn');
+  }
+});
+
+// End a mock interview and grade it against the rubric. The report is saved
+// with the interview; asking again returns it unless `force` is set.
+app.post('/api/interviews/:id/report', async (req, res) => {
+  const interview = interviews.get(req.params.id);
+  if (!interview) {
+    return res.status(404).json({ error: 'Interview not found', message: `No interview with id ${req.params.id}` });
+  }
+  if (interview.report && !req.body.force) {
+    return res.json({ interview, report: interview.report, cached: true, timestamp: new Date().toISOString() });
+  }
+
+  try {
+    const provider = getProvider(req.body.provider);
+    console.log(`📋 Grading interview for problem: ${interview.problem.title} via ${provider.name}`);
+
+    const code = req.body.code || [...interview.turns].reverse().find(turn => turn.code)?.code || '';
+    const built = buildPrompt({
+      ...req.body,
+      type: 'interview_report',
+      problem: { ...req.body.problem, ...interview.problem },
+      code,
+      history: []
+    }, reportVariables(interview));
+    await rateLimiter.acquire(rateLimitClient(req));
+    const result = await generate(provider, built.prompt);
+    usage.record(provider.name, { type: 'interview_report' });
+
+    const report = { ...parseReport(result.text), provider: result.provider, model: result.model, promptVersion: built.promptVersion };
+    if (report.errors.length > 0) {
+      console.warn(`⚠️ Interview report has no usable scores: ${report.errors.join('; ')}`);
+    }
+    res.json({ interview: interviews.finish(interview.id, report), report, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('❌ LLM Provider Error:', error);
+    sendProviderError(req, res, error, 'interview_report');
+  }
+});
+
+// Estimate the time/space complexity of JavaScript or Python code from its
+// structure alone (lib/staticComplexity.js); `claimed` ("O(n)" for the time,
+// or { time, space }) adds an agreement check
+app.post('/api/complexity', async (req, res) => {
+  const { code, language, claimed } = req.body;
+  if (typeof code !== 'string' || !code.trim()) {
+    return res.status(400).json({ error: 'Cannot analyze code', message: 'code must be a non-empty string' });
+  }
+  const isClaim = (value) => value === undefined || value === null || typeof value === 'string';
+  if (!isClaim(claimed) && !(typeof claimed === 'object' && !Array.isArray(claimed) && isClaim(claimed.time) && isClaim(claimed.space))) {
+    return res.status(400).json({ error: 'Cannot analyze code', message: 'claimed must be a Big-O string like "O(n)" or { time, space } strings' });
+  }
+  try {
+    const estimate = await estimateComplexity({ code, language, claimed });
+    if (!estimate) {
+      return res.status(400).json({ error: 'Cannot analyze code', message: 'Only javascript and python code can be analyzed' });
+    }
+    res.json({ ...estimate, timestamp: new Date().toISOString() });
+  } catch (error) {
+    // Parse errors in the student's code are the common case here
+    res.status(400).json({ error: 'Cannot analyze code', message: error.message });
+  }
+});
+
+// The complexity class the problem's constraints call for (lib/constraintTarget.js);
+// `claimed` ("O(n^2)") adds whether that one is fast enough (verdict, message)
+app.post('/api/complexity/target', (req, res) => {
+  const { problem, claimed } = req.body;
+  if (!problem || !Array.isArray(problem.constraints)) {
+    return res.status(400).json({ error: 'Invalid constraints', message: 'problem.constraints must be an array of constraint lines or parsed constraints' });
+  }
+
+  const target = targetComplexity(problem.constraints);
+  if (!target) {
+    return res.status(400).json({ error: 'No input size', message: 'The constraints do not bound any input size' });
+  }
+  // The check repeats the target and adds the verdict for the claim
+  const check = claimed ? checkAgainstConstraints(problem.constraints, claimed) : null;
+  res.json({ ...(check || target), timestamp: new Date().toISOString() });
+});
+
+// Which DSA pattern an approach description and/or code uses (lib/patternClassifier.js),
+// each label with a confidence; `sessionId` records the top label with that session
+app.post('/api/classify', (req, res) => {
+  const { approach, code, sessionId } = req.body;
+  const pattern = classifyPattern({ approach, code });
+  if (!pattern) {
+    return res.status(400).json({ error: 'Nothing to classify', message: 'approach or code must be a non-empty string' });
+  }
+
+  const recorded = sessionId ? sessionStore.recordPattern(sessionId, pattern) : null;
+  res.json({ ...pattern, recorded: Boolean(recorded), timestamp: new Date().toISOString() });
+});
+
+// The pattern taxonomy the classifier labels with
+app.get('/api/patterns', (req, res) => {
+  res.json({ patterns: listPatterns() });
 });
 
 // Test endpoint to verify API key
 app.get('/api/test', async (req, res) => {
   try {
-    const testResult = await model.generateContent('Say hello in one sentence.');
-    const response = await testResult.response;
+    const provider = getProvider(req.query.provider);
+    await rateLimiter.acquire(rateLimitClient(req));
+    const testResult = await provider.generate('Say hello in one sentence.');
     
     res.json({
       status: 'success',
-      message: 'Gemini API is working!',
-      testResponse: response.text(),
-      model: 'gemini-1.5-flash'
+      message: `${provider.name} provider is working!`,
+      testResponse: testResult.text,
+      provider: testResult.provider,
+      model: testResult.model
     });
   } catch (error) {
-    res.status(500).json({
+    if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+    res.status(error.status === 429 ? 429 : 500).json({
       status: 'error',
-      message: 'Gemini API test failed',
+      message: 'LLM provider test failed',
       error: error.message
     });
   }
@@ -275,21 +888,34 @@ app.get('/api/test', async (req, res) => {
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
-    model: 'gemini-1.5-flash', 
-    free: true,
+    provider: defaultProvider.name,
+    model: defaultProvider.model, 
+    free: defaultProvider.name !== 'openai',
     timestamp: new Date().toISOString()
   });
 });
 
-// Rate limiting info
+// Available LLM providers and which one is the deployment default
+app.get('/api/providers', (req, res) => {
+  res.json({
+    default: defaultProviderName(),
+    providers: listProviders()
+  });
+});
+
+// Rate limiting info: configured limits plus the live remaining budget
 app.get('/api/limits', (req, res) => {
+  const live = rateLimiter.status();
   res.json({
-    model: 'gemini-1.5-flash',
+    provider: defaultProvider.name,
+    model: defaultProvider.model,
     freetier: {
-      requestsPerMinute: 15,
-      requestsPerDay: 1500,
+      requestsPerMinute: live.minute.limit,
+      requestsPerDay: live.day.limit,
       cost: 'FREE'
     },
+    live,
+    cache: { hits: responseCache.stats.hits, size: responseCache.entries.size },
     tips: [
       'Be specific in your questions to get better responses',
       'Combine multiple questions in one request to save API calls',
@@ -298,15 +924,17 @@ app.get('/api/limits', (req, res) => {
   });
 });
 
-app.listen(port, () => {
+app.listen(port, host, () => {
   console.log(`\n🚀 DSA Coach Backend Server Started!`);
-  console.log(`📡 Running on: http://localhost:${port}`);
-  console.log(`🤖 Model: Gemini 1.5 Flash (FREE tier)`);
-  console.log(`📊 Rate Limits: 15 req/min, 1,500 req/day`);
+  console.log(`📡 Running on: http://${host}:${port}`);
+  console.log(`🤖 Provider: ${defaultProvider.name} (${defaultProvider.model})`);
+  console.log(`📝 Prompt version: ${DEFAULT_PROMPT_VERSION}`);
+  console.log(`📊 Rate Limits: ${rateLimiter.requestsPerMinute || '∞'} req/min, ${rateLimiter.requestsPerDay || '∞'} req/day`);
   console.log(`\n🔗 Test endpoints:`);
   console.log(`   Health: http://localhost:${port}/api/health`);
   console.log(`   Test AI: http://localhost:${port}/api/test`);
   console.log(`   Limits: http://localhost:${port}/api/limits`);
+  console.log(`   Providers: http://localhost:${port}/api/providers`);
   console.log(`\n💡 Ready to help students learn DSA! 🎓\n`);
 });
 
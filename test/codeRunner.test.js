@@ -0,0 +1,71 @@
+// Running solutions against the problem examples in the sandbox
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const { runExamples, describeRun, detectLanguage, RunnerError } = require('../lib/codeRunner');
+const { runSandboxed } = require('../lib/sandbox');
+
+const examples = [
+  'Input: nums = [2,7,11,15], target = 9\nOutput: [0,1]',
+  'Input: nums = [3,2,4], target = 6\nOutput: [1,2]'
+];
+const hasPython = spawnSync(process.env.PYTHON_BIN || 'python3', ['--version']).status === 0;
+
+test('each example reports pass/fail with actual vs expected and its stdout', async () => {
+  const code = `var twoSum = function(nums, target) {
+    console.log('checking', nums.length);
+    return target === 9 ? [0, 1] : [0, 2];
+};`;
+  const run = await runExamples({ code, examples });
+
+  assert.equal(run.language, 'javascript');
+  assert.deepEqual([run.passed, run.total], [1, 2]);
+  assert.deepEqual(run.results.map(r => r.passed), [true, false]);
+  assert.deepEqual(run.results[1].expected, [1, 2]);
+  assert.deepEqual(run.results[1].actual, [0, 2]);
+  assert.equal(run.results[1].input, 'nums = [3,2,4], target = 6');
+  assert.match(run.results[0].stdout, /checking 4/);
+
+  const summary = describeRun(run);
+  assert.match(summary, /Example 1: PASS/);
+  assert.match(summary, /Example 2: FAIL - input nums = \[3,2,4\], target = 6; expected \[1,2\], got \[0,2\]/);
+});
+
+test('python solutions run through their own harness', { skip: !hasPython && 'python3 is not installed' }, async () => {
+  const code = `class Solution:
+    def twoSum(self, nums: List[int], target: int) -> List[int]:
+        seen = {}
+        for i, n in enumerate(nums):
+            if target - n in seen:
+                return [seen[target - n], i]
+            seen[n] = i`;
+  const run = await runExamples({ code, examples });
+
+  assert.equal(run.language, 'python');
+  assert.deepEqual([run.passed, run.total], [2, 2]);
+});
+
+test('a runaway solution is stopped and reported as over the time limit', async () => {
+  const code = 'var twoSum = function(nums, target) { while (true) {} };';
+  const run = await runExamples({ code, examples: examples.slice(0, 1), timeoutMs: 1500, caseTimeoutMs: 500 });
+
+  assert.equal(run.results[0].passed, false);
+  assert.equal(run.results[0].error, 'Time limit exceeded');
+  assert.ok(run.durationMs < 5000);
+});
+
+test('the child process does not inherit the backend environment', async (t) => {
+  t.after(() => { delete process.env.GEMINI_API_KEY; });
+  process.env.GEMINI_API_KEY = 'not-for-solutions';
+
+  // V8 needs more address space than ulimit -v allows, as in codeRunner
+  const run = await runSandboxed(process.execPath, ['-e', 'console.log(JSON.stringify(Object.keys(process.env)))'], { memoryMb: null });
+  assert.equal(run.exitCode, 0);
+  assert.ok(!JSON.parse(run.stdout).includes('GEMINI_API_KEY'));
+});
+
+test('unsupported languages and examples without inputs are rejected up front', async () => {
+  assert.equal(detectLanguage('class Solution { public int[] twoSum(int[] nums) {} }'), null);
+  await assert.rejects(runExamples({ code: 'int main() {}', language: 'cpp', examples }), RunnerError);
+  await assert.rejects(runExamples({ code: 'var f = function() {};', examples: ['Output: 3'] }), /No examples/);
+});
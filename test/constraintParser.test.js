@@ -0,0 +1,94 @@
+// The constraint parser shared by the extension and the backend
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ConstraintParser = require('../constraintParser');
+
+const { parseNumber, parseConstraint, parseConstraints, inputSizes, formatSize, operations } = ConstraintParser;
+
+test('parseNumber reads the bounds LeetCode writes', () => {
+  assert.equal(parseNumber('10^4'), 10000);
+  assert.equal(parseNumber('-2^31'), -(2 ** 31));
+  assert.equal(parseNumber('2^31 - 1'), 2 ** 31 - 1);
+  assert.equal(parseNumber('10^9 + 7'), 1e9 + 7);
+  assert.equal(parseNumber('5 * 10^4'), 50000);
+  assert.equal(parseNumber('10,000'), 10000);
+  assert.equal(parseNumber('10⁵'), 100000);
+  assert.equal(parseNumber('1e5'), 100000);
+  assert.equal(parseNumber('nums.length'), null);
+  assert.equal(parseNumber('104'), 104);
+});
+
+test('parseNumber reads flattened superscripts only when asked to', () => {
+  assert.equal(parseNumber('104', { flattened: true }), 10000);
+  assert.equal(parseNumber('-231', { flattened: true }), -(2 ** 31));
+  assert.equal(parseNumber('231 - 1', { flattened: true }), 2 ** 31 - 1);
+  assert.equal(parseNumber('2 * 104', { flattened: true }), 20000);
+  assert.equal(parseNumber('30', { flattened: true }), 30);
+});
+
+test('parseConstraint: chains, strict bounds, several names and equalities', () => {
+  assert.deepEqual(parseConstraint('0 <= i < n').ranges, [
+    { subject: 'i', min: 0, max: null, minInclusive: true, maxInclusive: true }
+  ]);
+  assert.deepEqual(parseConstraint('0 < heights[i] < 100').ranges, [
+    { subject: 'heights[i]', min: 0, max: 100, minInclusive: false, maxInclusive: false }
+  ]);
+  assert.deepEqual(parseConstraint('1 <= m, n <= 200').ranges.map(range => range.subject), ['m', 'n']);
+  assert.deepEqual(parseConstraint('1 ≤ s.length ≤ 5 * 10^4').ranges[0].max, 50000);
+  assert.deepEqual(parseConstraint('1 <= n == nums.length <= 500'), {
+    text: '1 <= n == nums.length <= 500',
+    ranges: [
+      { subject: 'n', min: 1, max: 500, minInclusive: true, maxInclusive: true },
+      { subject: 'nums.length', min: 1, max: 500, minInclusive: true, maxInclusive: true }
+    ],
+    equals: ['n', 'nums.length']
+  });
+});
+
+test('parseConstraints gives the same ranges for typed constraints and flattened text', () => {
+  const page = ['1 <= nums.length <= 10^4', '-2^31 <= nums[i] <= 2^31 - 1', 'n == grid[i].length', '1 <= n <= 200'];
+  const flattened = ['1 <= nums.length <= 104', '-231 <= nums[i] <= 231 - 1', 'n == grid[i].length', '1 <= n <= 200'];
+
+  const typed = parseConstraints(page.map(line => parseConstraint(line)));
+  assert.deepEqual(typed, parseConstraints(flattened));
+  assert.deepEqual(typed.ranges['nums.length'], { name: 'nums', field: 'length', min: 1, max: 10000 });
+  assert.deepEqual(typed.ranges['nums.value'], { name: 'nums', field: 'value', min: -(2 ** 31), max: 2 ** 31 - 1 });
+  assert.deepEqual(typed.ranges['grid.innerLength'], { name: 'grid', field: 'innerLength', min: 1, max: 200 });
+  assert.deepEqual(typed.aliases, { n: { name: 'grid', field: 'innerLength' } });
+});
+
+test('parseConstraints turns strict bounds into integer ones and reads the flags from the text', () => {
+  const { ranges, flags } = parseConstraints([
+    parseConstraint('0 < heights[i] < 100'),
+    parseConstraint('s consists of lowercase English letters.'),
+    parseConstraint('All the integers of nums are unique.'),
+    parseConstraint('nums is sorted in non-decreasing order.')
+  ]);
+
+  assert.deepEqual(ranges['heights.value'], { name: 'heights', field: 'value', min: 1, max: 99 });
+  assert.deepEqual(flags, { unique: true, sorted: true, charset: 'abcdefghijklmnopqrstuvwxyz' });
+});
+
+test('parseConstraints drops malformed typed ranges and parses text without ranges', () => {
+  const { ranges } = parseConstraints([
+    { text: 'whatever', ranges: [{ subject: 'x; drop', min: 1, max: 2 }, { subject: 'k', min: 'a', max: 3 }, { subject: 'nums.length', min: 1, max: 50 }] },
+    { text: '1 <= k <= 10^3' }
+  ]);
+
+  assert.deepEqual(Object.keys(ranges), ['nums.length', 'k.value']);
+  assert.equal(ranges['k.value'].max, 1000);
+});
+
+test('inputSizes, formatSize and operations size a problem from its constraints', () => {
+  assert.deepEqual(inputSizes(['1 <= n <= 2 * 10^4', '1 <= nums.length <= 10^5', '-10^9 <= nums[i] <= 10^9']), [
+    { name: 'nums.length', max: 100000 },
+    { name: 'n', max: 20000 }
+  ]);
+  assert.deepEqual(inputSizes(['1 <= a, b <= 1000']), [{ name: 'a', max: 1000 }, { name: 'b', max: 1000 }]);
+  assert.equal(formatSize(100000), '10⁵');
+  assert.equal(formatSize(50000), '5·10⁴');
+  assert.equal(formatSize(2 ** 31 - 1), '2³¹ − 1');
+  assert.equal(formatSize(45), '45');
+  assert.equal(operations({ exp: 2, log: 0 }, 1000), 1e6);
+  assert.equal(operations({ exp: 1, log: 1 }, 1024), 10240);
+});
@@ -0,0 +1,49 @@
+// The embedded JSON-lines store (lib/db.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Database } = require('../lib/db');
+
+const MIGRATIONS = [{ version: 1, name: 'create rows', up(db) { db.createTable('rows'); } }];
+
+function openDb(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'db-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, db: new Database({ dir }).open(MIGRATIONS) };
+}
+
+const logLines = (db) => fs.readFileSync(db.file, 'utf8').trim().split('\n').length;
+
+test('a store reopened from its log has the same rows', (t) => {
+  const { dir, db } = openDb(t);
+  db.table('rows').put({ id: 'a', value: 1 });
+  db.table('rows').update('a', { value: 2 });
+  db.table('rows').put({ id: 'b', value: 3 });
+  db.table('rows').delete('b');
+
+  const reopened = new Database({ dir }).open(MIGRATIONS);
+  assert.deepEqual(reopened.table('rows').all(), [{ id: 'a', value: 2 }]);
+  assert.equal(reopened.meta.schemaVersion, 1);
+});
+
+test('a long-running store compacts its log while writing', (t) => {
+  const { dir, db } = openDb(t);
+  for (let i = 0; i < 12000; i++) db.table('rows').put({ id: `row-${i % 10}`, value: i });
+
+  assert.ok(logLines(db) <= 5000 + db.liveOps(), `${logLines(db)} lines in the log`);
+  assert.equal(new Database({ dir }).open(MIGRATIONS).table('rows').get('row-3').value, 11993);
+});
+
+test('a store with many live rows does not compact on every write', (t) => {
+  const { db } = openDb(t);
+  for (let i = 0; i < 6000; i++) db.table('rows').put({ id: `row-${i}`, value: i });
+  let compactions = 0;
+  t.mock.method(db, 'compact', function compact() {
+    compactions++;
+  });
+
+  for (let i = 0; i < 100; i++) db.table('rows').put({ id: `row-${i}`, value: -i });
+  assert.equal(compactions, 0);
+});
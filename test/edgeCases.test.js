@@ -0,0 +1,67 @@
+// Boundary inputs generated from a problem's constraints
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateEdgeCases, parseModelCases } = require('../lib/edgeCases');
+
+const twoSum = {
+  slug: 'two-sum',
+  examples: ['Input: nums = [2,7,11,15], target = 9\nOutput: [0,1]'],
+  constraints: ['2 <= nums.length <= 10^4', '-10^9 <= nums[i] <= 10^9', '-10^9 <= target <= 10^9']
+};
+const casesOf = (generated) => Object.fromEntries(generated.cases.map(c => [c.name, c.input.split('\n').map(line => JSON.parse(line))]));
+
+test('each boundary shape is generated within the constraints', () => {
+  const generated = generateEdgeCases(twoSum);
+  const cases = casesOf(generated);
+
+  assert.deepEqual(generated.parameters, [{ name: 'nums', type: 'int[]' }, { name: 'target', type: 'int' }]);
+  assert.deepEqual(Object.keys(cases), [
+    'Minimum size', 'Maximum size', 'Duplicates', 'Negative values', 'Sorted', 'Reverse sorted',
+    'All equal', 'Extreme values', 'target at minimum', 'target at maximum'
+  ]);
+  assert.equal(cases['Minimum size'][0].length, 2);
+  assert.equal(cases['Maximum size'][0].length, 10000);
+  assert.ok(Object.values(cases).every(([nums]) => nums.every(n => n >= -1e9 && n <= 1e9)));
+  assert.ok(cases['Negative values'][0].every(n => n < 0));
+  assert.deepEqual(cases.Sorted[0], [...cases.Sorted[0]].sort((a, b) => a - b));
+  assert.deepEqual(cases['Reverse sorted'][0], [...cases['Reverse sorted'][0]].sort((a, b) => b - a));
+  assert.equal(new Set(cases['All equal'][0]).size, 1);
+  assert.ok(new Set(cases.Duplicates[0]).size < cases.Duplicates[0].length);
+  assert.deepEqual(cases['Extreme values'][0].slice(0, 2), [-1e9, 1e9]);
+  assert.deepEqual(cases['target at minimum'], [[2, 7, 11, 15], -1e9]);
+  assert.deepEqual(generated.warnings, []);
+});
+
+test('the same problem always gets the same inputs', () => {
+  assert.deepEqual(generateEdgeCases(twoSum), generateEdgeCases(twoSum));
+  assert.notDeepEqual(generateEdgeCases(twoSum).cases[0], generateEdgeCases({ ...twoSum, slug: 'two-sum-ii' }).cases[0]);
+});
+
+test('an empty collection is tried when the constraints allow it, and length scalars follow it', () => {
+  const generated = generateEdgeCases({
+    slug: 'running-sum',
+    examples: ['Input: n = 3, nums = [1,2,3]\nOutput: 6'],
+    constraints: ['0 <= nums.length <= 100', 'n == nums.length', '0 <= nums[i] <= 100']
+  });
+  const cases = casesOf(generated);
+
+  assert.deepEqual(cases['Empty input'], [0, []]);
+  assert.equal(cases['Single element'][1].length, 1);
+  assert.ok(Object.values(cases).every(([n, nums]) => n === nums.length));
+  assert.ok(!('Negative values' in cases));
+});
+
+test('missing constraints are assumed and reported', () => {
+  const generated = generateEdgeCases({ slug: 'x', examples: ['Input: nums = [1,2]\nOutput: 3'] });
+
+  assert.deepEqual(generated.warnings, ['No length constraint found for nums; assuming 1..1000', 'No value range found for nums; assuming 0..1000']);
+});
+
+test('unparsable examples leave it to the model, whose cases are read from its json', () => {
+  assert.equal(generateEdgeCases({ slug: 'x', examples: ['See the picture'] }), null);
+  assert.deepEqual(
+    parseModelCases('Try these:\n```json\n[{"name":"Empty","input":"[]\\n0"},{"input":"  "},{"description":"no name","input":"[1]"}]\n```'),
+    [{ name: 'Empty', description: '', input: '[]\n0' }, { name: 'Case 2', description: 'no name', input: '[1]' }]
+  );
+  assert.equal(parseModelCases('no cases here'), null);
+});
@@ -0,0 +1,13 @@
+var lengthOfLongestSubstring = function(s) {
+    const count = new Map();
+    let left = 0, best = 0;
+    for (let right = 0; right < s.length; right++) {
+        count.set(s[right], (count.get(s[right]) || 0) + 1);
+        while (count.get(s[right]) > 1) {
+            count.set(s[left], count.get(s[left]) - 1);
+            left++;
+        }
+        best = Math.max(best, right - left + 1);
+    }
+    return best;
+};
@@ -0,0 +1,17 @@
+var shipWithinDays = function(weights, days) {
+    let lo = Math.max(...weights), hi = weights.reduce((a, b) => a + b, 0);
+    while (lo < hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        let needed = 1, load = 0;
+        for (const weight of weights) {
+            if (load + weight > mid) {
+                needed++;
+                load = 0;
+            }
+            load += weight;
+        }
+        if (needed <= days) hi = mid;
+        else lo = mid + 1;
+    }
+    return lo;
+};
@@ -0,0 +1,48 @@
+// Stored hints (lib/hintLadder.js) and the migration that re-keyed them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Database } = require('../lib/db');
+const migrations = require('../lib/migrations');
+const { HintStore, hintLevel } = require('../lib/hintLadder');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hints-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const gemini = { provider: 'gemini', model: 'gemini-1.5-flash', promptVersion: 'emoji-v1' };
+const sections = { ...gemini, promptVersion: 'sections-v1' };
+
+test('hintLevel accepts 1 to 5 only', () => {
+  assert.equal(hintLevel('2').name, 'Key observation');
+  assert.throws(() => hintLevel(0), /from 1 to 5/);
+  assert.throws(() => hintLevel(2.5), /from 1 to 5/);
+});
+
+test('hints are kept apart per provider, model and prompt version', (t) => {
+  const hints = new HintStore(new Database({ dir: tempDir(t) }).open(migrations));
+  hints.save('two-sum', 1, { ...gemini, hint: 'Think about lookups.' });
+  hints.save('two-sum', 2, { ...gemini, hint: 'The complement of x is target - x.' });
+  hints.save('two-sum', 1, { ...sections, hint: 'A different prompt.' });
+
+  assert.equal(hints.get('two-sum', 1, gemini).hint, 'Think about lookups.');
+  assert.equal(hints.get('two-sum', 1, sections).hint, 'A different prompt.');
+  assert.equal(hints.get('two-sum', 1, { ...gemini, model: 'gemini-2.0-flash' }), null);
+  assert.deepEqual(hints.previous('two-sum', 3, gemini).map(h => h.hint), ['Think about lookups.', 'The complement of x is target - x.']);
+  assert.deepEqual(hints.previous('two-sum', 3, sections).map(h => h.hint), ['A different prompt.']);
+});
+
+test('migration 7 re-keys stored hints and drops the stub placeholders', (t) => {
+  const dir = tempDir(t);
+  const old = new Database({ dir }).open(migrations.filter(m => m.version < 7));
+  old.table('hints').put({ id: 'two-sum:1', slug: 'two-sum', level: 1, hint: 'Think about lookups.', ...gemini });
+  old.table('hints').put({ id: 'two-sum:2', slug: 'two-sum', level: 2, hint: 'Offline coach response (stub 1234abcd).', provider: 'stub', model: 'stub-v1', promptVersion: 'emoji-v1' });
+
+  const hints = new HintStore(new Database({ dir }).open(migrations));
+  assert.deepEqual(hints.hints.all().map(h => h.id), ['two-sum:1:gemini:gemini-1.5-flash:emoji-v1']);
+  assert.equal(hints.get('two-sum', 1, gemini).hint, 'Think about lookups.');
+});
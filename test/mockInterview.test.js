@@ -0,0 +1,101 @@
+// Mock interview reports and the interview store (lib/mockInterview.js). The
+// graded report in test/fixtures/ stands in for the model's reply.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Database } = require('../lib/db');
+const migrations = require('../lib/migrations');
+const { InterviewStore, RUBRIC, parseReport, reportVariables } = require('../lib/mockInterview');
+
+const reply = fs.readFileSync(path.join(__dirname, 'fixtures', 'interview-report.md'), 'utf8');
+
+function openStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'interviews-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new InterviewStore(new Database({ dir }).open(migrations));
+}
+
+test('parseReport reads the scores, evidence and lists of a graded reply', () => {
+  const report = parseReport(reply);
+
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(Object.keys(report.scores), RUBRIC.map(dimension => dimension.id));
+  assert.deepEqual(report.scores.testing, { score: 2, evidence: 'Dry-ran only the first example.' });
+  assert.equal(report.overall, 3.5);
+  assert.deepEqual(report.strengths, ['Clarified the input before coding', 'Explained the trade-off of the hash map']);
+  assert.match(report.summary, /^Solid interview overall\./);
+  assert.doesNotMatch(report.summary, /```/);
+});
+
+test('parseReport keeps the prose but no scores when a dimension is missing or the JSON is broken', () => {
+  const missing = parseReport(reply.replace(/\s*"testing": .*\n/, '\n'));
+  assert.equal(missing.scores, null);
+  assert.deepEqual(missing.errors, ['testing.score must be a number from 1 to 5']);
+  assert.match(missing.summary, /^Solid interview overall\./);
+
+  assert.match(parseReport(reply.replace('"strengths"', 'strengths')).errors[0], /^invalid JSON/);
+  assert.deepEqual(parseReport('Just prose.').errors, ['no json block in response']);
+});
+
+test('the report prompt asks for every rubric dimension', (t) => {
+  const interviews = openStore(t);
+  const interview = interviews.start({ slug: 'two-sum' });
+  interviews.addTurn(interview.id, { sender: 'user', message: 'Can the array hold duplicates?' });
+
+  const variables = reportVariables(interviews.get(interview.id));
+  RUBRIC.forEach(dimension => {
+    assert.ok(variables.rubric.includes(`("${dimension.id}")`));
+    assert.ok(variables.reportShape.includes(`"${dimension.id}": { "score": 1-5`));
+  });
+  assert.match(variables.interviewTranscript, /Candidate: Can the array hold duplicates\?/);
+});
+
+test('finished interviews are listed with the change in scores since the one before', (t) => {
+  const interviews = openStore(t);
+  const first = interviews.start({ slug: 'two-sum' });
+  interviews.finish(first.id, parseReport(reply));
+  const second = interviews.start({ slug: 'two-sum' });
+  interviews.finish(second.id, parseReport(reply.replace('"score": 2.4', '"score": 4')));
+
+  const [, latest] = interviews.list({ slug: 'two-sum' });
+  assert.deepEqual(latest.change, { communication: 0, correctness: 0, optimality: 0, testing: 2, overall: 0.5 });
+});
+
+test('a turn taken back is gone from the interview', (t) => {
+  const interviews = openStore(t);
+  const interview = interviews.start({ slug: 'two-sum' });
+  const turn = interviews.addTurn(interview.id, { sender: 'user', message: 'Hello' });
+
+  assert.equal(interviews.removeTurn(turn.id), true);
+  assert.deepEqual(interviews.get(interview.id).turns, []);
+  assert.equal(interviews.removeTurn(turn.id), false);
+});
+
+test('the whole problem is saved when the interview starts', (t) => {
+  const interviews = openStore(t);
+  const interview = interviews.start({
+    problem: {
+      slug: 'two-sum',
+      title: 'Two Sum',
+      difficulty: 'Easy',
+      tags: ['Array', 7],
+      description: 'Return the indices of the two numbers that add up to target.',
+      examples: ['Input: nums = [3,3], target = 6\nOutput: [0,1]', null],
+      constraints: ['2 <= nums.length <= 10^4', { text: '-10^9 <= nums[i] <= 10^9', ranges: [] }, { ranges: [] }],
+      html: '<div>not kept</div>'
+    }
+  });
+
+  assert.deepEqual(interviews.get(interview.id).problem, {
+    slug: 'two-sum',
+    title: 'Two Sum',
+    difficulty: 'Easy',
+    tags: ['Array'],
+    description: 'Return the indices of the two numbers that add up to target.',
+    examples: ['Input: nums = [3,3], target = 6\nOutput: [0,1]'],
+    constraints: ['2 <= nums.length <= 10^4', { text: '-10^9 <= nums[i] <= 10^9', ranges: [] }]
+  });
+  assert.equal(interviews.start({ slug: 'two-sum' }).problem.title, 'two-sum');
+});
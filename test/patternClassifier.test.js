@@ -0,0 +1,42 @@
+// Pattern labels for saved solutions (test/fixtures/patterns/) and approaches
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { classifyPattern, listPatterns } = require('../lib/patternClassifier');
+
+const solution = (file) => fs.readFileSync(path.join(__dirname, 'fixtures', 'patterns', file), 'utf8');
+const ids = (result) => result.labels.map(label => label.id);
+
+test('a sliding window over a hash map is labelled a sliding window first', () => {
+  const result = classifyPattern({ code: solution('longest-substring.js') });
+
+  assert.equal(result.primary.id, 'sliding-window');
+  assert.ok(result.primary.confidence > result.labels.find(label => label.id === 'hash-map').confidence);
+  assert.ok(result.primary.evidence.some(evidence => evidence.includes('.set(s[left]')));
+});
+
+test('a window whose left bound jumps past the last repeat is a sliding window', () => {
+  assert.equal(classifyPattern({ code: solution('longest-substring.py') }).primary.id, 'sliding-window');
+});
+
+test('capacity in the wording is binary search on the answer, not knapsack', () => {
+  const wording = classifyPattern({ approach: 'Find the minimum capacity to ship all packages within D days.' });
+  assert.deepEqual(ids(wording), ['binary-search-answer']);
+
+  const approach = classifyPattern({ approach: 'Binary search the capacity between the heaviest package and the total, and check if we can ship it in time.' });
+  assert.equal(approach.primary.id, 'binary-search-answer');
+  assert.ok(!ids(approach).includes('dp-knapsack'));
+
+  assert.equal(classifyPattern({ approach: 'Knapsack DP where dp[c] is the best value with capacity c.' }).primary.id, 'dp-knapsack');
+});
+
+test('binary search on the answer is told apart from a plain binary search by its feasibility pass', () => {
+  assert.equal(classifyPattern({ code: solution('ship-within-days.js') }).primary.id, 'binary-search-answer');
+  assert.equal(classifyPattern({ code: solution('search.js') }).primary.id, 'binary-search');
+});
+
+test('nothing to classify gives null, and the list leaves out the signals', () => {
+  assert.equal(classifyPattern({ approach: '  ' }), null);
+  assert.deepEqual(listPatterns().find(pattern => pattern.id === 'monotonic-stack'), { id: 'monotonic-stack', label: 'Monotonic stack', family: 'stack', parent: 'stack' });
+});
@@ -0,0 +1,110 @@
+// Parses saved LeetCode problem pages (test/fixtures/) with jsdom, one per
+// page layout the parser supports
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const ProblemParser = require('../problemParser');
+
+function loadPage(fixture, url) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', fixture), 'utf8');
+  return new JSDOM(html, { url }).window.document;
+}
+
+const range = (subject, min, max) => ({ subject, min, max, minInclusive: true, maxInclusive: true });
+
+test('current layout: title, difficulty, tags and slug', () => {
+  const problem = ProblemParser.parseProblemPage(loadPage('leetcode-current.html', 'https://leetcode.com/problems/two-sum/description/'));
+
+  assert.equal(problem.slug, 'two-sum');
+  assert.equal(problem.number, 1);
+  assert.equal(problem.title, 'Two Sum');
+  assert.equal(problem.difficulty, 'Easy');
+  assert.deepEqual(problem.tags, ['Array', 'Hash Table']);
+});
+
+test('current layout: description as markdown, with the bare follow-up kept', () => {
+  const { description } = ProblemParser.parseProblemPage(loadPage('leetcode-current.html', 'https://leetcode.com/problems/two-sum/'));
+
+  assert.match(description, /^Given an array of integers `nums` and an integer `target`, return \*indices/);
+  assert.match(description, /You may assume that each input would have \*\*\*exactly\* one solution\*\*/);
+  assert.match(description, /\*\*Follow-up:\*\* Can you come up with an algorithm that is less than `O\(n\^2\)` time complexity\?$/);
+  assert.doesNotMatch(description, /Example|Constraints|Input:/);
+});
+
+test('current layout: example blocks', () => {
+  const { examples } = ProblemParser.parseProblemPage(loadPage('leetcode-current.html', 'https://leetcode.com/problems/two-sum/'));
+
+  assert.deepEqual(examples, [
+    { input: 'nums = [2,7,11,15], target = 9', output: '[0,1]', explanation: 'Because nums[0] + nums[1] == 9, we return [0, 1].' },
+    { input: 'nums = [3,2,4], target = 6', output: '[1,2]', explanation: null },
+    { input: 'nums = [3,3], target = 6', output: '[0,1]', explanation: null }
+  ]);
+});
+
+test('current layout: constraints with superscript powers', () => {
+  const { constraints } = ProblemParser.parseProblemPage(loadPage('leetcode-current.html', 'https://leetcode.com/problems/two-sum/'));
+
+  assert.deepEqual(constraints, [
+    { text: '2 <= nums.length <= 10^4', ranges: [range('nums.length', 2, 10000)] },
+    { text: '-10^9 <= nums[i] <= 10^9', ranges: [range('nums[i]', -1e9, 1e9)] },
+    { text: '-10^9 <= target <= 10^9', ranges: [range('target', -1e9, 1e9)] },
+    { text: 'Only one valid answer exists.', ranges: [] }
+  ]);
+});
+
+test('old layout: data-cy title, diff attribute and topic tags', () => {
+  const problem = ProblemParser.parseProblemPage(loadPage('leetcode-old.html', 'https://leetcode.com/problems/product-of-array-except-self/'));
+
+  assert.equal(problem.slug, 'product-of-array-except-self');
+  assert.equal(problem.number, 238);
+  assert.equal(problem.title, 'Product of Array Except Self');
+  assert.equal(problem.difficulty, 'Medium');
+  assert.deepEqual(problem.tags, ['Array', 'Prefix Sum']);
+});
+
+test('old layout: <pre> examples and the statement around them', () => {
+  const { description, examples } = ProblemParser.parseProblemPage(loadPage('leetcode-old.html', 'https://leetcode.com/problems/product-of-array-except-self/'));
+
+  assert.deepEqual(examples, [
+    { input: 'nums = [1,2,3,4]', output: '[24,12,8,6]', explanation: null },
+    { input: 'nums = [-1,1,0,-3,3]', output: '[0,0,9,0,0]', explanation: 'Every product that includes the 0 is 0.' }
+  ]);
+  assert.match(description, /runs in `O\(n\)` time and without using the division operation\./);
+  assert.match(description, /\*\*Follow up:\*\* Can you solve the problem in `O\(1\)` extra space complexity\?/);
+  assert.doesNotMatch(description, /Input:|Constraints/);
+});
+
+test('old layout: constraints, including an equality between names', () => {
+  const { constraints } = ProblemParser.parseProblemPage(loadPage('leetcode-old.html', 'https://leetcode.com/problems/product-of-array-except-self/'));
+
+  assert.deepEqual(constraints.slice(0, 3), [
+    { text: '2 <= nums.length <= 10^5', ranges: [range('nums.length', 2, 100000)] },
+    { text: '-30 <= nums[i] <= 30', ranges: [range('nums[i]', -30, 30)] },
+    { text: 'n == nums.length', ranges: [], equals: ['n', 'nums.length'] }
+  ]);
+  assert.deepEqual(constraints[3].ranges, []);
+});
+
+test('a page without a problem on it comes back empty', () => {
+  const doc = new JSDOM('<html><head><title>Problems - LeetCode</title></head><body></body></html>', { url: 'https://leetcode.com/problemset/' }).window.document;
+
+  assert.deepEqual(ProblemParser.parseProblemPage(doc), {
+    slug: null,
+    number: null,
+    title: 'Problems',
+    difficulty: null,
+    tags: [],
+    description: '',
+    examples: [],
+    constraints: []
+  });
+});
+
+test('formatExample writes the text parseExample reads', () => {
+  const example = { input: 'nums = [3,3], target = 6', output: '[0,1]', explanation: 'The only pair.' };
+
+  assert.equal(ProblemParser.formatExample(example), 'Input: nums = [3,3], target = 6\nOutput: [0,1]\nExplanation: The only pair.');
+  assert.deepEqual(ProblemParser.parseExample(ProblemParser.formatExample(example)), example);
+});
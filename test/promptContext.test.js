@@ -0,0 +1,41 @@
+// Fitting coaching prompts to the token budget
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fitPromptBudget } = require('../lib/promptContext');
+const { promptVariables } = require('../lib/promptLibrary');
+
+const history = Array.from({ length: 20 }, (_, i) => ({ sender: i % 2 ? 'ai' : 'user', message: `message ${i} ${'x'.repeat(400)}` }));
+const render = (request) => ({ prompt: `Conversation:\n${promptVariables(request).recentMessages}` });
+
+test('the whole conversation goes into the prompt when it fits', () => {
+  const built = fitPromptBudget({ history }, render, 100000);
+
+  assert.deepEqual(built.budget.trimmed, []);
+  history.forEach(entry => assert.ok(built.prompt.includes(entry.message)));
+});
+
+test('over the budget, only as many of the oldest messages as needed are left out', () => {
+  const built = fitPromptBudget({ history }, render, 1500);
+
+  assert.deepEqual(built.budget.trimmed, [{ part: 'history', detail: 'kept the last 14 of 20 conversation messages' }]);
+  assert.ok(built.budget.tokens <= 1500);
+  assert.ok(!built.prompt.includes('message 5 '));
+  assert.ok(built.prompt.includes(history[6].message));
+});
+
+test('near the budget edge, leaving out old messages is enough and keeps as many as fit', () => {
+  const problem = { title: 'Two Sum', examples: ['Input: nums = [3,3], target = 6\nOutput: [0,1]\nExplanation: The only pair.'] };
+  const short = Array.from({ length: 40 }, (_, i) => ({ sender: i % 2 ? 'ai' : 'user', message: `short message ${i}` }));
+  const withProblem = (request) => ({ prompt: `${request.problem.examples.join('\n')}\n${promptVariables(request).recentMessages}` });
+  const full = fitPromptBudget({ problem, history: short }, withProblem, 100000).budget.tokens;
+
+  for (let limit = full - 60; limit < full; limit++) {
+    const built = fitPromptBudget({ problem, history: short }, withProblem, limit);
+    const kept = Number(built.budget.trimmed[0].detail.match(/kept the last (\d+)/)[1]);
+    const oneMore = fitPromptBudget({ problem, history: short.slice(-(kept + 1)) }, withProblem, 100000).budget.tokens;
+
+    assert.deepEqual(built.budget.trimmed.map(cut => cut.part), ['history'], `limit ${limit}`);
+    assert.ok(built.budget.tokens <= limit, `limit ${limit}`);
+    assert.ok(oneMore > limit, `limit ${limit} could keep ${kept + 1} messages`);
+  }
+});
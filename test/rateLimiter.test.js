@@ -0,0 +1,65 @@
+// Token bucket, daily quota and the fair queue in front of the provider
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, RateLimitError } = require('../lib/rateLimiter');
+
+const spend = (limiter, count) => Promise.all(Array.from({ length: count }, () => limiter.acquire()));
+
+test('a full bucket lets requests straight through and status reports what is left', async () => {
+  const limiter = new RateLimiter({ requestsPerMinute: 5, requestsPerDay: 100, usedToday: 10 });
+  await spend(limiter, 3);
+
+  const status = limiter.status();
+  assert.equal(status.minute.remaining, 2);
+  assert.deepEqual([status.day.used, status.day.remaining], [13, 87]);
+  assert.ok(Date.parse(status.day.resetAt) > Date.now());
+  assert.equal(status.queue.waiting, 0);
+});
+
+test('the daily quota rejects with a Retry-After until UTC midnight', async () => {
+  const limiter = new RateLimiter({ requestsPerMinute: 60, requestsPerDay: 2 });
+  await spend(limiter, 2);
+
+  await assert.rejects(limiter.acquire(), (error) => {
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.status, 429);
+    assert.equal(error.scope, 'day');
+    assert.ok(error.retryAfterSeconds > 0 && error.retryAfterSeconds <= 24 * 60 * 60);
+    return true;
+  });
+});
+
+test('an empty bucket rejects when the wait would exceed maxWaitMs', async () => {
+  const limiter = new RateLimiter({ requestsPerMinute: 2, requestsPerDay: 0, maxWaitMs: 1000 });
+  await spend(limiter, 2);
+
+  await assert.rejects(limiter.acquire(), (error) => {
+    assert.equal(error.scope, 'minute');
+    assert.ok(error.retryAfterSeconds >= 29 && error.retryAfterSeconds <= 30);
+    return true;
+  });
+  assert.ok(limiter.retryAfterSeconds() >= 29);
+});
+
+test('waiting clients are served round-robin so one busy client cannot starve another', async () => {
+  // 600/minute refills one token every 100ms
+  const limiter = new RateLimiter({ requestsPerMinute: 600, requestsPerDay: 0 });
+  await spend(limiter, 600);
+
+  const served = [];
+  const wait = (clientId) => limiter.acquire(clientId).then(() => served.push(clientId));
+  const waiting = [wait('busy'), wait('busy'), wait('busy'), wait('quiet')];
+  assert.equal(limiter.status().queue.waiting, 4);
+  assert.equal(limiter.status().queue.clients, 2);
+
+  await Promise.all(waiting);
+  assert.deepEqual(served, ['busy', 'quiet', 'busy', 'busy']);
+});
+
+test('with both limits at zero the limiter is off', async () => {
+  const limiter = new RateLimiter({ requestsPerMinute: 0, requestsPerDay: 0 });
+  await spend(limiter, 50);
+
+  assert.equal(limiter.status().enabled, false);
+  assert.equal(limiter.status().minute.remaining, null);
+});
@@ -0,0 +1,78 @@
+// Analysis response caching (lib/responseCache.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ResponseCache, cacheKey } = require('../lib/responseCache');
+
+const problem = {
+  slug: 'two-sum',
+  title: 'Two Sum',
+  description: 'Return the indices of the two numbers that add up to target.',
+  examples: ['Input: nums = [2,7,11,15], target = 9\nOutput: [0,1]'],
+  constraints: ['2 <= nums.length <= 10^4']
+};
+const run = (passed) => ({
+  language: 'javascript',
+  passed: passed ? 1 : 0,
+  total: 1,
+  results: [passed ? { example: 1, passed: true } : { example: 1, passed: false, input: 'nums = [2,7,11,15], target = 9', expected: [0, 1], actual: [1, 0] }]
+});
+const request = {
+  type: 'code_analysis',
+  problem,
+  code: 'function twoSum(nums, target) {\n  return [];\n}',
+  language: 'javascript',
+  execution: run(false),
+  promptVersion: 'emoji-v1@abc',
+  provider: 'gemini',
+  model: 'gemini-1.5-flash',
+  context: ''
+};
+
+test('the key ignores whitespace-only edits to the code and problem', () => {
+  assert.equal(cacheKey(request), cacheKey({
+    ...request,
+    code: 'function twoSum(nums, target) {  \r\n\r\n  return [];\n}\n',
+    problem: { ...problem, title: '  two sum ', description: `${problem.description}\n\n` }
+  }));
+});
+
+test('the key changes with everything the prompt is built from', () => {
+  const key = cacheKey(request);
+  const changes = {
+    'new run results': { execution: run(true) },
+    'no run results': { execution: undefined },
+    language: { language: 'python' },
+    examples: { problem: { ...problem, examples: [...problem.examples, 'Input: nums = [3,3], target = 6\nOutput: [0,1]'] } },
+    constraints: { problem: { ...problem, constraints: ['2 <= nums.length <= 10^5'] } },
+    'prompt version': { promptVersion: 'emoji-v1@def' },
+    model: { model: 'gemini-2.0-flash' },
+    'weak spots': { context: 'Struggles with hash maps.' }
+  };
+  for (const [what, change] of Object.entries(changes)) {
+    assert.notEqual(cacheKey({ ...request, ...change }), key, what);
+  }
+});
+
+test('typed constraints and their text give the same key', () => {
+  const typed = { text: '2 <= nums.length <= 10^4', ranges: [{ subject: 'nums.length', min: 2, max: 10000 }] };
+  assert.equal(cacheKey({ ...request, problem: { ...problem, constraints: [typed] } }), cacheKey(request));
+});
+
+test('the least recently used entry is evicted first and expired entries miss', () => {
+  const cache = new ResponseCache({ maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  assert.equal(cache.get('a'), 1);
+  cache.set('c', 3);
+
+  assert.equal(cache.get('b'), null);
+  assert.equal(cache.get('a'), 1);
+  assert.deepEqual(cache.stats, { hits: 2, misses: 1, evictions: 1, expirations: 0 });
+
+  const expired = new ResponseCache({ ttlMs: -1 });
+  expired.set('a', 1);
+  assert.equal(expired.get('a'), null);
+  assert.equal(expired.stats.expirations, 1);
+  assert.equal(cache.isCacheable('hint'), false);
+  assert.equal(cache.isCacheable('code_analysis'), true);
+});
@@ -0,0 +1,81 @@
+// SM-2 spaced-repetition reviews shared by the extension scripts
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ReviewScheduler = require('../reviewScheduler');
+
+const { schedule, recordSolve, recordReview, dueReviews, gradeFromHints, update, STORAGE_KEY } = ReviewScheduler;
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2026, 0, 5, 12).getTime();
+const twoSum = { slug: 'two-sum', title: 'Two Sum', difficulty: 'Easy' };
+const pick = ({ ease, interval, repetitions, due }) => ({ ease, interval, repetitions, due });
+
+test('intervals follow SM-2: 1 day, 6 days, then the previous interval times the ease', () => {
+  let reviews = recordSolve({}, twoSum, {}, NOW);
+  assert.deepEqual(pick(reviews['two-sum']), { ease: 2.6, interval: 1, repetitions: 1, due: NOW + DAY });
+
+  reviews = recordReview(reviews, 'two-sum', 4, {}, NOW + DAY);
+  assert.deepEqual(pick(reviews['two-sum']), { ease: 2.6, interval: 6, repetitions: 2, due: NOW + 7 * DAY });
+
+  reviews = recordReview(reviews, 'two-sum', 5, {}, NOW + 7 * DAY);
+  assert.deepEqual(pick(reviews['two-sum']), { ease: 2.7, interval: 16, repetitions: 3, due: NOW + 23 * DAY });
+
+  assert.deepEqual(reviews['two-sum'].history.map(entry => [entry.kind, entry.grade]), [['solve', 5], ['review', 4], ['review', 5]]);
+});
+
+test('a failed recall starts over at one day and lowers the ease, never below 1.3', () => {
+  const learned = { slug: 'two-sum', ease: 2.7, interval: 16, repetitions: 3 };
+
+  assert.deepEqual(pick(schedule(learned, 1, NOW)), { ease: 2.16, interval: 1, repetitions: 0, due: NOW + DAY });
+  assert.equal(schedule(schedule(learned, 0, NOW), 0, NOW).ease, 1.3);
+  assert.equal(schedule({ ...learned, ease: 1.3 }, 5, NOW).ease, 1.4);
+});
+
+test('the first grade comes from the hints needed to solve it', () => {
+  assert.deepEqual([0, 1, 2, 3, 7].map(gradeFromHints), [5, 4, 3, 2, 0]);
+
+  const hard = recordSolve({}, twoSum, { hintsUsed: 2 }, NOW)['two-sum'];
+  assert.deepEqual(pick(hard), { ease: 2.36, interval: 1, repetitions: 1, due: NOW + DAY });
+
+  const struggled = recordSolve({}, twoSum, { hintsUsed: 3 }, NOW)['two-sum'];
+  assert.deepEqual([struggled.repetitions, struggled.ease], [0, 2.18]);
+});
+
+test('notes are kept, clipped, and an insight from a review joins them', () => {
+  let reviews = recordSolve({}, twoSum, { notes: { approach: 'x'.repeat(1500), coachReply: 'Use a map.', code: 'var twoSum;' } }, NOW);
+  assert.equal(reviews['two-sum'].notes.approach.length, 1203);
+  assert.equal(reviews['two-sum'].url, 'https://leetcode.com/problems/two-sum/');
+
+  reviews = recordReview(reviews, 'two-sum', 4, { insight: '  complement lookup  ' }, NOW + DAY);
+  assert.deepEqual([reviews['two-sum'].notes.insight, reviews['two-sum'].notes.coachReply], ['complement lookup', 'Use a map.']);
+  assert.equal(recordReview(reviews, 'missing', 4, {}, NOW), reviews);
+});
+
+test('due reviews are those due by the end of today, most overdue first', () => {
+  const reviews = {
+    later: { slug: 'later', due: NOW + 2 * DAY },
+    tonight: { slug: 'tonight', due: NOW + 6 * 60 * 60 * 1000 },
+    overdue: { slug: 'overdue', due: NOW - 3 * DAY }
+  };
+
+  assert.deepEqual(dueReviews(reviews, NOW).map(item => item.slug), ['overdue', 'tonight']);
+  assert.deepEqual(dueReviews(undefined, NOW), []);
+});
+
+test('update reads and writes the reviews in chrome.storage.local', async (t) => {
+  const stored = {};
+  global.chrome = {
+    storage: {
+      local: {
+        get: async (keys) => Object.fromEntries(keys.filter(key => key in stored).map(key => [key, stored[key]])),
+        set: async (items) => Object.assign(stored, items)
+      }
+    }
+  };
+  t.after(() => { delete global.chrome; });
+
+  await update(reviews => recordSolve(reviews, twoSum, {}, NOW));
+  await update(reviews => recordReview(reviews, 'two-sum', 4, {}, NOW + DAY));
+
+  assert.equal(stored[STORAGE_KEY]['two-sum'].repetitions, 2);
+});
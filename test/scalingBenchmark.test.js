@@ -0,0 +1,54 @@
+// Fitting measured running times to complexity classes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { measureScaling, bestFit, sizesFor } = require('../lib/scalingBenchmark');
+const { RunnerError } = require('../lib/codeRunner');
+
+const sizes = [100, 300, 1000, 3000, 10000, 30000, 100000];
+const measured = (f) => sizes.map(n => ({ n, timeMs: 0.05 + f(n) }));
+
+test('each growth curve is fitted to its own complexity class', () => {
+  assert.equal(bestFit(measured(n => n * 1e-4), 'timeMs').model, 'O(n)');
+  assert.equal(bestFit(measured(n => n * n * 1e-7), 'timeMs').model, 'O(n^2)');
+  assert.equal(bestFit(measured(n => n * Math.log2(n) * 1e-5), 'timeMs').model, 'O(n log n)');
+  assert.equal(bestFit(measured(n => Math.log2(n) * 1e-2), 'timeMs').model, 'O(log n)');
+  assert.equal(bestFit([4, 8, 12, 16, 20].map(n => ({ n, timeMs: 2 ** n * 1e-4 })), 'timeMs').model, 'O(2^n)');
+});
+
+test('flat or too few measurements give O(1) or no fit', () => {
+  const flat = bestFit(sizes.map((n, i) => ({ n, timeMs: 1 + (i % 2) * 0.05 })), 'timeMs');
+  assert.equal(flat.model, 'O(1)');
+  assert.equal(bestFit(sizes.slice(0, 2).map(n => ({ n, timeMs: n })), 'timeMs'), null);
+});
+
+test('sizes follow the length limit from the constraints', () => {
+  assert.deepEqual(sizesFor(null), sizes);
+  assert.deepEqual(sizesFor(100000), sizes);
+  assert.deepEqual(sizesFor(45, { isScalar: true }), [8, 16, 24, 32, 40]);
+  assert.deepEqual(sizesFor(5000, { isScalar: true }), [100, 300, 1000, 3000, 5000]);
+});
+
+test('a solution is timed on generated inputs of each requested size', async () => {
+  const problem = {
+    slug: 'running-sum',
+    examples: ['Input: nums = [1,2,3,4]\nOutput: [1,3,6,10]'],
+    constraints: ['1 <= nums.length <= 10^5', '-10^6 <= nums[i] <= 10^6']
+  };
+  const code = `var runningSum = function(nums) {
+    for (let i = 1; i < nums.length; i++) nums[i] += nums[i - 1];
+    return nums;
+};`;
+  const result = await measureScaling({ code, problem, sizes: [1000, 3000, 10000] });
+
+  assert.equal(result.parameter, 'nums');
+  assert.deepEqual(result.points.map(p => p.n), [1000, 3000, 10000]);
+  assert.ok(result.points.every(p => p.timeMs > 0 && p.runs >= 1));
+  assert.ok(result.fit.time);
+  assert.deepEqual(result.failures, []);
+});
+
+test('bad sizes and problems without usable examples are rejected', async () => {
+  const code = 'var f = function(nums) { return nums; };';
+  await assert.rejects(measureScaling({ code, problem: { examples: ['Input: nums = [1]\nOutput: [1]'] }, sizes: [10, 20] }), RunnerError);
+  await assert.rejects(measureScaling({ code, problem: { examples: [] } }), /No examples/);
+});
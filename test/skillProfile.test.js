@@ -0,0 +1,89 @@
+// Per-student skill profiles (lib/skillProfile.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Database } = require('../lib/db');
+const migrations = require('../lib/migrations');
+const { SkillProfile } = require('../lib/skillProfile');
+
+function openProfiles(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new SkillProfile(new Database({ dir }).open(migrations));
+}
+
+const twoSum = { slug: 'two-sum', title: 'Two Sum', difficulty: 'Easy', tags: ['Array', 'Hash Table'] };
+const threeSum = { slug: '3sum', title: '3Sum', difficulty: 'Medium', tags: ['Array', 'Two Pointers'] };
+const trap = { slug: 'trapping-rain-water', title: 'Trapping Rain Water', difficulty: 'Hard', tags: ['Array', 'Two Pointers'] };
+
+function practice(profiles, userId) {
+  profiles.record(userId, twoSum, { kind: 'analysis', pattern: { id: 'hash-map', label: 'Hash map' } });
+  profiles.recordSubmission(userId, { problem: twoSum, verdict: 'Accepted' });
+
+  profiles.record(userId, threeSum, { kind: 'hint', level: 2 });
+  profiles.recordSubmission(userId, { problem: threeSum, verdict: 'Wrong Answer' });
+  profiles.recordSubmission(userId, { problem: threeSum, verdict: 'Accepted' });
+
+  profiles.record(userId, trap, { kind: 'hint', level: 3 });
+  profiles.recordSubmission(userId, { problem: trap, verdict: 'Time Limit Exceeded' });
+}
+
+test('each problem is summarized from its analyses, hints and submissions', (t) => {
+  const profiles = openProfiles(t);
+  practice(profiles, 'student-1');
+  const bySlug = Object.fromEntries(profiles.profile('student-1').problems.map(p => [p.slug, p]));
+
+  assert.deepEqual(bySlug['two-sum'].pattern, { id: 'hash-map', label: 'Hash map' });
+  assert.deepEqual([bySlug['two-sum'].analyses, bySlug['two-sum'].solved, bySlug['two-sum'].score], [1, true, 1]);
+  assert.deepEqual([bySlug['3sum'].hintsUsed, bySlug['3sum'].failedSubmissions, bySlug['3sum'].minutesToAccept], [2, 1, 0]);
+  assert.ok(Math.abs(bySlug['3sum'].score - 0.7) < 1e-9);
+  assert.deepEqual([bySlug['trapping-rain-water'].solved, bySlug['trapping-rain-water'].score], [false, 0]);
+});
+
+test('mastery is scored per topic and pattern, weighted by difficulty', (t) => {
+  const profiles = openProfiles(t);
+  practice(profiles, 'student-1');
+  const profile = profiles.profile('student-1');
+  const topic = (name) => profile.topics.find(entry => entry.topic === name);
+
+  assert.deepEqual(profile.topics.map(entry => [entry.topic, entry.mastery]), [['Two Pointers', 20], ['Array', 30], ['Hash Table', 33]]);
+  assert.deepEqual([topic('Array').problems, topic('Array').solved, topic('Array').hintsUsed, topic('Array').failedSubmissions], [3, 2, 5, 2]);
+  assert.equal(topic('Array').medianMinutesToAccept, 0);
+  assert.deepEqual(profile.patterns.map(entry => [entry.id, entry.label, entry.problems]), [['hash-map', 'Hash map', 1]]);
+  assert.equal(profile.totals.problems, 3);
+});
+
+test('weak spots need a low score on several problems and feed the coaching prompts', (t) => {
+  const profiles = openProfiles(t);
+  practice(profiles, 'student-1');
+
+  assert.deepEqual(profiles.profile('student-1').weakSpots.map(spot => spot.name), ['Two Pointers', 'Array']);
+  assert.match(profiles.weakSpotSummary('student-1'), /^Known weak spots from this student's history: Two Pointers \(mastery 20\/100 over 2 problems: 1 solved, 5 hint levels used, 2 failed submissions\); Array/);
+  assert.equal(profiles.weakSpotSummary('student-2'), '');
+});
+
+test('time to accept runs from the first event on the problem', (t) => {
+  const profiles = openProfiles(t);
+  const at = (minutes) => new Date(Date.UTC(2026, 0, 1) + minutes * 60000).toISOString();
+  profiles.events.put({ id: 'a', userId: 'student-1', kind: 'analysis', problem: threeSum, timestamp: at(0) });
+  profiles.events.put({ id: 'b', userId: 'student-1', kind: 'submission', verdict: 'Accepted', problem: threeSum, timestamp: at(75) });
+
+  const [problem] = profiles.profile('student-1').problems;
+  assert.equal(problem.minutesToAccept, 75);
+  // Past an hour the solve counts for a little less
+  assert.ok(Math.abs(problem.score - 0.9) < 1e-9);
+});
+
+test('students are kept apart and untracked requests leave nothing behind', (t) => {
+  const profiles = openProfiles(t);
+  practice(profiles, 'student-1');
+
+  assert.equal(profiles.record(undefined, twoSum, { kind: 'analysis' }), null);
+  assert.equal(profiles.record('student-2', {}, { kind: 'analysis' }), null);
+  assert.deepEqual(profiles.profile('student-2').problems, []);
+  assert.equal(profiles.record('student-2', { url: 'https://leetcode.com/problems/two-sum/description/' }, { kind: 'analysis' }).problem.slug, 'two-sum');
+  assert.throws(() => profiles.recordSubmission('student-1', { problem: twoSum, verdict: ' ' }), /verdict/);
+  assert.throws(() => profiles.profile('not a valid id!'), /userId/);
+});
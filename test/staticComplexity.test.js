@@ -0,0 +1,136 @@
+// Big-O estimates from the structure of the code (lib/staticComplexity.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateComplexity, parseBigO, formatTerm } = require('../lib/staticComplexity');
+
+const estimate = (code, claimed) => estimateComplexity({ code, claimed });
+
+test('parseBigO reads the ways reviews write a bound', () => {
+  assert.equal(formatTerm(parseBigO('O(n²)')), 'O(n^2)');
+  assert.equal(formatTerm(parseBigO('Time: O(n log n)')), 'O(n · log n)');
+  assert.equal(formatTerm(parseBigO('O(m * n)')), 'O(n^2)');
+  assert.equal(formatTerm(parseBigO('O(log(n))')), 'O(log n)');
+  assert.equal(formatTerm(parseBigO('O(2^n)')), 'O(2^n)');
+  assert.equal(parseBigO('O(?)'), null);
+  assert.equal(parseBigO('linear'), null);
+});
+
+test('nested loops over the input are quadratic', async () => {
+  const result = await estimate(`function twoSum(nums, target) {
+  for (let i = 0; i < nums.length; i++) {
+    for (let j = i + 1; j < nums.length; j++) {
+      if (nums[i] + nums[j] === target) return [i, j];
+    }
+  }
+}`);
+  assert.equal(result.time, 'O(n^2)');
+  assert.equal(result.space, 'O(1)');
+});
+
+test('a sliding window whose left pointer only moves forward is amortized O(n)', async () => {
+  const result = await estimate(`function lengthOfLongestSubstring(s) {
+  const count = new Map();
+  let left = 0, best = 0;
+  for (let right = 0; right < s.length; right++) {
+    count.set(s[right], (count.get(s[right]) || 0) + 1);
+    while (count.get(s[right]) > 1) {
+      count.set(s[left], count.get(s[left]) - 1);
+      left++;
+    }
+    best = Math.max(best, right - left + 1);
+  }
+  return best;
+}`, 'O(n)');
+
+  assert.equal(result.time, 'O(n)');
+  assert.equal(result.space, 'O(n)');
+  assert.deepEqual(result.agrees, { time: true, space: null });
+  assert.match(result.notes[1], /only moves left forward: O\(n\) in total across for \(right < s\.length\)/);
+});
+
+test('two pointers closing in from both ends are amortized O(n)', async () => {
+  const result = await estimate(`function maxArea(height) {
+  let i = 0, j = height.length - 1, best = 0;
+  while (i < j) {
+    best = Math.max(best, Math.min(height[i], height[j]) * (j - i));
+    while (i < j && height[i] <= height[j]) i++;
+    j--;
+  }
+  return best;
+}`);
+  assert.equal(result.time, 'O(n)');
+});
+
+test('an inner loop that restarts its pointer every step stays quadratic', async () => {
+  const restarted = await estimate(`function f(nums) {
+  let j = 0, total = 0;
+  for (let i = 0; i < nums.length; i++) {
+    j = i;
+    while (j < nums.length) total += nums[j++];
+  }
+  return total;
+}`);
+  assert.equal(restarted.time, 'O(n^2)');
+
+  // A counter kept outside the loops is not a pointer
+  const counted = await estimate(`function f(nums) {
+  let steps = 0;
+  for (let i = 0; i < nums.length; i++) {
+    let j = i;
+    while (j < nums.length) { steps++; j++; }
+  }
+  return steps;
+}`);
+  assert.equal(counted.time, 'O(n^2)');
+});
+
+test('a Python sliding window is amortized O(n) too', async () => {
+  const result = await estimate(`class Solution:
+    def minSubArrayLen(self, target, nums):
+        left = total = 0
+        best = len(nums) + 1
+        for right in range(len(nums)):
+            total += nums[right]
+            while total >= target:
+                best = min(best, right - left + 1)
+                total -= nums[left]
+                left += 1
+        return best % (len(nums) + 1)
+`, { time: 'O(n)', space: 'O(1)' });
+
+  assert.equal(result.language, 'python');
+  assert.equal(result.time, 'O(n)');
+  assert.deepEqual(result.agrees, { time: true, space: true });
+});
+
+test('binary search is O(log n) and its note says the range halves', async () => {
+  const result = await estimate(`function search(nums, target) {
+  let lo = 0, hi = nums.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (nums[mid] === target) return mid;
+    if (nums[mid] < target) lo = mid + 1;
+    else hi = mid - 1;
+  }
+  return -1;
+}`, 'O(log n)');
+
+  assert.equal(result.time, 'O(log n)');
+  assert.deepEqual(result.claimed, { time: 'O(log n)', space: null });
+  assert.equal(result.agrees.time, true);
+  assert.deepEqual(result.notes, ['one loop that halves the range each step: while (lo <= hi)']);
+});
+
+test('memoized recursion is polynomial and plain branching recursion exponential', async () => {
+  const plain = await estimate('function fib(n) { if (n < 2) return n; return fib(n - 1) + fib(n - 2); }');
+  assert.equal(plain.time, 'O(2^n)');
+
+  const memoized = await estimate(`function climbStairs(n, memo) {
+  if (n <= 2) return n;
+  if (memo.has(n)) return memo.get(n);
+  const ways = climbStairs(n - 1, memo) + climbStairs(n - 2, memo);
+  memo.set(n, ways);
+  return ways;
+}`);
+  assert.equal(memoized.time, 'O(n)');
+});
@@ -0,0 +1,58 @@
+// Stress testing against a brute-force reference and shrinking the failure
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stressTest, shrinkCandidates, extractCode } = require('../lib/stressTest');
+
+const problem = {
+  slug: 'maximum-element',
+  examples: ['Input: nums = [3,1,4]\nOutput: 4'],
+  constraints: ['1 <= nums.length <= 100', '-10^4 <= nums[i] <= 10^4']
+};
+const reference = { code: 'var maximum = function(nums) { return Math.max(...nums); };' };
+
+test('a mismatch is found and shrunk to the smallest failing input', async () => {
+  // Starting from 0 is wrong when every number is negative
+  const code = `var maximum = function(nums) {
+    let best = 0;
+    for (const n of nums) best = Math.max(best, n);
+    return best;
+};`;
+  const result = await stressTest({ code, reference, problem, iterations: 100 });
+
+  assert.equal(result.found, true);
+  assert.equal(result.input, 'nums = [-1]');
+  assert.equal(result.testcase, '[-1]');
+  assert.deepEqual([result.expected, result.actual, result.error], [-1, 0, null]);
+  assert.ok(result.shrinkSteps > 0);
+});
+
+test('a correct solution survives every generated input', async () => {
+  const code = 'var maximum = function(nums) { return nums.reduce((a, b) => Math.max(a, b)); };';
+  const result = await stressTest({ code, reference, problem, iterations: 60 });
+
+  assert.equal(result.found, false);
+  assert.equal(result.tested, 60);
+  assert.equal(result.invalid, 0);
+});
+
+test('shrinking drops elements first, then moves numbers toward zero within the constraints', () => {
+  const plan = {
+    specs: [{ name: 'nums', type: 'int[]', length: { min: 1, max: 100 }, value: { min: -5, max: 5 } }],
+    aliases: {}
+  };
+  const candidates = shrinkCandidates(plan, { nums: [4, -2] });
+
+  assert.deepEqual(candidates.map(c => JSON.stringify(c.nums)), ['[4]', '[-2]', '[0,-2]', '[2,-2]', '[3,-2]', '[4,0]', '[4,-1]']);
+  assert.deepEqual(shrinkCandidates(plan, { nums: [0] }), []);
+});
+
+test('the reference is taken from the first code block of a reply', () => {
+  assert.equal(extractCode('Here it is:\n```javascript\nvar f = () => 1;\n```\nDone.'), 'var f = () => 1;');
+  assert.equal(extractCode('   '), null);
+});
+
+test('bad options are rejected before anything runs', async () => {
+  await assert.rejects(stressTest({ code: 'var f = () => 1;', reference: {}, problem }), /reference.code/);
+  await assert.rejects(stressTest({ code: 'var f = () => 1;', reference, problem, iterations: 0 }), /iterations/);
+  await assert.rejects(stressTest({ code: 'var f = () => 1;', reference, problem, compare: 'fuzzy' }), /compare/);
+});
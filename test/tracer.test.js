@@ -0,0 +1,67 @@
+// Step-by-step traces of a solution on one example
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const { traceExample, instrumentJavaScript } = require('../lib/tracer');
+const { RunnerError } = require('../lib/codeRunner');
+
+const examples = ['Input: nums = [2,7,11,15], target = 9\nOutput: [0,1]'];
+const twoSum = `var twoSum = function(nums, target) {
+    const seen = new Map();
+    for (let i = 0; i < nums.length; i++) {
+        if (seen.has(target - nums[i])) return [seen.get(target - nums[i]), i];
+        seen.set(nums[i], i);
+    }
+};`;
+const hasPython = spawnSync(process.env.PYTHON_BIN || 'python3', ['--version']).status === 0;
+
+test('a javascript trace records each line with the variables in scope', async () => {
+  const trace = await traceExample({ code: twoSum, examples });
+
+  assert.equal(trace.entry, 'twoSum');
+  assert.deepEqual(trace.steps.map(step => [step.line, step.event]), [[2, 'line'], [3, 'line'], [4, 'line'], [5, 'line'], [4, 'line'], [4, 'return']]);
+  assert.deepEqual(trace.steps[0].locals, { nums: [2, 7, 11, 15], target: 9 });
+  assert.deepEqual(trace.steps[4].locals.seen, { __type: 'map', size: 1, entries: [[2, 0]] });
+  assert.equal(trace.steps[4].locals.i, 1);
+  assert.deepEqual(trace.steps[5].returnValue, [0, 1]);
+  assert.deepEqual([trace.passed, trace.truncated, trace.error], [true, false, null]);
+});
+
+test('python is traced with the same step shape', { skip: !hasPython && 'python3 is not installed' }, async () => {
+  const code = `class Solution:
+    def twoSum(self, nums, target):
+        seen = {}
+        for i, n in enumerate(nums):
+            if target - n in seen:
+                return [seen[target - n], i]
+            seen[n] = i`;
+  const trace = await traceExample({ code, examples });
+
+  assert.deepEqual(trace.steps.map(step => step.line), [3, 4, 5, 7, 4, 5, 6, 6]);
+  assert.deepEqual(trace.steps[5].locals.seen, { __type: 'map', size: 1, entries: [[2, 0]] });
+  assert.deepEqual(trace.steps.at(-1).returnValue, [0, 1]);
+  assert.equal(trace.passed, true);
+});
+
+test('a trace stops at maxSteps and says so', async () => {
+  const code = 'var count = function(n) { let total = 0; for (let i = 0; i < n; i++) { total += i; } return total; };';
+  const trace = await traceExample({ code, examples: ['Input: n = 1000\nOutput: 499500'], maxSteps: 20 });
+
+  assert.equal(trace.steps.length, 20);
+  assert.equal(trace.truncated, true);
+  assert.deepEqual([trace.actual, trace.passed], [null, false]);
+});
+
+test('instrumenting keeps every statement on its original line', () => {
+  const instrumented = instrumentJavaScript(twoSum);
+
+  assert.equal(instrumented.split('\n').length, twoSum.split('\n').length);
+  assert.match(instrumented.split('\n')[4], /^\s*__trace\(5,"twoSum",/);
+  assert.match(instrumented, /__ret\(4,"twoSum",/);
+});
+
+test('a missing example or unparsable code is a RunnerError', async () => {
+  await assert.rejects(traceExample({ code: twoSum, examples, example: 2 }), /Example 2 is missing/);
+  await assert.rejects(traceExample({ code: 'var f = function( {', language: 'javascript', examples }), RunnerError);
+  await assert.rejects(traceExample({ code: twoSum, examples, maxSteps: 5000 }), /maxSteps/);
+});